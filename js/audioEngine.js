@@ -0,0 +1,368 @@
+// Audio Engine - Single owner of playback, Web Audio graph and analysis
+// Replaces the separate playMusic / startAudioStream / startAudioFromFile graphs
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.fftSize = options.fftSize || 1024;
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.6; // Lower = sharper onsets for beat tracking
+        this.defaultCrossfade = options.crossfade !== undefined ? options.crossfade : 2.0; // Seconds
+        this.volume = options.volume !== undefined ? options.volume : 1.0;
+
+        // Web Audio graph (created lazily - must happen during a user gesture)
+        // channel gains → mixBus → analyser
+        //                        → masterGain → output (spatial PA) or destination
+        this.context = null;
+        this.mixBus = null;
+        this.masterGain = null;
+        this.output = null;
+        this.analyser = null;
+        this.frequencyData = null;
+
+        this.channels = new Set();
+        this.activeChannel = null;
+        this.nextChannelId = 1;
+        this.generation = 0; // Bumped by stop() - a play() still loading from before it never starts
+
+        this.analysis = AudioEngine.silentFrame(0);
+        this.analysisSource = null; // Replaces the analyser while rendering video (see setAnalysisSource)
+
+        // Subscribers
+        this.frameListeners = [];
+        this.stateListeners = [];
+        this.contextListeners = [];
+    }
+
+    static silentFrame(time) {
+        return { time, bass: 0, mid: 0, treble: 0, average: 0, hasAudio: false, spectrum: null };
+    }
+
+    /**
+     * Create (or resume) the AudioContext - call from a click/keypress handler to satisfy autoplay policy
+     */
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                throw new Error('Web Audio is not supported in this browser');
+            }
+            this.context = new AudioContextClass();
+
+            this.mixBus = this.context.createGain();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = this.fftSize;
+            this.analyser.smoothingTimeConstant = this.smoothing;
+            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+
+            this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.volume;
+
+            this.mixBus.connect(this.analyser);
+            this.mixBus.connect(this.masterGain);
+            this.masterGain.connect(this.context.destination);
+            console.log('🎚️ Audio engine initialized');
+            this.contextListeners.forEach(listener => listener(this.context));
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    }
+
+    /**
+     * Play a stream URL or local file, crossfading from whatever is currently playing
+     * @param {string|File|Blob} source - Stream URL or audio file
+     * @param {Object} options - { crossfade: seconds, loop: boolean, label: string }
+     * @returns {Promise<Object|null>} The new channel once playback has started (the later one if a later call started first),
+     *                                 or null if stop() was called while it loaded
+     */
+    async play(source, options = {}) {
+        this.unlock();
+
+        const channel = this.createChannel(source, options);
+        const generation = this.generation;
+
+        this.setState('loading', channel);
+        try {
+            await channel.element.play();
+        } catch (error) {
+            this.destroyChannel(channel);
+            this.setState('error', { label: channel.label, error });
+            throw error;
+        }
+
+        if (generation !== this.generation) {
+            // Stopped while loading
+            this.destroyChannel(channel);
+            if (!this.activeChannel) this.setState('stopped', null); // Clears 'loading'
+            return null;
+        }
+
+        // Another play() may have started while this one loaded - fade out whatever is playing now
+        const previous = this.activeChannel;
+        if (previous && previous.id > channel.id) {
+            // A later call started first - it wins
+            this.destroyChannel(channel);
+            return previous;
+        }
+        const fade = previous ? (options.crossfade !== undefined ? options.crossfade : this.defaultCrossfade) : 0;
+
+        this.activeChannel = channel;
+        this.rampGain(channel.gain, 1, fade);
+        if (previous) {
+            this.fadeOutAndDestroy(previous, fade);
+        }
+
+        console.log(`🔊 Playing: ${channel.label}${fade ? ` (${fade}s crossfade)` : ''}`);
+        this.setState('playing', channel);
+        return channel;
+    }
+
+    /**
+     * Stop playback
+     * @param {number} fade - Fade-out time in seconds
+     */
+    stop(fade = 0) {
+        this.generation++;
+        if (!this.activeChannel) return;
+        const channel = this.activeChannel;
+        this.activeChannel = null;
+        this.fadeOutAndDestroy(channel, fade);
+        console.log('🔇 Audio stopped');
+        this.setState('stopped', null);
+    }
+
+    get isPlaying() {
+        return !!this.activeChannel;
+    }
+
+    /**
+     * Master output volume (does not affect analysis, so visuals keep reacting when muted)
+     * @param {number} value - 0.0 to 1.0
+     */
+    setVolume(value) {
+        this.volume = Math.max(0, Math.min(1, value));
+        if (this.masterGain) {
+            this.rampGain(this.masterGain, this.volume, 0.05);
+        }
+    }
+
+    /**
+     * Route an external node (e.g. the DJ mixer master) into the mix bus so it is heard and analysed
+     * @param {AudioNode} node - Node created on this engine's context
+     * @returns {Function} Disconnect function
+     */
+    connectInput(node) {
+        this.unlock();
+        node.connect(this.mixBus);
+        return () => node.disconnect(this.mixBus);
+    }
+
+    /**
+     * Send the master output through another graph (e.g. the spatial PA) instead of straight to the speakers
+     * @param {AudioNode|null} node - Node created on this engine's context, or null for direct output
+     */
+    setOutput(node) {
+        this.output = node;
+        if (this.masterGain) {
+            this.masterGain.disconnect();
+            this.masterGain.connect(node || this.context.destination);
+        }
+    }
+
+    createChannel(source, options = {}) {
+        const element = document.createElement('audio');
+        element.crossOrigin = 'anonymous';
+        element.preload = 'auto';
+        element.loop = options.loop !== undefined ? options.loop : true;
+
+        let objectUrl = null;
+        let label;
+        if (typeof source === 'string') {
+            element.src = source;
+            label = options.label || source;
+        } else {
+            objectUrl = URL.createObjectURL(source);
+            element.src = objectUrl;
+            label = options.label || source.name || 'Local file';
+        }
+
+        const node = this.context.createMediaElementSource(element);
+        const gain = this.context.createGain();
+        gain.gain.value = 0;
+        node.connect(gain);
+        gain.connect(this.mixBus);
+
+        const channel = { id: this.nextChannelId++, element, node, gain, objectUrl, label };
+        element.addEventListener('error', () => {
+            if (channel === this.activeChannel) {
+                console.error(`❌ Audio error: ${label}`);
+                this.activeChannel = null;
+                this.destroyChannel(channel);
+                this.setState('error', { label, error: element.error });
+            }
+        });
+
+        this.channels.add(channel);
+        return channel;
+    }
+
+    fadeOutAndDestroy(channel, fade) {
+        this.rampGain(channel.gain, 0, fade);
+        setTimeout(() => this.destroyChannel(channel), fade * 1000 + 50);
+    }
+
+    /**
+     * Release everything a channel holds: element, graph nodes and object URL
+     */
+    destroyChannel(channel) {
+        if (!this.channels.has(channel)) return;
+        this.channels.delete(channel);
+
+        channel.element.pause();
+        channel.element.removeAttribute('src');
+        channel.element.load(); // Abort any pending network request
+        channel.node.disconnect();
+        channel.gain.disconnect();
+        if (channel.objectUrl) {
+            URL.revokeObjectURL(channel.objectUrl);
+        }
+    }
+
+    rampGain(gainNode, target, seconds) {
+        const now = this.context.currentTime;
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+        if (seconds > 0) {
+            gainNode.gain.linearRampToValueAtTime(target, now + seconds);
+        } else {
+            gainNode.gain.setValueAtTime(target, now);
+        }
+    }
+
+    /**
+     * Analyse the current frame and notify subscribers - called once per frame from updateAnimations()
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (this.analysisSource) {
+            this.analysis = this.analysisSource(time);
+        } else if (!this.analyser) {
+            this.analysis = AudioEngine.silentFrame(time);
+        } else {
+            this.analysis = this.analyse(time);
+        }
+        this.frameListeners.forEach(listener => listener(this.analysis));
+        return this.analysis;
+    }
+
+    analyse(time) {
+        const data = this.frequencyData;
+        this.analyser.getByteFrequencyData(data);
+        return AudioEngine.analyseSpectrum(data, time);
+    }
+
+    /**
+     * Band levels from analyser frequency data (live, or the video renderer's offline analysis)
+     * @param {Uint8Array} data - getByteFrequencyData() output
+     * @param {number} time - Frame time in seconds
+     */
+    static analyseSpectrum(data, time) {
+        // Split frequency data into bass, mid, treble
+        const bassEnd = Math.floor(data.length * 0.1);
+        const midEnd = Math.floor(data.length * 0.5);
+
+        let bassSum = 0, midSum = 0, trebleSum = 0;
+        for (let i = 0; i < bassEnd; i++) bassSum += data[i];
+        for (let i = bassEnd; i < midEnd; i++) midSum += data[i];
+        for (let i = midEnd; i < data.length; i++) trebleSum += data[i];
+
+        const bass = bassSum / bassEnd / 255;
+        const mid = midSum / (midEnd - bassEnd) / 255;
+        const treble = trebleSum / (data.length - midEnd) / 255;
+        const average = (bass + mid + treble) / 3;
+
+        // Check if audio is actually playing
+        const hasAudio = average > 0.01;
+
+        return { time, bass, mid, treble, average, hasAudio, spectrum: hasAudio ? data : null };
+    }
+
+    /**
+     * Latest analysis frame: { time, bass, mid, treble, average, hasAudio, spectrum }
+     */
+    getAnalysis() {
+        return this.analysis;
+    }
+
+    /**
+     * Take analysis frames from elsewhere instead of the analyser (the video renderer's offline analysis of a track)
+     * @param {Function|null} source - Called with time, returns a frame like analyse(); null goes back to the analyser
+     */
+    setAnalysisSource(source) {
+        this.analysisSource = source;
+    }
+
+    /**
+     * Subscribe to per-frame analysis (visual systems)
+     * @param {Function} listener - Called with { time, bass, mid, treble, average, hasAudio, spectrum }
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.frameListeners.push(listener);
+        return () => {
+            const index = this.frameListeners.indexOf(listener);
+            if (index !== -1) this.frameListeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Subscribe to playback state changes
+     * @param {Function} listener - Called with (state, info) - state is 'loading', 'playing', 'stopped' or 'error'
+     * @returns {Function} Unsubscribe function
+     */
+    onStateChange(listener) {
+        this.stateListeners.push(listener);
+        return () => {
+            const index = this.stateListeners.indexOf(listener);
+            if (index !== -1) this.stateListeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Run code once the AudioContext exists (immediately if it already does)
+     * @param {Function} listener - Called with the AudioContext, again if it is recreated after dispose()
+     * @returns {Function} Unsubscribe function
+     */
+    onContextReady(listener) {
+        this.contextListeners.push(listener);
+        if (this.context) listener(this.context);
+        return () => {
+            const index = this.contextListeners.indexOf(listener);
+            if (index !== -1) this.contextListeners.splice(index, 1);
+        };
+    }
+
+    setState(state, info) {
+        this.stateListeners.forEach(listener => listener(state, info));
+    }
+
+    /**
+     * Tear down all channels and close the AudioContext
+     */
+    dispose() {
+        this.activeChannel = null;
+        Array.from(this.channels).forEach(channel => this.destroyChannel(channel));
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+            this.output = null;
+            this.analyser = null;
+            this.frequencyData = null;
+        }
+        this.analysis = AudioEngine.silentFrame(0);
+        this.setState('stopped', null);
+    }
+}
+
+// Export for use in main club script
+window.AudioEngine = AudioEngine;
@@ -0,0 +1,485 @@
+// Beat Tracker - Onset detection, tempo estimation and bar tracking
+// Spectral flux onsets → autocorrelation tempo → phase-locked beat clock shared by all fixtures
+
+class BeatTracker {
+    constructor(options = {}) {
+        this.defaultBPM = options.defaultBPM || 130;
+        this.minBPM = options.minBPM || 60;
+        this.maxBPM = options.maxBPM || 200;
+        this.beatsPerBar = options.beatsPerBar || 4;
+        this.beatsPerPhrase = this.beatsPerBar * 4; // 16 beats = 4 bars
+
+        // Onset detection - spectral flux over the full FFT with adaptive threshold
+        this.previousSpectrum = null;
+        this.fluxHistory = [];              // Recent flux values (threshold window)
+        this.fluxHistorySize = 45;          // ~0.75s at 60fps
+        this.thresholdMultiplier = 1.5;     // Onset must exceed local mean + 1.5 std devs
+        this.thresholdFloor = 0.01;         // Ignore flux below this (silence / noise floor)
+        this.minOnsetInterval = 0.1;        // Seconds - rejects double-triggers on busy kicks
+        this.lastOnsetTime = -Infinity;
+        this.fluxPrev = 0;                  // Previous two flux values for peak picking
+        this.fluxPrev2 = 0;
+        this.fluxPrevTime = 0;
+        this.thresholdPrev = Infinity;
+
+        // Onset envelope resampled to a fixed rate (frame rate varies, autocorrelation needs fixed lags)
+        this.envelopeRate = 100;            // Samples per second
+        this.envelopeSeconds = 8;           // Autocorrelation window
+        this.envelope = new Float32Array(this.envelopeRate * this.envelopeSeconds);
+        this.bassEnvelope = new Float32Array(this.envelope.length); // Low-band flux - kicks anchor beat phase
+        this.envelopeIndex = 0;             // Ring buffer write position
+        this.envelopeFilled = 0;
+        this.lastEnvelopeSample = -1;       // Absolute sample number last written
+
+        // Tempo estimation
+        this.bpm = this.defaultBPM;
+        this.beatPeriod = 60 / this.bpm;
+        this.confidence = 0;
+        this.tempoUpdateInterval = 1.0;     // Seconds between autocorrelation passes
+        this.lastTempoUpdate = 0;
+        this.pendingBPM = null;             // Candidate tempo awaiting confirmation (hysteresis)
+
+        // Phase-locked beat clock (grid is re-aligned to the kick pattern after each tempo pass)
+        this.phaseGain = 0.5;               // Fraction of phase error corrected per pass
+        this.nextBeatTime = null;
+        this.lastBeatTime = 0;
+        this.beatNumber = 0;                // Beats emitted since start
+        this.externalClock = null;          // Show sync guests follow the VJ's clock instead of analysing
+
+        // Downbeat tracking - average low-band energy per beat slot, loudest slot = beat 1
+        this.lowBandEnergy = 0;
+        this.lowBandPeak = 0;               // Peak low-band energy since the last beat
+        this.barAccent = new Array(this.beatsPerBar).fill(0);
+        this.downbeatSlot = 0;
+
+        this.hasAudio = false;
+
+        // Subscribers
+        this.beatListeners = [];
+        this.onsetListeners = [];
+        this.tempoListeners = [];
+    }
+
+    /**
+     * Subscribe to beats
+     * @param {Function} listener - Called with { time, bpm, beatNumber, beatInBar, beatInPhrase, barNumber,
+     *                              isDownbeat, isDoubleBar, isPhrase, hasAudio, confidence }
+     * @returns {Function} Unsubscribe function
+     */
+    onBeat(listener) {
+        return this.subscribe(this.beatListeners, listener);
+    }
+
+    /**
+     * Subscribe to detected onsets (kicks, snares, stabs)
+     * @param {Function} listener - Called with { time, strength }
+     */
+    onOnset(listener) {
+        return this.subscribe(this.onsetListeners, listener);
+    }
+
+    /**
+     * Subscribe to tempo changes
+     * @param {Function} listener - Called with (bpm, confidence)
+     */
+    onTempoChange(listener) {
+        return this.subscribe(this.tempoListeners, listener);
+    }
+
+    subscribe(list, listener) {
+        list.push(listener);
+        return () => {
+            const index = list.indexOf(listener);
+            if (index !== -1) list.splice(index, 1);
+        };
+    }
+
+    /**
+     * Advance the tracker - called once per frame from updateAnimations()
+     * @param {number} time - Current time in seconds
+     * @param {Uint8Array|null} spectrum - Analyser frequency data, or null when no audio is playing
+     */
+    update(time, spectrum) {
+        if (this.externalClock) {
+            this.advanceBeatClock(time);
+            return;
+        }
+
+        const hasAudio = !!spectrum;
+        if (hasAudio !== this.hasAudio) {
+            this.hasAudio = hasAudio;
+            this.resetAnalysis();
+            if (!hasAudio) {
+                this.setTempo(this.defaultBPM, 0);
+                console.log(`🎵 No audio - using default ${this.defaultBPM} BPM`);
+            }
+        }
+
+        if (hasAudio) {
+            this.processSpectrum(time, spectrum);
+
+            if (time - this.lastTempoUpdate > this.tempoUpdateInterval) {
+                this.lastTempoUpdate = time;
+                this.estimateTempo();
+                this.alignPhase();
+            }
+        }
+
+        this.advanceBeatClock(time);
+    }
+
+    resetAnalysis() {
+        this.previousSpectrum = null;
+        this.fluxHistory = [];
+        this.fluxPrev = 0;
+        this.fluxPrev2 = 0;
+        this.envelope.fill(0);
+        this.bassEnvelope.fill(0);
+        this.envelopeIndex = 0;
+        this.envelopeFilled = 0;
+        this.lastEnvelopeSample = -1;
+        this.pendingBPM = null;
+        this.barAccent.fill(0);
+        this.downbeatSlot = 0;
+        this.lowBandPeak = 0;
+    }
+
+    /**
+     * Spectral flux: summed positive change across all FFT bins since last frame
+     */
+    processSpectrum(time, spectrum) {
+        const binCount = spectrum.length;
+        if (!this.previousSpectrum || this.previousSpectrum.length !== binCount) {
+            this.previousSpectrum = new Float32Array(binCount);
+            this.previousSpectrum.set(spectrum);
+            return;
+        }
+
+        let flux = 0;
+        let lowFlux = 0;
+        let low = 0;
+        const lowEnd = Math.max(1, Math.floor(binCount * 0.1));
+        for (let i = 0; i < binCount; i++) {
+            const magnitude = spectrum[i] / 255;
+            const diff = magnitude - this.previousSpectrum[i] / 255;
+            if (diff > 0) {
+                flux += diff;
+                if (i < lowEnd) lowFlux += diff;
+            }
+            if (i < lowEnd) low += magnitude;
+            this.previousSpectrum[i] = spectrum[i];
+        }
+        flux /= binCount;
+        lowFlux /= lowEnd;
+        this.lowBandEnergy = low / lowEnd;
+
+        // Adaptive threshold from local mean + standard deviation
+        const history = this.fluxHistory;
+        let mean = 0;
+        for (let i = 0; i < history.length; i++) mean += history[i];
+        mean = history.length ? mean / history.length : flux;
+        let variance = 0;
+        for (let i = 0; i < history.length; i++) variance += (history[i] - mean) * (history[i] - mean);
+        const stdDev = history.length ? Math.sqrt(variance / history.length) : 0;
+        const threshold = Math.max(this.thresholdFloor, mean + this.thresholdMultiplier * stdDev);
+
+        history.push(flux);
+        if (history.length > this.fluxHistorySize) history.shift();
+
+        // Onset strength feeds the tempo envelope (flux above local mean, half-wave rectified)
+        this.writeEnvelope(time, Math.max(0, flux - mean), lowFlux);
+
+        // Peak picking: previous frame was a local maximum above its threshold
+        if (this.fluxPrev > this.thresholdPrev &&
+            this.fluxPrev >= this.fluxPrev2 &&
+            this.fluxPrev > flux &&
+            this.fluxPrevTime - this.lastOnsetTime > this.minOnsetInterval) {
+            this.lastOnsetTime = this.fluxPrevTime;
+            this.handleOnset(this.fluxPrevTime, this.fluxPrev / this.thresholdPrev);
+        }
+
+        this.fluxPrev2 = this.fluxPrev;
+        this.fluxPrev = flux;
+        this.fluxPrevTime = time;
+        this.thresholdPrev = threshold;
+    }
+
+    /**
+     * Write onset strength into the fixed-rate ring buffers, holding the value across skipped samples
+     */
+    writeEnvelope(time, value, bassValue) {
+        const sample = Math.floor(time * this.envelopeRate);
+        if (this.lastEnvelopeSample === -1) {
+            this.lastEnvelopeSample = sample - 1;
+        }
+
+        // Cap catch-up after stalls (tab hidden, long frames) to one window
+        const steps = Math.min(sample - this.lastEnvelopeSample, this.envelope.length);
+        for (let i = 0; i < steps; i++) {
+            this.envelope[this.envelopeIndex] = value;
+            this.bassEnvelope[this.envelopeIndex] = bassValue;
+            this.envelopeIndex = (this.envelopeIndex + 1) % this.envelope.length;
+            this.envelopeFilled = Math.min(this.envelopeFilled + 1, this.envelope.length);
+        }
+        if (steps <= 0) {
+            // Same sample slot as last frame - keep the stronger value
+            const last = (this.envelopeIndex - 1 + this.envelope.length) % this.envelope.length;
+            this.envelope[last] = Math.max(this.envelope[last], value);
+            this.bassEnvelope[last] = Math.max(this.bassEnvelope[last], bassValue);
+        }
+        this.lastEnvelopeSample = Math.max(this.lastEnvelopeSample, sample);
+    }
+
+    handleOnset(time, strength) {
+        this.onsetListeners.forEach(listener => listener({ time, strength }));
+    }
+
+    /**
+     * Tempo by autocorrelation of the onset envelope, weighted toward typical club tempos
+     */
+    estimateTempo() {
+        const rate = this.envelopeRate;
+        if (this.envelopeFilled < rate * 4) return; // Need at least 4 seconds of audio
+
+        // Unroll ring buffer (oldest → newest)
+        const length = this.envelopeFilled;
+        const env = new Float32Array(length);
+        const start = (this.envelopeIndex - length + this.envelope.length) % this.envelope.length;
+        for (let i = 0; i < length; i++) {
+            env[i] = this.envelope[(start + i) % this.envelope.length];
+        }
+
+        const minLag = Math.floor(rate * 60 / this.maxBPM);
+        const maxLag = Math.ceil(rate * 60 / this.minBPM);
+        const acf = new Float32Array(maxLag * 2 + 2);
+        const autocorrelate = (lag) => {
+            let sum = 0;
+            for (let i = lag; i < length; i++) sum += env[i] * env[i - lag];
+            return sum / (length - lag);
+        };
+        for (let lag = minLag; lag <= Math.min(maxLag * 2, length - 1); lag++) {
+            acf[lag] = autocorrelate(lag);
+        }
+
+        // Score = periodicity at lag and double lag, with a log-Gaussian tempo prior around 120 BPM
+        let bestLag = -1;
+        let bestScore = 0;
+        let scoreSum = 0;
+        let scoreCount = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = rate * 60 / lag;
+            const octaves = Math.log2(bpm / 120);
+            const prior = Math.exp(-0.5 * (octaves / 0.6) * (octaves / 0.6));
+            const score = (acf[lag] + 0.5 * acf[lag * 2]) * prior;
+            scoreSum += score;
+            scoreCount++;
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag === -1 || scoreSum === 0) return;
+
+        // Parabolic interpolation for sub-sample lag precision
+        let lag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const a = acf[bestLag - 1], b = acf[bestLag], c = acf[bestLag + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) {
+                lag += Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator));
+            }
+        }
+
+        const candidate = rate * 60 / lag;
+        const confidence = bestScore / (scoreSum / scoreCount);
+        if (confidence < 1.5) return; // No clear periodicity (ambient, breakdown)
+
+        // Half/double-time candidates are the same groove - keep the current octave to avoid flip-flopping
+        const ratio = candidate / this.bpm;
+        if (this.confidence > 0 && (Math.abs(ratio - 2) < 0.08 || Math.abs(ratio - 0.5) < 0.02)) {
+            this.pendingBPM = null;
+            return;
+        }
+
+        if (Math.abs(candidate - this.bpm) / this.bpm < 0.04) {
+            // Same tempo - refine smoothly
+            this.setTempo(this.bpm * 0.8 + candidate * 0.2, confidence);
+            this.pendingBPM = null;
+        } else if (this.pendingBPM !== null && Math.abs(candidate - this.pendingBPM) / this.pendingBPM < 0.04) {
+            // New tempo confirmed twice in a row - switch
+            this.setTempo(candidate, confidence);
+            this.pendingBPM = null;
+        } else {
+            this.pendingBPM = candidate;
+        }
+    }
+
+    /**
+     * Comb filter over the bass envelope: find the beat offset where kicks line up, then pull the grid toward it
+     */
+    alignPhase() {
+        const rate = this.envelopeRate;
+        if (this.confidence === 0 || this.envelopeFilled < rate * 4) return;
+
+        const period = rate * this.beatPeriod; // In envelope samples
+        const size = this.bassEnvelope.length;
+        const newest = (this.envelopeIndex - 1 + size) % size;
+        const beatsInWindow = Math.floor((this.envelopeFilled - period) / period);
+
+        let bestOffset = 0;
+        let bestScore = 0;
+        for (let offset = 0; offset < period; offset++) {
+            let score = 0;
+            for (let k = 0; k < beatsInWindow; k++) {
+                const back = Math.round(offset + k * period);
+                score += this.bassEnvelope[(newest - back + size) % size];
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestOffset = offset;
+            }
+        }
+        if (bestScore === 0) return;
+
+        // Kick-aligned beat time vs. our grid, wrapped to ±half a beat
+        const kickBeatTime = this.lastEnvelopeSample / rate - bestOffset / rate;
+        let error = (kickBeatTime - this.lastBeatTime) % this.beatPeriod;
+        if (error > this.beatPeriod / 2) error -= this.beatPeriod;
+        if (error < -this.beatPeriod / 2) error += this.beatPeriod;
+
+        this.nextBeatTime += error * this.phaseGain;
+    }
+
+    setTempo(bpm, confidence) {
+        const clamped = Math.max(this.minBPM, Math.min(this.maxBPM, bpm));
+        const changed = Math.round(clamped) !== Math.round(this.bpm);
+        this.bpm = clamped;
+        this.beatPeriod = 60 / clamped;
+        this.confidence = confidence;
+        if (changed) {
+            if (confidence > 0) console.log(`🎵 Detected BPM: ${Math.round(clamped)}`);
+            this.tempoListeners.forEach(listener => listener(this.bpm, confidence));
+        }
+    }
+
+    /**
+     * Emit beats on the phase-locked grid
+     */
+    advanceBeatClock(time) {
+        if (this.nextBeatTime === null || time - this.nextBeatTime > this.beatPeriod * 4) {
+            // First frame or long stall - restart grid now instead of firing a burst of late beats
+            this.nextBeatTime = time;
+        }
+
+        while (time >= this.nextBeatTime) {
+            this.lastBeatTime = this.nextBeatTime;
+            this.nextBeatTime += this.beatPeriod;
+            this.emitBeat(this.lastBeatTime);
+        }
+
+        // Accumulate after emitting so this frame's kick counts toward the beat that just started
+        this.lowBandPeak = Math.max(this.lowBandPeak, this.lowBandEnergy);
+    }
+
+    emitBeat(time) {
+        const slot = this.beatNumber % this.beatsPerBar;
+
+        // Downbeat: the beat slot with the strongest low end, with hysteresis so it doesn't flip-flop
+        if (this.hasAudio && this.beatNumber > 0) {
+            const previousSlot = (this.beatNumber - 1) % this.beatsPerBar;
+            this.barAccent[previousSlot] = this.barAccent[previousSlot] * 0.8 + this.lowBandPeak * 0.2;
+            if (slot === this.downbeatSlot) {
+                let strongest = this.downbeatSlot;
+                for (let i = 0; i < this.beatsPerBar; i++) {
+                    if (this.barAccent[i] > this.barAccent[strongest]) strongest = i;
+                }
+                if (this.barAccent[strongest] > this.barAccent[this.downbeatSlot] * 1.15) {
+                    this.downbeatSlot = strongest;
+                }
+            }
+        }
+
+        this.lowBandPeak = 0;
+
+        const aligned = this.beatNumber - this.downbeatSlot + this.beatsPerPhrase;
+        const beatInBar = aligned % this.beatsPerBar;
+        const beatInPhrase = aligned % this.beatsPerPhrase;
+
+        const beat = {
+            time,
+            bpm: this.bpm,
+            beatNumber: this.beatNumber,
+            beatInBar,
+            beatInPhrase,
+            barNumber: Math.floor(aligned / this.beatsPerBar),
+            isDownbeat: beatInBar === 0,
+            isDoubleBar: beatInPhrase % (this.beatsPerBar * 2) === 0,
+            isPhrase: beatInPhrase === 0,
+            hasAudio: this.hasAudio,
+            confidence: this.confidence
+        };
+        this.beatNumber++;
+
+        this.beatListeners.forEach(listener => listener(beat));
+    }
+
+    /**
+     * Current grid for sharing with other clients
+     * @returns {Object} { bpm, beatNumber, beatTime, downbeatSlot, confidence } - beatTime is when beatNumber fired
+     */
+    getClock() {
+        return {
+            bpm: this.bpm,
+            beatNumber: Math.max(0, this.beatNumber - 1),
+            beatTime: this.lastBeatTime,
+            downbeatSlot: this.downbeatSlot,
+            confidence: this.confidence
+        };
+    }
+
+    /**
+     * Follow an external beat grid instead of local analysis (show sync guests)
+     * @param {Object|null} clock - From getClock(), with beatTime converted to local seconds; null resumes analysis
+     * @param {number} time - Current time in seconds
+     */
+    followClock(clock, time) {
+        if (!clock) {
+            if (this.externalClock) {
+                this.externalClock = null;
+                this.hasAudio = false;
+                this.resetAnalysis();
+                this.setTempo(this.defaultBPM, 0);
+            }
+            return;
+        }
+
+        this.externalClock = clock;
+        this.setTempo(clock.bpm, clock.confidence);
+        this.downbeatSlot = clock.downbeatSlot;
+
+        // Where our next beat should land on the shared grid
+        const target = clock.beatTime + (this.beatNumber - clock.beatNumber) * this.beatPeriod;
+        if (this.nextBeatTime !== null && Math.abs(target - this.nextBeatTime) < this.beatPeriod / 2) {
+            // Small drift: nudge the grid, keep the numbering so no beat fires twice
+            this.nextBeatTime = target;
+        } else {
+            // Far off (first sync): jump to the shared beat number
+            const beatsSince = Math.floor((time - clock.beatTime) / this.beatPeriod);
+            this.beatNumber = clock.beatNumber + beatsSince + 1;
+            this.nextBeatTime = clock.beatTime + (beatsSince + 1) * this.beatPeriod;
+            this.lastBeatTime = this.nextBeatTime - this.beatPeriod;
+        }
+    }
+
+    /**
+     * Continuous beat position (beats since start) for smooth beat-synced animation
+     * @param {number} time - Current time in seconds
+     */
+    getBeatPosition(time) {
+        const phase = Math.max(0, Math.min(0.999, (time - this.lastBeatTime) / this.beatPeriod));
+        return Math.max(0, this.beatNumber - 1) + phase;
+    }
+}
+
+// Export for use in main club script
+window.BeatTracker = BeatTracker;
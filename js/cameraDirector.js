@@ -0,0 +1,370 @@
+// Camera Director - Eased flights between camera presets, spline camera paths and an auto-director for the desktop view
+// The auto-director cuts or flies to a new shot every few bars on the beat grid, frames the LED wall when a drop
+// hits and the mirror ball while its phase runs - for the desktop view on a projector as a club screen
+
+class CameraDirector {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.flightDuration = options.flightDuration || 1.5; // Seconds for a preset flight
+        this.barsPerShot = options.barsPerShot || 4;         // Auto-director: new shot every N bars
+
+        this.move = null;            // { name, keys, startTime, duration, loop } - what the camera is following
+        this.path = { name: 'Camera Path', loop: true, keys: [] }; // The user's path ({ time, position, target })
+        this.auto = false;
+        this.shot = null;            // Current auto-director shot name
+        this.shotBar = null;         // Bar the current shot started on (null: the next downbeat)
+        this.mirrorBallWasActive = false;
+
+        // Drop detection: energy per bar against the bars before it
+        this.barEnergy = 0;
+        this.barFrames = 0;
+        this.energyHistory = [];     // Last few bars' average energy
+        this.listeners = [];
+
+        club.beatTracker.onBeat(beat => this.handleBeat(beat));
+    }
+
+    /**
+     * Whether the director is moving the camera (manual control is detached meanwhile)
+     */
+    get active() {
+        return this.auto || !!this.move;
+    }
+
+    /**
+     * Fly to a camera preset (or a { pos, target } view) with an eased move
+     * @param {string|Object} view - Preset name from club.getCameraPresets(), or { pos, target }
+     * @param {number} duration - Seconds; 0 cuts straight to it
+     */
+    flyTo(view, duration = this.flightDuration) {
+        const preset = typeof view === 'string' ? this.club.getCameraPresets()[view] : view;
+        if (!preset) return false;
+        const keys = [{ time: duration, position: preset.pos.clone(), target: preset.target.clone() }];
+        if (duration > 0) keys.unshift(Object.assign({ time: 0 }, this.currentPose()));
+        this.start({ name: typeof view === 'string' ? view : 'view', keys, duration, loop: false });
+        return true;
+    }
+
+    /**
+     * Follow a spline path - { name, loop, keys: [{ time, position, target }] } (positions as arrays or Vector3)
+     */
+    playPath(path = this.path) {
+        const keys = CameraDirector.parseKeys(path.keys);
+        if (keys.length < 2) throw new Error('A camera path needs at least two views');
+        this.setAuto(false);
+        this.start({ name: path.name || 'Camera Path', keys, duration: keys[keys.length - 1].time, loop: !!path.loop });
+    }
+
+    start(move) {
+        this.move = Object.assign({ startTime: this.club.now() }, move);
+        this.takeControl();
+        this.notify();
+    }
+
+    /**
+     * Stop moving and hand the camera back to the mouse and keyboard
+     */
+    stop() {
+        this.move = null;
+        this.auto = false;
+        this.shot = null;
+        this.releaseControl();
+        this.notify();
+    }
+
+    setAuto(enabled) {
+        if (enabled === this.auto) return;
+        if (!enabled) {
+            this.stop();
+            return;
+        }
+        this.auto = true;
+        this.energyHistory = [];
+        this.mirrorBallWasActive = this.club.mirrorBallActive;
+        this.takeControl();
+        this.cutTo(this.chooseShot(this.club.mirrorBallActive ? 'mirrorBall' : 'room'), this.flightDuration, null);
+        console.log('🎬 Auto-director on');
+    }
+
+    setBarsPerShot(bars) {
+        this.barsPerShot = bars;
+        this.notify();
+    }
+
+    takeControl() {
+        const camera = this.club.camera;
+        camera.applyGravity = false;
+        camera.checkCollisions = false;
+        if (!this.club.renderer.active) camera.detachControl();
+    }
+
+    releaseControl() {
+        if (!this.club.renderer.active) this.club.camera.attachControl(this.club.canvas, true);
+    }
+
+    /**
+     * Add the current view to the user's path, 4 seconds after the last one
+     */
+    addPathKey(spacing = 4) {
+        const keys = this.path.keys;
+        const pose = this.currentPose();
+        keys.push({
+            time: keys.length > 0 ? keys[keys.length - 1].time + spacing : 0,
+            position: pose.position.asArray().map(CameraDirector.round),
+            target: pose.target.asArray().map(CameraDirector.round)
+        });
+        this.notify();
+    }
+
+    clearPath() {
+        this.path.keys = [];
+        if (this.move && this.move.name === this.path.name) this.stop();
+        this.notify();
+    }
+
+    loadPath(path) {
+        CameraDirector.parseKeys(path.keys || []);
+        this.path = { name: path.name || 'Camera Path', loop: path.loop !== false, keys: path.keys };
+        this.notify();
+    }
+
+    savePath() {
+        FileDownload.downloadJSON(`${FileDownload.slug(this.path.name, 'camera-path')}.json`, this.path, 2);
+    }
+
+    currentPose() {
+        const camera = this.club.camera;
+        return { position: camera.position.clone(), target: camera.position.add(camera.getDirection(BABYLON.Axis.Z)) };
+    }
+
+    /**
+     * Per-frame from updateAnimations()
+     */
+    update(time) {
+        if (this.auto) {
+            const frame = this.club.audioEngine.getAnalysis();
+            if (frame && frame.hasAudio) {
+                this.barEnergy += (frame.bass * 2 + frame.average) / 3;
+                this.barFrames++;
+            }
+        }
+        // In VR the desktop camera only matters while the spectator view shows it on the monitor
+        if (!this.move || (this.club.scene.activeCamera !== this.club.camera && !this.club.spectator.active)) return;
+
+        let elapsed = time - this.move.startTime;
+        if (elapsed >= this.move.duration) {
+            if (this.move.loop) {
+                elapsed %= this.move.duration;
+                this.move.startTime = time - elapsed;
+            } else if (!this.auto) {
+                this.apply(CameraDirector.pathAt(this.move.keys, this.move.duration));
+                this.move = null;
+                this.releaseControl();
+                this.notify();
+                return;
+            }
+        }
+        this.apply(CameraDirector.pathAt(this.move.keys, elapsed));
+    }
+
+    apply(pose) {
+        this.club.camera.position.copyFrom(pose.position);
+        this.club.camera.setTarget(pose.target);
+    }
+
+    /**
+     * Auto-director: cut on the drop, follow the mirror ball, otherwise a new shot every barsPerShot bars
+     */
+    handleBeat(beat) {
+        if (!this.auto || !beat.isDownbeat) return;
+
+        const energy = this.barFrames > 0 ? this.barEnergy / this.barFrames : 0;
+        const history = this.energyHistory;
+        const before = history.length > 0 ? history.reduce((sum, e) => sum + e, 0) / history.length : energy;
+        const previous = history.length > 0 ? history[history.length - 1] : energy;
+        const isDrop = history.length >= 2 && energy > 0.3 && energy > before * 1.35 && energy > previous * 1.25;
+        history.push(energy);
+        if (history.length > 4) history.shift();
+        this.barEnergy = 0;
+        this.barFrames = 0;
+
+        if (this.shotBar === null) this.shotBar = beat.barNumber;
+        const beatLength = 60 / beat.bpm;
+        const mirrorBall = this.club.mirrorBallActive;
+        if (isDrop) {
+            console.log('🎬 Drop - cut to the LED wall');
+            this.cutTo(this.chooseShot('drop', beat.barNumber), 0, beat.barNumber);
+        } else if (mirrorBall !== this.mirrorBallWasActive) {
+            this.cutTo(this.chooseShot(mirrorBall ? 'mirrorBall' : 'room', beat.barNumber), beatLength * 2, beat.barNumber);
+        } else if (beat.barNumber - this.shotBar >= this.barsPerShot) {
+            // Hard cut on a phrase, fly across two beats otherwise
+            const flight = beat.isPhrase ? 0 : beatLength * 2;
+            this.cutTo(this.chooseShot(mirrorBall ? 'mirrorBall' : 'room', beat.barNumber), flight, beat.barNumber);
+        }
+        this.mirrorBallWasActive = mirrorBall;
+    }
+
+    /**
+     * Pick a shot with the tag - never the one on screen; seeded so recorded sets and renders cut the same way
+     */
+    chooseShot(tag, bar = 0) {
+        const names = Object.keys(CameraDirector.SHOTS)
+            .filter(name => CameraDirector.SHOTS[name].tags.includes(tag) && name !== this.shot);
+        return names[Math.floor(this.club.random.at(bar, 7) * names.length)];
+    }
+
+    /**
+     * Start a shot - it drifts for barsPerShot bars (or holds its last view); flight > 0 flies in from the current view
+     */
+    cutTo(name, flight, bar) {
+        const beatLength = 60 / this.club.beatTracker.bpm;
+        const length = this.barsPerShot * 4 * beatLength;
+        const presets = this.club.getCameraPresets();
+        const keys = CameraDirector.SHOTS[name].keys(presets, this.club)
+            .map(key => ({ time: flight + key.t * length, position: key.position, target: key.target }));
+        if (flight > 0) keys.unshift(Object.assign({ time: 0 }, this.currentPose()));
+        this.shot = name;
+        this.shotBar = bar;
+        this.start({ name, keys, duration: keys[keys.length - 1].time, loop: false });
+    }
+
+    /**
+     * Subscribe to director changes
+     * @param {Function} listener - Called with { auto, move, shot, barsPerShot, pathName, pathKeys }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = {
+            auto: this.auto,
+            move: this.move ? this.move.name : null,
+            shot: this.shot,
+            barsPerShot: this.barsPerShot,
+            pathName: this.path.name,
+            pathKeys: this.path.keys.length
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Path keys as { time, position: Vector3, target: Vector3 }, sorted by time
+     */
+    static parseKeys(keys) {
+        if (!Array.isArray(keys)) throw new Error('Camera path needs a "keys" array of { time, position, target }');
+        const toVector = value => Array.isArray(value) ? BABYLON.Vector3.FromArray(value) : value.clone();
+        return keys
+            .map(key => ({ time: key.time, position: toVector(key.position), target: toVector(key.target) }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Smooth (Catmull-Rom) camera position and target between keys; holds the first / last key outside them
+     */
+    static pathAt(keys, time) {
+        let i = 0;
+        while (i < keys.length - 1 && keys[i + 1].time <= time) i++;
+        if (i === keys.length - 1 || time <= keys[0].time) return keys[time <= keys[0].time ? 0 : i];
+
+        const k0 = keys[Math.max(0, i - 1)], k1 = keys[i], k2 = keys[i + 1], k3 = keys[Math.min(keys.length - 1, i + 2)];
+        const linear = (time - k1.time) / (k2.time - k1.time);
+        const amount = linear * linear * (3 - 2 * linear); // Ease in and out of each key
+        return {
+            position: BABYLON.Vector3.CatmullRom(k0.position, k1.position, k2.position, k3.position, amount),
+            target: BABYLON.Vector3.CatmullRom(k0.target, k1.target, k2.target, k3.target, amount)
+        };
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * A slow push in (amount of the way towards the target) from a preset
+     */
+    static push(preset, amount = 0.12) {
+        return [
+            { t: 0, position: preset.pos, target: preset.target },
+            { t: 1, position: BABYLON.Vector3.Lerp(preset.pos, preset.target, amount), target: preset.target }
+        ];
+    }
+}
+
+// Auto-director shots: keys at t 0-1 of the shot's length, tagged room / drop / mirrorBall
+CameraDirector.SHOTS = {
+    danceFloor: { tags: ['room'], keys: presets => CameraDirector.push(presets.danceFloor) },
+    djBooth: { tags: ['room'], keys: presets => CameraDirector.push(presets.djBooth, 0.08) },
+    overview: { tags: ['room'], keys: presets => CameraDirector.push(presets.overview) },
+    ceiling: { tags: ['room'], keys: presets => CameraDirector.push(presets.ceiling, 0.1) },
+    entrance: { tags: ['room'], keys: presets => CameraDirector.push(presets.entrance, 0.2) },
+    crowdLow: {
+        // Low on the floor looking up at the rig, trucking sideways
+        tags: ['room'],
+        keys: (presets, club) => {
+            const floor = presets.danceFloor.pos;
+            const target = presets.danceFloor.target.add(new BABYLON.Vector3(0, 3, 0));
+            return [
+                { t: 0, position: club.venue.clamp(floor.add(new BABYLON.Vector3(-3, -1.1, 0))), target },
+                { t: 1, position: club.venue.clamp(floor.add(new BABYLON.Vector3(3, -1.1, 0))), target }
+            ];
+        }
+    },
+    ledWallPush: {
+        // From the middle of the floor right up to the LED wall
+        tags: ['drop'],
+        keys: (presets, club) => {
+            const wall = presets.ledWallClose;
+            const back = wall.pos.subtract(wall.target).normalize().scale(6);
+            return [
+                { t: 0, position: club.venue.clamp(wall.pos.add(back)), target: wall.target },
+                { t: 0.6, position: wall.pos, target: wall.target },
+                { t: 1, position: wall.pos, target: wall.target }
+            ];
+        }
+    },
+    ledWallWide: {
+        tags: ['drop', 'room'],
+        keys: (presets, club) => {
+            const wall = presets.ledWallClose;
+            const back = wall.pos.subtract(wall.target).normalize().scale(10);
+            return [
+                { t: 0, position: club.venue.clamp(wall.pos.add(back).add(new BABYLON.Vector3(-2, -1, 0))), target: wall.target },
+                { t: 1, position: club.venue.clamp(wall.pos.add(back).add(new BABYLON.Vector3(2, -1, 0))), target: wall.target }
+            ];
+        }
+    },
+    mirrorBallOrbit: {
+        // A quarter circle around the ball, below it
+        tags: ['mirrorBall'],
+        keys: (presets, club) => {
+            const ball = club.venue.mirrorBall;
+            const center = new BABYLON.Vector3(ball.x, ball.y, ball.z);
+            return [0, 0.25, 0.5, 0.75, 1].map(t => {
+                const angle = Math.PI * (1 + t / 2);
+                const position = club.venue.clamp(center.add(new BABYLON.Vector3(Math.cos(angle) * 4, -2, Math.sin(angle) * 4)));
+                return { t, position, target: center };
+            });
+        }
+    },
+    mirrorBallRise: {
+        // From the floor up towards the ball
+        tags: ['mirrorBall'],
+        keys: (presets, club) => {
+            const ball = club.venue.mirrorBall;
+            const center = new BABYLON.Vector3(ball.x, ball.y, ball.z);
+            return [
+                { t: 0, position: club.venue.clamp(center.add(new BABYLON.Vector3(1.5, 1.2 - ball.y, 3))), target: center },
+                { t: 1, position: club.venue.clamp(center.add(new BABYLON.Vector3(1, -2.5, 2.5))), target: center }
+            ];
+        }
+    }
+};
+
+// Export for use in main club script
+window.CameraDirector = CameraDirector;
@@ -0,0 +1,229 @@
+// Camera Presets - The preset bar's views: the club's built-in views plus views saved by the user
+// Stored per browser in IndexedDB (next to the model and texture caches), in bar order; number keys 1-9 fly to them
+
+class CameraPresetStore {
+    constructor() {
+        this.dbName = 'VRClubCameraPresets';
+        this.dbVersion = 1;
+        this.storeName = 'presets';
+        this.db = null;
+    }
+
+    async init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                console.log('✅ Camera preset database initialized');
+                resolve();
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    console.log('📦 Created camera preset store');
+                }
+            };
+        });
+    }
+
+    async getAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.order - b.order));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Replace the stored list - one transaction, so the bar order never half-saves
+     */
+    async saveAll(presets) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            store.clear();
+            presets.forEach((preset, order) => store.put(Object.assign({}, preset, { order })));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+class CameraPresets {
+    constructor(club) {
+        this.club = club;
+        this.store = new CameraPresetStore();
+        this.presets = CameraPresets.DEFAULTS.map(preset => Object.assign({}, preset));
+        this.persistent = false; // False until IndexedDB opens (private browsing: changes last until reload)
+        this.listeners = [];
+    }
+
+    async init() {
+        try {
+            await this.store.init();
+            const saved = await this.store.getAll();
+            if (saved.length > 0) this.presets = saved.map(({ order, ...preset }) => preset);
+            this.persistent = true;
+        } catch (error) {
+            console.warn('⚠️ Camera presets not saved in this browser:', error);
+        }
+        this.notify();
+    }
+
+    /**
+     * Presets in bar order: { id, label, title, builtIn } or { id, label, title, position: [x, y, z], target: [x, y, z] }
+     */
+    list() {
+        return this.presets.slice();
+    }
+
+    /**
+     * Saved views by id as { pos, target } - built-in entries take their view from VRClub.getCameraPresets()
+     */
+    getViews() {
+        const views = {};
+        this.presets.filter(preset => !preset.builtIn).forEach(preset => {
+            views[preset.id] = { pos: BABYLON.Vector3.FromArray(preset.position), target: BABYLON.Vector3.FromArray(preset.target) };
+        });
+        return views;
+    }
+
+    getLabel(id) {
+        const preset = this.presets.find(p => p.id === id);
+        return preset ? preset.label : id;
+    }
+
+    /**
+     * Save the current camera view as a new preset at the end of the bar
+     * @returns {Object} The new preset
+     */
+    add(name) {
+        const camera = this.club.camera;
+        const label = (name || '').trim() || `📷 View ${this.presets.length + 1}`;
+        const round = value => Math.round(value * 100) / 100;
+        const preset = {
+            id: `user-${Date.now().toString(36)}`,
+            label,
+            title: label,
+            position: camera.position.asArray().map(round),
+            target: camera.position.add(camera.getDirection(BABYLON.Axis.Z).scale(5)).asArray().map(round)
+        };
+        this.presets.push(preset);
+        this.save();
+        console.log(`📷 Preset saved: ${label}`);
+        return preset;
+    }
+
+    remove(id) {
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        this.save();
+    }
+
+    /**
+     * Move a preset along the bar
+     * @param {number} offset - -1 = one place left, 1 = one place right
+     */
+    move(id, offset) {
+        const index = this.presets.findIndex(preset => preset.id === id);
+        const to = index + offset;
+        if (index === -1 || to < 0 || to >= this.presets.length) return;
+        const [preset] = this.presets.splice(index, 1);
+        this.presets.splice(to, 0, preset);
+        this.save();
+    }
+
+    reset() {
+        this.presets = CameraPresets.DEFAULTS.map(preset => Object.assign({}, preset));
+        this.save();
+    }
+
+    /**
+     * Download the list as JSON
+     */
+    export() {
+        FileDownload.downloadJSON('camera-presets.json', { version: CameraPresets.VERSION, presets: this.presets }, 2);
+    }
+
+    /**
+     * Replace the list with an exported one
+     */
+    import(data) {
+        this.presets = CameraPresets.validate(data).map(preset => Object.assign({}, preset));
+        this.save();
+        console.log(`📷 Imported ${this.presets.length} camera presets`);
+    }
+
+    save() {
+        this.notify();
+        if (!this.persistent) return;
+        this.store.saveAll(this.presets).catch(error => {
+            console.warn('⚠️ Could not save camera presets:', error);
+        });
+    }
+
+    /**
+     * Subscribe to list changes
+     * @param {Function} listener - Called with the preset list in bar order
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const presets = this.list();
+        this.listeners.forEach(listener => listener(presets));
+    }
+
+    /**
+     * Check an exported file
+     * @returns {Array} Its presets
+     */
+    static validate(data) {
+        if (!data || !Array.isArray(data.presets)) throw new Error('Not a camera preset file (no "presets" list)');
+        const builtIns = CameraPresets.DEFAULTS.map(preset => preset.id);
+        const isPoint = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        data.presets.forEach((preset, i) => {
+            if (!preset || typeof preset.id !== 'string' || typeof preset.label !== 'string') {
+                throw new Error(`Preset ${i + 1} needs an "id" and a "label"`);
+            }
+            if (preset.builtIn && !builtIns.includes(preset.id)) {
+                throw new Error(`Unknown built-in preset "${preset.id}" (${builtIns.join(', ')})`);
+            }
+            if (!preset.builtIn && builtIns.includes(preset.id)) {
+                throw new Error(`Preset "${preset.label}" uses the built-in id "${preset.id}"`);
+            }
+            if (!preset.builtIn && (!isPoint(preset.position) || !isPoint(preset.target))) {
+                throw new Error(`Preset "${preset.label}" needs a "position" and "target" as [x, y, z]`);
+            }
+        });
+        return data.presets;
+    }
+}
+
+CameraPresets.VERSION = 1;
+
+// The club's own views (positions follow the venue - see VRClub.getCameraPresets)
+CameraPresets.DEFAULTS = [
+    { id: 'entrance', label: '🚪 Entry', title: 'Entrance View', builtIn: true },
+    { id: 'danceFloor', label: '💃 Floor', title: 'Dance Floor', builtIn: true },
+    { id: 'djBooth', label: '🎧 DJ', title: 'DJ Booth', builtIn: true },
+    { id: 'ledWallClose', label: '🎨 LED', title: 'LED Wall Close-up', builtIn: true },
+    { id: 'overview', label: '🏢 Full', title: 'Full Club Overview', builtIn: true },
+    { id: 'ceiling', label: '✨ Top', title: 'Ceiling/Lasers', builtIn: true }
+];
+
+// Export for use in main club script
+window.CameraPresets = CameraPresets;
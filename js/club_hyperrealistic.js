@@ -1,25 +1,6 @@
 // VR Club - HYPERREALISTIC Babylon.js Implementation
 // Ultra-realistic club environment for Quest 3S VR
 
-// Room dimensions and boundaries
-const ROOM_BOUNDS = {
-    x: { min: -15, max: 15, width: 30 },
-    y: { min: 0, max: 8, height: 8 },
-    z: { min: -26, max: 2, depth: 28 }
-};
-
-// Key positions in the club
-const CLUB_POSITIONS = {
-    djBooth: { x: 0, y: 0.95, z: -23 },
-    danceFloor: { x: 0, y: 0, z: -12 },
-    entrance: { x: 0, y: 0, z: 0 },
-    mirrorBall: { x: 0, y: 6.5, z: -12 },
-    paSpeakers: {
-        left: { x: -7, y: 0, z: -25 },
-        right: { x: 7, y: 0, z: -25 }
-    }
-};
-
 class VRClub {
     constructor() {
         this.canvas = document.getElementById('canvas');
@@ -75,10 +56,34 @@ class VRClub {
         // Initialize light factory for centralized light creation
         this.lightFactory = null; // Initialized after scene creation
         
-        this.audioContext = null;
-        this.audioAnalyser = null;
-        this.audioSource = null;
-        this.audioElement = null;
+        // Single audio engine for booth button, settings panel and file playback
+        this.audioEngine = new AudioEngine();
+        
+        // Music comes out of the PA stacks and booth monitors (speakers registered as they are built)
+        this.spatialAudio = new SpatialAudio(this.audioEngine);
+        
+        // LED wall patterns by name - built-ins registered in createLEDWall(), more can be loaded at runtime
+        this.ledPatterns = new LEDPatternRegistry();
+        
+        // Repeatable randomness (strobe chase, LED flicker, mirror ball scatter) so recorded sets replay the same - ?seed=N picks another
+        this.random = new SeededRandom(Number(new URLSearchParams(window.location.search).get('seed')) || SeededRandom.DEFAULT_SEED);
+        
+        // Shared beat clock - spotlights, lasers, strobes and LED wall subscribe in setupBeatSync()
+        this.beatTracker = new BeatTracker({ defaultBPM: 130 });
+        this.bpm = this.beatTracker.bpm;
+        this.audioEngine.subscribe((frame) => {
+            this.beatTracker.update(frame.time, frame.spectrum);
+        });
+        
+        // Two-deck DJ mixer (feeds the audio engine mix bus, controls built in init())
+        this.djMixer = new DJMixer(this.audioEngine);
+        this.djConsole = null;
+        
+        // Multiplayer relay connection (presence avatars are created in init() once the scene exists)
+        this.network = new NetworkClient();
+        this.presence = null;
+        this.showSync = null;
+        this.sharedSet = null;
         
         this.vuMeters = [];
         this.smokeMachines = [];
@@ -110,6 +115,7 @@ class VRClub {
         this.currentSpotColor = this.spotColorList[0]; // Start with RED
         this.spotColorIndex = 0;
         this.lastColorChange = 0;
+        this.spotColorLocked = false; // Set by cues that hold a specific color
         
         // Initialize VJ control buttons array (populated in createDJBooth)
         this.vjControlButtons = [];
@@ -143,10 +149,13 @@ class VRClub {
         // Spotlight mode: 0=strobe+sweep, 1=sweep only, 2=strobe static, 3=static
         this.spotlightMode = 0;
         this.spotStrobeActive = true; // Simple strobe toggle (true = strobe on)
+        this.fixtureOverrides = {}; // Rig id → { aim, color } held by the current cue (see lightingEditor.js)
         
         // VJ manual control tracking - pause automated patterns when VJ interacts
         this.lastVJInteraction = 0;
         this.vjManualMode = false;
+        this.dmxControl = false; // An external lighting desk is driving the fixtures (see dmxInput.js)
+        this.masterDimmer = 1.0; // Scales every fixture's output (MIDI fader / settings slider)
         this.VJ_TIMEOUT = 3600; // Seconds before resuming automated patterns (60 minutes - longer for live VJ sessions)
         
         // Animation phase tracking for smooth spotlight animations
@@ -222,10 +231,18 @@ class VRClub {
         this.scene.clearColor = desktop.clearColor;
     }
 
+    /**
+     * Standalone headset browser (Quest) - VR runs on the headset itself, with no desktop monitor
+     */
+    isStandaloneHeadset() {
+        const ua = navigator.userAgent.toLowerCase();
+        return ua.includes('quest') || ua.includes('oculus');
+    }
+
     detectMaxLights() {
         // Detect device type and GPU capabilities
         const ua = navigator.userAgent.toLowerCase();
-        const isQuest = ua.includes('quest') || ua.includes('oculus');
+        const isQuest = this.isStandaloneHeadset();
         const isMobile = /android|iphone|ipad|mobile/i.test(ua);
         
         // PBR materials use many uniform buffers, so we need to limit lights
@@ -275,10 +292,14 @@ class VRClub {
             this.concreteTextures = null; // Will use procedural materials as fallback
         }
         
+        // Venue layout (?venue=<url> or ⚙️ Settings → 🏠 Venue - the main room otherwise)
+        this.venue = await this.loadVenue();
+        
         // Initialize model loader for DJ equipment and PA speakers
         console.log('🎸 Initializing 3D model loader...');
         this.modelLoader = new ModelLoader(this.scene);
         await this.modelLoader.init();
+        this.placeModels();
         
         // Load all models in the background (they'll load asynchronously)
         console.log('📦 Loading DJ equipment and PA speaker models...');
@@ -289,8 +310,8 @@ class VRClub {
         });
         
         // Setup camera for post-processing pipeline
-        this.camera = new BABYLON.UniversalCamera("camera", new BABYLON.Vector3(-12, 6, -12), this.scene);
-        this.camera.setTarget(new BABYLON.Vector3(0, 2, -15));
+        this.camera = new BABYLON.UniversalCamera("camera", this.venue.clamp(new BABYLON.Vector3(-12, 6, -12)), this.scene);
+        this.camera.setTarget(this.venue.clamp(new BABYLON.Vector3(0, 2, -15)));
         this.camera.attachControl(this.canvas, true);
         this.camera.speed = 0.3; // Realistic walking speed
         this.camera.applyGravity = false; // No gravity for easier navigation
@@ -347,6 +368,9 @@ class VRClub {
         // Store VR helper for later use
         this.vrHelper = vrHelper;
         
+        // Controllers and hands on the VJ console: poke, trigger, grab the speed slider (see js/xrConsoleInput.js)
+        this.xrConsole = new XRConsoleInput(this, vrHelper);
+        
         // Set VR starting position at DJ booth when entering VR
         if (vrHelper) {
             vrHelper.baseExperience.onStateChangedObservable.add((state) => {
@@ -354,7 +378,7 @@ class VRClub {
                     // Position user at DJ booth in VR mode
                     const xrCamera = vrHelper.baseExperience.camera;
                     if (xrCamera) {
-                        xrCamera.position = new BABYLON.Vector3(0, 0, -20);
+                        xrCamera.position = this.venue.toWorld('booth', new BABYLON.Vector3(0, 0, -20));
                         
                         // Configure depth range for better VR rendering (now that session is active)
                         if (vrHelper.baseExperience.sessionManager && vrHelper.baseExperience.sessionManager.session) {
@@ -378,35 +402,88 @@ class VRClub {
             });
         }
         
+        // Thumbstick movement, snap/smooth turning, comfort vignette, seated height (see js/xrLocomotion.js)
+        // Created after the booth placement above so its IN_XR handler sees the starting position
+        this.locomotion = new XRLocomotion(this, vrHelper);
+        
+        // Desktop monitor renders its own camera in VR, headset view inset (see js/spectatorView.js)
+        this.spectator = new SpectatorView(this, vrHelper);
+        
+        // Lighting rig layout (?rig=<url> or ⚙️ Settings → 🏗️ Lighting Rig - the venue's rig or the resident rig otherwise)
+        this.rig = await this.loadRig();
+        
         // Continue building club
         this.createWalls();
         this.createCollisionBoundaries(); // Add invisible collision walls
         this.createCeiling();
         this.createDJBooth();
         this.createPASpeakers();
+        this.createBar();
         this.createLEDWall();
         this.createLasers();
         this.createLights();
         this.createTrussMountedLights();
         this.createMirrorBall(); // Add disco/mirror ball with spotlight
         
+        // Light show cue list (default show reproduces the lights → lasers → mirror ball loop)
+        this.cueEngine = new CueEngine(this);
+        this.cueEngine.start();
+        
+        // Fixtures follow the shared beat clock
+        this.setupBeatSync();
+        
+        // LED wall messages (start from the TICKER button or ⚙️ Settings → 🔤 LED Ticker)
+        this.ledTicker = new LEDTicker(this, { djName: localStorage.getItem('vrclub_djName') || '' });
+        this.ledTicker.enqueue('NOW PLAYING: {track}');
+        this.ledTicker.enqueue('{dj}', { effect: 'flash', resolution: 'pixels', duration: 8 });
+        
+        // Real rig output over Art-Net / sACN (connect from ⚙️ Settings → 🎚️ DMX Output)
+        this.dmxOutput = new DMXOutput(this);
+        
+        // External lighting desk over Art-Net / sACN - takes the rig while DMX is arriving (⚙️ Settings → 🎛️ DMX Input)
+        this.dmxInput = new DMXInput(this);
+        this.dmxInput.onChange(status => this.setDMXControl(status.active));
+        
+        // Hardware MIDI controller for the VJ console (enable and learn from ⚙️ Settings → 🎹 MIDI Controller)
+        this.midi = new MIDIController(this);
+        
+        // TouchOSC / Resolume over OSC through the local OSC bridge (connect from ⚙️ Settings → 📡 OSC Control)
+        this.osc = new OSCControl(this);
+        
+        // Pick, move and aim fixtures in the scene; saves rig and show files (⚙️ Settings → ✏️ Lighting Editor)
+        this.lightingEditor = new LightingEditor(this);
+        
+        // Other clubbers (avatars appear once connected to a relay)
+        this.presence = new Presence(this, this.network);
+        this.showSync = new ShowSync(this, this.network); // VJ's show replicated to everyone in the room
+        this.sharedSet = new SharedSet(this, this.network); // Same track, same position for everyone
+        this.recorder = new PerformanceRecorder(this); // Record the set, replay it later (see js/performanceRecorder.js)
+        this.renderer = new ShowRenderer(this); // Offline video export at a fixed timestep (see js/showRenderer.js)
+        this.director = new CameraDirector(this); // Preset flights, camera paths, auto-director (see js/cameraDirector.js)
+        this.cameraPresets = new CameraPresets(this); // Preset bar, saved per browser (see js/cameraPresets.js)
+        this.cameraPresets.init();
+        
         // VOLUMETRIC FOG SYSTEM - DISABLED for performance (can re-enable later)
         // this.createVolumetricFog();
         
         // Setup UI
         this.setupUI(vrHelper);
         this.setupPerformanceMonitor();
+        this.djConsole = this.adoptNodes(this.boothRoot, () => new DJConsole(this, this.djMixer)); // Deck/mixer controls on the booth gear
         this.setupVJControlInteraction(); // Add VJ control button clicks
+        this.setupAudioStateDisplay();
         
         // Start render loop
-        this.engine.runRenderLoop(() => {
-            this.scene.render();
-            this.updateAnimations();
-            this.updatePerformanceMonitor();
-        });
+        this.startRenderLoop();
         
         window.addEventListener('resize', () => {
-            this.engine.resize();
+            if (!this.renderer.active) this.engine.resize(); // Video renders keep their own size
+        });
+        
+        // Release audio resources (element downloads, object URLs, AudioContext) on page exit
+        window.addEventListener('pagehide', () => {
+            this.audioEngine.dispose();
+            this.network.disconnect();
         });
         
         // Prevent default drag and drop behavior on the page (except in our audio UI)
@@ -613,12 +690,15 @@ class VRClub {
     }
 
     createFloor() {
+        // Room floor plus a strip outside the front wall, so the entrance doesn't open onto nothing
+        const room = this.venue.room;
+        const outside = 10;
         const floor = BABYLON.MeshBuilder.CreateGround("floor", {
-            width: 35,
-            height: 45,
+            width: room.width + 1,
+            height: room.depth + outside,
             subdivisions: 20
         }, this.scene);
-        floor.position.z = -10;
+        floor.position.z = (room.back + room.front + outside) / 2;
         
         // Store floor mesh for VR teleportation
         this.floorMesh = floor;
@@ -663,35 +743,26 @@ class VRClub {
             this.textureLoader.applyTexturesToMaterial(wallMat, this.concreteTextures.walls);
         }
         
-        // Back wall
-        const backWall = BABYLON.MeshBuilder.CreateBox("backWall", {
-            width: 35,
-            height: 10,
-            depth: 0.5
-        }, this.scene);
-        backWall.position = new BABYLON.Vector3(0, 5, -27);
-        backWall.material = wallMat;
-        backWall.receiveShadows = true;
-        
-        // Left wall
-        const leftWall = BABYLON.MeshBuilder.CreateBox("leftWall", {
-            width: 0.5,
-            height: 10,
-            depth: 45
-        }, this.scene);
-        leftWall.position = new BABYLON.Vector3(-17, 5, -10);
-        leftWall.material = wallMat;
-        leftWall.receiveShadows = true;
-        
-        // Right wall
-        const rightWall = BABYLON.MeshBuilder.CreateBox("rightWall", {
-            width: 0.5,
-            height: 10,
-            depth: 45
-        }, this.scene);
-        rightWall.position = new BABYLON.Vector3(17, 5, -10);
-        rightWall.material = wallMat;
-        rightWall.receiveShadows = true;
+        // Four walls, built in pieces around the venue's openings (doors, entrance) - a lintel closes each opening above
+        const room = this.venue.room;
+        VenueLayout.WALLS.forEach(wallName => {
+            const line = VenueLayout.wallLine(room, wallName);
+            this.venue.getWallPieces(wallName).forEach((piece, i) => {
+                const length = piece.to - piece.from;
+                const wall = BABYLON.MeshBuilder.CreateBox(wallName + "Wall" + (i > 0 ? "_" + i : ""), {
+                    width: line.along === 'x' ? length : VenueLayout.WALL_THICKNESS,
+                    height: piece.top - piece.bottom,
+                    depth: line.along === 'x' ? VenueLayout.WALL_THICKNESS : length
+                }, this.scene);
+                const along = (piece.from + piece.to) / 2;
+                const y = (piece.bottom + piece.top) / 2;
+                wall.position = line.along === 'x' ?
+                    new BABYLON.Vector3(along, y, line.at) :
+                    new BABYLON.Vector3(line.at, y, along);
+                wall.material = wallMat;
+                wall.receiveShadows = true;
+            });
+        });
         
         // Add industrial wall details
         this.createIndustrialWallDetails();
@@ -709,31 +780,38 @@ class VRClub {
         // Metal pipe material
         const pipeMat = this.materialFactory.getPreset('pipe');
         
-        // Add concrete support pillars along walls
-        const pillarPositions = [
-            { x: -17, z: -5 }, { x: -17, z: -15 }, { x: -17, z: -25 },
-            { x: 17, z: -5 }, { x: 17, z: -15 }, { x: 17, z: -25 }
-        ];
+        // Concrete support pillars along the side walls every 10m from the back, brick sections between them
+        const room = this.venue.room;
+        const half = room.width / 2;
+        const pillarZs = [];
+        for (let z = room.back + 2; z < room.front - 1; z += 10) pillarZs.push(z);
+        
+        const pillarPositions = [];
+        const brickSections = [];
+        [-1, 1].forEach(side => {
+            const wall = side < 0 ? 'left' : 'right';
+            pillarZs.forEach((z, i) => {
+                if (!this.venue.isOpening(wall, z, 1)) {
+                    pillarPositions.push({ x: side * half, z });
+                }
+                const brickZ = z + 5;
+                if (i < pillarZs.length - 1 && !this.venue.isOpening(wall, brickZ, 2)) {
+                    brickSections.push({ x: side * (half - 0.5), z: brickZ, width: 1, height: i % 2 === 0 ? 3 : 4 });
+                }
+            });
+        });
         
         pillarPositions.forEach((pos, i) => {
             const pillar = BABYLON.MeshBuilder.CreateBox("pillar" + i, {
                 width: 0.6,
-                height: 10,
+                height: room.height,
                 depth: 0.6
             }, this.scene);
-            pillar.position = new BABYLON.Vector3(pos.x, 5, pos.z);
+            pillar.position = new BABYLON.Vector3(pos.x, room.height / 2, pos.z);
             pillar.material = pillarMat;
             pillar.receiveShadows = true;
         });
         
-        // Add exposed brick sections between pillars
-        const brickSections = [
-            { x: -16.5, z: -10, width: 1, height: 4 },
-            { x: -16.5, z: -20, width: 1, height: 3 },
-            { x: 16.5, z: -10, width: 1, height: 4 },
-            { x: 16.5, z: -20, width: 1, height: 3 }
-        ];
-        
         brickSections.forEach((section, i) => {
             const brick = BABYLON.MeshBuilder.CreateBox("brick" + i, {
                 width: section.width,
@@ -747,8 +825,8 @@ class VRClub {
         
         // Add industrial pipes running along ceiling (near walls)
         const pipeRuns = [
-            { start: { x: -16, z: -25 }, end: { x: -16, z: 5 } },  // Left wall
-            { start: { x: 16, z: -25 }, end: { x: 16, z: 5 } }     // Right wall
+            { start: { x: -(half - 1), z: room.back + 2 }, end: { x: -(half - 1), z: room.front } },  // Left wall
+            { start: { x: half - 1, z: room.back + 2 }, end: { x: half - 1, z: room.front } }         // Right wall
         ];
         
         pipeRuns.forEach((run, i) => {
@@ -758,7 +836,7 @@ class VRClub {
                 height: pipeLength,
                 tessellation: 12
             }, this.scene);
-            pipe.position = new BABYLON.Vector3(run.start.x, 9.5, (run.start.z + run.end.z) / 2);
+            pipe.position = new BABYLON.Vector3(run.start.x, room.height - 0.5, (run.start.z + run.end.z) / 2);
             pipe.rotation.x = Math.PI / 2;
             pipe.material = pipeMat;
             
@@ -768,7 +846,7 @@ class VRClub {
                 height: pipeLength,
                 tessellation: 8
             }, this.scene);
-            conduit.position = new BABYLON.Vector3(run.start.x - 0.25, 9.3, (run.start.z + run.end.z) / 2);
+            conduit.position = new BABYLON.Vector3(run.start.x - 0.25, room.height - 0.7, (run.start.z + run.end.z) / 2);
             conduit.rotation.x = Math.PI / 2;
             conduit.material = pipeMat;
         });
@@ -783,38 +861,42 @@ class VRClub {
         const collisionMat = new BABYLON.StandardMaterial("collisionMat", this.scene);
         collisionMat.alpha = 0; // Completely invisible
         
-        // Room perimeter walls (using ROOM_BOUNDS constants)
-        const boundaries = [
-            // Left wall
-            { width: 0.5, height: 4, depth: ROOM_BOUNDS.z.depth, 
-              pos: new BABYLON.Vector3(ROOM_BOUNDS.x.min, 2, (ROOM_BOUNDS.z.min + ROOM_BOUNDS.z.max) / 2) },
-            // Right wall
-            { width: 0.5, height: 4, depth: ROOM_BOUNDS.z.depth, 
-              pos: new BABYLON.Vector3(ROOM_BOUNDS.x.max, 2, (ROOM_BOUNDS.z.min + ROOM_BOUNDS.z.max) / 2) },
-            // Back wall
-            { width: ROOM_BOUNDS.x.width, height: 4, depth: 0.5, 
-              pos: new BABYLON.Vector3(0, 2, ROOM_BOUNDS.z.min) },
-            // Front wall (partial - leave entrance open)
-            { width: 10, height: 4, depth: 0.5, 
-              pos: new BABYLON.Vector3(-12, 2, ROOM_BOUNDS.z.max) },
-            { width: 10, height: 4, depth: 0.5, 
-              pos: new BABYLON.Vector3(12, 2, ROOM_BOUNDS.z.max) },
-            
-            // DJ Booth protection area (prevent walking through equipment)
-            { width: 8, height: 2, depth: 0.5, 
-              pos: new BABYLON.Vector3(0, 1, -23.8) }, // Front of DJ booth
-            { width: 0.5, height: 2, depth: 2, 
-              pos: new BABYLON.Vector3(-4.5, 1, -23) }, // Left side
-            { width: 0.5, height: 2, depth: 2, 
-              pos: new BABYLON.Vector3(4.5, 1, -23) }, // Right side
-            
-            // PA Speaker protection (left stack)
-            { width: 3, height: 6, depth: 2, 
-              pos: new BABYLON.Vector3(-7, 3, -25) },
-            // PA Speaker protection (right stack)
-            { width: 3, height: 6, depth: 2, 
-              pos: new BABYLON.Vector3(7, 3, -25) }
-        ];
+        // Room perimeter walls - 1m inside the venue walls (clear of pillars and pipes), open where the walls have doorways
+        const room = this.venue.room;
+        const inset = 1;
+        const boundaries = [];
+        VenueLayout.WALLS.forEach(wallName => {
+            const line = VenueLayout.wallLine(room, wallName);
+            const inward = wallName === 'front' || wallName === 'right' ? -inset : inset;
+            this.venue.getWallPieces(wallName).filter(piece => piece.bottom === 0).forEach(piece => {
+                const length = piece.to - piece.from;
+                const along = (piece.from + piece.to) / 2;
+                boundaries.push(line.along === 'x' ?
+                    { width: length, height: 4, depth: 0.5, pos: new BABYLON.Vector3(along, 2, line.at + inward) } :
+                    { width: 0.5, height: 4, depth: length, pos: new BABYLON.Vector3(line.at + inward, 2, along) });
+            });
+        });
+        
+        // DJ Booth protection area (prevent walking through equipment) - booth coordinates, moved with the booth
+        const booth = this.venue.booth;
+        [
+            { width: 8, height: 2, depth: 0.5, pos: new BABYLON.Vector3(0, 1, -23.8) },  // Front of DJ booth
+            { width: 0.5, height: 2, depth: 2, pos: new BABYLON.Vector3(-4.5, 1, -23) }, // Left side
+            { width: 0.5, height: 2, depth: 2, pos: new BABYLON.Vector3(4.5, 1, -23) }   // Right side
+        ].forEach(b => boundaries.push(Object.assign(b, { pos: this.venue.toWorld('booth', b.pos), rotation: booth.rotation })));
+        
+        // PA Speaker protection (one box per stack)
+        this.venue.pa.forEach(stack => {
+            boundaries.push({ width: 3 * stack.scale, height: 6 * stack.scale, depth: 2 * stack.scale,
+              pos: new BABYLON.Vector3(stack.x, 3 * stack.scale, stack.z), rotation: stack.rotation });
+        });
+        
+        // Bar counter
+        if (this.venue.bar) {
+            const bar = this.venue.bar;
+            boundaries.push({ width: bar.length, height: 2, depth: 1.2,
+              pos: new BABYLON.Vector3(bar.x, 1, bar.z), rotation: bar.rotation });
+        }
         
         boundaries.forEach((b, i) => {
             const wall = BABYLON.MeshBuilder.CreateBox(`collisionWall${i}`, {
@@ -823,22 +905,24 @@ class VRClub {
                 depth: b.depth
             }, this.scene);
             wall.position = b.pos;
+            wall.rotation.y = b.rotation || 0;
             wall.material = collisionMat;
             wall.checkCollisions = true;
             wall.isPickable = false; // Don't interfere with raycasting
             wall.isVisible = false; // Extra insurance for invisibility
         });
         
-        console.log("✅ Created invisible collision boundaries around room and DJ booth");
+        console.log(`✅ Created invisible collision boundaries around ${this.venue.name}, DJ booth and PA`);
     }
 
     createCeiling() {
+        const room = this.venue.room;
         const ceiling = BABYLON.MeshBuilder.CreateBox("ceiling", {
-            width: 35,
-            height: 0.3,
-            depth: 45
+            width: room.width + 1,
+            height: VenueLayout.CEILING_THICKNESS,
+            depth: room.depth + 1
         }, this.scene);
-        ceiling.position = new BABYLON.Vector3(0, 10, -10);
+        ceiling.position = new BABYLON.Vector3(0, room.height, (room.back + room.front) / 2);
         
         // Industrial concrete/metal ceiling
         const ceilingMat = this.materialFactory.getPreset('ceiling');
@@ -855,6 +939,103 @@ class VRClub {
         this.createLightingTruss();
     }
 
+    /**
+     * Venue layout to build: ?venue=<url>, then the one saved from ⚙️ Settings, then VenueLayout.DEFAULT_VENUE
+     * A venue file that fails to load or validate falls back to the main room
+     */
+    async loadVenue() {
+        const url = new URLSearchParams(window.location.search).get('venue') || localStorage.getItem('vrclub_venueUrl');
+        if (url) {
+            try {
+                const venue = new VenueLayout(await VenueLayout.fetchVenue(url));
+                console.log(`🏠 Venue loaded: ${venue.describe()}`);
+                return venue;
+            } catch (error) {
+                console.error('❌ Venue load error:', error);
+                this.showErrorMessage(`Could not load venue: ${error.message}`);
+            }
+        }
+        return new VenueLayout();
+    }
+
+    /**
+     * Move the booth gear and PA models (configured for the main room) to the venue's booth and PA stacks
+     */
+    placeModels() {
+        const configs = this.modelLoader.modelConfigs;
+        const djConsole = configs.dj_console;
+        djConsole.position = this.venue.toWorld('booth', djConsole.position);
+        djConsole.rotation.y += this.venue.booth.rotation;
+        
+        ['pa_speaker_left', 'pa_speaker_right'].forEach((key, i) => {
+            const stack = this.venue.pa[i];
+            if (!stack) {
+                delete configs[key];
+                return;
+            }
+            configs[key].position = new BABYLON.Vector3(stack.x, configs[key].position.y, stack.z);
+            configs[key].rotation.y += stack.rotation;
+        });
+    }
+
+    /**
+     * Transform node that carries a part of the club built around an anchor to its venue placement
+     * @param {string} name
+     * @param {Object} anchor - { x, z } the build code is written around
+     * @param {Object} placement - { x, z, rotation, scale } from the venue
+     */
+    createPlacementRoot(name, anchor, placement) {
+        const root = new BABYLON.TransformNode(name, this.scene);
+        root.position = VenueLayout.place(BABYLON.Vector3.Zero(), anchor, placement);
+        root.rotation.y = placement.rotation;
+        root.scaling.setAll(placement.scale || 1);
+        root.computeWorldMatrix(true);
+        return root;
+    }
+
+    /**
+     * Run a build step and parent every top-level mesh, light and node it creates to root
+     * @returns {*} Whatever build returns
+     */
+    adoptNodes(root, build) {
+        const counts = [this.scene.meshes.length, this.scene.lights.length, this.scene.transformNodes.length];
+        const result = build();
+        [this.scene.meshes, this.scene.lights, this.scene.transformNodes].forEach((nodes, i) => {
+            nodes.slice(counts[i]).forEach(node => {
+                if (!node.parent && node !== root) node.parent = root;
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Rig layout to build: ?rig=<url>, then the one saved from ⚙️ Settings, then the venue's rig, then RigLayout.DEFAULT_RIG
+     * A rig file that fails to load or validate falls back to the built-in rig
+     */
+    async loadRig() {
+        const url = new URLSearchParams(window.location.search).get('rig') || localStorage.getItem('vrclub_rigUrl') || this.venue.rig;
+        if (url) {
+            try {
+                const rig = new RigLayout(await RigLayout.fetchRig(url));
+                console.log(`🏗️ Rig loaded: ${rig.describe()}`);
+                return rig;
+            } catch (error) {
+                console.error('❌ Rig load error:', error);
+                this.showErrorMessage(`Could not load rig: ${error.message}`);
+            }
+        }
+        return new RigLayout();
+    }
+
+    /**
+     * Club fixtures (spotlights, lasers and strobes entries) in a rig group, in rig file order
+     * @param {string} name - Group name from the rig file
+     */
+    getRigGroup(name) {
+        const ids = this.rig.getGroup(name);
+        return this.spotlights.concat(this.lasers, this.strobes).filter(fixture => ids.includes(fixture.rigId));
+    }
+
     createLightingTruss() {
         // Professional stage truss material - metallic aluminum
         const trussMat = this.materialFactory.getPreset('truss');
@@ -929,55 +1110,45 @@ class VRClub {
             return parent;
         };
         
-        // Truss 1 - Front (above dance floor front)
-        const truss1 = createTriangularTruss("truss1", 24, new BABYLON.Vector3(0, 8, -8));
-        
-        // Truss 2 - Middle (center of dance floor)
-        const truss2 = createTriangularTruss("truss2", 24, new BABYLON.Vector3(0, 8, -12));
-        
-        // Truss 3 - Back (near LED wall)
-        const truss3 = createTriangularTruss("truss3", 24, new BABYLON.Vector3(0, 8, -16));
-        
-        // Truss 4 - Extended back (for back spotlights)
-        const truss4 = createTriangularTruss("truss4", 24, new BABYLON.Vector3(0, 8, -20));
-        
-        // Cross beams connecting the trusses - also triangular (extended to cover all spotlights)
-        // Store side beams for laser mounting
-        this.sideTrusses = {};
-        for (let i = -12; i <= 12; i += 4) {
-            const crossBeam = createTriangularTruss("crossBeam" + i, 14, new BABYLON.Vector3(i, 8, -14));
-            crossBeam.rotation.y = Math.PI / 2;
-            if (i === -8 || i === 8) {
-                this.sideTrusses[i] = crossBeam; // Store left (-8) and right (8) side trusses
-            }
-        }
+        // Trusses from the rig file - 0° runs left/right, 90° front to back
+        this.trusses = {};
+        this.rig.trusses.forEach(truss => {
+            const node = createTriangularTruss("truss_" + truss.id, truss.length,
+                new BABYLON.Vector3(truss.position.x, truss.position.y, truss.position.z));
+            node.rotation.y = truss.rotation;
+            this.trusses[truss.id] = node;
+        });
         
         // Diagonal support cables/wires from ceiling to truss
         const cableMat = new BABYLON.StandardMaterial("cableMat", this.scene);
         cableMat.diffuseColor = new BABYLON.Color3(0.1, 0.1, 0.1);
         cableMat.specularColor = new BABYLON.Color3(0.3, 0.3, 0.3);
         
-        // Support cables
-        const cablePositions = [
-            { x: -10, z: -8 },
-            { x: -10, z: -16 },
-            { x: 10, z: -8 },
-            { x: 10, z: -16 },
-            { x: 0, z: -8 },
-            { x: 0, z: -16 }
-        ];
-        
-        cablePositions.forEach((pos, i) => {
-            const cable = BABYLON.MeshBuilder.CreateCylinder("cable" + i, {
-                diameter: 0.03,
-                height: 2
-            }, this.scene);
-            cable.position = new BABYLON.Vector3(pos.x, 9, pos.z);
-            cable.material = cableMat;
+        // Support cables at each truss's hang points (meters along the truss from its center)
+        let cableCount = 0;
+        this.rig.trusses.forEach(truss => {
+            truss.hangPoints.forEach(offset => {
+                const cable = BABYLON.MeshBuilder.CreateCylinder("cable" + cableCount++, {
+                    diameter: 0.03,
+                    height: 2
+                }, this.scene);
+                cable.position = new BABYLON.Vector3(
+                    truss.position.x + Math.cos(truss.rotation) * offset,
+                    truss.position.y + 1,
+                    truss.position.z - Math.sin(truss.rotation) * offset
+                );
+                cable.material = cableMat;
+            });
         });
     }
     
     createDJBooth() {
+        // Built in booth coordinates (platform centered at x 0, z -24), then carried to the venue's booth placement
+        this.boothRoot = this.createPlacementRoot("boothRoot", VenueLayout.ANCHORS.booth, this.venue.booth);
+        this.adoptNodes(this.boothRoot, () => this.buildDJBooth());
+    }
+
+    buildDJBooth() {
         // === HYPERREALISTIC INTEGRATED DJ/VJ BOOTH ===
         // Positioned at BACK of club (z=-24)
         // DJ faces DANCE FLOOR (toward positive z direction)
@@ -1088,6 +1259,7 @@ class VRClub {
         displayMat.emissiveColor = new BABYLON.Color3(0, 1, 0.5);
         displayMat.disableLighting = true;
         mixerDisplay.material = displayMat;
+        mixerDisplay.isPickable = false; // Don't block the crossfader behind it
         
         // === AUDIO STREAM CONTROL BUTTON ===
         const audioBtn = BABYLON.MeshBuilder.CreateBox("audioStreamBtn", {
@@ -1134,13 +1306,26 @@ class VRClub {
         rightMonitor.position = new BABYLON.Vector3(2.3, 0.85, -23.8);
         rightMonitor.material = monitorMat;
         
+        // Monitors are aimed at the DJ - loud behind the decks, gone a few meters out
+        const djHead = this.venue.toWorld('booth', new BABYLON.Vector3(0, 1.7, -25));
+        [[leftMonitor, 'left'], [rightMonitor, 'right']].forEach(([monitor, channel]) => {
+            const position = this.venue.toWorld('booth', monitor.position);
+            this.spatialAudio.addSpeaker(monitor.name, position, {
+                channel,
+                gain: 0.5,
+                direction: djHead.subtract(position),
+                cone: { inner: 60, outer: 180, outerGain: 0.1 },
+                distance: { ref: 1, rolloff: 2, max: 20 }
+            });
+        });
+        
         // === VJ LIGHTING CONTROL CONSOLE (RIGHT SIDE) ===
         const vjConsole = BABYLON.MeshBuilder.CreateBox("vjConsole", {
-            width: 2.5,
+            width: 2.8, // Widened for cue column
             height: 0.15,
             depth: 2.0 // Extended to fit 3 rows
         }, this.scene);
-        vjConsole.position = new BABYLON.Vector3(3.5, 0.8, -24.4); // Moved back to center
+        vjConsole.position = new BABYLON.Vector3(3.65, 0.8, -24.4); // Moved back to center
         vjConsole.material = tableMat;
         
         // VJ Console label removed - buttons are self-explanatory by color
@@ -1222,6 +1407,30 @@ class VRClub {
                 offColor: new BABYLON.Color3(0.2, 0.2, 0),
                 x: 3.3,
                 row3: true
+            },
+            // Cue column (x=4.8): step through the loaded light show
+            { 
+                label: "PREV CUE", 
+                control: "previousCue",
+                onColor: new BABYLON.Color3(1, 0.6, 0), // Orange
+                offColor: new BABYLON.Color3(0.3, 0.15, 0),
+                x: 4.8
+            },
+            { 
+                label: "NEXT CUE", 
+                control: "nextCue",
+                onColor: new BABYLON.Color3(1, 0.6, 0), // Orange
+                offColor: new BABYLON.Color3(0.3, 0.15, 0),
+                x: 4.8,
+                row2: true
+            },
+            { 
+                label: "TICKER", 
+                control: "tickerActive",
+                onColor: new BABYLON.Color3(0.6, 0.2, 1), // Violet - ticker running
+                offColor: new BABYLON.Color3(0.12, 0.04, 0.2),
+                x: 4.8,
+                row3: true
             }
         ];
         
@@ -1243,7 +1452,8 @@ class VRClub {
             // Check active state - action buttons start inactive
             let isActive = false;
             if (btnDef.control === "changeColor" || btnDef.control === "changeMirrorBallColor" || 
-                btnDef.control === "cycleSpotMode" || btnDef.control === "cyclePattern") {
+                btnDef.control === "cycleSpotMode" || btnDef.control === "cyclePattern" ||
+                btnDef.control === "previousCue" || btnDef.control === "nextCue") {
                 isActive = false; // Action buttons, not toggles
             } else {
                 isActive = this[btnDef.control]; // Normal toggle buttons
@@ -1367,17 +1577,23 @@ class VRClub {
         speakerMat.transparencyMode = null; // No transparency
         speakerMat.backFaceCulling = true; // Proper culling
         
-        // Left PA stack - NEXT TO DJ BOOTH (beside LED wall)
-        this.createPAStack(-7, -25, speakerMat);
-        
-        // Right PA stack - NEXT TO DJ BOOTH (beside LED wall)
-        this.createPAStack(7, -25, speakerMat);
+        // One stack per venue PA position (main room: beside the DJ booth, either side of the LED wall)
+        this.venue.pa.forEach(stack => {
+            const root = this.createPlacementRoot("paStack" + stack.x, stack, stack);
+            this.adoptNodes(root, () => this.createPAStack(stack, speakerMat));
+        });
         
-        console.log("✅ PA speaker system created at x=±7, z=-25 (beside DJ booth)");
+        console.log(`✅ PA speaker system created (${this.venue.pa.length} stacks)`);
     }
 
-    createPAStack(xPos, zPos, material) {
+    /**
+     * Build one stack around its floor position (the caller's placement root turns and scales it)
+     * @param {Object} stack - Venue PA entry { x, z, rotation, scale }
+     */
+    createPAStack(stack, material) {
         // === MASSIVE PROFESSIONAL PA SPEAKER STACK ===
+        const xPos = stack.x;
+        const zPos = stack.z;
         console.log(`📦 Creating PA stack at x=${xPos}, z=${zPos}`);
         
         // Sub-woofer (bottom) - BIGGER
@@ -1443,6 +1659,15 @@ class VRClub {
             diameter: 0.3 // Doubled size (was 0.15)
         }, this.scene);
         led.position = new BABYLON.Vector3(xPos - 1.0, 1.5, zPos + 1.4); // Higher position (was 0.5)
+        
+        // Sound source between the sub and mid grilles, firing the way the stack faces
+        const source = VenueLayout.place(new BABYLON.Vector3(xPos, 3.0, zPos + 1.5), stack, stack);
+        this.spatialAudio.addSpeaker("pa" + xPos, source, {
+            channel: xPos < 0 ? 'left' : 'right',
+            direction: VenueLayout.place(new BABYLON.Vector3(xPos, 3.0, zPos + 2.5), stack, stack).subtract(source),
+            cone: { inner: 90, outer: 240, outerGain: 0.3 },
+            distance: { ref: 6, rolloff: 1.5, max: 60 }
+        });
         const ledMat = new BABYLON.StandardMaterial("ledMat" + xPos, this.scene);
         ledMat.emissiveColor = new BABYLON.Color3(0, 2, 0); // BRIGHTER green LED (was 1)
         ledMat.disableLighting = true;
@@ -1459,10 +1684,67 @@ class VRClub {
         console.log(`✅ PA stack created at x=${xPos}, z=${zPos}, height=5.7m`);
     }
 
+    createBar() {
+        // Bar counter from the venue layout (the main room has none) - built along x at the origin, served from -z
+        const bar = this.venue.bar;
+        if (!bar) return;
+        
+        const root = this.createPlacementRoot("barRoot", { x: 0, z: 0 }, bar);
+        this.adoptNodes(root, () => {
+            const counter = BABYLON.MeshBuilder.CreateBox("barCounter", {
+                width: bar.length,
+                height: 1.05,
+                depth: 0.7
+            }, this.scene);
+            counter.position = new BABYLON.Vector3(0, 0.525, 0);
+            counter.material = this.materialFactory.getPreset('platform');
+            counter.receiveShadows = true;
+            
+            const top = BABYLON.MeshBuilder.CreateBox("barTop", {
+                width: bar.length + 0.2,
+                height: 0.06,
+                depth: 0.9
+            }, this.scene);
+            top.position = new BABYLON.Vector3(0, 1.08, 0.05);
+            top.material = this.materialFactory.getPreset('table');
+            
+            // Foot rail on the guest side
+            const rail = BABYLON.MeshBuilder.CreateCylinder("barRail", {
+                diameter: 0.05,
+                height: bar.length,
+                tessellation: 12
+            }, this.scene);
+            rail.position = new BABYLON.Vector3(0, 0.2, 0.5);
+            rail.rotation.z = Math.PI / 2;
+            rail.material = this.materialFactory.getPreset('rail');
+            
+            // LED strip under the counter top edge
+            const strip = BABYLON.MeshBuilder.CreateBox("barLEDStrip", {
+                width: bar.length,
+                height: 0.03,
+                depth: 0.02
+            }, this.scene);
+            strip.position = new BABYLON.Vector3(0, 1.0, 0.36);
+            const stripMat = new BABYLON.StandardMaterial("barLEDStripMat", this.scene);
+            stripMat.emissiveColor = new BABYLON.Color3(0.8, 0.3, 0);
+            stripMat.disableLighting = true;
+            strip.material = stripMat;
+        });
+        
+        console.log(`✅ Bar created at x=${bar.x}, z=${bar.z} (${bar.length}m)`);
+    }
+
     createLEDWall() {
+        // Built in stage coordinates (bottom center at x 0, z -26), then carried to the venue's stage placement
+        this.stageRoot = this.createPlacementRoot("stageRoot", VenueLayout.ANCHORS.stage, this.venue.stage);
+        this.adoptNodes(this.stageRoot, () => this.buildLEDWall());
+    }
+
+    buildLEDWall() {
         // BIGGER LED WALL - covers entire wall behind DJ booth
-        const panelWidth = 1.2;
-        const panelHeight = 1.2;
+        const stage = this.venue.stage;
+        const panelWidth = stage.panelSize;
+        const panelHeight = stage.panelSize;
         const cols = 10;  // Increased from 6 to 10
         const rows = 6;   // Increased from 4 to 6
         const wallWidth = cols * panelWidth;
@@ -1478,7 +1760,7 @@ class VRClub {
                 }, this.scene);
                 
                 const x = (col * panelWidth) - (wallWidth / 2) + (panelWidth / 2);
-                const y = (row * panelHeight) + (panelHeight / 2) + 1.5; // Lower starting position
+                const y = (row * panelHeight) + (panelHeight / 2) + stage.elevation; // Lower starting position
                 const z = -26; // Behind DJ booth
                 
                 panel.position = new BABYLON.Vector3(x, y, z);
@@ -1511,25 +1793,21 @@ class VRClub {
             }
         }
         
+        // Pixel-mapped mode: video / image / canvas content on one mesh in front of the panels
+        this.ledWallMedia = new LEDWallMedia(this);
+        this.ledWallMedia.build({
+            cols, rows, panelWidth, panelHeight,
+            center: new BABYLON.Vector3(0, stage.elevation + wallHeight / 2, -26)
+        });
+        this.ledMaskColor = new BABYLON.Color3(1, 1, 1); // Patterns render in white when used as a media mask
+        
         this.ledTime = 0;
-        this.ledPattern = 0;
-        this.ledPatternSwitchTime = 0;
+        this.registerLEDPatterns();
+        this.ledPattern = this.ledPatterns.next(null); // Pattern name - see js/ledPatterns.js
+        this.ledPatternBeats = 0;
+        this.ledPatternLocked = false; // Set by cues (or the VJ's pick) that hold a specific pattern
         this.ledColorIndex = 0;
-        this.lastColorChange = -1;
-        this.lastPatternChange = -1;
-        
-        // Beat detection and BPM tracking
-        this.bpm = 130; // Default 130 BPM
-        this.beatInterval = 60 / this.bpm; // ~0.46 seconds per beat
-        this.lastBeat = 0;
-        this.beatThreshold = 0.15; // Bass threshold for beat detection
-        this.lastBassLevel = 0;
-        
-        // BPM detection from audio
-        this.beatHistory = []; // Track detected beat times
-        this.maxBeatHistory = 8; // Use last 8 beats for BPM calculation
-        this.detectedBPM = 130; // Detected BPM from music
-        this.lastBPMUpdate = 0;
+        // Pattern and color advance on beats - see setupBeatSync()
     }
 
     createVJLightingControls() {
@@ -1725,22 +2003,16 @@ class VRClub {
     // Bar area removed - will be replaced with 3D models later
 
     createTrussMountedLights() {
-        // Moving head lights on truss - ONLY for spotlights (6 fixtures to match 6 spotlights)
+        // Moving head lights on truss - ONLY for spotlights (one fixture per rig moving head)
         const lightFixtureMat = this.materialFactory.getPreset('lightFixture');
         
-        // Array of light positions on truss - MATCH spotlight positions exactly
-        const lightPositions = [
-            { x: -8, z: -10 },  // Left front - matches spotlight
-            { x: -8, z: -14 },  // Left middle - matches spotlight
-            { x: -8, z: -18 },  // Left back - matches spotlight
-            { x: 8, z: -10 },   // Right front - matches spotlight
-            { x: 8, z: -14 },   // Right middle - matches spotlight
-            { x: 8, z: -18 }    // Right back - matches spotlight
-        ];
+        // Same rig entries as createLights(), so trussLights[i] is the body of spotlights[i]
+        // Rig position is the lens height; the yoke hangs above it
+        const lightPositions = this.rig.getFixtures('movingHead');
         
         this.trussLights = [];
         
-        lightPositions.forEach((pos, i) => {
+        lightPositions.forEach(({ position: pos, orientation }, i) => {
             // === REALISTIC MOVING HEAD FIXTURE ===
             
             // Base/Yoke (connects to truss) - Professional moving head design
@@ -1749,7 +2021,8 @@ class VRClub {
                 height: 0.2,
                 depth: 0.4
             }, this.scene);
-            base.position = new BABYLON.Vector3(pos.x, 7.8, pos.z);
+            base.position = new BABYLON.Vector3(pos.x, pos.y + 0.5, pos.z);
+            base.rotation.y = orientation;
             base.material = lightFixtureMat;
             
             // Main fixture body (head) - Larger, more realistic
@@ -1758,7 +2031,7 @@ class VRClub {
                 height: 0.7,      // Longer body
                 tessellation: 24  // Smoother
             }, this.scene);
-            fixture.position = new BABYLON.Vector3(pos.x, 7.5, pos.z);
+            fixture.position = new BABYLON.Vector3(pos.x, pos.y + 0.2, pos.z);
             fixture.rotationQuaternion = BABYLON.Quaternion.RotationAxis(BABYLON.Vector3.Right(), Math.PI / 2);
             fixture.material = lightFixtureMat;
             
@@ -1768,7 +2041,7 @@ class VRClub {
                 thickness: 0.05,
                 tessellation: 32
             }, this.scene);
-            bezel.position = new BABYLON.Vector3(pos.x, 7.2, pos.z);
+            bezel.position = new BABYLON.Vector3(pos.x, pos.y - 0.1, pos.z);
             bezel.rotationQuaternion = BABYLON.Quaternion.RotationAxis(BABYLON.Vector3.Right(), Math.PI / 2);
             
             const bezelMat = new BABYLON.PBRMetallicRoughnessMaterial("bezelMat" + i, this.scene);
@@ -1783,7 +2056,7 @@ class VRClub {
                 height: 0.1,
                 tessellation: 32
             }, this.scene);
-            lens.position = new BABYLON.Vector3(pos.x, 7.15, pos.z);
+            lens.position = new BABYLON.Vector3(pos.x, pos.y - 0.15, pos.z);
             lens.rotationQuaternion = BABYLON.Quaternion.RotationAxis(BABYLON.Vector3.Right(), Math.PI / 2);
             
             const lensMat = new BABYLON.StandardMaterial("lensMat" + i, this.scene);
@@ -1797,7 +2070,7 @@ class VRClub {
             const lightSource = BABYLON.MeshBuilder.CreateSphere("lightSource" + i, {
                 diameter: 0.35
             }, this.scene);
-            lightSource.position = new BABYLON.Vector3(pos.x, 7.15, pos.z);
+            lightSource.position = new BABYLON.Vector3(pos.x, pos.y - 0.15, pos.z);
             
             const sourceMat = new BABYLON.StandardMaterial("sourceMat" + i, this.scene);
             sourceMat.emissiveColor = this.currentSpotColor.scale(10.0); // Very bright
@@ -1811,7 +2084,7 @@ class VRClub {
                 radius: 0.25,
                 tessellation: 32
             }, this.scene);
-            flare.position = new BABYLON.Vector3(pos.x, 7.1, pos.z);
+            flare.position = new BABYLON.Vector3(pos.x, pos.y - 0.2, pos.z);
             flare.rotationQuaternion = BABYLON.Quaternion.RotationAxis(BABYLON.Vector3.Right(), Math.PI / 2);
             
             const flareMat = new BABYLON.StandardMaterial("flareMat" + i, this.scene);
@@ -1840,22 +2113,18 @@ class VRClub {
     }
     
     createStrobeLights() {
-        const strobePositions = [
-            { x: -10, z: -8 },
-            { x: 10, z: -8 },
-            { x: -10, z: -16 },
-            { x: 10, z: -16 }
-        ];
+        const strobePositions = this.rig.getFixtures('strobe');
         
         this.strobes = [];
         
-        strobePositions.forEach((pos, i) => {
+        strobePositions.forEach(({ id, position: pos, orientation }, i) => {
             const strobe = BABYLON.MeshBuilder.CreateBox("strobe" + i, {
                 width: 0.4,
                 height: 0.3,
                 depth: 0.3
             }, this.scene);
-            strobe.position = new BABYLON.Vector3(pos.x, 7.6, pos.z);
+            strobe.position = new BABYLON.Vector3(pos.x, pos.y, pos.z);
+            strobe.rotation.y = orientation;
             
             const strobeMat = new BABYLON.StandardMaterial("strobeMat" + i, this.scene);
             strobeMat.emissiveColor = new BABYLON.Color3(0, 0, 0); // Off by default
@@ -1864,20 +2133,21 @@ class VRClub {
             
             // Add powerful point light for each strobe
             const strobeLight = new BABYLON.PointLight("strobeLight" + i,
-                new BABYLON.Vector3(pos.x, 7.6, pos.z),
+                new BABYLON.Vector3(pos.x, pos.y, pos.z),
                 this.scene
             );
             strobeLight.diffuse = new BABYLON.Color3(1, 1, 1);
             strobeLight.intensity = 0; // Off by default
             strobeLight.range = 50; // Increased from 30
             strobeLight.setEnabled(false); // Start disabled - will be enabled when strobesActive = true
+            this.lightFactory.register(id, strobeLight, ['strobes']);
             
             this.strobes.push({ 
                 mesh: strobe, 
                 material: strobeMat,
                 light: strobeLight,
                 flashDuration: 0,
-                nextFlashTime: Math.random() * 2
+                rigId: id
             });
         });
     }
@@ -1886,34 +2156,22 @@ class VRClub {
         
         this.lasers = [];
         
-        // Lasers mounted UNDER the truss (hanging down)
-        // ALL LASERS ARE MULTI-BEAM TYPE (5 rotating beams each)
-        // ALL LASERS ON SAME Z POSITION for consistency (z: -14)
-        const laserPositions = [
-            { x: -8, z: -14, trussY: 7.55, type: 'multi' },   // Multi-beam left (left truss) - CHANGED
-            { x: 0, z: -14, trussY: 7.55, type: 'multi' },    // Multi-beam center (main truss)
-            { x: 8, z: -14, trussY: 7.55, type: 'multi' }     // Multi-beam right (right truss) - CHANGED
-        ];
+        // Lasers mounted UNDER the truss (hanging down) - one per rig laser
+        // Rig position is the housing; the clamp sits above it and the emitter faces the fixture's front
+        const laserPositions = this.rig.getFixtures('laser');
         
-        laserPositions.forEach((pos, i) => {
-
+        laserPositions.forEach((rigFixture, i) => {
+            const pos = rigFixture.position;
+            const origin = new BABYLON.Vector3(pos.x, pos.y, pos.z);
             
-            // Determine parent truss for each laser
-            let parentTruss = null;
-            let localX = pos.x;
-            let localZ = pos.z;
-            
-            // Side lasers mount to side trusses (x: ±8)
-            if (pos.x < -3 && this.sideTrusses && this.sideTrusses[-8]) {
-                // Left laser mounts to left side truss at x: -8
-                parentTruss = this.sideTrusses[-8];
-                localX = 0; // Center on truss
-                localZ = pos.z - (-12); // Relative to truss z position (-14 - (-12) = -2)
-            } else if (pos.x > 3 && this.sideTrusses && this.sideTrusses[8]) {
-                // Right laser mounts to right side truss at x: 8
-                parentTruss = this.sideTrusses[8];
-                localX = 0; // Center on truss
-                localZ = pos.z - (-12); // Relative to truss z position (-14 - (-12) = -2)
+            // Housing, clamp and emitter hang from one mount point, parented to the rig truss so they move with it
+            const mount = new BABYLON.TransformNode("laserMount" + i, this.scene);
+            mount.position = origin.clone();
+            mount.rotation.y = rigFixture.orientation;
+            const parentTruss = rigFixture.mount ? this.trusses[rigFixture.mount] : null;
+            if (parentTruss) {
+                parentTruss.computeWorldMatrix(true);
+                mount.setParent(parentTruss); // Keeps the world position
             }
             
             // Mounting clamp connecting to truss
@@ -1923,12 +2181,8 @@ class VRClub {
                 depth: 0.3
             }, this.scene);
             
-            if (parentTruss) {
-                clamp.position = new BABYLON.Vector3(localX, -0.2, localZ);
-                clamp.parent = parentTruss;
-            } else {
-                clamp.position = new BABYLON.Vector3(pos.x, pos.trussY + 0.25, pos.z);
-            }
+            clamp.position = new BABYLON.Vector3(0, 0.25, 0);
+            clamp.parent = mount;
             clamp.isPickable = false;
             
             const clampMat = new BABYLON.PBRMetallicRoughnessMaterial("clampMat" + i, this.scene);
@@ -1944,12 +2198,7 @@ class VRClub {
                 depth: 0.35
             }, this.scene);
             
-            if (parentTruss) {
-                housing.position = new BABYLON.Vector3(localX, -0.45, localZ);
-                housing.parent = parentTruss;
-            } else {
-                housing.position = new BABYLON.Vector3(pos.x, pos.trussY, pos.z);
-            }
+            housing.parent = mount;
             housing.isPickable = false;
             
             const housingMat = this.materialFactory.createPBRMaterial("laserHousingMat" + i, {
@@ -1968,12 +2217,8 @@ class VRClub {
                 tessellation: 16
             }, this.scene);
             
-            if (parentTruss) {
-                emitter.position = new BABYLON.Vector3(localX, -0.45, localZ + 0.18);
-                emitter.parent = parentTruss;
-            } else {
-                emitter.position = new BABYLON.Vector3(pos.x, pos.trussY, pos.z + 0.18);
-            }
+            emitter.position = new BABYLON.Vector3(0, 0, 0.18);
+            emitter.parent = mount;
             emitter.rotation.x = Math.PI / 2;
             emitter.isPickable = false;
             
@@ -1989,15 +2234,17 @@ class VRClub {
             const beams = [];
             const lights = [];
             
-            if (pos.type === 'single') {
+            const beamAngle = rigFixture.beamAngle;
+            
+            if (rigFixture.effect === 'single') {
                 // Single beam laser
-                const beam = this.createLaserBeam(i, 0, pos);
+                const beam = this.createLaserBeam(i, 0, origin);
                 beams.push(beam);
                 
                 const light = new BABYLON.SpotLight("laserLight" + i,
-                    new BABYLON.Vector3(pos.x, pos.trussY, pos.z),
+                    origin.clone(),
                     new BABYLON.Vector3(0, -1, 0),
-                    Math.PI / 8, 5, this.scene
+                    beamAngle, 5, this.scene
                 );
                 light.diffuse = new BABYLON.Color3(1, 0, 0);
                 light.intensity = 5;
@@ -2005,16 +2252,16 @@ class VRClub {
                 light.setEnabled(false); // Start disabled
                 lights.push(light);
                 
-            } else if (pos.type === 'spread') {
+            } else if (rigFixture.effect === 'spread') {
                 // Spread laser (3 beams fanning out)
                 for (let j = -1; j <= 1; j++) {
-                    const beam = this.createLaserBeam(i, j, pos);
+                    const beam = this.createLaserBeam(i, j, origin);
                     beams.push(beam);
                     
                     const light = new BABYLON.SpotLight("laserLight" + i + "_" + j,
-                        new BABYLON.Vector3(pos.x, pos.trussY, pos.z),
+                        origin.clone(),
                         new BABYLON.Vector3(j * 0.3, -1, 0).normalize(),
-                        Math.PI / 12, 5, this.scene
+                        beamAngle, 5, this.scene
                     );
                     light.diffuse = new BABYLON.Color3(1, 0, 0);
                     light.intensity = 3;
@@ -2023,17 +2270,17 @@ class VRClub {
                     lights.push(light);
                 }
                 
-            } else if (pos.type === 'multi') {
+            } else if (rigFixture.effect === 'multi') {
                 // Multi-beam laser (5 rotating beams in circle)
                 for (let j = 0; j < 5; j++) {
-                    const beam = this.createLaserBeam(i, j, pos);
+                    const beam = this.createLaserBeam(i, j, origin);
                     beams.push(beam);
                     
                     const angle = (j / 5) * Math.PI * 2;
                     const light = new BABYLON.SpotLight("laserLight" + i + "_" + j,
-                        new BABYLON.Vector3(pos.x, pos.trussY, pos.z),
+                        origin.clone(),
                         new BABYLON.Vector3(Math.sin(angle) * 0.3, -1, Math.cos(angle) * 0.3).normalize(),
-                        Math.PI / 12, 5, this.scene
+                        beamAngle, 5, this.scene
                     );
                     light.diffuse = new BABYLON.Color3(1, 0, 0);
                     light.intensity = 2;
@@ -2043,16 +2290,7 @@ class VRClub {
                 }
             }
             
-            // Calculate actual world position for beam origin
-            let actualWorldPos;
-            if (parentTruss) {
-                // Get world position from parented housing
-                actualWorldPos = housing.getAbsolutePosition().clone();
-                actualWorldPos.y = housing.getAbsolutePosition().y; // Use actual Y
-            } else {
-                // Center laser - use direct position
-                actualWorldPos = new BABYLON.Vector3(pos.x, pos.trussY, pos.z);
-            }
+            lights.forEach((light, j) => this.lightFactory.register(`${rigFixture.id}.${j}`, light, ['lasers', rigFixture.id]));
             
             this.lasers.push({
                 beams: beams,
@@ -2065,10 +2303,11 @@ class VRClub {
                 rotation: 0,
                 rotationSpeed: 0.01,
                 tiltPhase: 0,
-                originPos: actualWorldPos,
+                originPos: origin,
                 parentTruss: parentTruss, // Store parent reference
-                localPos: new BABYLON.Vector3(localX, -0.45, localZ), // Store local position
-                type: pos.type,
+                type: rigFixture.effect,
+                colors: rigFixture.colors,
+                rigId: rigFixture.id,
                 colorIndex: 0
             });
         });
@@ -2077,19 +2316,10 @@ class VRClub {
         this.lightingMode = 'synchronized'; // or 'random'
         this.modeSwitchTime = 0;
         this.currentColorIndex = 0;
-        this.colorSwitchTime = 0;
-        
-        // Lights and lasers control - ALTERNATING PATTERN
-        // Pattern: Lights → Lasers → Mirror Ball (cycling showcase)
-        this.lightModeSwitchTime = 0;
-        this.lightingPhase = 'lights'; // 'lights', 'lasers', or 'mirrorball'
-        this.lightsPhaseDuration = 25; // Lights show for 25 seconds
-        this.lasersPhaseDuration = 20; // Lasers show for 20 seconds
-        this.mirrorBallPhaseDuration = 15; // Mirror ball show for 15 seconds (dramatic moment)
         
     }
     
-    createLaserBeam(laserIndex, beamIndex, pos) {
+    createLaserBeam(laserIndex, beamIndex, origin) {
         // HYPERREALISTIC LASER BEAM - Very thin, intense core with volumetric glow
         
         // CORE BEAM - Ultra-thin, super bright (realistic laser appearance)
@@ -2098,7 +2328,7 @@ class VRClub {
             height: 1,
             tessellation: 8
         }, this.scene);
-        beam.position = new BABYLON.Vector3(pos.x, pos.trussY - 0.1, pos.z);
+        beam.position = new BABYLON.Vector3(origin.x, origin.y - 0.1, origin.z);
         beam.isPickable = false;
         beam.rotationQuaternion = BABYLON.Quaternion.Identity();
         
@@ -2123,7 +2353,7 @@ class VRClub {
             height: 1,
             tessellation: 8
         }, this.scene);
-        beamGlow.position = new BABYLON.Vector3(pos.x, pos.trussY - 0.1, pos.z);
+        beamGlow.position = new BABYLON.Vector3(origin.x, origin.y - 0.1, origin.z);
         beamGlow.isPickable = false;
         beamGlow.rotationQuaternion = BABYLON.Quaternion.Identity();
         
@@ -2147,7 +2377,7 @@ class VRClub {
             tessellation: 16
         }, this.scene);
         hitSpot.rotation.x = Math.PI / 2;
-        hitSpot.position = new BABYLON.Vector3(pos.x, 0.02, pos.z - 5);
+        hitSpot.position = new BABYLON.Vector3(origin.x, 0.02, origin.z - 5);
         hitSpot.isPickable = false;
         
         const hitSpotMat = new BABYLON.StandardMaterial("laserHitMat" + laserIndex + "_" + beamIndex, this.scene);
@@ -2175,17 +2405,9 @@ class VRClub {
         // Ambient light - brighter for better visibility in VR and desktop
         this.lightFactory.getPreset('ambient', 'ambient');
         
-        // Spotlights mounted on truss (moving heads)
+        // Spotlights mounted on truss (moving heads) - one per rig moving head
         this.spotlights = [];
-        // 6 spotlights: 3 on left side, 3 on right side
-        const spotPositions = [
-            { x: -8, z: -10 },  // Left front
-            { x: -8, z: -14 },  // Left middle
-            { x: -8, z: -18 },  // Left back
-            { x: 8, z: -10 },   // Right front
-            { x: 8, z: -14 },   // Right middle
-            { x: 8, z: -18 }    // Right back
-        ];
+        const spotPositions = this.rig.getFixtures('movingHead');
         
         const spotColors = [
             new BABYLON.Color3(1, 0, 0),      // Red
@@ -2204,12 +2426,15 @@ class VRClub {
         this.spotColorIndex = 0;
         this.lastColorChange = 0;
         
-        spotPositions.forEach((pos, i) => {
-            // Spotlight from truss position - MATCH FIXTURE POSITION (y: 7.3)
+        spotPositions.forEach(({ id, position: pos, beamAngle, colors }, i) => {
+            // Beam cones below are sized for the 30° default - wider or narrower heads scale them
+            const coneScale = Math.tan(beamAngle / 2) / Math.tan(Math.PI / 12);
+            
+            // Spotlight from truss position - MATCH FIXTURE POSITION (rig position is the lens)
             const spot = new BABYLON.SpotLight("spot" + i,
-                new BABYLON.Vector3(pos.x, 7.3, pos.z),  // Match fixture lens position
+                new BABYLON.Vector3(pos.x, pos.y, pos.z),  // Match fixture lens position
                 new BABYLON.Vector3(0, -1, 0),           // Initial direction
-                Math.PI / 6,                              // Narrower cone for focused beams
+                beamAngle,                                // Narrower cone for focused beams
                 5,                                        // Sharper falloff
                 this.scene
             );
@@ -2218,6 +2443,7 @@ class VRClub {
             spot.intensity = 12; // Increased for visibility
             spot.range = 25;
             spot.setEnabled(false); // Start disabled - will be enabled by animation loop based on lightsActive state
+            this.lightFactory.register(id, spot, ['spotlights']);
             
             // SPOTLIGHT BEAM - Cone that extends FROM fixture DOWN to floor
             // When cylinder points DOWN, its +Y local axis points toward floor
@@ -2225,7 +2451,7 @@ class VRClub {
             //     diameterBottom (at -Y local) should be NARROW (at fixture)
             // Reduced size for more realistic club spotlights
             const beam = BABYLON.MeshBuilder.CreateCylinder("spotBeam" + i, {
-                diameterTop: 2.0,      // Wide end - reduced from 4.0 to 2.0m for realism
+                diameterTop: 2.0 * coneScale, // Wide end - reduced from 4.0 to 2.0m for realism
                 diameterBottom: 0.25,  // Narrow end - slightly reduced for tighter beam
                 height: 1,             // Will be scaled to actual beam length
                 tessellation: 16,
@@ -2233,7 +2459,7 @@ class VRClub {
             }, this.scene);
             
             // Start at fixture position (will be updated each frame) - MATCH FIXTURE POSITION
-            beam.position = new BABYLON.Vector3(pos.x, 7.3, pos.z);
+            beam.position = new BABYLON.Vector3(pos.x, pos.y, pos.z);
             beam.isPickable = false;
             beam.rotationQuaternion = BABYLON.Quaternion.Identity();
             
@@ -2292,14 +2518,14 @@ class VRClub {
             
             // VOLUMETRIC GLOW - Outer soft glow around the beam for realistic atmospheric scatter
             const beamGlow = BABYLON.MeshBuilder.CreateCylinder("spotBeamGlow" + i, {
-                diameterTop: 2.8,      // Larger outer glow
+                diameterTop: 2.8 * coneScale, // Larger outer glow
                 diameterBottom: 0.5,   // Larger at source
                 height: 1,
                 tessellation: 16,
                 cap: BABYLON.Mesh.NO_CAP
             }, this.scene);
             
-            beamGlow.position = new BABYLON.Vector3(pos.x, 7.8, pos.z);
+            beamGlow.position = new BABYLON.Vector3(pos.x, pos.y + 0.5, pos.z);
             beamGlow.isPickable = false;
             beamGlow.rotationQuaternion = BABYLON.Quaternion.Identity();
             
@@ -2428,18 +2654,23 @@ class VRClub {
                 lensMat: this.trussLights ? this.trussLights[i]?.lensMat : null,
                 sourceMat: this.trussLights ? this.trussLights[i]?.sourceMat : null,
                 flareMat: this.trussLights ? this.trussLights[i]?.flareMat : null,
-                basePos: new BABYLON.Vector3(pos.x, 7.3, pos.z), // Match fixture position
+                basePos: new BABYLON.Vector3(pos.x, pos.y, pos.z), // Match fixture position
+                beamAngle: beamAngle,
+                coneRadius: 1.0 * coneScale, // Half of the beam's diameterTop
+                zoom: 1.0, // Beam width relative to the built cone (the lighting editor changes the beam angle live)
+                colors: colors,
                 phase: i * (Math.PI * 2 / spotPositions.length),
                 speed: 0.8,
                 color: this.currentSpotColor,
-                index: i
+                index: i,
+                rigId: id
             });
         });
         
         this.spotColorList = spotColors;
         
         // LED wall backlight
-        const ledLight = new BABYLON.PointLight("ledLight", new BABYLON.Vector3(0, 4, -25), this.scene);
+        const ledLight = new BABYLON.PointLight("ledLight", this.venue.toWorld('stage', new BABYLON.Vector3(0, 4, -25)), this.scene);
         ledLight.diffuse = new BABYLON.Color3(0.8, 0.8, 1.0);
         ledLight.intensity = 10;
         ledLight.range = 25;
@@ -2547,9 +2778,10 @@ class VRClub {
         // === DRAMATIC MIRROR/DISCO BALL EFFECT ===
         // Professional mirror ball suspended from center truss with dedicated spotlight
         
-        // Position: Center of middle truss (x:0, y:8, z:-12)
-        const ballPosition = new BABYLON.Vector3(0, 6.5, -12); // Hanging 1.5m below truss
-        const trussPosition = new BABYLON.Vector3(0, 8, -12);
+        // Position from the venue (main room: center of middle truss, x:0, y:8, z:-12)
+        const ball = this.venue.mirrorBall;
+        const ballPosition = new BABYLON.Vector3(ball.x, ball.y, ball.z); // Hanging 1.5m below truss
+        const trussPosition = ballPosition.add(new BABYLON.Vector3(0, 1.5, 0));
         
         // === MIRROR BALL SPHERE ===
         const mirrorBall = BABYLON.MeshBuilder.CreateSphere("mirrorBall", {
@@ -2584,7 +2816,7 @@ class VRClub {
             height: 1.5, // Distance from truss to ball
             tessellation: 8
         }, this.scene);
-        cable.position = new BABYLON.Vector3(0, 7.25, -12); // Midpoint between truss and ball
+        cable.position = ballPosition.add(new BABYLON.Vector3(0, 0.75, 0)); // Midpoint between truss and ball
         
         const cableMat = this.materialFactory.createPBRMaterial("cableMat", {
             baseColor: [0.1, 0.1, 0.1],
@@ -2602,10 +2834,10 @@ class VRClub {
         this.mirrorBallHousings = [];
         
         const spotlightConfigs = [
-            { pos: new BABYLON.Vector3(4, 7.5, -8), name: "Front-Right", isRealLight: true },  // Only this one is a real light
-            { pos: new BABYLON.Vector3(-4, 7.5, -8), name: "Front-Left", isRealLight: false }, // Visual only
-            { pos: new BABYLON.Vector3(4, 7.5, -16), name: "Back-Right", isRealLight: false }, // Visual only - cross pattern
-            { pos: new BABYLON.Vector3(-4, 7.5, -16), name: "Back-Left", isRealLight: false }  // Visual only - cross pattern
+            { pos: ballPosition.add(new BABYLON.Vector3(4, 1, 4)), name: "Front-Right", isRealLight: true },  // Only this one is a real light
+            { pos: ballPosition.add(new BABYLON.Vector3(-4, 1, 4)), name: "Front-Left", isRealLight: false }, // Visual only
+            { pos: ballPosition.add(new BABYLON.Vector3(4, 1, -4)), name: "Back-Right", isRealLight: false }, // Visual only - cross pattern
+            { pos: ballPosition.add(new BABYLON.Vector3(-4, 1, -4)), name: "Back-Left", isRealLight: false }  // Visual only - cross pattern
         ];
         
         spotlightConfigs.forEach((config, index) => {
@@ -2830,20 +3062,25 @@ class VRClub {
         const spotsPerSurface = Math.floor(numSpots / 6); // Divide evenly among 6 surfaces
         let spotIndex = 0;
         
+        const bounds = this.venue.bounds;
         const surfaces = [
             { name: 'floor', axis: 'xz', fixed: 'y', value: 0.02 },
-            { name: 'ceiling', axis: 'xz', fixed: 'y', value: 7.98 },
-            { name: 'leftWall', axis: 'yz', fixed: 'x', value: -14.98 },
-            { name: 'rightWall', axis: 'yz', fixed: 'x', value: 14.98 },
-            { name: 'backWall', axis: 'xy', fixed: 'z', value: -25.98 },
-            { name: 'frontWall', axis: 'xy', fixed: 'z', value: 1.98 }
+            { name: 'ceiling', axis: 'xz', fixed: 'y', value: bounds.height - 0.02 },
+            { name: 'leftWall', axis: 'yz', fixed: 'x', value: bounds.minX + 0.02 },
+            { name: 'rightWall', axis: 'yz', fixed: 'x', value: bounds.maxX - 0.02 },
+            { name: 'backWall', axis: 'xy', fixed: 'z', value: bounds.minZ + 0.02 },
+            { name: 'frontWall', axis: 'xy', fixed: 'z', value: bounds.maxZ - 0.02 }
         ];
+        // Random spots stay 1m in from the edges of each surface
+        const randomX = () => bounds.minX + 1 + this.random.next() * (bounds.maxX - bounds.minX - 2);
+        const randomY = () => 0.2 + this.random.next() * (bounds.height - 0.4);
+        const randomZ = () => bounds.minZ + 1 + this.random.next() * (bounds.maxZ - bounds.minZ - 2);
         
         surfaces.forEach(surface => {
             for (let i = 0; i < spotsPerSurface && spotIndex < numSpots; i++, spotIndex++) {
                 // Visual spot (emissive disc - looks like light reflection)
                 const spot = BABYLON.MeshBuilder.CreateDisc(`mirrorSpot${spotIndex}`, {
-                    radius: 0.15 + Math.random() * 0.15, // SMALLER: 0.15-0.3m (was 0.25-0.5m)
+                    radius: 0.15 + this.random.next() * 0.15, // SMALLER: 0.15-0.3m (was 0.25-0.5m)
                     tessellation: 8
                 }, this.scene);
                 
@@ -2860,31 +3097,19 @@ class VRClub {
                 let targetPos, normal;
                 
                 if (surface.axis === 'xz') { // Floor or ceiling
-                    targetPos = new BABYLON.Vector3(
-                        -14 + Math.random() * 28,  // x: -14 to +14
-                        surface.value,
-                        -25 + Math.random() * 27   // z: -25 to +2
-                    );
+                    targetPos = new BABYLON.Vector3(randomX(), surface.value, randomZ());
                     normal = surface.name === 'floor' ? 
                         new BABYLON.Vector3(0, 1, 0) : 
                         new BABYLON.Vector3(0, -1, 0);
                         
                 } else if (surface.axis === 'yz') { // Left or right wall
-                    targetPos = new BABYLON.Vector3(
-                        surface.value,
-                        0.2 + Math.random() * 7.6,  // y: 0.2 to 7.8
-                        -25 + Math.random() * 27    // z: -25 to +2
-                    );
+                    targetPos = new BABYLON.Vector3(surface.value, randomY(), randomZ());
                     normal = surface.name === 'leftWall' ? 
                         new BABYLON.Vector3(1, 0, 0) : 
                         new BABYLON.Vector3(-1, 0, 0);
                         
                 } else { // Back or front wall (xy)
-                    targetPos = new BABYLON.Vector3(
-                        -14 + Math.random() * 28,  // x: -14 to +14
-                        0.2 + Math.random() * 7.6,  // y: 0.2 to 7.8
-                        surface.value
-                    );
+                    targetPos = new BABYLON.Vector3(randomX(), randomY(), surface.value);
                     normal = surface.name === 'backWall' ? 
                         new BABYLON.Vector3(0, 0, 1) : 
                         new BABYLON.Vector3(0, 0, -1);
@@ -2893,7 +3118,7 @@ class VRClub {
                 spot.position = targetPos;
                 
                 // Calculate direction from ball to spot (for animation)
-                const ballPos = new BABYLON.Vector3(0, 6.5, -12);
+                const ballPos = ballPosition;
                 const directionFromBall = targetPos.subtract(ballPos).normalize();
                 
                 // Convert to spherical coordinates for rotation
@@ -2910,11 +3135,11 @@ class VRClub {
                     theta: theta,
                     phi: phi,
                     distance: distance,
-                    thetaSpeed: (Math.random() - 0.5) * 0.8,  // Rotation speed
-                    phiSpeed: (Math.random() - 0.5) * 0.5,
-                    baseIntensity: 0.5 + Math.random() * 0.7,
-                    twinkleSpeed: 2 + Math.random() * 4,
-                    twinklePhase: Math.random() * Math.PI * 2
+                    thetaSpeed: (this.random.next() - 0.5) * 0.8,  // Rotation speed
+                    phiSpeed: (this.random.next() - 0.5) * 0.5,
+                    baseIntensity: 0.5 + this.random.next() * 0.7,
+                    twinkleSpeed: 2 + this.random.next() * 4,
+                    twinklePhase: this.random.next() * Math.PI * 2
                 });
             }
         });
@@ -2946,22 +3171,100 @@ class VRClub {
         }
     }
 
-    updateAnimations() {
-        const time = performance.now() / 1000;
-        this.ledTime += 0.016;
+    /**
+     * Subscribe fixtures to the shared beat tracker
+     * LED wall: pattern every 4 beats, color every 8 | Lasers: color per phrase (16 beats)
+     * Spotlights: color per phrase | Strobes: chase on beats, all on downbeats
+     */
+    setupBeatSync() {
+        this.beatTracker.onTempoChange((bpm) => {
+            this.bpm = bpm; // Mirrored for cue engine beat counting
+        });
         
-        // Get audio data for reactive lighting
-        const audioData = this.getAudioData();
+        this.beatTracker.onBeat((beat) => {
+            // LED wall: next pattern from the registry rotation once the current one has run its duration
+            this.ledPatternBeats++;
+            if (beat.isDownbeat && !this.ledPatternLocked &&
+                this.ledPatternBeats >= this.ledPatterns.getDuration(this.ledPattern)) {
+                this.setLEDPattern(this.ledPatterns.next(this.ledPattern, this.random.at(beat.beatNumber)));
+            }
+            if (beat.isDoubleBar) {
+                this.ledColorIndex++;
+            }
+            
+            // Lasers and spotlights change color on phrase boundaries
+            if (beat.isPhrase) {
+                this.currentColorIndex = (this.currentColorIndex + 1) % 3; // Laser RGB cycle
+                if (!this.spotColorLocked && this.spotColorList) {
+                    this.setSpotColor((this.spotColorIndex + 1) % this.spotColorList.length);
+                }
+            }
+            
+            // Strobes: one strobe per beat (chase), all together on the downbeat
+            if (this.strobesActive && this.strobes && this.strobes.length > 0) {
+                const flashDuration = Math.min(0.25, 60 / beat.bpm * 0.5);
+                this.strobes.forEach((strobe, i) => {
+                    if (beat.isDownbeat || i === beat.beatInBar % this.strobes.length) {
+                        // Vary intensity: 60% bright (60-80), 40% super bright (80-100)
+                        strobe.currentIntensity = this.random.at(beat.beatNumber, i, 0) > 0.6 ? 
+                            (60 + this.random.at(beat.beatNumber, i, 1) * 20) : 
+                            (80 + this.random.at(beat.beatNumber, i, 1) * 20);
+                        strobe.flashDuration = flashDuration;
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Shared show clock in seconds - the relay's clock when connected, so every guest's
+     * LED patterns, lasers, spotlights and mirror ball are in the same phase
+     */
+    getShowTime() {
+        if (this.recorder && this.recorder.isPlaying) return this.recorder.getShowTime(); // The recorded set's clock
+        if (this.renderer && this.renderer.active) return this.renderer.getShowTime();
+        return this.network.getServerTime();
+    }
+
+    /**
+     * Club clock in seconds - real time, or the video renderer's fixed timestep while exporting
+     */
+    now() {
+        return this.renderer && this.renderer.active ? this.renderer.time : performance.now() / 1000;
+    }
+
+    /**
+     * Render and animate every frame - the video renderer stops this and steps the club itself
+     */
+    startRenderLoop() {
+        this.engine.runRenderLoop(() => {
+            this.scene.render();
+            this.updateAnimations();
+            this.updatePerformanceMonitor();
+        });
+    }
+
+    updateAnimations() {
+        const time = this.now();
+        const showTime = this.getShowTime();
+        this.ledTime = showTime * 1.92; // Same rate as the old 2 × 0.016 per frame at 60fps
+        
+        // Analyse audio for reactive lighting - subscribers (beat tracker) run before fixtures update this frame
+        const audioData = this.audioEngine.update(time);
+        this.spatialAudio.update(this.scene.activeCamera);
+        if (this.djConsole) this.djConsole.update(time);
+        if (this.xrConsole) this.xrConsole.update(time);
+        if (this.locomotion) this.locomotion.update(time);
+        if (this.director) this.director.update(time);
+        if (this.spectator) this.spectator.update(time);
+        if (this.presence) this.presence.update(time);
+        if (this.sharedSet) this.sharedSet.update(time);
+        if (this.ledTicker) this.ledTicker.update(time);
+        if (this.dmxInput) this.dmxInput.update(time); // Takes / releases control via setDMXControl()
         
         // === MIRROR BALL EFFECT ===
         if (this.mirrorBallActive) {
-            // In AUTOMATED mode: Turn OFF all other lights when mirror ball is active
-            // In MANUAL mode: Allow VJ to control lights independently
-            if (!this.vjManualMode) {
-                this.lightsActive = false;
-                this.lasersActive = false;
-                this.ledWallActive = false;
-            }
+            // Other fixture groups are set explicitly by the active cue (or the VJ in manual mode)
             
             // Disable spotlight beams (unless manually enabled by VJ)
             if (this.spotlights && !this.lightsActive) {
@@ -3019,14 +3322,14 @@ class VRClub {
             
             // Rotate mirror ball faster so you can see it spinning (classic disco ball rotation)
             if (this.mirrorBall) {
-                this.mirrorBallRotation -= 0.003; // Negative rotation - spots now move in same visual direction
+                this.mirrorBallRotation = -showTime * 0.18; // Negative rotation - spots now move in same visual direction
                 this.mirrorBall.rotation.y = this.mirrorBallRotation;
             }
             
             // Animate reflection spots around the room (300 spots covering all surfaces)
             // PROJECT spots onto actual room surfaces (walls, floor, ceiling)
             if (this.mirrorReflectionSpots && this.mirrorReflectionSpots.length > 0) {
-                const ballPos = this.mirrorBall.position; // Ball at (0, 6.5, -12)
+                const ballPos = this.mirrorBall.position; // Ball at the venue's mirrorBall position
                 
                 this.mirrorReflectionSpots.forEach((spot, i) => {
                     // Enable visual spot (no actual light - just emissive mesh)
@@ -3044,97 +3347,11 @@ class VRClub {
                     const dirY = Math.cos(phi);
                     const dirZ = Math.sin(phi) * Math.sin(rotatedTheta);
                     
-                    // Ray cast from ball position to find which surface it hits
-                    let closestT = Infinity;
-                    let hitPos = null;
-                    let hitNormal = null;
-                    
-                    // Test intersection with all 6 room surfaces
-                    // FLOOR (y = 0)
-                    if (dirY < -0.001) {
-                        const t = (0 - ballPos.y) / dirY;
-                        if (t > 0) {
-                            const x = ballPos.x + dirX * t;
-                            const z = ballPos.z + dirZ * t;
-                            if (x >= -15 && x <= 15 && z >= -26 && z <= 2 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(x, 0.02, z);
-                                hitNormal = new BABYLON.Vector3(0, 1, 0);
-                            }
-                        }
-                    }
-                    
-                    // CEILING (y = 8)
-                    if (dirY > 0.001) {
-                        const t = (8 - ballPos.y) / dirY;
-                        if (t > 0) {
-                            const x = ballPos.x + dirX * t;
-                            const z = ballPos.z + dirZ * t;
-                            if (x >= -15 && x <= 15 && z >= -26 && z <= 2 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(x, 7.98, z);
-                                hitNormal = new BABYLON.Vector3(0, -1, 0);
-                            }
-                        }
-                    }
-                    
-                    // LEFT WALL (x = -15)
-                    if (dirX < -0.001) {
-                        const t = (-15 - ballPos.x) / dirX;
-                        if (t > 0) {
-                            const y = ballPos.y + dirY * t;
-                            const z = ballPos.z + dirZ * t;
-                            if (y >= 0 && y <= 8 && z >= -26 && z <= 2 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(-14.98, y, z);
-                                hitNormal = new BABYLON.Vector3(1, 0, 0);
-                            }
-                        }
-                    }
-                    
-                    // RIGHT WALL (x = 15)
-                    if (dirX > 0.001) {
-                        const t = (15 - ballPos.x) / dirX;
-                        if (t > 0) {
-                            const y = ballPos.y + dirY * t;
-                            const z = ballPos.z + dirZ * t;
-                            if (y >= 0 && y <= 8 && z >= -26 && z <= 2 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(14.98, y, z);
-                                hitNormal = new BABYLON.Vector3(-1, 0, 0);
-                            }
-                        }
-                    }
-                    
-                    // BACK WALL (z = -26)
-                    if (dirZ < -0.001) {
-                        const t = (-26 - ballPos.z) / dirZ;
-                        if (t > 0) {
-                            const x = ballPos.x + dirX * t;
-                            const y = ballPos.y + dirY * t;
-                            if (x >= -15 && x <= 15 && y >= 0 && y <= 8 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(x, y, -25.98);
-                                hitNormal = new BABYLON.Vector3(0, 0, 1);
-                            }
-                        }
-                    }
-                    
-                    // FRONT WALL (z = 2)
-                    if (dirZ > 0.001) {
-                        const t = (2 - ballPos.z) / dirZ;
-                        if (t > 0) {
-                            const x = ballPos.x + dirX * t;
-                            const y = ballPos.y + dirY * t;
-                            if (x >= -15 && x <= 15 && y >= 0 && y <= 8 && t < closestT) {
-                                closestT = t;
-                                hitPos = new BABYLON.Vector3(x, y, 1.98);
-                                hitNormal = new BABYLON.Vector3(0, 0, -1);
-                            }
-                        }
-                    }
-                    
-                    const hitDistance = closestT;
+                    // Ray cast from ball position to the venue surface it hits (floor, ceiling or a wall - null through an opening)
+                    const hit = this.venue.projectRay(ballPos, { x: dirX, y: dirY, z: dirZ });
+                    const hitPos = hit && hit.position;
+                    const hitNormal = hit && hit.normal;
+                    const hitDistance = hit ? hit.distance : Infinity;
                     
                     // Position spot at ray intersection point
                     if (hitPos) {
@@ -3178,78 +3395,45 @@ class VRClub {
             }
         }
         
-        // AUTOMATIC CYCLING PATTERN: Lights → Lasers → Mirror Ball
-        // Only cycle automatically when NOT in VJ manual mode
-        if (!this.vjManualMode) {
-            // Determine phase duration based on current phase
-            let currentPhaseDuration;
-            if (this.lightingPhase === 'lights') {
-                currentPhaseDuration = this.lightsPhaseDuration;
-            } else if (this.lightingPhase === 'lasers') {
-                currentPhaseDuration = this.lasersPhaseDuration;
-            } else if (this.lightingPhase === 'mirrorball') {
-                currentPhaseDuration = this.mirrorBallPhaseDuration;
-            }
-            
-            if (time - this.lightModeSwitchTime > currentPhaseDuration) {
-                // Cycle through phases: lights → lasers → mirrorball → lights
-                if (this.lightingPhase === 'lights') {
-                    this.lightingPhase = 'lasers';
-                    this.lightsActive = false;
-                    this.lasersActive = true;
-                    this.mirrorBallActive = false;
-                    console.log('🎪 Phase: LASERS');
-                    
-                } else if (this.lightingPhase === 'lasers') {
-                    this.lightingPhase = 'mirrorball';
-                    this.lightsActive = false;
-                    this.lasersActive = false;
-                    this.mirrorBallActive = true;
-                    console.log('🪩 Phase: MIRROR BALL');
-                    
-                } else {
-                    this.lightingPhase = 'lights';
-                    this.lightsActive = true;
-                    this.lasersActive = false;
-                    this.mirrorBallActive = false;
-                    console.log('💡 Phase: SPOTLIGHTS');
-                }
-                this.lightModeSwitchTime = time;
-                
-                // Update VJ control button visuals to reflect state
-                if (this.vjControlButtons) {
-                    this.vjControlButtons.forEach(btn => {
-                        if (btn.control === 'lightsActive' || btn.control === 'lasersActive' || btn.control === 'mirrorBallActive') {
-                            btn.material.emissiveColor = this[btn.control] ? btn.onColor : btn.offColor;
-                        }
-                    });
-                }
+        // AUTOMATIC SHOW: Cue list drives fixture groups (see cueEngine.js)
+        // Only advance automatically when NOT in VJ manual mode, under DMX control or editing, and not while following another VJ or a recording
+        if (this.cueEngine && !this.showSync.isFollower && !this.recorder.isPlaying) {
+            if (!this.vjManualMode && !this.dmxControl && !this.lightingEditor.active) {
+                this.cueEngine.update(time);
+            } else {
+                // In manual mode / DMX control / lighting editor: hold the cue clock so the show resumes where it left off
+                this.cueEngine.hold(time);
             }
-        } else {
-            // In manual mode: update lightModeSwitchTime to prevent immediate cycling when mode expires
-            this.lightModeSwitchTime = time;
         }
         
+        // Record the show, or replay a recorded one
+        this.recorder.update(time);
+        
+        // Replicate show changes to guests (VJ only)
+        this.showSync.update(time);
+        
         // Update LED wall (with audio reactivity) - respects ledWallActive control
-        if (this.ledPanels && this.ledWallActive) {
+        if (this.ledPanels && this.dmxControl) {
+            // External desk: one RGB fixture per panel
+            this.ledPanels.forEach((panel, i) => {
+                const dmx = this.dmxInput.getControl('ledPanels', i);
+                this.updateLEDPanel(panel, dmx ? dmx.color : this.cachedColors.black, dmx ? dmx.level : 0);
+            });
+            this.ledWallMedia.blackout();
+        } else if (this.ledPanels && this.ledWallActive) {
             this.updateLEDWall(time, audioData);
         } else if (this.ledPanels && !this.ledWallActive) {
             // Turn off LED wall when disabled
             this.ledPanels.forEach(panel => {
                 panel.material.emissiveColor = new BABYLON.Color3(0, 0, 0);
             });
+            this.ledWallMedia.blackout();
         }
         
         // ALWAYS SYNCHRONIZED MODE - no random mode
         // Spotlights always move together in coordinated patterns
         this.lightingMode = 'synchronized';
         
-        // Color switching (every 8-12 seconds)
-        if (time - this.colorSwitchTime > (8 + Math.random() * 4)) {
-            this.currentColorIndex = (this.currentColorIndex + 1) % 3; // RGB cycle
-            this.colorSwitchTime = time;
-        }
-        
         // UPDATE FOG COLORS - Make fog realistically reflect current light colors
         if (this.fogSystems) {
             if (this.lightsActive) {
@@ -3265,24 +3449,46 @@ class VRClub {
         }
         
         // Update lasers with raycasting and dynamic positioning
-        if (this.lasers && this.lasersActive) {
+        if (this.lasers && (this.lasersActive || this.dmxControl)) {
             this.lasers.forEach((laser, i) => {
+                // External desk (DMX input): dimmer, color and rotation per laser
+                const dmx = this.dmxControl ? this.dmxInput.getControl('lasers', i) : null;
+                if (this.dmxControl && (!dmx || dmx.level === 0)) {
+                    laser.lights.forEach(light => { light.intensity = 0; });
+                    laser.beams.forEach(beam => {
+                        if (beam.beamGlow) beam.beamGlow.visibility = 0;
+                        if (beam.hitSpot) beam.hitSpot.visibility = 0;
+                    });
+                    return; // Not spinning - beams are hidden below
+                }
+                
                 // Update origin position for parented lasers (get world position)
                 if (laser.parentTruss) {
                     laser.originPos = laser.housing.getAbsolutePosition().clone();
                 }
                 
                 // Movement depends on mode
-                if (this.lightingMode === 'synchronized') {
-                    laser.rotation += 0.015;
-                    laser.tiltPhase += 0.02;
+                // Derived from the shared show clock (rates match the old per-frame steps at 60fps)
+                if (dmx) {
+                    laser.rotation = dmx.rotation;
+                    laser.tiltPhase = showTime * 1.2;
+                } else if (this.lightingMode === 'synchronized') {
+                    laser.rotation = showTime * 0.9;
+                    laser.tiltPhase = showTime * 1.2;
                 } else {
-                    laser.rotation += laser.rotationSpeed;
-                    laser.tiltPhase += 0.015 + Math.sin(time + i) * 0.01;
+                    laser.rotation = showTime * laser.rotationSpeed * 60;
+                    laser.tiltPhase = showTime * 0.9 - Math.cos(showTime + i) * 0.6;
                 }
                 // Mark laser as spinning
                 laser.isSpinning = true;
                 
+                // Laser color: the desk's under DMX control, otherwise the red → green → blue cycle
+                // (lasers without full color mixing show the nearest color they have)
+                const laserColor = RigLayout.fitColor(dmx ? dmx.color
+                    : this.getFixtureColor(laser.rigId, this.currentColorIndex === 0 ? this.cachedColors.red
+                        : this.currentColorIndex === 1 ? this.cachedColors.green
+                        : this.cachedColors.blue), laser.colors);
+                
                 // Update each beam in the laser
                 laser.beams.forEach((beam, beamIdx) => {
                     let direction;
@@ -3365,14 +3571,7 @@ class VRClub {
                     }
                     
                     // Color all beam elements with current color
-                    let currentColor;
-                    if (this.currentColorIndex === 0) {
-                        currentColor = this.cachedColors.red;
-                    } else if (this.currentColorIndex === 1) {
-                        currentColor = this.cachedColors.green;
-                    } else {
-                        currentColor = this.cachedColors.blue;
-                    }
+                    const currentColor = dmx ? laserColor.scale(dmx.level) : laserColor;
                     
                     // Apply color to core beam
                     beam.material.emissiveColor = currentColor;
@@ -3391,20 +3590,10 @@ class VRClub {
                 
                 // Update lights and emitter color
                 laser.lights.forEach((light, lightIdx) => {
-                    if (this.currentColorIndex === 0) {
-                        light.diffuse = this.cachedColors.red;
-                        laser.housingMat.emissiveColor = new BABYLON.Color3(0.2, 0, 0);
-                        if (laser.emitterMat) laser.emitterMat.emissiveColor = this.cachedColors.red.scale(3.0); // Bright red emitter
-                    } else if (this.currentColorIndex === 1) {
-                        light.diffuse = this.cachedColors.green;
-                        laser.housingMat.emissiveColor = new BABYLON.Color3(0, 0.2, 0);
-                        if (laser.emitterMat) laser.emitterMat.emissiveColor = this.cachedColors.green.scale(3.0); // Bright green emitter
-                    } else {
-                        light.diffuse = this.cachedColors.blue;
-                        laser.housingMat.emissiveColor = new BABYLON.Color3(0, 0, 0.2);
-                        if (laser.emitterMat) laser.emitterMat.emissiveColor = this.cachedColors.blue.scale(3.0); // Bright blue emitter
-                    }
-                    light.intensity = this.lasersActive ? 5 : 0;
+                    light.diffuse = laserColor;
+                    laser.housingMat.emissiveColor = laserColor.scale(0.2);
+                    if (laser.emitterMat) laser.emitterMat.emissiveColor = laserColor.scale(3.0 * (dmx ? dmx.level : 1)); // Bright emitter
+                    light.intensity = dmx ? dmx.level * 5 : (this.lasersActive ? 5 : 0);
                 });
             });
         } else if (this.lasers) {
@@ -3427,7 +3616,7 @@ class VRClub {
             this.lasers.forEach(laser => {
                 laser.beams.forEach(beam => {
                     // Only show beams if laser is actively spinning
-                    if (laser.isSpinning && this.lasersActive) {
+                    if (laser.isSpinning && (this.lasersActive || this.dmxControl)) {
                         beam.mesh.visibility = 1;
                         beam.material.alpha = 0.6;
                     } else {
@@ -3441,36 +3630,10 @@ class VRClub {
             });
         }
         
-        // Update spotlights with synchronized movement patterns (AUDIO REACTIVE)
-        // ALWAYS change color every 10 seconds for ALL lights (outside the lightsActive check)
-        if (time - this.lastColorChange > 10) {
-            this.spotColorIndex = (this.spotColorIndex + 1) % this.spotColorList.length;
-            this.currentSpotColor = this.spotColorList[this.spotColorIndex];
-            this.lastColorChange = time;
-            
-
-            
-            // Update ALL lights to new color
-            if (this.spotlights) {
-                this.spotlights.forEach((spot, i) => {
-                    // spot.light.diffuse stays black - no ambient colored glow
-                    spot.color = this.currentSpotColor;
-                    
-                    // Update fixture lens and light source colors immediately
-                    if (spot.lensMat && this.lightsActive) {
-                        spot.lensMat.emissiveColor = this.currentSpotColor.scale(5.0);
-                    }
-                    if (spot.sourceMat && this.lightsActive) {
-                        spot.sourceMat.emissiveColor = this.currentSpotColor.scale(8.0);
-                    }
-                    // Beam color updated in animation loop
-                });
-            }
-        }
-        
         // Check if VJ manual mode should expire (60 minutes of no interaction)
-        if (this.vjManualMode && (time - this.lastVJInteraction) > this.VJ_TIMEOUT) {
+        if (this.vjManualMode && !this.dmxControl && !this.showSync.isFollower && !this.recorder.isPlaying && (time - this.lastVJInteraction) > this.VJ_TIMEOUT) {
             this.vjManualMode = false;
+            if (this.cueEngine) this.cueEngine.resume();
             console.log("🤖 Automated patterns resumed - no VJ interaction for 60 minutes");
         }
         
@@ -3478,15 +3641,16 @@ class VRClub {
         // Phase ALWAYS advances when lights are active (for sweep animations)
         // VJ manual mode only affects Pattern 0's auto-cycling between sub-patterns
         if (this.lightsActive) {
-            this.lastActivePhase = time * 0.8; // Always update when lights on
+            this.lastActivePhase = showTime * 0.8; // Always update when lights on
         }
         const globalPhase = this.lastActivePhase || 0;
+        const beatPosition = this.beatTracker.getBeatPosition(time);
         const audioSpeedMultiplier = 1.0; // Audio control disabled - focus on basics
         
         // Auto-cycling control for Pattern 0 (random mode)
-        const allowAutomatedPatterns = this.lightsActive && !this.vjManualMode;
+        const allowAutomatedPatterns = this.lightsActive && !this.vjManualMode && !this.dmxControl;
         
-        if (this.spotlights && this.lightsActive) {
+        if (this.spotlights && (this.lightsActive || this.dmxControl)) {
             
             // SYNCHRONIZED SWEEPING - recreate iconic club vibe
             // All lights move together, sweeping their beams across the dance floor
@@ -3494,6 +3658,13 @@ class VRClub {
             this.spotlights.forEach((spot, i) => {
                 let dirX, dirZ;
                 
+                // External desk (DMX input): per-head position, color and dimmer replace the club's patterns
+                // (heads the patch leaves out stay dark)
+                const dmx = this.dmxControl ? this.dmxInput.getControl('spotlights', i) : null;
+                const spotColor = RigLayout.fitColor(dmx ? dmx.color.scale(dmx.level) : this.getFixtureColor(spot.rigId, this.currentSpotColor), spot.colors);
+                const override = this.fixtureOverrides[spot.rigId]; // Aim held by the current cue
+                const spotOn = this.dmxControl ? !!dmx && dmx.level > 0 : this.lightsActive;
+                
                 // VJ PATTERN CONTROL - spotlightPattern: 0=random, 1=static down, 2=synchronized sweep
                 // Apply speed multiplier to all animated patterns
                 const speedMultiplier = this.spotlightSpeed || 1.0;
@@ -3509,10 +3680,10 @@ class VRClub {
                     const sweepValue = Math.sin(sweepPhase * 0.8) * 0.6; // -0.6 to +0.6
                     
                     // Mirror the sweep based on which side the spotlight is on
-                    // Left side (i=0,1,2): sweep normally (left to right)
-                    // Right side (i=3,4,5): sweep inverted (right to left)
+                    // Left side (x < 0): sweep normally (left to right)
+                    // Right side (x >= 0): sweep inverted (right to left)
                     // This creates converging/diverging effect
-                    const isLeftSide = (i < 3); // First 3 are left side
+                    const isLeftSide = spot.basePos.x < 0;
                     dirX = isLeftSide ? sweepValue : -sweepValue; // Mirror for right side
                     dirZ = -0.3; // Slight forward angle toward dance floor
                     
@@ -3625,13 +3796,15 @@ class VRClub {
                 
                 // Set direction (pointing from truss DOWN to dance floor)
                 // Direction should always have strong downward component (negative Y)
-                const direction = new BABYLON.Vector3(dirX, -1.5, dirZ).normalize(); // Stronger downward bias
+                const direction = dmx ? dmx.direction.clone()
+                    : override && override.aim ? override.aim.subtract(spot.basePos).normalize()
+                    : new BABYLON.Vector3(dirX, -1.5, dirZ).normalize(); // Stronger downward bias
                 spot.light.direction = direction;
                 
 
                 
                 // Dynamic beam angle (simulates zoom adjustment) - subtle variation
-                const baseAngle = Math.PI / 6; // 30 degrees base
+                const baseAngle = spot.beamAngle; // Rig beam angle (30 degrees by default)
                 const angleVariation = Math.sin(time * 0.3 + i * 0.5) * 0.1; // ±6 degrees
                 spot.light.angle = baseAngle + angleVariation;
                 
@@ -3697,7 +3870,7 @@ class VRClub {
                     // We need to extend the beam so the WIDE END fully reaches floor
                     // Cone radius at floor = 1.0m (diameter 2.0m)
                     // When beam is angled, we need extra length for the outer edge to reach floor
-                    const coneRadiusAtFloor = 1.0; // Half of diameterTop (2.0)
+                    const coneRadiusAtFloor = spot.coneRadius; // Half of diameterTop (2.0 for a 30° head)
                     const horizontalDistance = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
                     const angleFromVertical = Math.atan2(horizontalDistance, Math.abs(direction.y));
                     const extraLength = coneRadiusAtFloor * Math.tan(angleFromVertical);
@@ -3749,8 +3922,8 @@ class VRClub {
                     
 
                     
-                    // Consistent beam size (no zoom variation)
-                    const zoomFactor = 1.0; // Keep beams consistent size
+                    // Consistent beam size (no zoom variation) - only the rig's beam angle changes it
+                    const zoomFactor = spot.zoom;
                     spot.beam.scaling.x = zoomFactor;
                     spot.beam.scaling.z = zoomFactor;
                     
@@ -3775,8 +3948,8 @@ class VRClub {
                             }
                         }
                         
-                        spot.beamGlow.visibility = this.lightsActive ? 1.0 : 0;
-                        spot.beamGlowMat.emissiveColor = this.currentSpotColor.scale(0.15);
+                        spot.beamGlow.visibility = spotOn ? 1.0 : 0;
+                        spot.beamGlowMat.emissiveColor = spotColor.scale(0.15);
                     }
                     
                     // Beam visibility and color - HYPERREALISTIC with subtle variation + FLASHING
@@ -3784,13 +3957,12 @@ class VRClub {
                     const sweepPhase = globalPhase * audioSpeedMultiplier;
                     
                     // Strobe is simply controlled by the STROBE toggle button
-                    const isStrobeEnabled = this.spotStrobeActive;
+                    const isStrobeEnabled = this.spotStrobeActive && !dmx;
                     
-                    let beamVisible = this.lightsActive;
+                    let beamVisible = spotOn;
                     if (isStrobeEnabled) {
-                        // STROBE: Rapid on/off flashing at 8Hz (8 flashes per second)
-                        const flashPhase = sweepPhase * 2.5;
-                        const flashOn = Math.floor(flashPhase * 8) % 2 === 0;
+                        // STROBE: 4 flashes per beat, locked to the beat grid (~8.7Hz at 130 BPM)
+                        const flashOn = Math.floor(beatPosition * 8) % 2 === 0;
                         beamVisible = beamVisible && flashOn;
                     }
                     
@@ -3802,7 +3974,7 @@ class VRClub {
                     
                     // Update emissive color with variation (audio disabled)
                     const baseIntensity = 0.3 + atmosphericNoise;
-                    spot.beamMat.emissiveColor = this.currentSpotColor.scale(baseIntensity);
+                    spot.beamMat.emissiveColor = spotColor.scale(baseIntensity);
                     spot.beamMat.emissiveIntensity = 1.8; // Constant intensity
                     
                     // Very subtle alpha variation - creates "depth" in the beam
@@ -3812,7 +3984,7 @@ class VRClub {
                     
                     // Update HYPERREALISTIC floor light splash - 3-layer gradient effect
                     if (spot.lightPool) {
-                        if (this.lightsActive && beamVisible) { // Also check beamVisible for flashing
+                        if (spotOn && beamVisible) { // Also check beamVisible for flashing
                             // Calculate beam width at floor (cone: 0.25m → 2.0m)
                             const beamProgress = centerDistanceToFloor / beamLength;
                             const beamWidthAtFloor = 0.25 + 1.75 * beamProgress; // 1.75 = 2.0 - 0.25
@@ -3831,7 +4003,7 @@ class VRClub {
                             const coreSize = baseSize * 0.3;
                             spot.lightPoolCore.scaling.set(coreSize, coreSize, 1);
                             spot.lightPoolCore.visibility = 1.0;
-                            spot.poolCoreMat.emissiveColor = this.currentSpotColor.scale(2.5);
+                            spot.poolCoreMat.emissiveColor = spotColor.scale(2.5);
                             
                             // MID GLOW (medium gradient)
                             spot.lightPool.position.x = floorIntersection.x;
@@ -3840,7 +4012,7 @@ class VRClub {
                             const midSize = baseSize * 0.7 * atmosphericShimmer;
                             spot.lightPool.scaling.set(midSize, midSize, 1);
                             spot.lightPool.visibility = 0.9;
-                            spot.poolMat.emissiveColor = this.currentSpotColor.scale(atmosphericShimmer);
+                            spot.poolMat.emissiveColor = spotColor.scale(atmosphericShimmer);
                             
                             // OUTER GLOW (soft falloff)
                             spot.lightPoolGlow.position.x = floorIntersection.x;
@@ -3849,7 +4021,7 @@ class VRClub {
                             const glowSize = baseSize * 1.5 * atmosphericShimmer;
                             spot.lightPoolGlow.scaling.set(glowSize, glowSize, 1);
                             spot.lightPoolGlow.visibility = 0.7;
-                            spot.poolGlowMat.emissiveColor = this.currentSpotColor.scale(0.3);
+                            spot.poolGlowMat.emissiveColor = spotColor.scale(0.3);
                         } else {
                             // CRITICAL: Hide floor pools immediately when lights turn off or flashing off
                             spot.lightPoolCore.visibility = 0;
@@ -3860,7 +4032,7 @@ class VRClub {
                 }
                 
                 // CRITICAL: Hide beams when lights are off (no beams without light source!)
-                if (!this.lightsActive) {
+                if (!spotOn) {
                     if (spot.beam) spot.beam.visibility = 0;
                     if (spot.beamGlow) spot.beamGlow.visibility = 0;
                 }
@@ -3869,7 +4041,7 @@ class VRClub {
                 const baseIntensity = 18; // Professional moving head (300W equivalent)
                 const smoothPulse = Math.sin(time * 2.5) * 3; // Smooth breathing effect
                 
-                spot.light.intensity = this.lightsActive ? (baseIntensity + smoothPulse) : 0;
+                spot.light.intensity = this.dmxControl ? (spotOn ? dmx.level * 21 : 0) : (spotOn ? (baseIntensity + smoothPulse) : 0);
             });
         } else if (this.spotlights) {
             // Turn off spotlights completely when not active
@@ -3903,16 +4075,19 @@ class VRClub {
                     // Find corresponding lens from trussLights if available
                     const trussLight = this.trussLights && this.trussLights[i];
                     if (trussLight && trussLight.lensMat) {
-                        const fixtureVisible = this.lightsActive && (!isFlashing || flashOn);
+                        // Lens follows the desk's color and dimmer under DMX control
+                        const dmx = this.dmxControl ? this.dmxInput.getControl('spotlights', i) : null;
+                        const lensColor = RigLayout.fitColor(dmx ? dmx.color.scale(dmx.level) : this.getFixtureColor(spot.rigId, this.currentSpotColor), spot.colors);
+                        const fixtureVisible = this.dmxControl ? !!dmx && dmx.level > 0 : this.lightsActive && (!isFlashing || flashOn);
                         
                         if (fixtureVisible) {
                             // EXTREMELY BRIGHT lens when active - the actual light source (audio disabled)
                             const pulse = 0.8 + Math.sin(time * 4 + i * 0.5) * 0.2; // 0.6-1.0
-                            trussLight.lensMat.emissiveColor = this.currentSpotColor.scale(5.0 * pulse); // COLORED, not white!
+                            trussLight.lensMat.emissiveColor = lensColor.scale(5.0 * pulse); // COLORED, not white!
                             
                             // Update the bright inner light source sphere
                             if (trussLight.sourceMat) {
-                                trussLight.sourceMat.emissiveColor = this.currentSpotColor.scale(8.0 * pulse); // Even brighter center, COLORED
+                                trussLight.sourceMat.emissiveColor = lensColor.scale(8.0 * pulse); // Even brighter center, COLORED
                             }
                         } else {
                             // Completely dark when off or flashing off
@@ -3927,15 +4102,21 @@ class VRClub {
         }
         
         // LED wall is now updated via this.updateLEDWall(time, audioData) which is called separately
-        // with the new 26-pattern system including creative blackout shapes
-        if (this.ledPanels && this.ledPanels.length > 0) {
-            this.ledTime += 0.016;
-        }
+        // with the new 26-pattern system including creative blackout shapes (ledTime follows showTime)
         
         // Update strobes - respects strobesActive control
         // Strobe lights animation
         if (this.strobes && this.strobes.length > 0) {
-            if (this.strobesActive) {
+            if (this.dmxControl) {
+                // External desk: the dimmer channel is the flash
+                this.strobes.forEach((strobe, i) => {
+                    const dmx = this.dmxInput.getControl('strobes', i);
+                    const level = dmx ? dmx.level : 0;
+                    strobe.material.emissiveColor = level > 0 ? dmx.color.scale(level * 150) : this.cachedColors.black;
+                    strobe.light.intensity = level * 20000;
+                    strobe.flashDuration = 0;
+                });
+            } else if (this.strobesActive) {
                 this.strobes.forEach((strobe, i) => {
                     // Handle ongoing flash
                     if (strobe.flashDuration > 0) {
@@ -3953,19 +4134,9 @@ class VRClub {
                     if (strobe.flashDuration <= 0) {
                         strobe.material.emissiveColor = this.cachedColors.black;
                         strobe.light.intensity = 0;
-                        strobe.nextFlashTime = time + 0.1 + Math.random() * 0.9; // Frequent flashes (0.1-1.0s)
-                    }
-                } else {
-                    // Check if it's time for next flash (ALWAYS fires, no condition)
-                    if (time >= strobe.nextFlashTime) {
-                        // Vary intensity: MUCH BRIGHTER - 60% bright (60-80), 40% super bright (80-100)
-                        strobe.currentIntensity = Math.random() > 0.6 ? 
-                            (60 + Math.random() * 20) : // Bright (was 30-40, now 60-80)
-                            (80 + Math.random() * 20);  // Super bright (was 50-70, now 80-100)
-                        
-                        strobe.flashDuration = 0.15 + Math.random() * 0.2; // Duration 0.15-0.35s
                     }
                 }
+                // New flashes are triggered on beats - see setupBeatSync()
                 });
             } else {
                 // Turn off strobes when disabled
@@ -3977,41 +4148,91 @@ class VRClub {
             }
         }
         
+        // Send this frame's fixture state to the physical rig (after every fixture has updated)
+        this.applyMasterDimmer();
+        if (this.dmxOutput) this.dmxOutput.update(time);
+        if (this.midi) this.midi.update();
+        if (this.osc) this.osc.update(time);
+        
         // Bartender removed - will be replaced with 3D model later
     }
 
-    updateLEDWall(time, audioData) {
-        const patterns = [
+    /**
+     * Register the built-in LED wall patterns (registration order = pattern indices used by older cue files)
+     * Duration is in beats - shapes hold for a bar, smooth and animated patterns get longer to develop
+     */
+    registerLEDPatterns() {
+        const builtins = [
             // Smooth patterns
-            this.patternWaveHorizontal,
-            this.patternWaveVertical,
-            this.patternRipple,
-            this.patternBreathing,
+            ['waveHorizontal', this.patternWaveHorizontal, 'Wave ↔', ['smooth'], true, 8],
+            ['waveVertical', this.patternWaveVertical, 'Wave ↕', ['smooth'], true, 8],
+            ['ripple', this.patternRipple, 'Ripple', ['smooth'], true, 8],
+            ['breathing', this.patternBreathing, 'Breathing', ['smooth'], true, 8],
             // BLACKOUT SHAPE PATTERNS (creative geometric forms)
-            this.patternOuterBox,          // Frame with black center
-            this.patternInnerBox,          // Small box, black surround
-            this.patternXShape,            // Big X, rest black
-            this.patternPlusSign,          // Plus/cross shape
-            this.patternCorners,           // 4 corner blocks
-            this.patternArrowUp,           // Arrow pointing up
-            this.patternArrowDown,         // Arrow pointing down
-            this.patternDiamond,           // Diamond outline
-            this.patternLetterH,           // Letter H
-            this.patternZigZag,            // Zig-zag pattern
+            ['outerBox', this.patternOuterBox, 'Outer Box', ['shape'], false, 4],
+            ['innerBox', this.patternInnerBox, 'Inner Box', ['shape'], false, 4],
+            ['xShape', this.patternXShape, 'X', ['shape'], false, 4],
+            ['plusSign', this.patternPlusSign, 'Plus', ['shape'], false, 4],
+            ['corners', this.patternCorners, 'Corners', ['shape'], false, 4],
+            ['arrowUp', this.patternArrowUp, 'Arrow Up', ['shape'], false, 4],
+            ['arrowDown', this.patternArrowDown, 'Arrow Down', ['shape'], false, 4],
+            ['diamond', this.patternDiamond, 'Diamond', ['shape'], false, 4],
+            ['letterH', this.patternLetterH, 'Letter H', ['shape'], false, 4],
+            ['zigZag', this.patternZigZag, 'Zig-Zag', ['shape'], false, 4],
             // Animated blackout patterns
-            this.patternCheckerboard,      // Checker with black squares
-            this.patternScanLines,         // Single row lit, rest black
-            this.patternDiagonalWipe,      // Clean division
-            this.patternExpandingBox,      // Animated box outline
-            this.patternSpiral,            // Spiral with blackout
-            this.patternVerticalSplit,     // Left/right division
-            this.patternHorizontalSplit,   // Top/bottom division
-            this.patternRandomFlicker,     // Random on/off
-            this.patternChase,             // Perimeter chase
-            this.patternPulsingRings,      // Rings with blackout
-            this.patternStarburst          // Rays with blackout
+            ['checkerboard', this.patternCheckerboard, 'Checkerboard', ['animated', 'blackout'], true, 4],
+            ['scanLines', this.patternScanLines, 'Scan Lines', ['animated', 'blackout'], true, 4],
+            ['diagonalWipe', this.patternDiagonalWipe, 'Diagonal Wipe', ['animated', 'blackout'], false, 4],
+            ['expandingBox', this.patternExpandingBox, 'Expanding Box', ['animated', 'blackout'], false, 4],
+            ['spiral', this.patternSpiral, 'Spiral', ['animated', 'blackout'], false, 8],
+            ['verticalSplit', this.patternVerticalSplit, 'Vertical Split', ['animated', 'blackout'], false, 4],
+            ['horizontalSplit', this.patternHorizontalSplit, 'Horizontal Split', ['animated', 'blackout'], false, 4],
+            ['randomFlicker', this.patternRandomFlicker, 'Random Flicker', ['animated', 'blackout'], false, 4],
+            ['chase', this.patternChase, 'Chase', ['animated', 'blackout'], false, 8],
+            ['pulsingRings', this.patternPulsingRings, 'Pulsing Rings', ['animated', 'blackout'], false, 8],
+            ['starburst', this.patternStarburst, 'Starburst', ['animated', 'blackout'], false, 8]
         ];
-        
+        builtins.forEach(([name, render, label, tags, audioReactive, duration]) => {
+            this.ledPatterns.register(name, render, { label, tags, audioReactive, duration });
+        });
+    }
+
+    /**
+     * Switch the LED wall to a pattern (restarts its beat count for auto-advance)
+     * @param {string|number} patternRef - Pattern name or index
+     * @returns {boolean} Whether the pattern exists
+     */
+    setLEDPattern(patternRef) {
+        const name = this.ledPatterns.resolve(patternRef);
+        if (!name) return false;
+        this.ledPattern = name;
+        this.ledPatternBeats = 0;
+        return true;
+    }
+
+    /**
+     * Hold an LED pattern (VJ pick from settings or OSC) - manual mode keeps the next cue from releasing it
+     * @param {string|number|null} patternRef - Pattern name or index; null goes back to auto rotate
+     * @returns {boolean} False for an unknown pattern
+     */
+    holdLEDPattern(patternRef) {
+        if (patternRef === null) {
+            this.ledPatternLocked = false;
+            console.log('🟦 LED patterns back on auto rotate');
+            return true;
+        }
+        if (!this.setLEDPattern(patternRef)) return false;
+        this.ledPatternLocked = true;
+        this.lastVJInteraction = this.now();
+        this.vjManualMode = true;
+        console.log(`🟦 LED pattern held: ${this.ledPatterns.get(this.ledPattern).label}`);
+        return true;
+    }
+
+    /**
+     * Current LED wall color (advances every 8 beats in setupBeatSync())
+     */
+    getLEDColor() {
         // Use cached colors instead of creating new ones
         const colors = [
             this.cachedColors.red,
@@ -4021,84 +4242,42 @@ class VRClub {
             this.cachedColors.yellow,
             this.cachedColors.cyan
         ];
-        
-        // BEAT DETECTION: Auto-detect BPM from music or use 130 BPM fallback
-        let beatDetected = false;
-        
-        // If music playing: detect beats from bass peaks
-        if (audioData.hasAudio && audioData.bass > this.beatThreshold && audioData.bass > this.lastBassLevel * 1.3) {
-            // Bass spike detected = beat!
-            if (time - this.lastBeat > 0.2) { // Prevent double-triggering (max 300 BPM)
-                beatDetected = true;
-                this.lastBeat = time;
-                
-                // Track beat time for BPM calculation
-                this.beatHistory.push(time);
-                if (this.beatHistory.length > this.maxBeatHistory) {
-                    this.beatHistory.shift(); // Keep only recent beats
-                }
-                
-                // Calculate BPM from beat intervals (every 2 seconds)
-                if (this.beatHistory.length >= 4 && time - this.lastBPMUpdate > 2) {
-                    const intervals = [];
-                    for (let i = 1; i < this.beatHistory.length; i++) {
-                        intervals.push(this.beatHistory[i] - this.beatHistory[i-1]);
-                    }
-                    const avgInterval = intervals.reduce((a, b) => a + b) / intervals.length;
-                    this.detectedBPM = Math.round(60 / avgInterval);
-                    
-                    // Clamp to realistic range (60-200 BPM)
-                    this.detectedBPM = Math.max(60, Math.min(200, this.detectedBPM));
-                    this.bpm = this.detectedBPM;
-                    this.beatInterval = 60 / this.bpm;
-                    this.lastBPMUpdate = time;
-                    
-                    console.log(`🎵 Detected BPM: ${this.bpm}`);
-                }
+        return colors[this.ledColorIndex % colors.length];
+    }
+
+    updateLEDWall(time, audioData) {
+        // Unknown name (e.g. a guest without the VJ's pattern module) falls back to the first pattern
+        const pattern = this.ledPatterns.get(this.ledPattern) || this.ledPatterns.list()[0];
+        if (!pattern) return;
+        
+        // Pixel-mapped content: the pattern runs on the hidden panels in white and only acts as a mask
+        if (this.ledWallMedia.active) {
+            if (this.ledWallMedia.maskEnabled) {
+                this.renderLEDPattern(pattern, this.ledMaskColor, time, audioData);
             }
+            this.ledWallMedia.update(time, audioData);
+            return;
         }
         
-        // Fallback: If no audio or no beats detected, sync to current BPM timing
-        if (!beatDetected && time - this.lastBeat > this.beatInterval) {
-            beatDetected = true;
-            this.lastBeat = time;
-            
-            // If no audio, reset to 130 BPM
-            if (!audioData.hasAudio && this.bpm !== 130) {
-                this.bpm = 130;
-                this.beatInterval = 60 / 130;
-                this.beatHistory = [];
-                console.log('🎵 No audio - using default 130 BPM');
+        // Pattern (after its duration in beats) and color (every 8 beats) advance in setupBeatSync()
+        this.renderLEDPattern(pattern, this.getLEDColor(), time, audioData);
+    }
+
+    /**
+     * Run one pattern's render - a pattern that throws (e.g. from a runtime module) is removed so the render loop survives
+     */
+    renderLEDPattern(pattern, color, time, audioData) {
+        try {
+            pattern.render.call(this, color, time, audioData, this);
+        } catch (error) {
+            console.error(`❌ LED pattern "${pattern.name}" (${pattern.source}) failed and was removed:`, error);
+            this.ledPatterns.unregister(pattern.name);
+            const fallback = this.ledPatterns.list().find(p => p.source === 'builtin') || this.ledPatterns.list()[0];
+            if (this.ledPattern === pattern.name && fallback) {
+                this.ledPattern = fallback.name;
+                this.ledPatternLocked = false;
             }
         }
-        
-        this.lastBassLevel = audioData.bass;
-        
-        // Change pattern more frequently - especially without audio for energy
-        // With audio: every 4 beats (~1.8s), Without audio: every 2 seconds
-        const beatsPerPattern = audioData.hasAudio ? 4 : 4; // Reduced from 8 to 4
-        const patternChangeTime = audioData.hasAudio 
-            ? this.beatInterval * beatsPerPattern 
-            : 2.0; // Fast 2-second changes without audio
-        
-        if (time - this.ledPatternSwitchTime > patternChangeTime) {
-            this.ledPattern = (this.ledPattern + 1) % patterns.length;
-            this.ledPatternSwitchTime = time;
-        }
-        
-        // Change color more frequently too
-        // With audio: every 8 beats (~3.7s), Without audio: every 4 seconds
-        const beatsPerColor = audioData.hasAudio ? 8 : 8; // Reduced from 16 to 8
-        const colorChangeTime = audioData.hasAudio 
-            ? this.beatInterval * beatsPerColor 
-            : 4.0; // 4-second color changes without audio
-        
-        if (time - this.lastColorChange > colorChangeTime || this.lastColorChange === -1) {
-            this.ledColorIndex = (this.ledColorIndex + 1) % colors.length;
-            this.lastColorChange = time;
-        }
-        
-        patterns[this.ledPattern].call(this, colors[this.ledColorIndex], time, audioData);
     }
 
     /**
@@ -4418,8 +4597,7 @@ class VRClub {
         // Random panels flicker on/off - TRUE BLACKOUT
         const flickerSpeed = Math.floor(this.ledTime * 5);
         this.ledPanels.forEach(panel => {
-            const random = Math.sin(panel.row * 12.9898 + panel.col * 78.233 + flickerSpeed) * 43758.5453;
-            const brightness = (random - Math.floor(random) > 0.5) ? 1.0 : 0;
+            const brightness = this.random.at(panel.row, panel.col, flickerSpeed) > 0.5 ? 1.0 : 0;
             if (brightness === 0) {
                 panel.material.emissiveColor = new BABYLON.Color3(0, 0, 0);
             } else {
@@ -4514,13 +4692,8 @@ class VRClub {
             });
         }
         
-        // Camera presets - support both old class and new data attribute
-        document.querySelectorAll('[data-camera-preset]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const preset = btn.dataset.cameraPreset;
-                this.moveCameraToPreset(preset);
-            });
-        });
+        // Camera preset bar and number keys (optional - only if elements exist)
+        this.setupCameraPresetUI();
         
         // Music (optional - only if elements exist)
         const playMusicBtn = document.getElementById('playMusicBtn');
@@ -4530,6 +4703,165 @@ class VRClub {
             });
         }
         
+        // Shared set: play the URL for everyone connected to the relay
+        const shareMusicBtn = document.getElementById('shareMusicBtn');
+        const sharedSetStatus = document.getElementById('sharedSetStatus');
+        if (shareMusicBtn) {
+            shareMusicBtn.addEventListener('click', () => {
+                if (this.sharedSet.isHost) {
+                    this.sharedSet.stop();
+                    return;
+                }
+                const url = document.getElementById('musicUrl').value.trim();
+                if (!url) {
+                    alert('Please enter a music stream URL');
+                    return;
+                }
+                try {
+                    this.sharedSet.start(url);
+                } catch (error) {
+                    this.showErrorMessage(error.message);
+                }
+            });
+            
+            const updateSharedSetStatus = (status) => {
+                shareMusicBtn.textContent = status.isHost ? '⏹️ Stop Shared Set' : '📡 Play for Everyone';
+                shareMusicBtn.disabled = !this.network.isConnected || (status.active && !status.isHost);
+                if (sharedSetStatus) {
+                    sharedSetStatus.textContent = !status.active ? ''
+                        : status.waitingForGesture ? '🔊 Click anywhere to join the shared set'
+                        : `📡 ${status.loading ? 'Loading' : 'Playing'} ${status.label} (${status.isHost ? 'you are hosting' : 'hosted by ' + status.host})`;
+                }
+            };
+            this.sharedSet.onChange(updateSharedSetStatus);
+            this.network.onStatusChange(() => this.sharedSet.notify());
+            this.sharedSet.notify();
+        }
+        
+        const volumeSlider = document.getElementById('masterVolume');
+        if (volumeSlider) {
+            volumeSlider.addEventListener('input', () => {
+                this.audioEngine.setVolume(volumeSlider.value / 100);
+            });
+        }
+        
+        const spatialAudioBtn = document.getElementById('spatialAudioBtn');
+        if (spatialAudioBtn) {
+            const updateSpatialAudioBtn = () => {
+                spatialAudioBtn.textContent = this.spatialAudio.enabled ? '🏟️ Spatial PA: On' : '🎧 Spatial PA: Off (stereo)';
+            };
+            spatialAudioBtn.addEventListener('click', () => {
+                this.spatialAudio.setEnabled(!this.spatialAudio.enabled);
+                updateSpatialAudioBtn();
+            });
+            updateSpatialAudioBtn();
+        }
+        
+        // Headphone cue output for the DJ mixer (optional - only if element exists)
+        const cueOutput = document.getElementById('cueOutput');
+        if (cueOutput && navigator.mediaDevices && navigator.mediaDevices.enumerateDevices) {
+            const listOutputs = async () => {
+                const devices = await navigator.mediaDevices.enumerateDevices();
+                const outputs = devices.filter(device => device.kind === 'audiooutput' && device.deviceId !== 'default');
+                cueOutput.innerHTML = '<option value="">Off</option>';
+                outputs.forEach((device, i) => {
+                    const option = document.createElement('option');
+                    option.value = device.deviceId;
+                    option.textContent = device.label || `Output ${i + 1}`;
+                    cueOutput.appendChild(option);
+                });
+                if (this.djMixer.cueDeviceId) cueOutput.value = this.djMixer.cueDeviceId;
+            };
+            cueOutput.addEventListener('focus', listOutputs);
+            cueOutput.addEventListener('change', async () => {
+                try {
+                    await this.djMixer.setCueOutput(cueOutput.value || null);
+                } catch (error) {
+                    console.error('❌ Cue output error:', error);
+                    this.showErrorMessage(`Could not use cue output: ${error.message}`);
+                    cueOutput.value = '';
+                }
+            });
+            listOutputs();
+        }
+        
+        // Multiplayer (optional - only if elements exist)
+        this.setupMultiplayerUI();
+        
+        // LED wall pattern picker, favorites and blacklist (optional - only if elements exist)
+        this.setupLEDPatternUI();
+        
+        // LED wall media: video, images, GIFs (optional - only if elements exist)
+        this.setupLEDMediaUI();
+        
+        // LED ticker message queue (optional - only if elements exist)
+        this.setupTickerUI();
+        
+        // DMX output to a real rig / input from a lighting desk (optional - only if elements exist)
+        this.setupDMXUI();
+        
+        // Master dimmer and MIDI controller mapping (optional - only if elements exist)
+        this.setupMIDIUI();
+        
+        // OSC control from TouchOSC / Resolume (optional - only if elements exist)
+        this.setupOSCUI();
+        
+        // Lighting rig file (optional - only if elements exist)
+        this.setupRigUI();
+        
+        // Venue layout file (optional - only if elements exist)
+        this.setupVenueUI();
+        
+        // In-scene lighting editor (optional - only if elements exist)
+        this.setupLightingEditorUI();
+        
+        // Performance recording and playback (optional - only if elements exist)
+        this.setupRecorderUI();
+        
+        // Offline video render (optional - only if elements exist)
+        this.setupRenderUI();
+        
+        // VR comfort: locomotion, turning, vignette, height (optional - only if elements exist)
+        this.setupLocomotionUI();
+        
+        // Auto-director and camera paths (optional - only if elements exist)
+        this.setupDirectorUI();
+        
+        // Spectator view on the desktop monitor in VR (optional - only if elements exist)
+        this.setupSpectatorUI();
+        
+        // Light show loading (optional - only if elements exist)
+        const loadShowBtn = document.getElementById('loadShowBtn');
+        const cueStatus = document.getElementById('cueStatus');
+        const updateCueStatus = () => {
+            if (!cueStatus) return;
+            const status = ((this.showSync.isFollower || this.recorder.isPlaying) && this.showSync.remoteCue) || this.cueEngine.getStatus();
+            cueStatus.textContent = status.show 
+                ? `${status.show} - cue ${status.index + 1}/${status.total}: ${status.cue || 'unnamed'}`
+                : 'No show loaded';
+        };
+        this.cueEngine.onCueChange(updateCueStatus);
+        this.showSync.onChange(updateCueStatus);
+        updateCueStatus();
+        
+        if (loadShowBtn) {
+            loadShowBtn.addEventListener('click', async () => {
+                const url = document.getElementById('showUrl').value.trim();
+                if (!url) {
+                    alert('Please enter a show file URL');
+                    return;
+                }
+                try {
+                    await this.cueEngine.loadShowFromUrl(url);
+                    this.vjManualMode = false;
+                    this.cueEngine.start();
+                } catch (error) {
+                    console.error('❌ Show load error:', error);
+                    this.showErrorMessage(`Could not load show: ${error.message}`);
+                }
+            });
+        }
+        
         // Help
         document.addEventListener('keydown', (e) => {
             if (e.key === 'h' || e.key === 'H') {
@@ -4541,257 +4873,1578 @@ class VRClub {
         });
     }
 
-    setupVJControlInteraction() {
-        // Setup click handling for VJ control buttons, speed slider, and audio stream in 3D scene
-        this.scene.onPointerDown = (evt, pickResult) => {
-            if (pickResult.hit && pickResult.pickedMesh) {
-                // Check if speed slider handle was clicked
-                if (this.speedSlider && pickResult.pickedMesh === this.speedSlider.handle) {
-                    this.speedSlider.isDragging = true;
-                    this.speedSlider.handleMat.emissiveColor = new BABYLON.Color3(0, 1, 1); // Brighter cyan when dragging
-                    return;
+    /**
+     * LED pattern picker, favorites / blacklist, shuffle and runtime pattern modules in the settings panel
+     */
+    setupLEDPatternUI() {
+        const select = document.getElementById('ledPatternSelect');
+        if (!select) return;
+        const favoriteBtn = document.getElementById('ledFavoriteBtn');
+        const blacklistBtn = document.getElementById('ledBlacklistBtn');
+        const shuffleBtn = document.getElementById('ledShuffleBtn');
+        const favoritesOnlyBtn = document.getElementById('ledFavoritesOnlyBtn');
+        const moduleUrl = document.getElementById('ledModuleUrl');
+        const loadModuleBtn = document.getElementById('loadLedModuleBtn');
+        const registry = this.ledPatterns;
+        
+        // Favorite / blacklist act on the picked pattern, or on whatever is showing in auto mode
+        const targetPattern = () => select.value || this.ledPattern;
+        
+        const render = () => {
+            const picked = this.ledPatternLocked ? this.ledPattern : '';
+            select.innerHTML = '<option value="">🔁 Auto rotate</option>';
+            registry.list().forEach(pattern => {
+                const option = document.createElement('option');
+                option.value = pattern.name;
+                const mark = registry.isFavorite(pattern.name) ? '⭐ ' : registry.isBlacklisted(pattern.name) ? '🚫 ' : '';
+                option.textContent = `${mark}${pattern.label}${pattern.audioReactive ? ' 🎵' : ''}`;
+                select.appendChild(option);
+            });
+            select.value = registry.has(picked) ? picked : '';
+            
+            const target = targetPattern();
+            if (favoriteBtn) favoriteBtn.textContent = registry.isFavorite(target) ? '☆ Unfavorite' : '⭐ Favorite';
+            if (blacklistBtn) blacklistBtn.textContent = registry.isBlacklisted(target) ? '✅ Allow' : '🚫 Blacklist';
+            if (shuffleBtn) shuffleBtn.textContent = registry.shuffle ? '🔀 Order: Shuffle' : '➡️ Order: In sequence';
+            if (favoritesOnlyBtn) favoritesOnlyBtn.textContent = registry.favoritesOnly ? '⭐ Rotate: Favorites only' : '🔁 Rotate: All patterns';
+        };
+        registry.onChange(render);
+        render();
+        
+        select.addEventListener('change', () => {
+            if (!this.showSync.canControl()) {
+                console.log(`🔒 Console locked - ${this.showSync.getLockReason()}`);
+                render();
+                return;
+            }
+            this.holdLEDPattern(select.value || null);
+            render();
+        });
+        
+        if (favoriteBtn) {
+            favoriteBtn.addEventListener('click', () => {
+                const target = targetPattern();
+                registry.setFavorite(target, !registry.isFavorite(target));
+            });
+        }
+        if (blacklistBtn) {
+            blacklistBtn.addEventListener('click', () => {
+                const target = targetPattern();
+                registry.setBlacklisted(target, !registry.isBlacklisted(target));
+                // Skip it right away if it is on the wall in auto mode
+                if (registry.isBlacklisted(target) && target === this.ledPattern && !this.ledPatternLocked) {
+                    this.setLEDPattern(registry.next(target));
                 }
-                
-                // Check if audio stream button was clicked
-                if (this.audioStreamButton && pickResult.pickedMesh === this.audioStreamButton.mesh) {
-                    this.toggleAudioStream();
+            });
+        }
+        if (shuffleBtn) {
+            shuffleBtn.addEventListener('click', () => registry.setShuffle(!registry.shuffle));
+        }
+        if (favoritesOnlyBtn) {
+            favoritesOnlyBtn.addEventListener('click', () => registry.setFavoritesOnly(!registry.favoritesOnly));
+        }
+        
+        if (loadModuleBtn && moduleUrl) {
+            loadModuleBtn.addEventListener('click', async () => {
+                const url = moduleUrl.value.trim();
+                if (!url) {
+                    alert('Please enter a pattern module URL');
                     return;
                 }
-                
-                // Check if a VJ control button was clicked
-                const clickedButton = this.vjControlButtons.find(btn => btn.mesh === pickResult.pickedMesh);
-                
-                if (clickedButton) {
-                    console.log(`🎛️ VJ Control: ${clickedButton.label} clicked`);
-                    
-                    // Track VJ interaction - but DON'T pause patterns for pattern/mode cycling
-                    // Only pause for manual light toggles (ON/OFF controls)
-                    const isPatternControl = (clickedButton.control === "cyclePattern" || 
-                                             clickedButton.control === "cycleSpotMode" ||
-                                             clickedButton.control === "changeColor");
-                    
-                    if (!isPatternControl) {
-                        this.lastVJInteraction = performance.now() / 1000;
-                        this.vjManualMode = true;
-                        console.log("🎛️ VJ manual mode: Automated patterns paused for 60 minutes");
-                    }
-                    
-                    if (clickedButton.control === "changeColor") {
-                        // Change color button - cycle to next color
-                        this.spotColorIndex = (this.spotColorIndex + 1) % this.spotColorList.length;
-                        this.currentSpotColor = this.spotColorList[this.spotColorIndex];
-                        this.lastColorChange = performance.now() / 1000;
-                        
-                        // Update ALL light colors immediately (specular for reflections, NO diffuse ambient)
-                        if (this.spotlights) {
-                            this.spotlights.forEach((spot, i) => {
-                                // spot.light.diffuse stays black - no ambient colored glow
-                                spot.light.specular = this.currentSpotColor; // Specular for reflections
-                                spot.color = this.currentSpotColor;
-                                
-                                // Update fixture lens and light source colors
-                                if (this.trussLights && this.trussLights[i]) {
-                                    const trussLight = this.trussLights[i];
-                                    if (trussLight.lensMat && this.lightsActive) {
-                                        trussLight.lensMat.emissiveColor = this.currentSpotColor.scale(5.0);
-                                    }
-                                    if (trussLight.sourceMat && this.lightsActive) {
-                                        trussLight.sourceMat.emissiveColor = this.currentSpotColor.scale(8.0);
-                                    }
-                                }
-                            });
-                        }
-                        
-                        // Flash button feedback
-                        clickedButton.material.emissiveColor = clickedButton.onColor;
-                        setTimeout(() => {
-                            clickedButton.material.emissiveColor = clickedButton.offColor;
-                        }, 200);
-                        
-                        console.log(`🎨 Color changed to index ${this.spotColorIndex}`);
-                    } else if (clickedButton.control === "changeMirrorBallColor") {
-                        // Change mirror ball spotlight color - cycle through colors
-                        this.mirrorBallColorIndex = (this.mirrorBallColorIndex + 1) % this.mirrorBallColors.length;
-                        this.mirrorBallSpotlightColor = this.mirrorBallColors[this.mirrorBallColorIndex];
-                        
-                        // Update all spotlight colors (only real lights, skip nulls)
-                        if (this.mirrorBallSpotlights) {
-                            this.mirrorBallSpotlights.forEach(light => {
-                                if (light) light.diffuse = this.mirrorBallSpotlightColor.clone();
-                            });
-                        }
-                        
-                        // Update all beam colors
-                        if (this.mirrorBallBeams) {
-                            this.mirrorBallBeams.forEach(beam => {
-                                beam.material.emissiveColor = this.mirrorBallSpotlightColor.clone();
-                            });
-                        }
-                        
-                        // Update housing and lens glow colors (hyperrealistic fixtures)
-                        if (this.mirrorBallHousings) {
-                            this.mirrorBallHousings.forEach(housing => {
-                                housing.material.emissiveColor = this.mirrorBallSpotlightColor.scale(0.2); // Housing subtle glow
-                                housing.lensMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(5.0); // Lens bright
-                                housing.sourceMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(8.0); // Light source very bright
-                                housing.flareMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(3.0); // Flare medium bright
-                            });
-                        }
-                        
-                        // Update reflection spot colors (visual only, no lights)
-                        if (this.mirrorReflectionSpots) {
-                            this.mirrorReflectionSpots.forEach(spot => {
-                                // Color will be applied in animation loop with shimmer effect
-                                // Just store the base material reference
-                            });
-                        }
-                        
-                        // Flash button with current color
-                        clickedButton.material.emissiveColor = this.mirrorBallSpotlightColor;
-                        setTimeout(() => {
-                            clickedButton.material.emissiveColor = clickedButton.offColor;
-                        }, 300);
-                        
-                        const colorNames = ["White", "Red", "Blue", "Green", "Magenta", "Yellow", "Cyan", "Orange", "Purple"];
-                        console.log(`🪩 Mirror ball color: ${colorNames[this.mirrorBallColorIndex]}`);
-                    } else if (clickedButton.control === "cycleSpotMode") {
-                        // Cycle through spotlight modes: 0=strobe+sweep, 1=sweep only, 2=strobe static, 3=static
-                        this.spotlightMode = (this.spotlightMode + 1) % 4;
-                        
-                        // Flash button feedback with different colors for each mode
-                        const modeColors = [
-                            new BABYLON.Color3(1, 0, 1),    // Mode 0: Magenta (strobe+sweep)
-                            new BABYLON.Color3(0, 1, 1),    // Mode 1: Cyan (sweep only)
-                            new BABYLON.Color3(1, 1, 0),    // Mode 2: Yellow (strobe static)
-                            new BABYLON.Color3(0, 1, 0)     // Mode 3: Green (static)
-                        ];
-                        clickedButton.material.emissiveColor = modeColors[this.spotlightMode];
-                        setTimeout(() => {
-                            clickedButton.material.emissiveColor = clickedButton.offColor;
-                        }, 300);
-                        
-                        const modeNames = ["STROBE+SWEEP", "SWEEP ONLY", "STROBE STATIC", "STATIC"];
-                        console.log(`💡 Spotlight mode: ${modeNames[this.spotlightMode]}`);
-                    } else if (clickedButton.control === "cyclePattern") {
-                        // Cycle through spotlight patterns: 0=random, 1=static down, 2=sync sweep
-                        this.spotlightPattern = (this.spotlightPattern + 1) % 3;
-                        
-                        // Flash button feedback with different colors for each pattern
-                        const patternColors = [
-                            new BABYLON.Color3(1, 0, 1),    // Pattern 0: Magenta (random)
-                            new BABYLON.Color3(0, 1, 1),    // Pattern 1: Cyan (static down)
-                            new BABYLON.Color3(1, 0.5, 1)   // Pattern 2: Pink (sync sweep)
-                        ];
-                        clickedButton.material.emissiveColor = patternColors[this.spotlightPattern];
-                        setTimeout(() => {
-                            clickedButton.material.emissiveColor = clickedButton.offColor;
-                        }, 300);
-                        
-                        const patternNames = ["RANDOM", "STATIC DOWN", "SYNC SWEEP"];
-                        console.log(`🎯 Spotlight pattern: ${patternNames[this.spotlightPattern]}`);
-                    } else {
-                        // Toggle on/off control
-                        this[clickedButton.control] = !this[clickedButton.control];
-                        
-                        // Update button appearance
-                        clickedButton.material.emissiveColor = this[clickedButton.control] ? 
-                            clickedButton.onColor : clickedButton.offColor;
-                        
-                        console.log(`${clickedButton.label}: ${this[clickedButton.control] ? 'ON' : 'OFF'}`);
-                    }
+                try {
+                    const added = await registry.load(url);
+                    if (added.length === 0) this.showErrorMessage(`${url} did not add any patterns`);
+                } catch (error) {
+                    console.error('❌ Pattern module error:', error);
+                    this.showErrorMessage(`Could not load patterns: ${error.message}`);
                 }
-            }
+            });
+        }
+    }
+
+    setupLEDMediaUI() {
+        const mediaUrl = document.getElementById('ledMediaUrl');
+        const loadBtn = document.getElementById('loadLedMediaBtn');
+        const fileInput = document.getElementById('ledMediaFile');
+        const fileBtn = document.getElementById('ledMediaFileBtn');
+        const maskBtn = document.getElementById('ledMediaMaskBtn');
+        const clearBtn = document.getElementById('clearLedMediaBtn');
+        const mediaStatus = document.getElementById('ledMediaStatus');
+        if (!loadBtn) return;
+        
+        const updateStatus = (status) => {
+            if (mediaStatus) mediaStatus.textContent = status.active ? `🖼️ ${status.type}: ${status.label}` : '🟦 Showing panel patterns';
+            if (maskBtn) maskBtn.textContent = status.mask ? '🔲 Pattern Mask: On' : '⬜ Pattern Mask: Off';
+            if (clearBtn) clearBtn.disabled = !status.active;
         };
-        
-        // Handle pointer up (release slider)
-        this.scene.onPointerUp = () => {
-            if (this.speedSlider && this.speedSlider.isDragging) {
-                this.speedSlider.isDragging = false;
-                this.speedSlider.handleMat.emissiveColor = new BABYLON.Color3(0, 0.8, 1); // Normal cyan
-                console.log(`🎛️ Speed set to: ${this.spotlightSpeed.toFixed(2)}x`);
+        this.ledWallMedia.onChange(updateStatus);
+        this.ledWallMedia.notify();
+        
+        const show = async (media) => {
+            try {
+                await this.ledWallMedia.load(media);
+            } catch (error) {
+                console.error('❌ LED wall media error:', error);
+                this.showErrorMessage(`Could not show on the LED wall: ${error.message}`);
             }
         };
         
-        // Handle pointer move (drag slider)
-        this.scene.onPointerMove = (evt, pickResult) => {
-            if (this.speedSlider && this.speedSlider.isDragging && pickResult.hit) {
-                // Get world position of pointer
-                const pointerX = pickResult.pickedPoint.x;
-                
-                // Clamp to slider range
-                const clampedX = Math.max(this.speedSlider.minX, Math.min(this.speedSlider.maxX, pointerX));
-                
-                // Update handle position
-                this.speedSlider.handle.position.x = clampedX;
-                
-                // Calculate speed from position (0.1 to 2.0)
-                const normalizedPos = (clampedX - this.speedSlider.minX) / (this.speedSlider.maxX - this.speedSlider.minX);
-                this.spotlightSpeed = 0.1 + (normalizedPos * 1.9); // 0.1 to 2.0
+        loadBtn.addEventListener('click', () => {
+            const url = mediaUrl.value.trim();
+            if (!url) {
+                alert('Please enter a video or image URL');
+                return;
+            }
+            show(url);
+        });
+        if (fileBtn && fileInput) {
+            fileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) show(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+        if (maskBtn) {
+            maskBtn.addEventListener('click', () => this.ledWallMedia.setMaskEnabled(!this.ledWallMedia.maskEnabled));
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.ledWallMedia.clear());
+        }
+    }
+
+    setupTickerUI() {
+        const tickerText = document.getElementById('tickerText');
+        const tickerEffect = document.getElementById('tickerEffect');
+        const tickerResolution = document.getElementById('tickerResolution');
+        const addBtn = document.getElementById('tickerAddBtn');
+        const djName = document.getElementById('djName');
+        const toggleBtn = document.getElementById('tickerToggleBtn');
+        const skipBtn = document.getElementById('tickerSkipBtn');
+        const clearBtn = document.getElementById('tickerClearBtn');
+        const queueList = document.getElementById('tickerQueue');
+        const tickerStatus = document.getElementById('tickerStatus');
+        if (!addBtn) return;
+        
+        const render = (status) => {
+            if (toggleBtn) {
+                toggleBtn.textContent = status.running ? '⏹️ Stop Ticker' : '▶️ Start Ticker';
+                toggleBtn.disabled = !status.running && status.queue.length === 0;
+            }
+            if (tickerStatus) {
+                tickerStatus.textContent = status.current ? `🔤 Showing: ${status.current}`
+                    : status.running ? `🔤 ${status.queue.length} queued - next message soon`
+                    : `🔤 ${status.queue.length} queued - stopped`;
+            }
+            if (queueList) {
+                // Click a message to remove it
+                queueList.innerHTML = '';
+                status.queue.forEach((message, index) => {
+                    const item = document.createElement('button');
+                    item.textContent = `✖️ ${message.text} (${message.effect})`;
+                    item.title = 'Remove from queue';
+                    item.addEventListener('click', () => this.ledTicker.remove(index));
+                    queueList.appendChild(item);
+                });
             }
+            this.syncVJButtonStates(); // TICKER button on the VJ console
         };
+        this.ledTicker.onChange(render);
+        this.ledTicker.notify();
+        
+        addBtn.addEventListener('click', () => {
+            const text = tickerText.value.trim();
+            if (!text) {
+                alert('Please enter a message');
+                return;
+            }
+            this.ledTicker.enqueue(text, {
+                effect: tickerEffect ? tickerEffect.value : 'scroll',
+                resolution: tickerResolution ? tickerResolution.value : 'panels'
+            });
+            tickerText.value = '';
+        });
         
-        console.log("✅ VJ Control interaction enabled - click buttons to control lights!");
+        if (djName) {
+            djName.value = this.ledTicker.djName;
+            djName.addEventListener('change', () => {
+                this.ledTicker.setDJName(djName.value.trim());
+                localStorage.setItem('vrclub_djName', this.ledTicker.djName);
+            });
+        }
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                this.tickerActive = !this.tickerActive;
+            });
+        }
+        if (skipBtn) {
+            skipBtn.addEventListener('click', () => this.ledTicker.skip());
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.ledTicker.clearQueue());
+        }
     }
 
-    toggleAudioStream() {
-        if (!this.audioStreamButton) return;
+    setupDMXUI() {
+        const bridgeUrl = document.getElementById('dmxBridgeUrl');
+        const connectBtn = document.getElementById('dmxConnectBtn');
+        const dmxStatus = document.getElementById('dmxStatus');
+        const inputUrl = document.getElementById('dmxInputUrl');
+        const inputBtn = document.getElementById('dmxInputBtn');
+        const inputStatus = document.getElementById('dmxInputStatus');
+        const patchUrl = document.getElementById('dmxPatchUrl');
+        const loadPatchBtn = document.getElementById('loadDmxPatchBtn');
+        const patchTable = document.getElementById('dmxPatchTable');
+        if (!connectBtn) return;
+        
+        if (bridgeUrl) bridgeUrl.value = localStorage.getItem('vrclub_dmxBridgeUrl') || 'ws://localhost:8081';
+        
+        this.dmxOutput.onStatusChange((status, bridge) => {
+            connectBtn.textContent = status === 'offline' ? '🎚️ Start DMX Output' : '✖️ Stop DMX Output';
+            if (dmxStatus) {
+                const protocol = bridge ? (bridge.protocol === 'sacn' ? 'sACN' : 'Art-Net') : 'bridge';
+                dmxStatus.textContent = status === 'online'
+                    ? `🟢 Sending ${protocol} to ${bridge ? bridge.host : '...'} - ${this.dmxOutput.patch.fixtures.length} fixtures, universe ${this.dmxOutput.patch.getUniverses().join(', ')}`
+                    : status === 'connecting' ? '🟡 Connecting to DMX bridge...' : '⚪ DMX output off';
+            }
+        });
         
-        if (this.audioStreamButton.isPlaying) {
-            // Stop audio
-            if (this.audioElement) {
-                this.audioElement.pause();
-                this.audioElement.currentTime = 0;
+        connectBtn.addEventListener('click', () => {
+            if (this.dmxOutput.status !== 'offline') {
+                this.dmxOutput.disconnect();
+                return;
             }
-            this.audioStreamButton.isPlaying = false;
-            this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(0, 0.8, 0); // Green
-            console.log("🔇 Audio stream stopped");
-        } else {
-            // Show in-VR UI for stream URL input
-            this.showAudioStreamInputUI();
+            const url = bridgeUrl ? bridgeUrl.value.trim() : 'ws://localhost:8081';
+            localStorage.setItem('vrclub_dmxBridgeUrl', url);
+            this.dmxInput.disconnect(); // Output would loop straight back into the input
+            this.dmxOutput.connect(url);
+        });
+        
+        // Patch table: which universe / addresses each fixture group answers on
+        const renderPatch = () => {
+            if (!patchTable) return;
+            const patch = this.dmxInput.patch;
+            patch.resolve(this);
+            patchTable.textContent = patch.entries.map(entry => {
+                const fixtures = patch.fixtures.filter(fixture => fixture.group === entry.group);
+                if (fixtures.length === 0) return `${entry.group}: not patched`;
+                const profile = DMXPatch.PROFILES[entry.profile];
+                const last = fixtures[fixtures.length - 1].address + profile.channels.length - 1;
+                return `${entry.group} ×${fixtures.length}: U${entry.universe} ${fixtures[0].address}-${last} (${profile.label})`;
+            }).join('\n');
+        };
+        renderPatch();
+        
+        if (inputUrl) inputUrl.value = localStorage.getItem('vrclub_dmxInputUrl') || 'ws://localhost:8082';
+        if (inputBtn) {
+            this.dmxInput.onChange(({ status, active, bridge }) => {
+                inputBtn.textContent = status === 'offline' ? '🎛️ Start DMX Input' : '✖️ Stop DMX Input';
+                if (inputStatus) {
+                    inputStatus.textContent = active ? '🟢 Desk has control - automatic show paused'
+                        : status === 'online' ? `🟡 Waiting for DMX${bridge ? ` (${bridge.protocol})` : ''}...`
+                        : status === 'connecting' ? '🟡 Connecting to DMX bridge...' : '⚪ DMX input off';
+                }
+            });
+            inputBtn.addEventListener('click', () => {
+                if (this.dmxInput.status !== 'offline') {
+                    this.dmxInput.disconnect();
+                    return;
+                }
+                const url = inputUrl ? inputUrl.value.trim() : 'ws://localhost:8082';
+                localStorage.setItem('vrclub_dmxInputUrl', url);
+                this.dmxOutput.disconnect();
+                this.dmxInput.connect(url);
+            });
+        }
+        
+        if (loadPatchBtn) {
+            loadPatchBtn.addEventListener('click', async () => {
+                const url = patchUrl ? patchUrl.value.trim() : '';
+                if (!url) {
+                    alert('Please enter a patch file URL');
+                    return;
+                }
+                try {
+                    const patch = await DMXPatch.fetchPatch(url);
+                    this.dmxOutput.setPatch(patch);
+                    this.dmxInput.setPatch(patch);
+                    renderPatch();
+                } catch (error) {
+                    console.error('❌ DMX patch load error:', error);
+                    this.showErrorMessage(`Could not load DMX patch: ${error.message}`);
+                }
+            });
         }
     }
 
-    showAudioStreamInputUI() {
-        // Pause pointer lock to allow input interaction
-        if (this.scene.activeCamera && this.scene.activeCamera.detachControl) {
-            this.scene.activeCamera.detachControl();
+    setupMIDIUI() {
+        const dimmerSlider = document.getElementById('masterDimmer');
+        const enableBtn = document.getElementById('midiEnableBtn');
+        const midiStatus = document.getElementById('midiStatus');
+        const learnControl = document.getElementById('midiLearnControl');
+        const learnBtn = document.getElementById('midiLearnBtn');
+        const mappingList = document.getElementById('midiMappings');
+        const clearBtn = document.getElementById('midiClearBtn');
+        
+        if (dimmerSlider) {
+            dimmerSlider.addEventListener('input', (e) => {
+                if (!this.showSync.canControl()) return;
+                this.setMasterDimmer(e.target.value / 100);
+            });
         }
-        
-        // Create audio element NOW during user interaction to satisfy autoplay policy
-        if (!this.audioElement) {
-            this.audioElement = document.createElement('audio');
-            this.audioElement.crossOrigin = "anonymous";
-            this.audioElement.loop = true;
-            this.audioElement.autoplay = true;
-            this.audioElement.preload = "auto";
-            this.audioElement.style.display = 'none';
-            document.body.appendChild(this.audioElement);
-            console.log("🎵 Audio element created during user interaction");
+        if (!enableBtn) return;
+        
+        if (learnControl) {
+            this.midi.getControls().forEach(({ control, label, fader }) => {
+                const option = document.createElement('option');
+                option.value = control;
+                option.textContent = `${fader ? '🎚️' : '🔘'} ${label}`;
+                learnControl.appendChild(option);
+            });
         }
         
-        // Create HTML input overlay (NO 3D panel - was blocking view)
-        const inputDiv = document.createElement('div');
-        inputDiv.id = 'vrAudioInput';
-        inputDiv.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(20, 20, 30, 0.95);
-            border: 3px solid #00ff88;
-            border-radius: 15px;
-            padding: 30px;
-            z-index: 10000;
-            text-align: center;
-            box-shadow: 0 0 30px rgba(0, 255, 136, 0.5);
-        `;
+        this.midi.onChange(({ status, devices, learning, learnTarget, mappings }) => {
+            enableBtn.textContent = status === 'ready' ? '✖️ Disable MIDI' : '🎹 Enable MIDI';
+            if (midiStatus) {
+                midiStatus.textContent = learning
+                    ? (learnTarget ? `🎯 Press a pad or move a knob for ${this.midi.getLabel(learnTarget)}...` : '🎯 Click a console button to learn...')
+                    : status === 'ready' ? (devices.length > 0 ? `🟢 ${devices.join(', ')}` : '🟡 No MIDI controller connected')
+                    : status === 'requesting' ? '🟡 Waiting for MIDI permission...'
+                    : status === 'unsupported' ? '🔴 Web MIDI not supported in this browser'
+                    : status === 'denied' ? '🔴 MIDI permission denied' : '⚪ MIDI off';
+            }
+            if (learnBtn) learnBtn.textContent = learning ? '✖️ Cancel Learn' : '🎯 Learn';
+            if (mappingList) {
+                mappingList.textContent = mappings.map(mapping => `${mapping.description} → ${mapping.label}`).join('\n');
+            }
+        });
+        this.midi.notify();
         
-        inputDiv.innerHTML = `
-            <h2 style="color: #00ff88; margin: 0 0 20px 0; font-size: 24px;">🎵 Audio Stream</h2>
-            <input type="text" id="audioUrlInput" placeholder="Paste URL or drop audio file here" 
-                style="width: 400px; padding: 12px; font-size: 16px; border: 2px solid #00ff88; 
-                background: rgba(0, 0, 0, 0.7); color: #00ff88; border-radius: 5px; margin-bottom: 10px;">
-            <div style="margin: 10px 0;">
+        enableBtn.addEventListener('click', () => {
+            if (this.midi.status === 'ready') {
+                this.midi.disable();
+            } else {
+                this.midi.enable();
+            }
+        });
+        
+        if (learnBtn) {
+            learnBtn.addEventListener('click', async () => {
+                if (this.midi.learning) {
+                    this.midi.cancelLearn();
+                    return;
+                }
+                if (await this.midi.enable()) {
+                    this.midi.startLearn(learnControl && learnControl.value ? learnControl.value : null);
+                }
+            });
+        }
+        
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.midi.clearMappings());
+        }
+    }
+
+    setupOSCUI() {
+        const bridgeUrl = document.getElementById('oscBridgeUrl');
+        const connectBtn = document.getElementById('oscConnectBtn');
+        const oscStatus = document.getElementById('oscStatus');
+        if (!connectBtn) return;
+        
+        if (bridgeUrl) bridgeUrl.value = localStorage.getItem('vrclub_oscBridgeUrl') || 'ws://localhost:8083';
+        
+        this.osc.onChange(({ status, bridge, sources, clockLocked }) => {
+            connectBtn.textContent = status === 'offline' ? '📡 Start OSC' : '✖️ Stop OSC';
+            if (oscStatus) {
+                oscStatus.textContent = status === 'online'
+                    ? `🟢 OSC on UDP ${bridge ? bridge.port : '...'} - ${sources.length} app${sources.length === 1 ? '' : 's'}${clockLocked ? ', tempo from OSC' : ''}`
+                    : status === 'connecting' ? '🟡 Connecting to OSC bridge...' : '⚪ OSC off';
+            }
+        });
+        
+        connectBtn.addEventListener('click', () => {
+            if (this.osc.status !== 'offline') {
+                this.osc.disconnect();
+                return;
+            }
+            const url = bridgeUrl ? bridgeUrl.value.trim() : 'ws://localhost:8083';
+            localStorage.setItem('vrclub_oscBridgeUrl', url);
+            this.osc.connect(url);
+        });
+    }
+
+    setupRigUI() {
+        const rigUrl = document.getElementById('rigUrl');
+        const loadRigBtn = document.getElementById('loadRigBtn');
+        const defaultRigBtn = document.getElementById('defaultRigBtn');
+        const rigStatus = document.getElementById('rigStatus');
+        if (!loadRigBtn) return;
+        
+        if (rigUrl) rigUrl.value = localStorage.getItem('vrclub_rigUrl') || '';
+        if (rigStatus) rigStatus.textContent = `🏗️ ${this.rig.describe()}`;
+        
+        // The club is built once from the rig - a new rig reloads the page (without ?rig= so the saved one wins)
+        const reload = () => {
+            const location = new URL(window.location.href);
+            location.searchParams.delete('rig');
+            window.location.href = location.toString();
+        };
+        
+        loadRigBtn.addEventListener('click', async () => {
+            const url = rigUrl ? rigUrl.value.trim() : '';
+            if (!url) {
+                alert('Please enter a rig file URL');
+                return;
+            }
+            try {
+                await RigLayout.fetchRig(url); // Check it before reloading into it
+                localStorage.setItem('vrclub_rigUrl', url);
+                reload();
+            } catch (error) {
+                console.error('❌ Rig load error:', error);
+                this.showErrorMessage(`Could not load rig: ${error.message}`);
+            }
+        });
+        
+        if (defaultRigBtn) {
+            defaultRigBtn.addEventListener('click', () => {
+                localStorage.removeItem('vrclub_rigUrl');
+                reload();
+            });
+        }
+    }
+
+    setupVenueUI() {
+        const venueUrl = document.getElementById('venueUrl');
+        const loadVenueBtn = document.getElementById('loadVenueBtn');
+        const defaultVenueBtn = document.getElementById('defaultVenueBtn');
+        const venueStatus = document.getElementById('venueStatus');
+        if (!loadVenueBtn) return;
+        
+        if (venueUrl) venueUrl.value = localStorage.getItem('vrclub_venueUrl') || '';
+        if (venueStatus) venueStatus.textContent = `🏠 ${this.venue.describe()}`;
+        
+        // The room is built once from the venue - a new venue reloads the page (without ?venue= so the saved one wins)
+        const reload = () => {
+            const location = new URL(window.location.href);
+            location.searchParams.delete('venue');
+            window.location.href = location.toString();
+        };
+        
+        loadVenueBtn.addEventListener('click', async () => {
+            const url = venueUrl ? venueUrl.value.trim() : '';
+            if (!url) {
+                alert('Please enter a venue file URL');
+                return;
+            }
+            try {
+                await VenueLayout.fetchVenue(url); // Check it before reloading into it
+                localStorage.setItem('vrclub_venueUrl', url);
+                reload();
+            } catch (error) {
+                console.error('❌ Venue load error:', error);
+                this.showErrorMessage(`Could not load venue: ${error.message}`);
+            }
+        });
+        
+        if (defaultVenueBtn) {
+            defaultVenueBtn.addEventListener('click', () => {
+                localStorage.removeItem('vrclub_venueUrl');
+                reload();
+            });
+        }
+    }
+
+    setupLightingEditorUI() {
+        const editorBtn = document.getElementById('lightingEditorBtn');
+        const modeSelect = document.getElementById('lightingEditorMode');
+        const editorStatus = document.getElementById('lightingEditorStatus');
+        const colorInput = document.getElementById('fixtureColor');
+        const beamLabel = document.getElementById('fixtureBeamLabel');
+        const beamInput = document.getElementById('fixtureBeamAngle');
+        const clearBtn = document.getElementById('clearFixtureCueBtn');
+        const saveRigBtn = document.getElementById('saveRigBtn');
+        const saveShowBtn = document.getElementById('saveShowBtn');
+        if (!editorBtn) return;
+        const editor = this.lightingEditor;
+        
+        const render = (status) => {
+            editorBtn.textContent = status.active ? '✏️ Stop Editing' : '✏️ Edit Lighting';
+            const label = status.type ? RigLayout.FIXTURE_TYPES[status.type].label : '';
+            if (editorStatus) {
+                editorStatus.textContent = !status.active ? '✏️ Editor off'
+                    : status.selected ? `✏️ ${status.selected} (${label})${status.held ? ' - held in' : ' - cue'}: ${status.cue || 'none'}`
+                    : '👆 Click a fixture in the scene';
+            }
+            if (modeSelect) {
+                modeSelect.value = status.mode;
+                modeSelect.disabled = !status.selected;
+                modeSelect.querySelector('option[value="aim"]').disabled = status.type !== 'movingHead';
+            }
+            if (colorInput) {
+                colorInput.disabled = !status.selected || status.type === 'strobe';
+                if (status.color) colorInput.value = status.color.toHexString();
+            }
+            if (beamInput) {
+                beamInput.disabled = status.beamAngle === null;
+                if (status.beamAngle !== null) beamInput.value = Math.round(status.beamAngle);
+            }
+            if (beamLabel) {
+                beamLabel.textContent = status.beamAngle !== null ? `🔦 Beam Angle: ${Math.round(status.beamAngle)}°` : '🔦 Beam Angle';
+            }
+            if (clearBtn) clearBtn.disabled = !status.held;
+        };
+        editor.onChange(render);
+        render(editor.getStatus());
+        
+        editorBtn.addEventListener('click', () => editor.setActive(!editor.active));
+        if (modeSelect) modeSelect.addEventListener('change', () => editor.setMode(modeSelect.value));
+        if (colorInput) colorInput.addEventListener('input', () => editor.setColor(BABYLON.Color3.FromHexString(colorInput.value)));
+        if (beamInput) beamInput.addEventListener('input', () => editor.setBeamAngle(Number(beamInput.value)));
+        if (clearBtn) clearBtn.addEventListener('click', () => editor.clearCue());
+        if (saveRigBtn) saveRigBtn.addEventListener('click', () => editor.saveRig());
+        if (saveShowBtn) saveShowBtn.addEventListener('click', () => editor.saveShow());
+    }
+
+    setupRecorderUI() {
+        const recordBtn = document.getElementById('recordBtn');
+        const saveBtn = document.getElementById('saveRecordingBtn');
+        const recordingUrl = document.getElementById('recordingUrl');
+        const loadBtn = document.getElementById('loadRecordingBtn');
+        const fileBtn = document.getElementById('recordingFileBtn');
+        const fileInput = document.getElementById('recordingFile');
+        const playBtn = document.getElementById('playRecordingBtn');
+        const loopBtn = document.getElementById('loopRecordingBtn');
+        const recorderStatus = document.getElementById('recorderStatus');
+        if (!recordBtn) return;
+        const recorder = this.recorder;
+        const formatTime = PerformanceRecorder.formatTime;
+        
+        const render = (status) => {
+            recordBtn.textContent = status.mode === 'recording' ? '⏹️ Stop Recording' : '⏺️ Record Set';
+            recordBtn.disabled = status.mode === 'playing';
+            if (saveBtn) saveBtn.disabled = status.mode !== 'idle' || !status.name;
+            if (playBtn) {
+                playBtn.textContent = status.mode === 'playing' ? '⏹️ Stop' : '▶️ Play';
+                playBtn.disabled = status.mode === 'recording' || !status.name;
+            }
+            if (loopBtn) loopBtn.textContent = status.loop ? '🔁 Loop: On' : '🔁 Loop: Off';
+            if (recorderStatus) {
+                recorderStatus.textContent = status.mode === 'recording' ? `🔴 Recording ${formatTime(status.duration)} (${status.events} events)`
+                    : status.mode === 'playing' ? `▶️ ${status.name} ${formatTime(status.position)} / ${formatTime(status.duration)}`
+                    : status.name ? `📼 ${status.name} (${formatTime(status.duration)})` : '⚪ Nothing recorded';
+            }
+        };
+        recorder.onChange(render);
+        
+        recordBtn.addEventListener('click', () => {
+            if (recorder.isRecording) {
+                recorder.stop();
+            } else {
+                recorder.startRecording();
+            }
+        });
+        if (saveBtn) saveBtn.addEventListener('click', () => recorder.save());
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                if (recorder.isPlaying) {
+                    recorder.stop();
+                    return;
+                }
+                try {
+                    this.audioEngine.unlock(); // Recording audio starts from this click
+                    recorder.startPlayback();
+                } catch (error) {
+                    console.error('❌ Playback error:', error);
+                    this.showErrorMessage(`Could not play recording: ${error.message}`);
+                }
+            });
+        }
+        if (loopBtn) loopBtn.addEventListener('click', () => recorder.setLoop(!recorder.loop));
+        
+        const load = async (source) => {
+            try {
+                recorder.load(typeof source === 'string'
+                    ? await PerformanceRecorder.fetchRecording(source)
+                    : JSON.parse(await source.text()));
+            } catch (error) {
+                console.error('❌ Recording load error:', error);
+                this.showErrorMessage(`Could not load recording: ${error.message}`);
+            }
+        };
+        if (loadBtn) {
+            loadBtn.addEventListener('click', () => {
+                const url = recordingUrl ? recordingUrl.value.trim() : '';
+                if (!url) {
+                    alert('Please enter a recording file URL');
+                    return;
+                }
+                load(url);
+            });
+        }
+        if (fileBtn && fileInput) {
+            fileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) load(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+        
+        // ?recording=url replays a set on load (e.g. looping in an empty club) - with ?render it is rendered instead
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('recording') && !params.has('render')) {
+            recorder.setLoop(params.has('loop'));
+            PerformanceRecorder.fetchRecording(params.get('recording')).then(recording => {
+                recorder.load(recording);
+                recorder.startPlayback();
+            }).catch(error => {
+                console.error('❌ Recording load error:', error);
+                this.showErrorMessage(`Could not play recording: ${error.message}`);
+            });
+        }
+    }
+
+    setupRenderUI() {
+        const renderBtn = document.getElementById('renderBtn');
+        const audioUrl = document.getElementById('renderAudioUrl');
+        const fileBtn = document.getElementById('renderAudioFileBtn');
+        const fileInput = document.getElementById('renderAudioFile');
+        const showSelect = document.getElementById('renderShow');
+        const cameraSelect = document.getElementById('renderCamera');
+        const sizeSelect = document.getElementById('renderSize');
+        const fpsSelect = document.getElementById('renderFps');
+        const durationInput = document.getElementById('renderDuration');
+        const renderStatus = document.getElementById('renderStatus');
+        const renderer = this.renderer;
+        let audioFile = null;
+        
+        if (renderBtn) {
+            renderer.onChange((status) => {
+                renderBtn.textContent = status.phase === 'idle' ? '🎬 Render Video' : '✖️ Cancel Render';
+                if (renderStatus) {
+                    renderStatus.textContent = status.phase === 'analysing' ? '🔍 Analysing track...'
+                        : status.phase === 'rendering' ? `🎬 Frame ${status.frame} / ${status.frames} (${Math.floor(status.frame / status.frames * 100)}%)`
+                        : status.phase === 'encoding' ? '📦 Finishing video...' : '⚪ Not rendering';
+                }
+            });
+        }
+        
+        // Render, then download - shared by the button and ?render
+        const render = async (options) => {
+            try {
+                const blob = await renderer.render(options);
+                const name = options.recording ? this.recorder.recording.name : this.cueEngine.show ? this.cueEngine.show.name : 'show';
+                const fileName = `${FileDownload.slug(name, 'show')}.webm`;
+                FileDownload.downloadBlob(fileName, blob);
+                console.log(`💾 Video saved: ${fileName}`);
+            } catch (error) {
+                console.error('❌ Render error:', error);
+                this.showErrorMessage(`Could not render video: ${error.message}`);
+            }
+        };
+        
+        if (renderBtn) {
+            renderBtn.addEventListener('click', () => {
+                if (renderer.phase !== 'idle') {
+                    renderer.cancel();
+                    return;
+                }
+                const url = audioUrl ? audioUrl.value.trim() : '';
+                const [width, height] = (sizeSelect ? sizeSelect.value : '1920x1080').split('x').map(Number);
+                render({
+                    audio: audioFile && url === `📁 ${audioFile.name}` ? audioFile : url || null,
+                    recording: !!showSelect && showSelect.value === 'recording',
+                    camera: !cameraSelect ? 'current' : cameraSelect.value === 'path' ? this.director.path : cameraSelect.value,
+                    width,
+                    height,
+                    fps: fpsSelect ? Number(fpsSelect.value) : 30,
+                    duration: durationInput && Number(durationInput.value) > 0 ? Number(durationInput.value) : undefined
+                });
+            });
+        }
+        if (fileBtn && fileInput) {
+            fileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    audioFile = fileInput.files[0];
+                    if (audioUrl) audioUrl.value = `📁 ${audioFile.name}`;
+                }
+                fileInput.value = '';
+            });
+        }
+        
+        // ?render renders straight away and downloads the video - for headless machines (see docs/VIDEO_RENDER.md)
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('render')) {
+            const [width, height] = (params.get('size') || '1920x1080').split('x').map(Number);
+            const options = {
+                audio: params.get('audio'),
+                start: params.has('start') ? Number(params.get('start')) : undefined,
+                duration: Number(params.get('duration')) || undefined,
+                camera: params.get('camera') || 'flythrough',
+                fps: Number(params.get('fps')) || 30,
+                width,
+                height,
+                recording: params.has('recording')
+            };
+            (options.recording ? PerformanceRecorder.fetchRecording(params.get('recording')) : Promise.resolve(null))
+                .then(recording => {
+                    if (recording) this.recorder.load(recording);
+                    return render(options);
+                })
+                .catch(error => {
+                    console.error('❌ Recording load error:', error);
+                    this.showErrorMessage(`Could not load recording: ${error.message}`);
+                });
+        }
+    }
+
+    setupLocomotionUI() {
+        const movementSelect = document.getElementById('xrMovement');
+        const turnSelect = document.getElementById('xrTurn');
+        const vignetteSelect = document.getElementById('xrVignette');
+        const heightSelect = document.getElementById('xrHeight');
+        const calibrateBtn = document.getElementById('calibrateHeightBtn');
+        const comfortStatus = document.getElementById('comfortStatus');
+        if (!movementSelect) return;
+        const locomotion = this.locomotion;
+        
+        // Turn select covers snap angle too: 'snap:45', 'smooth'
+        const render = (status) => {
+            const settings = status.settings;
+            movementSelect.value = settings.movement;
+            if (turnSelect) turnSelect.value = settings.turn === 'snap' ? `snap:${settings.snapAngle}` : 'smooth';
+            if (vignetteSelect) vignetteSelect.value = String(settings.vignette);
+            if (heightSelect) heightSelect.value = settings.height;
+            if (calibrateBtn) calibrateBtn.disabled = !status.inXR;
+            if (comfortStatus) {
+                comfortStatus.textContent = !status.inXR ? '⚪ Applies in VR'
+                    : status.heightOffset ? `🪑 Seated (+${status.heightOffset.toFixed(2)} m)` : '🧍 Standing height';
+            }
+        };
+        locomotion.onChange(render);
+        locomotion.notify();
+        if (this.vrHelper) this.vrHelper.baseExperience.onStateChangedObservable.add(() => locomotion.notify());
+        
+        movementSelect.addEventListener('change', () => locomotion.setSettings({ movement: movementSelect.value }));
+        if (turnSelect) {
+            turnSelect.addEventListener('change', () => {
+                const [turn, angle] = turnSelect.value.split(':');
+                locomotion.setSettings(angle ? { turn, snapAngle: parseInt(angle, 10) } : { turn });
+            });
+        }
+        if (vignetteSelect) {
+            vignetteSelect.addEventListener('change', () => locomotion.setSettings({ vignette: parseFloat(vignetteSelect.value) }));
+        }
+        if (heightSelect) {
+            heightSelect.addEventListener('change', () => locomotion.setSettings({ height: heightSelect.value }));
+        }
+        if (calibrateBtn) calibrateBtn.addEventListener('click', () => locomotion.calibrateHeight());
+    }
+
+    setupSpectatorUI() {
+        const modeSelect = document.getElementById('spectatorMode');
+        const pipBtn = document.getElementById('spectatorPipBtn');
+        const fpsSelect = document.getElementById('spectatorFps');
+        const spectatorStatus = document.getElementById('spectatorStatus');
+        const pipFrame = document.getElementById('pipFrame');
+        if (!modeSelect) return;
+        const spectator = this.spectator;
+        
+        const render = (status) => {
+            const settings = status.settings;
+            modeSelect.value = settings.mode;
+            if (pipBtn) pipBtn.textContent = settings.pip ? '🖼️ VR Inset: On' : '🖼️ VR Inset: Off';
+            if (fpsSelect) fpsSelect.value = String(settings.fps);
+            if (pipFrame) pipFrame.style.display = status.active && settings.pip ? 'block' : 'none';
+            if (spectatorStatus) {
+                spectatorStatus.textContent = status.standalone ? '🥽 Standalone headset - no monitor to spectate on'
+                    : status.active ? `🖥️ Spectating (${modeSelect.options[modeSelect.selectedIndex].text})`
+                    : status.inXR ? '🪞 Mirroring the headset' : '⚪ Applies in VR';
+            }
+        };
+        spectator.onChange(render);
+        spectator.notify();
+        if (this.vrHelper) this.vrHelper.baseExperience.onStateChangedObservable.add(() => spectator.notify());
+        
+        modeSelect.addEventListener('change', () => spectator.setSettings({ mode: modeSelect.value }));
+        if (pipBtn) pipBtn.addEventListener('click', () => spectator.setSettings({ pip: !spectator.settings.pip }));
+        if (fpsSelect) fpsSelect.addEventListener('change', () => spectator.setSettings({ fps: Number(fpsSelect.value) }));
+    }
+
+    setupDirectorUI() {
+        const autoBtn = document.getElementById('autoDirectorBtn');
+        const paceSelect = document.getElementById('directorPace');
+        const addKeyBtn = document.getElementById('addPathKeyBtn');
+        const clearBtn = document.getElementById('clearPathBtn');
+        const playBtn = document.getElementById('playPathBtn');
+        const saveBtn = document.getElementById('savePathBtn');
+        const fileBtn = document.getElementById('pathFileBtn');
+        const fileInput = document.getElementById('pathFile');
+        const directorStatus = document.getElementById('directorStatus');
+        const director = this.director;
+        
+        if (autoBtn) {
+            director.onChange((status) => {
+                autoBtn.textContent = status.auto ? '🎬 Auto-Director: On' : '🎬 Auto-Director: Off';
+                if (paceSelect) paceSelect.value = String(status.barsPerShot);
+                const playingPath = !status.auto && status.move === status.pathName;
+                if (playBtn) {
+                    playBtn.textContent = playingPath ? '⏹️ Stop Path' : '▶️ Play Path';
+                    playBtn.disabled = !playingPath && status.pathKeys < 2;
+                }
+                if (saveBtn) saveBtn.disabled = status.pathKeys === 0;
+                if (directorStatus) {
+                    directorStatus.textContent = status.auto ? `🎥 Shot: ${status.shot}`
+                        : playingPath ? `🛤️ Playing ${status.pathName}`
+                        : status.pathKeys ? `🛤️ ${status.pathName}: ${status.pathKeys} views` : '⚪ No camera path';
+                }
+            });
+            director.notify();
+            autoBtn.addEventListener('click', () => director.setAuto(!director.auto));
+        }
+        if (paceSelect) paceSelect.addEventListener('change', () => director.setBarsPerShot(parseInt(paceSelect.value, 10)));
+        if (addKeyBtn) addKeyBtn.addEventListener('click', () => director.addPathKey());
+        if (clearBtn) clearBtn.addEventListener('click', () => director.clearPath());
+        if (saveBtn) saveBtn.addEventListener('click', () => director.savePath());
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                if (director.move && !director.auto && director.move.name === director.path.name) {
+                    director.stop();
+                    return;
+                }
+                try {
+                    director.playPath();
+                } catch (error) {
+                    this.showErrorMessage(error.message);
+                }
+            });
+        }
+        
+        const loadPath = (path) => {
+            try {
+                director.loadPath(path);
+                director.playPath();
+                console.log(`🛤️ Camera path loaded: ${director.path.name}`);
+            } catch (error) {
+                console.error('❌ Camera path error:', error);
+                this.showErrorMessage(`Could not load camera path: ${error.message}`);
+            }
+        };
+        if (fileBtn && fileInput) {
+            fileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (file) {
+                    file.text()
+                        .then(text => loadPath(JSON.parse(text)))
+                        .catch(error => this.showErrorMessage(`Could not read camera path: ${error.message}`));
+                }
+                fileInput.value = '';
+            });
+        }
+        
+        // ?director starts the auto-director, ?cameraPath=<url> loops a path - for a projector (see docs/CAMERA_DIRECTOR.md)
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('render')) return; // The render drives the camera
+        if (params.has('cameraPath')) {
+            fetch(params.get('cameraPath'))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(loadPath)
+                .catch(error => {
+                    console.error('❌ Camera path error:', error);
+                    this.showErrorMessage(`Could not load camera path: ${error.message}`);
+                });
+        } else if (params.has('director')) {
+            director.setAuto(true);
+        }
+    }
+
+    setupCameraPresetUI() {
+        const bar = document.getElementById('cameraPresetBar');
+        const nameInput = document.getElementById('presetName');
+        const saveBtn = document.getElementById('savePresetBtn');
+        const select = document.getElementById('presetSelect');
+        const leftBtn = document.getElementById('presetLeftBtn');
+        const rightBtn = document.getElementById('presetRightBtn');
+        const deleteBtn = document.getElementById('deletePresetBtn');
+        const exportBtn = document.getElementById('exportPresetsBtn');
+        const importBtn = document.getElementById('importPresetsBtn');
+        const fileInput = document.getElementById('presetsFile');
+        const resetBtn = document.getElementById('resetPresetsBtn');
+        const presets = this.cameraPresets;
+        
+        presets.onChange((list) => {
+            // Preset bar - the first nine get number keys
+            if (bar) {
+                bar.innerHTML = '';
+                list.forEach((preset, i) => {
+                    const button = document.createElement('button');
+                    button.dataset.cameraPreset = preset.id;
+                    button.textContent = preset.label;
+                    button.title = i < 9 ? `${preset.title} (${i + 1})` : preset.title;
+                    button.addEventListener('click', () => this.moveCameraToPreset(preset.id));
+                    bar.appendChild(button);
+                });
+            }
+            if (select) {
+                const picked = select.value;
+                select.innerHTML = '';
+                list.forEach((preset, i) => {
+                    const option = document.createElement('option');
+                    option.value = preset.id;
+                    option.textContent = `${i < 9 ? `${i + 1}. ` : ''}${preset.label}`;
+                    select.appendChild(option);
+                });
+                if (list.some(preset => preset.id === picked)) select.value = picked;
+            }
+        });
+        presets.notify();
+        
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                const preset = presets.add(nameInput ? nameInput.value : '');
+                if (nameInput) nameInput.value = '';
+                if (select) select.value = preset.id;
+            });
+        }
+        if (select) {
+            if (leftBtn) leftBtn.addEventListener('click', () => presets.move(select.value, -1));
+            if (rightBtn) rightBtn.addEventListener('click', () => presets.move(select.value, 1));
+            if (deleteBtn) deleteBtn.addEventListener('click', () => presets.remove(select.value));
+        }
+        if (exportBtn) exportBtn.addEventListener('click', () => presets.export());
+        if (resetBtn) resetBtn.addEventListener('click', () => presets.reset());
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (file) {
+                    file.text()
+                        .then(text => presets.import(JSON.parse(text)))
+                        .catch(error => {
+                            console.error('❌ Camera preset import error:', error);
+                            this.showErrorMessage(`Could not import camera presets: ${error.message}`);
+                        });
+                }
+                fileInput.value = '';
+            });
+        }
+        
+        // 1-9 fly to the bar's presets (not while typing in a field)
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || !/^[1-9]$/.test(e.key)) return;
+            if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+            const preset = presets.list()[Number(e.key) - 1];
+            if (preset) this.moveCameraToPreset(preset.id);
+        });
+    }
+
+    /**
+     * Hand the rig to an external lighting desk (DMX input) or take it back
+     * While the desk has control the cue list holds and the VJ timeout is paused; every fixture group
+     * renders and the desk's dimmers decide what is lit
+     */
+    setDMXControl(active) {
+        if (active === this.dmxControl) return;
+        this.dmxControl = active;
+        const groups = ['lightsActive', 'lasersActive', 'strobesActive', 'ledWallActive', 'mirrorBallActive', 'spotStrobeActive'];
+        
+        if (active) {
+            this.dmxSavedGroups = {};
+            groups.forEach(group => { this.dmxSavedGroups[group] = this[group]; });
+            this.lightsActive = true;
+            this.lasersActive = true;
+            this.strobesActive = true;
+            this.ledWallActive = true;
+            this.mirrorBallActive = false; // Not patched - it would black out the other fixtures
+            this.spotStrobeActive = false;
+        } else if (this.vjManualMode && this.dmxSavedGroups) {
+            // Back to what the VJ had set up
+            Object.assign(this, this.dmxSavedGroups);
+        } else if (this.cueEngine) {
+            this.cueEngine.resume();
+        }
+        this.syncVJButtonStates();
+    }
+
+    /**
+     * Relay connect/disconnect from the settings panel.
+     * ?relay=ws://localhost:8080&name=Alice auto-connects (handy for testing with two tabs)
+     */
+    setupMultiplayerUI() {
+        const relayUrl = document.getElementById('relayUrl');
+        const playerName = document.getElementById('playerName');
+        const connectBtn = document.getElementById('connectBtn');
+        const presenceStatus = document.getElementById('presenceStatus');
+        
+        const params = new URLSearchParams(window.location.search);
+        const savedName = localStorage.getItem('vrclub_playerName');
+        if (relayUrl) relayUrl.value = params.get('relay') || localStorage.getItem('vrclub_relayUrl') || `ws://${window.location.hostname || 'localhost'}:8080`;
+        if (playerName) playerName.value = params.get('name') || savedName || `Clubber ${Math.floor(Math.random() * 1000)}`;
+        
+        const updateStatus = () => {
+            const status = this.network.status;
+            if (presenceStatus) {
+                presenceStatus.textContent = status === 'online'
+                    ? `🟢 Online - ${this.network.peers.size} other${this.network.peers.size === 1 ? '' : 's'} here`
+                    : status === 'connecting' ? '🟡 Connecting...' : '⚪ Offline';
+            }
+            if (connectBtn) {
+                connectBtn.textContent = status === 'offline' ? '🔌 Connect' : '✖️ Disconnect';
+            }
+        };
+        this.network.onStatusChange(updateStatus);
+        this.presence.onChange(updateStatus);
+        updateStatus();
+        
+        // VJ role - whoever holds it drives the lights for the whole room
+        const vjBtn = document.getElementById('vjBtn');
+        const vjStatus = document.getElementById('vjStatus');
+        const updateVJStatus = (status) => {
+            if (vjStatus) {
+                vjStatus.textContent = !this.network.isConnected ? '🎛️ Solo show'
+                    : status.isVJ ? '🎛️ You are the VJ'
+                    : status.vj ? `🎛️ Following ${status.vj}` : '🎛️ No VJ - everyone runs their own show';
+            }
+            if (vjBtn) {
+                vjBtn.disabled = !this.network.isConnected || status.isFollower;
+                vjBtn.textContent = status.isVJ ? '🎛️ Release VJ' : '🎛️ Become VJ';
+            }
+        };
+        this.showSync.onChange(updateVJStatus);
+        this.network.onStatusChange(() => this.showSync.notify());
+        this.showSync.notify();
+        
+        if (vjBtn) {
+            vjBtn.addEventListener('click', () => {
+                if (this.showSync.isVJ) {
+                    this.showSync.releaseVJ();
+                } else {
+                    this.showSync.claimVJ();
+                }
+            });
+        }
+        
+        const connect = () => {
+            const url = relayUrl ? relayUrl.value.trim() : params.get('relay');
+            const name = (playerName ? playerName.value.trim() : params.get('name')) || 'Clubber';
+            if (!url) {
+                this.showErrorMessage('Enter a relay URL (e.g. ws://localhost:8080)');
+                return;
+            }
+            localStorage.setItem('vrclub_relayUrl', url);
+            localStorage.setItem('vrclub_playerName', name);
+            this.network.connect(url, { name });
+        };
+        
+        if (connectBtn) {
+            connectBtn.addEventListener('click', () => {
+                if (this.network.status === 'offline') {
+                    connect();
+                } else {
+                    this.network.disconnect();
+                }
+            });
+        }
+        
+        if (params.get('relay')) {
+            connect();
+        }
+    }
+
+    setupVJControlInteraction() {
+        // Setup click handling for VJ control buttons, speed slider, and audio stream in 3D scene
+        this.scene.onPointerDown = (evt, pickResult) => {
+            // Lighting editor: a click on a fixture selects it instead of reaching the console
+            // (it picks on its own - laser housings are not pickable)
+            if (this.lightingEditor.handlePointerDown()) {
+                return;
+            }
+            
+            if (pickResult.hit && pickResult.pickedMesh) {
+                // XR controllers and hands reach the console buttons and slider through XRConsoleInput
+                const xrPointer = XRConsoleInput.isXREvent(evt);
+                
+                // Check if speed slider handle was clicked
+                if (!xrPointer && this.speedSlider && pickResult.pickedMesh === this.speedSlider.handle) {
+                    this.grabSpeedSlider();
+                    return;
+                }
+                
+                // Check if a DJ deck/mixer control was clicked (knobs, faders and jogs start a drag)
+                if (this.djConsole && this.djConsole.handlePointerDown(pickResult)) {
+                    return;
+                }
+                
+                // Check if the audio stream button or a VJ control button was clicked
+                if (!xrPointer) {
+                    this.pressConsoleButton(pickResult.pickedMesh);
+                }
+            }
+        };
+        
+        // Handle pointer up (release slider and DJ controls)
+        this.scene.onPointerUp = (evt) => {
+            if (this.djConsole) {
+                this.djConsole.handlePointerUp();
+            }
+            if (!XRConsoleInput.isXREvent(evt)) {
+                this.releaseSpeedSlider();
+            }
+        };
+        
+        // Handle pointer move (drag slider and DJ controls)
+        this.scene.onPointerMove = (evt, pickResult) => {
+            if (this.djConsole && this.djConsole.handlePointerMove(pickResult)) {
+                return;
+            }
+            
+            if (this.speedSlider && this.speedSlider.isDragging && pickResult.hit && !XRConsoleInput.isXREvent(evt)) {
+                // Pointer position along the slider (booth coordinates)
+                this.dragSpeedSlider(this.venue.fromWorld('booth', pickResult.pickedPoint).x);
+            }
+        };
+        
+        console.log("✅ VJ Control interaction enabled - click buttons to control lights!");
+    }
+
+    /**
+     * Press a console button (VJ control or audio stream) - shared by mouse clicks and XR pokes / triggers
+     * @param {BABYLON.AbstractMesh} mesh
+     * @returns {boolean|null} null when the mesh isn't a console button, false when the console is locked
+     */
+    pressConsoleButton(mesh) {
+        if (this.audioStreamButton && mesh === this.audioStreamButton.mesh) {
+            this.toggleAudioStream();
+            return true;
+        }
+        
+        const button = this.vjControlButtons.find(btn => btn.mesh === mesh);
+        if (!button) return null;
+        
+        if (this.midi && this.midi.learning) {
+            // MIDI learn: the clicked button is the control to bind
+            this.midi.setLearnTarget(button.control);
+            return true;
+        }
+        return this.handleVJControl(button.control, button);
+    }
+
+    /**
+     * Start dragging the speed slider (mouse or XR grab)
+     * @returns {boolean} False when MIDI learn takes the slider instead or the console is locked
+     */
+    grabSpeedSlider() {
+        if (this.midi && this.midi.learning) {
+            this.midi.setLearnTarget('spotlightSpeed');
+            return false;
+        }
+        if (!this.showSync.canControl()) {
+            console.log(`🔒 Console locked - ${this.showSync.getLockReason()}`);
+            return false;
+        }
+        this.speedSlider.isDragging = true;
+        this.speedSlider.handleMat.emissiveColor = new BABYLON.Color3(0, 1, 1); // Brighter cyan when dragging
+        return true;
+    }
+
+    /**
+     * Move the dragged slider handle
+     * @param {number} pointerX - Position along the slider (booth coordinates)
+     */
+    dragSpeedSlider(pointerX) {
+        // Clamp to slider range
+        const clampedX = Math.max(this.speedSlider.minX, Math.min(this.speedSlider.maxX, pointerX));
+        
+        // Update handle position
+        this.speedSlider.handle.position.x = clampedX;
+        
+        // Calculate speed from position (0.1 to 2.0)
+        const normalizedPos = (clampedX - this.speedSlider.minX) / (this.speedSlider.maxX - this.speedSlider.minX);
+        this.spotlightSpeed = 0.1 + (normalizedPos * 1.9); // 0.1 to 2.0
+    }
+
+    releaseSpeedSlider() {
+        if (this.speedSlider && this.speedSlider.isDragging) {
+            this.speedSlider.isDragging = false;
+            this.speedSlider.handleMat.emissiveColor = new BABYLON.Color3(0, 0.8, 1); // Normal cyan
+            console.log(`🎛️ Speed set to: ${this.spotlightSpeed.toFixed(2)}x`);
+        }
+    }
+
+    /**
+     * Run a VJ console control - shared by console clicks and MIDI
+     * @param {string} control - Button control (e.g. 'lasersActive', 'changeColor', 'nextCue')
+     * @param {Object} button - Console button to flash (default: the first button for the control)
+     * @returns {boolean} False when the console is locked to another VJ
+     */
+    handleVJControl(control, button = this.vjControlButtons.find(btn => btn.control === control)) {
+        if (!this.showSync.canControl()) {
+            // Guests see the VJ's show - flash red instead of changing it
+            if (button) {
+                button.material.emissiveColor = new BABYLON.Color3(1, 0, 0);
+                setTimeout(() => this.syncVJButtonStates(), 200);
+            }
+            console.log(`🔒 Console locked - ${this.showSync.getLockReason()}`);
+            return false;
+        }
+        
+        console.log(`🎛️ VJ Control: ${button ? button.label : control}`);
+        this.recorder.logControl(control);
+        
+        // Track VJ interaction - but DON'T pause patterns for pattern/mode cycling
+        // Only pause for manual light toggles (ON/OFF controls)
+        const isPatternControl = (control === "cyclePattern" || 
+                                 control === "cycleSpotMode" ||
+                                 control === "changeColor" ||
+                                 control === "previousCue" ||
+                                 control === "nextCue");
+        
+        if (!isPatternControl) {
+            this.lastVJInteraction = this.now();
+            this.vjManualMode = true;
+            console.log("🎛️ VJ manual mode: Automated patterns paused for 60 minutes");
+        }
+        
+        if (control === "previousCue" || control === "nextCue") {
+            // Cue jump - hands control back to the show
+            if (this.cueEngine) {
+                this.vjManualMode = false;
+                this.cueEngine.running = true;
+                if (control === "nextCue") {
+                    this.cueEngine.goToCue(this.cueEngine.cueIndex + 1);
+                } else {
+                    this.cueEngine.previousCue();
+                }
+            }
+            
+            // Flash button feedback
+            if (button) this.flashVJButton(button, button.onColor, 200);
+        } else if (control === "changeColor") {
+            // Change color button - cycle to next color
+            this.setSpotColor((this.spotColorIndex + 1) % this.spotColorList.length);
+            
+            // Flash button feedback
+            if (button) this.flashVJButton(button, button.onColor, 200);
+            
+            console.log(`🎨 Color changed to index ${this.spotColorIndex}`);
+        } else if (control === "changeMirrorBallColor") {
+            // Change mirror ball spotlight color - cycle through colors
+            this.setMirrorBallColor((this.mirrorBallColorIndex + 1) % this.mirrorBallColors.length);
+            
+            // Flash button with current color
+            if (button) this.flashVJButton(button, this.mirrorBallSpotlightColor, 300);
+            
+            const colorNames = ["White", "Red", "Blue", "Green", "Magenta", "Yellow", "Cyan", "Orange", "Purple"];
+            console.log(`🪩 Mirror ball color: ${colorNames[this.mirrorBallColorIndex]}`);
+        } else if (control === "cycleSpotMode") {
+            // Cycle through spotlight modes: 0=strobe+sweep, 1=sweep only, 2=strobe static, 3=static
+            this.spotlightMode = (this.spotlightMode + 1) % 4;
+            
+            // Flash button feedback with different colors for each mode
+            const modeColors = [
+                new BABYLON.Color3(1, 0, 1),    // Mode 0: Magenta (strobe+sweep)
+                new BABYLON.Color3(0, 1, 1),    // Mode 1: Cyan (sweep only)
+                new BABYLON.Color3(1, 1, 0),    // Mode 2: Yellow (strobe static)
+                new BABYLON.Color3(0, 1, 0)     // Mode 3: Green (static)
+            ];
+            if (button) this.flashVJButton(button, modeColors[this.spotlightMode], 300);
+            
+            const modeNames = ["STROBE+SWEEP", "SWEEP ONLY", "STROBE STATIC", "STATIC"];
+            console.log(`💡 Spotlight mode: ${modeNames[this.spotlightMode]}`);
+        } else if (control === "cyclePattern") {
+            // Cycle through spotlight patterns: 0=random, 1=static down, 2=sync sweep
+            this.spotlightPattern = (this.spotlightPattern + 1) % 3;
+            
+            // Flash button feedback with different colors for each pattern
+            const patternColors = [
+                new BABYLON.Color3(1, 0, 1),    // Pattern 0: Magenta (random)
+                new BABYLON.Color3(0, 1, 1),    // Pattern 1: Cyan (static down)
+                new BABYLON.Color3(1, 0.5, 1)   // Pattern 2: Pink (sync sweep)
+            ];
+            if (button) this.flashVJButton(button, patternColors[this.spotlightPattern], 300);
+            
+            const patternNames = ["RANDOM", "STATIC DOWN", "SYNC SWEEP"];
+            console.log(`🎯 Spotlight pattern: ${patternNames[this.spotlightPattern]}`);
+        } else {
+            // Toggle on/off control
+            this[control] = !this[control];
+            
+            // Update button appearance
+            this.syncVJButtonStates();
+            
+            console.log(`${button ? button.label : control}: ${this[control] ? 'ON' : 'OFF'}`);
+        }
+        return true;
+    }
+
+    /**
+     * Light a console action button for a moment
+     */
+    flashVJButton(button, color, duration) {
+        button.material.emissiveColor = color;
+        setTimeout(() => {
+            button.material.emissiveColor = button.offColor;
+        }, duration);
+    }
+
+    /**
+     * Set spotlight color by palette index or Color3 (VJ console and cues)
+     * @param {number|BABYLON.Color3} colorOrIndex - Index into spotColorList, or a custom color
+     */
+    setSpotColor(colorOrIndex) {
+        if (typeof colorOrIndex === 'number') {
+            this.spotColorIndex = colorOrIndex;
+            this.currentSpotColor = this.spotColorList[colorOrIndex];
+        } else {
+            this.currentSpotColor = colorOrIndex;
+        }
+        this.lastColorChange = this.now();
+        
+        // Update ALL light colors immediately (specular for reflections, NO diffuse ambient)
+        if (this.spotlights) {
+            this.spotlights.forEach((spot, i) => {
+                // spot.light.diffuse stays black - no ambient colored glow
+                // White-only and color-wheel heads show the nearest color they can make
+                const color = RigLayout.fitColor(this.getFixtureColor(spot.rigId, this.currentSpotColor), spot.colors);
+                spot.light.specular = color; // Specular for reflections
+                spot.color = color;
+                
+                // Update fixture lens and light source colors
+                if (spot.lensMat && this.lightsActive) {
+                    spot.lensMat.emissiveColor = color.scale(5.0);
+                }
+                if (spot.sourceMat && this.lightsActive) {
+                    spot.sourceMat.emissiveColor = color.scale(8.0);
+                }
+                if (this.trussLights && this.trussLights[i]) {
+                    const trussLight = this.trussLights[i];
+                    if (trussLight.lensMat && this.lightsActive) {
+                        trussLight.lensMat.emissiveColor = color.scale(5.0);
+                    }
+                    if (trussLight.sourceMat && this.lightsActive) {
+                        trussLight.sourceMat.emissiveColor = color.scale(8.0);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * The color a moving head or laser is asked for: its own cue color (lighting editor) or the club's
+     * @param {string} rigId - Fixture id from the rig
+     * @param {BABYLON.Color3} color - What the rest of the rig is showing
+     */
+    getFixtureColor(rigId, color) {
+        const override = this.fixtureOverrides[rigId];
+        return override && override.color ? override.color : color;
+    }
+
+    /**
+     * Hold per-fixture aim points and colors (a cue's "fixtures"), or release them all with {}
+     * @param {Object} overrides - Rig id → { aim: BABYLON.Vector3|null, color: BABYLON.Color3|null }
+     */
+    setFixtureOverrides(overrides) {
+        this.fixtureOverrides = overrides;
+        if (this.spotlights) {
+            this.spotlights.forEach(spot => {
+                spot.light.specular = RigLayout.fitColor(this.getFixtureColor(spot.rigId, this.currentSpotColor), spot.colors);
+            });
+        }
+    }
+
+    /**
+     * Set mirror ball spotlight color by palette index or Color3 (VJ console and cues)
+     * @param {number|BABYLON.Color3} colorOrIndex - Index into mirrorBallColors, or a custom color
+     */
+    setMirrorBallColor(colorOrIndex) {
+        if (typeof colorOrIndex === 'number') {
+            this.mirrorBallColorIndex = colorOrIndex;
+            this.mirrorBallSpotlightColor = this.mirrorBallColors[colorOrIndex];
+        } else {
+            this.mirrorBallSpotlightColor = colorOrIndex;
+        }
+        
+        // Update all spotlight colors (only real lights, skip nulls)
+        if (this.mirrorBallSpotlights) {
+            this.mirrorBallSpotlights.forEach(light => {
+                if (light) light.diffuse = this.mirrorBallSpotlightColor.clone();
+            });
+        }
+        
+        // Update all beam colors
+        if (this.mirrorBallBeams) {
+            this.mirrorBallBeams.forEach(beam => {
+                beam.material.emissiveColor = this.mirrorBallSpotlightColor.clone();
+            });
+        }
+        
+        // Update housing and lens glow colors (hyperrealistic fixtures)
+        // Reflection spot colors are applied in the animation loop with shimmer effect
+        if (this.mirrorBallHousings) {
+            this.mirrorBallHousings.forEach(housing => {
+                housing.material.emissiveColor = this.mirrorBallSpotlightColor.scale(0.2); // Housing subtle glow
+                housing.lensMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(5.0); // Lens bright
+                housing.sourceMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(8.0); // Light source very bright
+                housing.flareMaterial.emissiveColor = this.mirrorBallSpotlightColor.scale(3.0); // Flare medium bright
+            });
+        }
+    }
+
+    /**
+     * Set spotlight sweep speed and move the console slider to match
+     * @param {number} speed - Speed multiplier (0.1 to 2.0)
+     */
+    setSpotlightSpeed(speed) {
+        this.spotlightSpeed = Math.max(0.1, Math.min(2.0, speed));
+        if (this.speedSlider) {
+            const normalizedPos = (this.spotlightSpeed - 0.1) / 1.9;
+            this.speedSlider.handle.position.x = this.speedSlider.minX + 
+                normalizedPos * (this.speedSlider.maxX - this.speedSlider.minX);
+        }
+    }
+
+    /**
+     * Master dimmer for the whole rig
+     * @param {number} level - 0 (blackout) to 1 (full)
+     */
+    setMasterDimmer(level) {
+        this.masterDimmer = Math.max(0, Math.min(1, level));
+    }
+
+    /**
+     * Scale what the fixtures rendered this frame by the master dimmer
+     * Runs after all fixture updates; emissive colors are only scaled when the fixture code wrote a new one
+     * this frame, so levels never compound on materials that are left alone (e.g. lasers while they are off)
+     */
+    applyMasterDimmer() {
+        const level = this.masterDimmer;
+        if (this.ledWallMedia && this.ledWallMedia.texture) {
+            this.ledWallMedia.texture.level = this.ledWallMedia.brightness * level;
+        }
+        if (level >= 1) return;
+        
+        const dim = (material) => {
+            if (!material || material.emissiveColor === material.dimmedEmissive) return;
+            material.emissiveColor = material.emissiveColor.scale(level);
+            material.dimmedEmissive = material.emissiveColor;
+        };
+        
+        if (this.spotlights) {
+            this.spotlights.forEach((spot, i) => {
+                spot.light.intensity *= level;
+                [spot.beamMat, spot.beamGlowMat, spot.poolCoreMat, spot.poolMat, spot.poolGlowMat].forEach(dim);
+                const trussLight = this.trussLights && this.trussLights[i];
+                if (trussLight) {
+                    dim(trussLight.lensMat);
+                    dim(trussLight.sourceMat);
+                }
+            });
+        }
+        if (this.lasers) {
+            this.lasers.forEach(laser => {
+                laser.lights.forEach(light => { light.intensity *= level; });
+                laser.beams.forEach(beam => {
+                    dim(beam.material);
+                    dim(beam.glowMat);
+                });
+                dim(laser.emitterMat);
+            });
+        }
+        if (this.strobes) {
+            this.strobes.forEach(strobe => {
+                if (strobe.light) strobe.light.intensity *= level;
+                dim(strobe.material);
+            });
+        }
+        if (this.ledPanels) {
+            this.ledPanels.forEach(panel => dim(panel.material));
+        }
+        if (this.mirrorReflectionSpots) {
+            this.mirrorReflectionSpots.forEach(spot => dim(spot.material));
+        }
+    }
+
+    /**
+     * LED ticker on/off as a club toggle, so the VJ console TICKER button works like the other toggles
+     */
+    get tickerActive() {
+        return !!this.ledTicker && this.ledTicker.running;
+    }
+
+    set tickerActive(active) {
+        if (!this.ledTicker) return;
+        if (active) {
+            this.ledTicker.start();
+        } else {
+            this.ledTicker.stop();
+        }
+    }
+
+    /**
+     * Refresh VJ toggle button colors after state changes from outside the console (cues)
+     */
+    syncVJButtonStates() {
+        if (!this.vjControlButtons) return;
+        this.vjControlButtons.forEach(btn => {
+            if (typeof this[btn.control] === 'boolean') {
+                btn.material.emissiveColor = this[btn.control] ? btn.onColor : btn.offColor;
+            }
+        });
+    }
+
+    toggleAudioStream() {
+        if (!this.audioStreamButton) return;
+        
+        if (this.audioEngine.isPlaying) {
+            // Stop audio (button color updated by audio engine state listener)
+            this.audioEngine.stop(0.5);
+        } else {
+            // Show in-VR UI for stream URL input
+            this.showAudioStreamInputUI();
+        }
+    }
+
+    /**
+     * In-scene overlay for choosing a stream URL or local file
+     * @param {Function} onSelect - Called with the URL or File (default: play through the audio engine)
+     * @param {string} title - Dialog heading
+     */
+    showAudioStreamInputUI(onSelect = (source) => this.playAudioSource(source), title = '🎵 Audio Stream') {
+        // Pause pointer lock to allow input interaction
+        if (this.scene.activeCamera && this.scene.activeCamera.detachControl) {
+            this.scene.activeCamera.detachControl();
+        }
+        
+        // Create audio context NOW during user interaction to satisfy autoplay policy
+        this.audioEngine.unlock();
+        
+        // Create HTML input overlay (NO 3D panel - was blocking view)
+        const inputDiv = document.createElement('div');
+        inputDiv.id = 'vrAudioInput';
+        inputDiv.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(20, 20, 30, 0.95);
+            border: 3px solid #00ff88;
+            border-radius: 15px;
+            padding: 30px;
+            z-index: 10000;
+            text-align: center;
+            box-shadow: 0 0 30px rgba(0, 255, 136, 0.5);
+        `;
+        
+        inputDiv.innerHTML = `
+            <h2 style="color: #00ff88; margin: 0 0 20px 0; font-size: 24px;">${title}</h2>
+            <input type="text" id="audioUrlInput" placeholder="Paste URL or drop audio file here" 
+                style="width: 400px; padding: 12px; font-size: 16px; border: 2px solid #00ff88; 
+                background: rgba(0, 0, 0, 0.7); color: #00ff88; border-radius: 5px; margin-bottom: 10px;">
+            <div style="margin: 10px 0;">
                 <button id="audioFileBrowseBtn" style="padding: 8px 20px; font-size: 14px; 
                     background: #0088ff; color: white; border: none; border-radius: 5px; cursor: pointer;">
                     📁 Browse File
@@ -4909,14 +6562,18 @@ class VRClub {
             if (selectedFile) {
                 // Play local file
                 cleanup();
-                this.startAudioFromFile(selectedFile);
+                onSelect(selectedFile);
             } else {
                 // Play URL
                 const url = document.getElementById('audioUrlInput').value.trim();
                 // Remove file indicator if present
                 const cleanUrl = url.startsWith('📁') ? '' : url;
+                if (!cleanUrl) {
+                    this.showErrorMessage("Enter a stream URL or choose an audio file");
+                    return;
+                }
                 cleanup();
-                this.startAudioStream(cleanUrl);
+                onSelect(cleanUrl);
             }
         };
         
@@ -4946,95 +6603,32 @@ class VRClub {
         document.addEventListener('keydown', escHandler);
     }
 
-    startAudioStream(url) {
-        // Audio element should already exist from showAudioStreamInputUI()
-        if (!this.audioElement) {
-            console.error("❌ Audio element not created! This shouldn't happen.");
-            return;
-        }
-        
-        // Set source
-        if (url === "") {
-            this.audioElement.src = "https://stream.example.com/radio"; // Replace with actual demo
-            console.log("🎵 Using demo audio stream");
-        } else {
-            this.audioElement.src = url;
-            console.log(`🎵 Loading audio stream: ${url}`);
-        }
-        
-        // Force load
-        this.audioElement.load();
-        
-        // Play immediately - should work because element was created during user gesture
-        setTimeout(() => {
-            const playPromise = this.audioElement.play();
-            
-            if (playPromise !== undefined) {
-                playPromise.then(() => {
-                    this.audioStreamButton.isPlaying = true;
-                    this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(1, 0, 0); // Red when playing
-                    console.log("🔊 Audio stream playing automatically!");
-                    
-                    // Connect to audio analyzer
-                    if (!this.audioContext && window.AudioContext) {
-                        this.audioContext = new AudioContext();
-                        this.audioAnalyser = this.audioContext.createAnalyser();
-                        this.audioSource = this.audioContext.createMediaElementSource(this.audioElement);
-                        this.audioSource.connect(this.audioAnalyser);
-                        this.audioAnalyser.connect(this.audioContext.destination);
-                        this.audioAnalyser.fftSize = 256;
-                        console.log("🎚️ Audio analyzer connected");
-                    }
-                }).catch(err => {
-                    console.error("❌ Failed to play audio:", err);
-                    this.showErrorMessage("Audio loaded. Click play on the audio button to start.");
-                });
-            }
-        }, 100); // Small delay to ensure load completes
+    /**
+     * Play a stream URL or file through the audio engine (crossfades from the current source)
+     * @param {string|File} source - Stream URL or local audio file
+     */
+    playAudioSource(source) {
+        return this.audioEngine.play(source).catch(err => {
+            console.error("❌ Failed to play audio:", err);
+            this.showErrorMessage("Could not play audio. Check the URL or file and try again.");
+        });
     }
 
-    startAudioFromFile(file) {
-        console.log(`🎵 Loading audio file: ${file.name}`);
-        
-        // Audio element should already exist from showAudioStreamInputUI()
-        if (!this.audioElement) {
-            console.error("❌ Audio element not created! This shouldn't happen.");
-            return;
-        }
-        
-        // Create object URL from file
-        const fileUrl = URL.createObjectURL(file);
-        this.audioElement.src = fileUrl;
-        
-        // Force load
-        this.audioElement.load();
-        
-        // Play immediately - should work because element was created during user gesture
-        setTimeout(() => {
-            const playPromise = this.audioElement.play();
-            
-            if (playPromise !== undefined) {
-                playPromise.then(() => {
-                    this.audioStreamButton.isPlaying = true;
-                    this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(1, 0, 0); // Red when playing
-                    console.log(`🔊 Playing audio file automatically: ${file.name}`);
-                    
-                    // Connect to audio analyzer
-                    if (!this.audioContext && window.AudioContext) {
-                        this.audioContext = new AudioContext();
-                        this.audioAnalyser = this.audioContext.createAnalyser();
-                        this.audioSource = this.audioContext.createMediaElementSource(this.audioElement);
-                        this.audioSource.connect(this.audioAnalyser);
-                        this.audioAnalyser.connect(this.audioContext.destination);
-                        this.audioAnalyser.fftSize = 256;
-                        console.log("🎚️ Audio analyzer connected");
-                    }
-                }).catch(err => {
-                    console.error("❌ Failed to play audio file:", err);
-                    this.showErrorMessage(`Audio loaded. Click play on the audio button to start.`);
-                });
+    /**
+     * Keep the booth audio button in sync with playback state
+     */
+    setupAudioStateDisplay() {
+        this.audioEngine.onStateChange((state) => {
+            if (!this.audioStreamButton) return;
+            this.audioStreamButton.isPlaying = state === 'playing';
+            if (state === 'playing') {
+                this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(1, 0, 0); // Red when playing
+            } else if (state === 'loading') {
+                this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(1, 0.6, 0); // Amber while loading
+            } else {
+                this.audioStreamButton.material.emissiveColor = new BABYLON.Color3(0, 0.8, 0); // Green
             }
-        }, 100); // Small delay to ensure load completes
+        });
     }
 
     showErrorMessage(message) {
@@ -5060,34 +6654,35 @@ class VRClub {
         }, 3000);
     }
 
+    /**
+     * Named camera views { pos, target } - room views are pulled inside the venue; booth and LED wall views
+     * follow the booth and stage placement. Views the user saved (js/cameraPresets.js) are added by id
+     */
+    getCameraPresets() {
+        const venue = this.venue;
+        const front = venue.room.front;
+        const userViews = this.cameraPresets ? this.cameraPresets.getViews() : {};
+        return Object.assign(userViews, {
+            entrance: { pos: venue.clamp(new BABYLON.Vector3(0, 1.7, front - 12)), target: new BABYLON.Vector3(0, 1.7, front - 2) },
+            danceFloor: { pos: venue.clamp(new BABYLON.Vector3(0, 1.7, -12)), target: venue.toWorld('booth', new BABYLON.Vector3(0, 3, -24)) },
+            djBooth: { pos: venue.toWorld('booth', new BABYLON.Vector3(0, 2.5, -18)), target: venue.toWorld('booth', new BABYLON.Vector3(0, 3, -24)) },
+            ledWallClose: { pos: venue.toWorld('stage', new BABYLON.Vector3(0, 3, -21)), target: venue.toWorld('stage', new BABYLON.Vector3(0, 3, -24)) },
+            overview: { pos: venue.clamp(new BABYLON.Vector3(-12, 6, -12)), target: venue.clamp(new BABYLON.Vector3(0, 2, -15)) },
+            ceiling: { pos: venue.clamp(new BABYLON.Vector3(0, 7, -12)), target: venue.clamp(new BABYLON.Vector3(0, 0, -15)) }
+        });
+    }
+
     moveCameraToPreset(preset) {
-        const presets = {
-            entrance: { pos: new BABYLON.Vector3(0, 1.7, -10), target: new BABYLON.Vector3(0, 1.7, 0) },
-            danceFloor: { pos: new BABYLON.Vector3(0, 1.7, -12), target: new BABYLON.Vector3(0, 3, -24) },
-            djBooth: { pos: new BABYLON.Vector3(0, 2.5, -18), target: new BABYLON.Vector3(0, 3, -24) },
-            ledWallClose: { pos: new BABYLON.Vector3(0, 3, -21), target: new BABYLON.Vector3(0, 3, -24) },
-            overview: { pos: new BABYLON.Vector3(-12, 6, -12), target: new BABYLON.Vector3(0, 2, -15) },
-            ceiling: { pos: new BABYLON.Vector3(0, 7, -12), target: new BABYLON.Vector3(0, 0, -15) }
-        };
-        
-        const p = presets[preset];
-        if (p) {
-            this.camera.applyGravity = false;
-            this.camera.checkCollisions = false;
-            
-            this.camera.position = p.pos.clone();
-            this.camera.setTarget(p.target);
+        if (this.getCameraPresets()[preset]) {
+            // Eased flight there - picking a view by hand also ends the auto-director
+            this.director.setAuto(false);
+            this.director.flyTo(preset);
             
-            setTimeout(() => {
-                this.camera.applyGravity = false;
-                this.camera.checkCollisions = false;
-            }, 100);
-            
-            this.showCameraTransitionFeedback(preset);
-            }
+            this.showCameraTransitionFeedback(this.cameraPresets.getLabel(preset));
+        }
     }
 
-    showCameraTransitionFeedback(preset) {
+    showCameraTransitionFeedback(label) {
         const feedback = document.createElement('div');
         feedback.style.cssText = `
             position: fixed;
@@ -5103,7 +6698,7 @@ class VRClub {
             z-index: 10000;
             animation: fadeOut 1.5s forwards;
         `;
-        feedback.textContent = `📷 ${preset.toUpperCase()}`;
+        feedback.textContent = `📷 ${label.toUpperCase()}`;
         document.body.appendChild(feedback);
         
         setTimeout(() => feedback.remove(), 1500);
@@ -5119,20 +6714,7 @@ class VRClub {
             return;
         }
         
-        if (!this.audioElement) {
-            this.audioElement = new Audio();
-            this.audioElement.crossOrigin = "anonymous";
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.audioSource = this.audioContext.createMediaElementSource(this.audioElement);
-            this.audioAnalyser = this.audioContext.createAnalyser();
-            this.audioAnalyser.fftSize = 256;
-            this.audioDataArray = new Uint8Array(this.audioAnalyser.frequencyBinCount);
-            this.audioSource.connect(this.audioAnalyser);
-            this.audioAnalyser.connect(this.audioContext.destination);
-        }
-        
-        this.audioElement.src = url;
-        this.audioElement.play();
+        this.playAudioSource(url);
         
         // Show success message (if element exists)
         if (musicUrlInput) {
@@ -5143,44 +6725,11 @@ class VRClub {
         }
     }
     
+    /**
+     * Latest audio analysis frame: { bass, mid, treble, average, hasAudio, spectrum }
+     */
     getAudioData() {
-        if (!this.audioAnalyser || !this.audioDataArray) {
-            return {
-                bass: 0,
-                mid: 0,
-                treble: 0,
-                average: 0,
-                hasAudio: false
-            };
-        }
-        
-        this.audioAnalyser.getByteFrequencyData(this.audioDataArray);
-        
-        // Split frequency data into bass, mid, treble
-        const bassEnd = Math.floor(this.audioDataArray.length * 0.1);
-        const midEnd = Math.floor(this.audioDataArray.length * 0.5);
-        
-        let bassSum = 0, midSum = 0, trebleSum = 0;
-        
-        for (let i = 0; i < bassEnd; i++) {
-            bassSum += this.audioDataArray[i];
-        }
-        for (let i = bassEnd; i < midEnd; i++) {
-            midSum += this.audioDataArray[i];
-        }
-        for (let i = midEnd; i < this.audioDataArray.length; i++) {
-            trebleSum += this.audioDataArray[i];
-        }
-        
-        const bass = bassSum / bassEnd / 255;
-        const mid = midSum / (midEnd - bassEnd) / 255;
-        const treble = trebleSum / (this.audioDataArray.length - midEnd) / 255;
-        const average = (bass + mid + treble) / 3;
-        
-        // Check if audio is actually playing
-        const hasAudio = average > 0.01;
-        
-        return { bass, mid, treble, average, hasAudio };
+        return this.audioEngine.getAnalysis();
     }
 
     setupPerformanceMonitor() {
@@ -5225,7 +6774,8 @@ MOVEMENT:
   Mouse - Look around
   
 CAMERA PRESETS:
-  Click buttons to jump to preset views
+  Click buttons or press 1-9 to fly to preset views
+  Save your own in ⚙️ Settings → 📷 Camera Presets
   
 DEBUG:
   D - Toggle debug mode (show position)
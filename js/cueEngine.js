@@ -0,0 +1,338 @@
+// Cue Engine - Timecoded light-show cue lists
+// Replaces the hard-coded lights → lasers → mirror ball loop with scripted shows loaded from JSON
+
+class CueEngine {
+    constructor(club) {
+        this.club = club;
+        this.show = null;
+        this.cueIndex = -1;
+        this.cueStartTime = 0;
+        this.cueBeats = 0; // Beats elapsed in current cue (integrated from live BPM)
+        this.lastUpdateTime = null;
+        this.running = false;
+        this.listeners = [];
+    }
+
+    /**
+     * Built-in show reproducing the original 25s/20s/15s phase cycle
+     */
+    static getDefaultShow() {
+        return {
+            name: 'House Loop',
+            loop: true,
+            cues: [
+                {
+                    name: 'Spotlights',
+                    duration: 25,
+                    groups: { spotlights: true, lasers: false, strobes: true, ledWall: true, mirrorBall: false }
+                },
+                {
+                    name: 'Lasers',
+                    duration: 20,
+                    groups: { spotlights: false, lasers: true, strobes: true, ledWall: true, mirrorBall: false }
+                },
+                {
+                    name: 'Mirror Ball',
+                    duration: 15,
+                    groups: { spotlights: false, lasers: false, strobes: false, ledWall: false, mirrorBall: true }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Validate and load a show object
+     * @param {Object} show - { name, loop, cues: [...] }
+     */
+    loadShow(show) {
+        if (!show || !Array.isArray(show.cues) || show.cues.length === 0) {
+            throw new Error('Show must contain a non-empty "cues" array');
+        }
+
+        show.cues.forEach((cue, i) => {
+            if (cue.duration === undefined && cue.beats === undefined && !cue.manual) {
+                throw new Error(`Cue ${i + 1} ("${cue.name || 'unnamed'}") needs "duration", "beats" or "manual"`);
+            }
+        });
+
+        this.show = {
+            name: show.name || 'Untitled Show',
+            loop: show.loop !== false,
+            cues: show.cues
+        };
+        console.log(`🎬 Show loaded: ${this.show.name} (${this.show.cues.length} cues)`);
+
+        this.goToCue(0);
+        return this.show;
+    }
+
+    /**
+     * Fetch a show JSON file and load it
+     * @param {string} url - URL of the show file
+     */
+    async loadShowFromUrl(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const show = await response.json();
+        return this.loadShow(show);
+    }
+
+    start() {
+        if (!this.show) {
+            this.loadShow(CueEngine.getDefaultShow());
+        }
+        this.running = true;
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    getCurrentCue() {
+        return this.show && this.cueIndex >= 0 ? this.show.cues[this.cueIndex] : null;
+    }
+
+    /**
+     * Jump to a cue by index or name and apply it immediately
+     */
+    goToCue(indexOrName) {
+        if (!this.show) return;
+
+        let index = indexOrName;
+        if (typeof indexOrName === 'string') {
+            index = this.show.cues.findIndex(cue => cue.name === indexOrName);
+            if (index === -1) {
+                console.warn(`Cue "${indexOrName}" not found in show "${this.show.name}"`);
+                return;
+            }
+        }
+
+        const count = this.show.cues.length;
+        this.cueIndex = ((index % count) + count) % count;
+        this.cueStartTime = this.club.now();
+        this.cueBeats = 0;
+
+        const cue = this.show.cues[this.cueIndex];
+        this.applyCue(cue);
+        console.log(`🎬 Cue ${this.cueIndex + 1}/${count}: ${cue.name || 'unnamed'}`);
+
+        this.listeners.forEach(listener => listener(cue, this.cueIndex));
+    }
+
+    nextCue() {
+        if (!this.show) return;
+        if (!this.show.loop && this.cueIndex >= this.show.cues.length - 1) {
+            this.running = false;
+            console.log(`🎬 Show "${this.show.name}" finished`);
+            return;
+        }
+        this.goToCue(this.cueIndex + 1);
+    }
+
+    previousCue() {
+        if (!this.show) return;
+        this.goToCue(this.cueIndex - 1);
+    }
+
+    /**
+     * Subscribe to cue changes
+     * @param {Function} listener - Called with (cue, index)
+     */
+    onCueChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Advance the show - called once per frame from updateAnimations()
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        const dt = this.lastUpdateTime === null ? 0 : Math.max(0, time - this.lastUpdateTime);
+        this.lastUpdateTime = time;
+
+        const cue = this.getCurrentCue();
+        if (!this.running || !cue) return;
+
+        // Integrate beats from the live BPM so beat-counted cues follow tempo changes
+        this.cueBeats += dt * (this.club.bpm || 130) / 60;
+
+        if (cue.manual) return; // Waits for GO from the VJ console
+
+        const elapsed = time - this.cueStartTime;
+        const finished = cue.beats !== undefined
+            ? this.cueBeats >= cue.beats
+            : elapsed >= cue.duration;
+
+        if (finished) {
+            this.nextCue();
+        }
+    }
+
+    /**
+     * Hold the current cue's clock while the VJ has manual control,
+     * so the show resumes where it left off instead of skipping ahead
+     */
+    hold(time) {
+        if (this.lastUpdateTime !== null) {
+            this.cueStartTime += Math.max(0, time - this.lastUpdateTime);
+        }
+        this.lastUpdateTime = time;
+    }
+
+    /**
+     * Re-apply the current cue after VJ manual mode ends
+     */
+    resume() {
+        const cue = this.getCurrentCue();
+        if (cue) this.applyCue(cue);
+    }
+
+    /**
+     * Apply a cue's fixture groups, colors, patterns and speeds to the club
+     */
+    applyCue(cue) {
+        const club = this.club;
+
+        if (cue.groups) {
+            const groupControls = {
+                spotlights: 'lightsActive',
+                lasers: 'lasersActive',
+                strobes: 'strobesActive',
+                ledWall: 'ledWallActive',
+                mirrorBall: 'mirrorBallActive'
+            };
+            Object.entries(cue.groups).forEach(([group, enabled]) => {
+                const control = groupControls[group];
+                if (control) {
+                    club[control] = !!enabled;
+                } else {
+                    console.warn(`Unknown fixture group "${group}" in cue "${cue.name}"`);
+                }
+            });
+        }
+
+        // Spot color: hold for this cue, or release back to the 10s auto-rotation
+        club.spotColorLocked = false;
+        if (cue.spotColor !== undefined) {
+            const color = this.resolveColor(cue.spotColor, club.spotColorList);
+            if (color !== null) {
+                club.setSpotColor(color);
+                club.spotColorLocked = true;
+            }
+        }
+
+        if (cue.mirrorBallColor !== undefined) {
+            const color = this.resolveColor(cue.mirrorBallColor, club.mirrorBallColors);
+            if (color !== null) club.setMirrorBallColor(color);
+        }
+
+        if (cue.spotlightPattern !== undefined) {
+            const patternNames = ['random', 'static', 'sweep'];
+            const pattern = typeof cue.spotlightPattern === 'string'
+                ? patternNames.indexOf(cue.spotlightPattern)
+                : cue.spotlightPattern;
+            if (pattern >= 0 && pattern <= 2) club.spotlightPattern = pattern;
+        }
+
+        if (cue.spotlightMode !== undefined) {
+            club.spotlightMode = Math.max(0, Math.min(3, cue.spotlightMode));
+        }
+
+        if (cue.spotlightSpeed !== undefined) {
+            club.setSpotlightSpeed(cue.spotlightSpeed);
+        }
+
+        if (cue.spotStrobe !== undefined) {
+            club.spotStrobeActive = !!cue.spotStrobe;
+        }
+
+        // LED pattern: hold a specific pattern for this cue, or release back to auto-advance
+        if (cue.ledPattern !== undefined && cue.ledPattern !== null) {
+            if (club.setLEDPattern(cue.ledPattern)) {
+                club.ledPatternLocked = true;
+            }
+        } else {
+            club.ledPatternLocked = false;
+        }
+
+        // Per-fixture aim and color (lighting editor): held for this cue, released by cues without them
+        this.applyFixtures(cue);
+
+        club.syncVJButtonStates();
+    }
+
+    /**
+     * Apply a cue's per-fixture aim points and colors
+     */
+    applyFixtures(cue) {
+        const club = this.club;
+        const overrides = {};
+        Object.entries(cue.fixtures || {}).forEach(([id, fixture]) => {
+            if (!club.rig.getFixture(id)) {
+                console.warn(`Unknown fixture "${id}" in cue "${cue.name}"`);
+                return;
+            }
+            const color = fixture.color !== undefined ? this.resolveColor(fixture.color, club.spotColorList) : null;
+            overrides[id] = {
+                aim: Array.isArray(fixture.aim) && fixture.aim.length === 3 ? BABYLON.Vector3.FromArray(fixture.aim) : null,
+                color: typeof color === 'number' ? club.spotColorList[color] : color
+            };
+        });
+        club.setFixtureOverrides(overrides);
+    }
+
+    /**
+     * Resolve a cue color: palette index, color name or [r, g, b] array
+     * @returns {number|BABYLON.Color3|null} Palette index when the color is in the palette, else a Color3
+     */
+    resolveColor(value, palette) {
+        if (typeof value === 'number') {
+            return ((Math.floor(value) % palette.length) + palette.length) % palette.length;
+        }
+        if (Array.isArray(value) && value.length === 3) {
+            const index = palette.findIndex(c => c.r === value[0] && c.g === value[1] && c.b === value[2]);
+            return index !== -1 ? index : new BABYLON.Color3(value[0], value[1], value[2]);
+        }
+        if (typeof value === 'string') {
+            const rgb = CueEngine.COLOR_NAMES[value.toLowerCase()];
+            if (!rgb) {
+                console.warn(`Unknown cue color "${value}" (expected one of: ${Object.keys(CueEngine.COLOR_NAMES).join(', ')})`);
+                return null;
+            }
+            return this.resolveColor(rgb, palette);
+        }
+        return null;
+    }
+
+    /**
+     * Status summary for UI display
+     */
+    getStatus() {
+        const cue = this.getCurrentCue();
+        return {
+            show: this.show ? this.show.name : null,
+            cue: cue ? cue.name : null,
+            index: this.cueIndex,
+            total: this.show ? this.show.cues.length : 0,
+            running: this.running
+        };
+    }
+}
+
+// Named colors accepted in show files (match the spotlight palette)
+CueEngine.COLOR_NAMES = {
+    red: [1, 0, 0],
+    blue: [0, 0, 1],
+    green: [0, 1, 0],
+    magenta: [1, 0, 1],
+    yellow: [1, 1, 0],
+    cyan: [0, 1, 1],
+    orange: [1, 0.5, 0],
+    purple: [0.5, 0, 1],
+    white: [1, 1, 1]
+};
+
+// Export for use in main club script
+window.CueEngine = CueEngine;
@@ -0,0 +1,408 @@
+// DJ Console - Touchable 3D controls for the DJMixer on the booth CDJs and mixer
+// Buttons, knobs, faders and jog wheels work with mouse clicks on desktop and controller rays in XR
+
+class DJConsole {
+    constructor(club, mixer) {
+        this.club = club;
+        this.scene = club.scene;
+        this.mixer = mixer;
+
+        this.controls = [];          // { type, mesh, deck, ... } - everything the pointer can grab
+        this.drag = null;            // Control currently being dragged
+        this.decks = {};             // Per-deck meshes (jog, buttons, display)
+        this.knobs = [];
+        this.faders = {};
+        this.cueButtons = {};
+        this.crossfader = null;
+        this.lastUpdateTime = null;
+
+        // Layout in booth coordinates (DJ stands at -z looking toward the dance floor)
+        this.layout = {
+            decks: { A: { x: -1.5, jog: 'leftJog' }, B: { x: 1.5, jog: 'rightJog' } },
+            mixerTop: 0.95,
+            cdjTop: 0.94,
+            channelX: { A: -0.35, B: 0.35 },
+            knobRows: [
+                { param: 'trim', z: -22.62, color: new BABYLON.Color3(0.9, 0.9, 0.9) },
+                { param: 'high', z: -22.76, color: new BABYLON.Color3(0, 0.8, 1) },
+                { param: 'mid', z: -22.90, color: new BABYLON.Color3(0, 1, 0.3) },
+                { param: 'low', z: -23.04, color: new BABYLON.Color3(1, 0.3, 0.1) }
+            ],
+            faderZ: { min: -23.29, max: -23.07 },
+            crossfaderX: { min: -0.2, max: 0.2, z: -23.38 }
+        };
+
+        this.build();
+    }
+
+    build() {
+        ['A', 'B'].forEach(id => this.createDeckControls(id));
+        ['A', 'B'].forEach(id => this.createChannelStrip(id));
+        this.createCrossfader();
+        console.log('🎛️ DJ console controls ready (play/load/jog on CDJs, EQ/faders/cue/crossfader on mixer)');
+    }
+
+    createDeckControls(id) {
+        const deckLayout = this.layout.decks[id];
+        const x = deckLayout.x;
+        const y = this.layout.cdjTop;
+
+        // Existing booth jog wheel becomes the touch platter - add a marker so rotation is visible
+        const jog = this.scene.getMeshByName(deckLayout.jog);
+        if (jog) {
+            const marker = BABYLON.MeshBuilder.CreateBox(`deck${id}_jogMarker`, {
+                width: 0.08, height: 0.005, depth: 0.02
+            }, this.scene);
+            marker.parent = jog;
+            marker.position = new BABYLON.Vector3(0.17, 0.022, 0);
+            marker.material = this.createButtonMaterial(`deck${id}_jogMarkerMat`, new BABYLON.Color3(1, 1, 1));
+            marker.isPickable = false;
+            this.controls.push({ type: 'jog', mesh: jog, deck: id, lastAngle: 0, lastMoveTime: 0 });
+        }
+
+        // PLAY/PAUSE (front left, like a CDJ)
+        const play = BABYLON.MeshBuilder.CreateCylinder(`deck${id}_play`, {
+            diameter: 0.1, height: 0.03
+        }, this.scene);
+        play.position = new BABYLON.Vector3(x - 0.42, y + 0.015, -23.35);
+        play.material = this.createButtonMaterial(`deck${id}_playMat`, new BABYLON.Color3(0, 0.4, 0));
+        this.controls.push({ type: 'play', mesh: play, deck: id });
+
+        // LOAD (front right) - opens the file/URL dialog for this deck
+        const load = BABYLON.MeshBuilder.CreateBox(`deck${id}_load`, {
+            width: 0.16, height: 0.03, depth: 0.08
+        }, this.scene);
+        load.position = new BABYLON.Vector3(x + 0.42, y + 0.015, -23.35);
+        load.material = this.createButtonMaterial(`deck${id}_loadMat`, new BABYLON.Color3(0, 0.4, 1));
+        this.controls.push({ type: 'load', mesh: load, deck: id });
+
+        // Deck display (track name and time, tilted toward the DJ like mixerDisplay)
+        const display = BABYLON.MeshBuilder.CreatePlane(`deck${id}_display`, {
+            width: 0.5, height: 0.12
+        }, this.scene);
+        display.position = new BABYLON.Vector3(x, y + 0.07, -22.62);
+        display.rotation.x = Math.PI / 6;
+        display.isPickable = false;
+        const texture = new BABYLON.DynamicTexture(`deck${id}_displayTexture`, { width: 512, height: 128 }, this.scene);
+        const displayMat = new BABYLON.StandardMaterial(`deck${id}_displayMat`, this.scene);
+        displayMat.diffuseTexture = texture;
+        displayMat.emissiveColor = new BABYLON.Color3(1, 1, 1);
+        displayMat.disableLighting = true;
+        display.material = displayMat;
+
+        this.decks[id] = { jog, play, load, texture, lastDrawnSecond: -1 };
+        this.mixer.decks[id].onChange(() => this.refreshDeck(id));
+        this.refreshDeck(id);
+    }
+
+    createChannelStrip(id) {
+        const x = this.layout.channelX[id];
+        const y = this.layout.mixerTop;
+
+        // Trim + 3-band EQ knobs
+        this.layout.knobRows.forEach(row => {
+            const knob = BABYLON.MeshBuilder.CreateCylinder(`mixer${id}_${row.param}`, {
+                diameter: 0.07, height: 0.03
+            }, this.scene);
+            knob.position = new BABYLON.Vector3(x, y + 0.015, row.z);
+            knob.material = this.createButtonMaterial(`mixer${id}_${row.param}Mat`, row.color.scale(0.5));
+
+            const pointer = BABYLON.MeshBuilder.CreateBox(`mixer${id}_${row.param}_pointer`, {
+                width: 0.006, height: 0.004, depth: 0.03
+            }, this.scene);
+            pointer.parent = knob;
+            pointer.position = new BABYLON.Vector3(0, 0.016, 0.018);
+            pointer.material = this.createButtonMaterial(`mixer${id}_${row.param}_pointerMat`, new BABYLON.Color3(1, 1, 1));
+            pointer.isPickable = false;
+
+            const control = { type: 'knob', mesh: knob, deck: id, param: row.param, value: 0.5 };
+            this.setKnobRotation(control);
+            this.controls.push(control);
+            this.knobs.push(control);
+        });
+
+        // Channel fader (up = away from the DJ)
+        const track = BABYLON.MeshBuilder.CreateBox(`mixer${id}_faderTrack`, {
+            width: 0.02, height: 0.004, depth: this.layout.faderZ.max - this.layout.faderZ.min
+        }, this.scene);
+        track.position = new BABYLON.Vector3(x, y + 0.002, (this.layout.faderZ.min + this.layout.faderZ.max) / 2);
+        track.material = this.createButtonMaterial(`mixer${id}_faderTrackMat`, new BABYLON.Color3(0.05, 0.05, 0.05));
+        track.isPickable = false;
+
+        const handle = BABYLON.MeshBuilder.CreateBox(`mixer${id}_fader`, {
+            width: 0.08, height: 0.03, depth: 0.03
+        }, this.scene);
+        handle.position = new BABYLON.Vector3(x, y + 0.015, 0);
+        handle.material = this.createButtonMaterial(`mixer${id}_faderMat`, new BABYLON.Color3(0.7, 0.7, 0.7));
+        const fader = { type: 'fader', mesh: handle, deck: id, value: 0.8 };
+        this.setFaderPosition(fader);
+        this.controls.push(fader);
+        this.faders[id] = fader;
+
+        // Headphone cue button (outside the fader)
+        const cue = BABYLON.MeshBuilder.CreateBox(`mixer${id}_cue`, {
+            width: 0.08, height: 0.03, depth: 0.06
+        }, this.scene);
+        cue.position = new BABYLON.Vector3(x * 1.7, y + 0.015, -23.18);
+        cue.material = this.createButtonMaterial(`mixer${id}_cueMat`, new BABYLON.Color3(0.3, 0.15, 0));
+        this.controls.push({ type: 'cue', mesh: cue, deck: id });
+        this.cueButtons[id] = cue;
+    }
+
+    createCrossfader() {
+        const range = this.layout.crossfaderX;
+        const y = this.layout.mixerTop;
+
+        const track = BABYLON.MeshBuilder.CreateBox('mixer_crossfaderTrack', {
+            width: range.max - range.min, height: 0.004, depth: 0.02
+        }, this.scene);
+        track.position = new BABYLON.Vector3((range.min + range.max) / 2, y + 0.002, range.z);
+        track.material = this.createButtonMaterial('mixer_crossfaderTrackMat', new BABYLON.Color3(0.05, 0.05, 0.05));
+        track.isPickable = false;
+
+        const handle = BABYLON.MeshBuilder.CreateBox('mixer_crossfader', {
+            width: 0.03, height: 0.03, depth: 0.07
+        }, this.scene);
+        handle.position = new BABYLON.Vector3(0, y + 0.015, range.z);
+        handle.material = this.createButtonMaterial('mixer_crossfaderMat', new BABYLON.Color3(0.9, 0.9, 0.9));
+        this.crossfader = { type: 'crossfader', mesh: handle, value: this.mixer.crossfader };
+        this.setCrossfaderPosition(this.crossfader);
+        this.controls.push(this.crossfader);
+    }
+
+    createButtonMaterial(name, color) {
+        const material = new BABYLON.StandardMaterial(name, this.scene);
+        material.emissiveColor = color;
+        material.disableLighting = true;
+        return material;
+    }
+
+    /**
+     * Pointer pressed - returns true if a console control was hit (caller skips other handlers)
+     */
+    handlePointerDown(pickResult) {
+        const control = this.controls.find(c => c.mesh === pickResult.pickedMesh);
+        if (!control) return false;
+
+        // First touch of the console is a user gesture - safe to start Web Audio
+        this.mixer.init();
+
+        if (control.type === 'play') {
+            const deck = this.mixer.decks[control.deck];
+            if (deck.isLoaded) {
+                deck.togglePlay();
+            } else {
+                this.openLoadDialog(control.deck);
+            }
+        } else if (control.type === 'load') {
+            this.openLoadDialog(control.deck);
+        } else if (control.type === 'cue') {
+            const enabled = this.mixer.toggleCue(control.deck);
+            control.mesh.material.emissiveColor = enabled ?
+                new BABYLON.Color3(1, 0.5, 0) : new BABYLON.Color3(0.3, 0.15, 0);
+            console.log(`🎧 Cue ${control.deck}: ${enabled ? 'ON' : 'OFF'}`);
+        } else {
+            // Knobs, faders and jogs are dragged
+            const point = this.getPointerPoint(pickResult, control.mesh.position.y);
+            if (!point) return true;
+            this.drag = { control, startPoint: point, startValue: control.value };
+            if (control.type === 'jog') {
+                control.lastAngle = this.getJogAngle(control, point);
+                control.lastMoveTime = performance.now() / 1000;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Pointer moved - returns true while a console control is being dragged
+     */
+    handlePointerMove(pickResult) {
+        if (!this.drag) return false;
+        const { control, startPoint, startValue } = this.drag;
+        const point = this.getPointerPoint(pickResult, control.mesh.position.y);
+        if (!point) return true;
+
+        if (control.type === 'knob') {
+            // Drag sideways: a quarter meter sweeps the full range
+            control.value = Math.max(0, Math.min(1, startValue + (point.x - startPoint.x) * 4));
+            this.setKnobRotation(control);
+            if (control.param === 'trim') {
+                this.mixer.setTrim(control.deck, control.value);
+            } else {
+                this.mixer.setEQ(control.deck, control.param, control.value);
+            }
+        } else if (control.type === 'fader') {
+            const range = this.layout.faderZ;
+            control.value = Math.max(0, Math.min(1, (point.z - range.min) / (range.max - range.min)));
+            this.setFaderPosition(control);
+            this.mixer.setFader(control.deck, control.value);
+        } else if (control.type === 'crossfader') {
+            const range = this.layout.crossfaderX;
+            control.value = Math.max(0, Math.min(1, (point.x - range.min) / (range.max - range.min)));
+            this.setCrossfaderPosition(control);
+            this.mixer.setCrossfader(control.value);
+        } else if (control.type === 'jog') {
+            this.turnJog(control, point);
+        }
+        return true;
+    }
+
+    handlePointerUp() {
+        if (!this.drag) return;
+        const control = this.drag.control;
+        if (control.type === 'jog') {
+            this.mixer.decks[control.deck].releaseNudge();
+        } else if (control.type === 'crossfader') {
+            console.log(`🎚️ Crossfader: ${control.value.toFixed(2)}`);
+        } else {
+            console.log(`🎚️ Deck ${control.deck} ${control.param || control.type}: ${control.value.toFixed(2)}`);
+        }
+        this.drag = null;
+    }
+
+    /**
+     * Jog wheel: pitch-bend while playing, scrub while paused (one turn ≈ 1.8s like a 33rpm platter)
+     */
+    turnJog(control, point) {
+        const now = performance.now() / 1000;
+        const angle = this.getJogAngle(control, point);
+        let delta = angle - control.lastAngle;
+        if (delta > Math.PI) delta -= Math.PI * 2;
+        if (delta < -Math.PI) delta += Math.PI * 2;
+        const spin = -delta; // Clockwise seen from above = forward
+        const dt = Math.max(0.001, now - control.lastMoveTime);
+
+        control.lastAngle = angle;
+        control.lastMoveTime = now;
+        control.mesh.rotation.y += spin;
+
+        const deck = this.mixer.decks[control.deck];
+        if (deck.isPlaying) {
+            deck.nudge((spin / dt) / (Math.PI * 2));
+        } else {
+            deck.scrub(spin / (Math.PI * 2) * 1.8);
+            this.refreshDeck(control.deck);
+        }
+    }
+
+    getJogAngle(control, point) {
+        const center = control.mesh.position; // Jogs sit directly on the booth, so this is booth coordinates
+        return Math.atan2(point.z - center.z, point.x - center.x);
+    }
+
+    /**
+     * Point on the control's horizontal plane under the pointer - uses the pick ray so drags
+     * keep working when the pointer (or XR controller ray) slides off the mesh
+     * Returned in booth coordinates (the layout above), wherever the venue puts the booth
+     */
+    getPointerPoint(pickResult, planeY) {
+        let ray = pickResult && pickResult.ray;
+        if (!ray && this.scene.activeCamera) {
+            ray = this.scene.createPickingRay(this.scene.pointerX, this.scene.pointerY,
+                BABYLON.Matrix.Identity(), this.scene.activeCamera);
+        }
+        if (ray && Math.abs(ray.direction.y) > 0.0001) {
+            const distance = (planeY - ray.origin.y) / ray.direction.y;
+            if (distance > 0) {
+                return this.club.venue.fromWorld('booth', ray.origin.add(ray.direction.scale(distance)));
+            }
+        }
+        return pickResult && pickResult.hit ? this.club.venue.fromWorld('booth', pickResult.pickedPoint) : null;
+    }
+
+    setKnobRotation(control) {
+        // 7 o'clock to 5 o'clock, center detent at 12
+        control.mesh.rotation.y = (control.value - 0.5) * Math.PI * 1.5;
+    }
+
+    setFaderPosition(control) {
+        const range = this.layout.faderZ;
+        control.mesh.position.z = range.min + control.value * (range.max - range.min);
+    }
+
+    setCrossfaderPosition(control) {
+        const range = this.layout.crossfaderX;
+        control.mesh.position.x = range.min + control.value * (range.max - range.min);
+    }
+
+    openLoadDialog(id) {
+        this.club.showAudioStreamInputUI((source) => this.loadDeck(id, source), `💿 Load Deck ${id}`);
+    }
+
+    /**
+     * Load a stream URL or file onto a deck (cued, not playing)
+     * @param {string} id - 'A' or 'B'
+     * @param {string|File} source
+     */
+    loadDeck(id, source) {
+        this.mixer.init();
+        try {
+            this.mixer.decks[id].load(source);
+        } catch (error) {
+            console.error(`❌ Deck ${id} load failed:`, error);
+            this.club.showErrorMessage(`Could not load deck ${id}: ${error.message}`);
+        }
+    }
+
+    refreshDeck(id) {
+        const deckMeshes = this.decks[id];
+        if (!deckMeshes) return;
+        const state = this.mixer.decks[id].getState();
+
+        deckMeshes.play.material.emissiveColor = state.playing ?
+            new BABYLON.Color3(0, 1, 0.2) : new BABYLON.Color3(0, 0.4, 0);
+
+        const formatTime = (seconds) => {
+            const s = Math.floor(seconds);
+            return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+        };
+        const title = state.loaded ? state.label : 'NO TRACK - press LOAD';
+        const status = state.loaded
+            ? `${state.playing ? '▶' : '❚❚'} ${formatTime(state.position)}${state.duration ? ' / ' + formatTime(state.duration) : ''}`
+            : '';
+
+        const texture = deckMeshes.texture;
+        const context = texture.getContext();
+        context.fillStyle = '#001a10';
+        context.fillRect(0, 0, 512, 128);
+        context.fillStyle = '#00ff88';
+        context.font = 'bold 36px Arial';
+        context.fillText(`DECK ${id}  ${status}`, 16, 50);
+        context.font = '30px Arial';
+        context.fillText(title.length > 30 ? title.slice(0, 29) + '…' : title, 16, 100);
+        texture.update();
+        deckMeshes.lastDrawnSecond = Math.floor(state.position);
+    }
+
+    /**
+     * Per-frame: spin platters of playing decks, release stalled jog nudges, tick deck clocks
+     */
+    update(time) {
+        const dt = this.lastUpdateTime === null ? 0 : Math.min(0.1, time - this.lastUpdateTime);
+        this.lastUpdateTime = time;
+
+        ['A', 'B'].forEach(id => {
+            const deck = this.mixer.decks[id];
+            const deckMeshes = this.decks[id];
+            if (!deckMeshes) return;
+            const jogControl = this.controls.find(c => c.type === 'jog' && c.deck === id);
+
+            if (deck.isPlaying) {
+                const held = this.drag && this.drag.control === jogControl;
+                if (jogControl && !held) {
+                    jogControl.mesh.rotation.y += dt * Math.PI * 2 * 0.55; // 33⅓ rpm
+                }
+                if (held && time - jogControl.lastMoveTime > 0.1) {
+                    deck.releaseNudge(); // Hand resting on the platter - back to normal speed
+                }
+                if (Math.floor(deck.getState().position) !== deckMeshes.lastDrawnSecond) {
+                    this.refreshDeck(id);
+                }
+            }
+        });
+    }
+}
+
+// Export for use in main club script
+window.DJConsole = DJConsole;
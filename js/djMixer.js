@@ -0,0 +1,313 @@
+// DJ Mixer - Two-deck Web Audio mixer with trim, 3-band EQ, channel faders, crossfader and headphone cue
+// Feeds the AudioEngine mix bus so lights and beat tracking follow whatever the DJ is playing
+
+class DJDeck {
+    constructor(mixer, id) {
+        this.mixer = mixer;
+        this.id = id;               // 'A' or 'B'
+        this.element = null;
+        this.node = null;
+        this.objectUrl = null;
+        this.label = null;
+        this.baseRate = 1.0;        // Playback rate without jog nudges
+        this.listeners = [];
+    }
+
+    /**
+     * Load a stream URL or local audio file (stops whatever was on the deck)
+     * @param {string|File|Blob} source
+     */
+    load(source) {
+        this.unload();
+        const context = this.mixer.context;
+
+        this.element = document.createElement('audio');
+        this.element.crossOrigin = 'anonymous';
+        this.element.preload = 'auto';
+        this.element.loop = false;
+
+        if (typeof source === 'string') {
+            this.element.src = source;
+            this.label = source.split('/').pop() || source;
+        } else {
+            this.objectUrl = URL.createObjectURL(source);
+            this.element.src = this.objectUrl;
+            this.label = source.name || 'Local file';
+        }
+
+        this.node = context.createMediaElementSource(this.element);
+        this.node.connect(this.mixer.channels[this.id].input);
+
+        ['play', 'pause', 'ended', 'loadedmetadata'].forEach(type => {
+            this.element.addEventListener(type, () => this.notify());
+        });
+        this.element.addEventListener('error', () => {
+            console.error(`❌ Deck ${this.id}: could not load ${this.label}`);
+            this.notify();
+        });
+
+        console.log(`💿 Deck ${this.id} loaded: ${this.label}`);
+        this.notify();
+    }
+
+    unload() {
+        if (!this.element) return;
+        this.element.pause();
+        this.element.removeAttribute('src');
+        this.element.load();
+        this.node.disconnect();
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.element = null;
+        this.node = null;
+        this.objectUrl = null;
+        this.label = null;
+    }
+
+    get isLoaded() {
+        return !!this.element;
+    }
+
+    get isPlaying() {
+        return !!this.element && !this.element.paused && !this.element.ended;
+    }
+
+    togglePlay() {
+        if (!this.element) return Promise.resolve();
+        if (this.isPlaying) {
+            this.element.pause();
+            return Promise.resolve();
+        }
+        return this.element.play().catch(error => {
+            console.error(`❌ Deck ${this.id} playback failed:`, error);
+        });
+    }
+
+    /**
+     * Temporary pitch bend while the jog wheel is turned during playback
+     * @param {number} amount - -1 to 1 (±8% speed)
+     */
+    nudge(amount) {
+        if (!this.element) return;
+        this.element.playbackRate = this.baseRate * (1 + Math.max(-1, Math.min(1, amount)) * 0.08);
+    }
+
+    releaseNudge() {
+        if (this.element) this.element.playbackRate = this.baseRate;
+    }
+
+    /**
+     * Move the playhead (jog wheel while paused)
+     * @param {number} seconds - Offset, negative rewinds
+     */
+    scrub(seconds) {
+        if (!this.element || !isFinite(this.element.duration)) return;
+        this.element.currentTime = Math.max(0, Math.min(this.element.duration, this.element.currentTime + seconds));
+    }
+
+    getState() {
+        return {
+            id: this.id,
+            label: this.label,
+            loaded: this.isLoaded,
+            playing: this.isPlaying,
+            position: this.element ? this.element.currentTime : 0,
+            duration: this.element && isFinite(this.element.duration) ? this.element.duration : 0
+        };
+    }
+
+    /**
+     * Subscribe to load/play/pause changes
+     * @param {Function} listener - Called with deck state
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => listener(state));
+    }
+}
+
+class DJMixer {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.context = null;
+        this.channels = {};          // 'A' / 'B' → channel strip nodes and values
+        this.decks = {
+            A: new DJDeck(this, 'A'),
+            B: new DJDeck(this, 'B')
+        };
+        this.crossfader = 0.5;
+
+        // Headphone cue: separate output device via setSinkId where supported
+        this.cueBus = null;
+        this.cueElement = null;
+        this.cueDeviceId = null;
+
+        // EQ band setup (shelves at the edges, bell in the middle - typical club mixer)
+        this.eqBands = {
+            low: { type: 'lowshelf', frequency: 250 },
+            mid: { type: 'peaking', frequency: 1000, Q: 0.7 },
+            high: { type: 'highshelf', frequency: 4000 }
+        };
+    }
+
+    /**
+     * Build the mixer graph - call from a user gesture (first touch of a mixer control)
+     */
+    init() {
+        if (this.context) return this.context;
+        this.context = this.audioEngine.unlock();
+        const context = this.context;
+
+        this.master = context.createGain();
+        this.audioEngine.connectInput(this.master);
+
+        this.cueBus = context.createGain();
+
+        // Channel strip: input → trim → low → mid → high ─┬→ fader → crossfader → master
+        //                                                  └→ cue (pre-fader) → cue bus
+        ['A', 'B'].forEach(id => {
+            const input = context.createGain();
+            const trim = context.createGain();
+            const eq = {};
+            let previous = trim;
+            input.connect(trim);
+            Object.entries(this.eqBands).forEach(([band, config]) => {
+                const filter = context.createBiquadFilter();
+                filter.type = config.type;
+                filter.frequency.value = config.frequency;
+                if (config.Q) filter.Q.value = config.Q;
+                previous.connect(filter);
+                previous = filter;
+                eq[band] = filter;
+            });
+
+            const fader = context.createGain();
+            const crossfade = context.createGain();
+            const cue = context.createGain();
+            cue.gain.value = 0;
+
+            previous.connect(fader);
+            fader.connect(crossfade);
+            crossfade.connect(this.master);
+            previous.connect(cue);
+            cue.connect(this.cueBus);
+
+            this.channels[id] = {
+                input, trim, eq, fader, crossfade, cue,
+                values: { trim: 0.5, low: 0.5, mid: 0.5, high: 0.5, fader: 0.8, cue: false }
+            };
+            this.setFader(id, 0.8);
+        });
+
+        this.setCrossfader(this.crossfader);
+        console.log('🎛️ DJ mixer initialized (2 decks, 3-band EQ, crossfader, cue)');
+        return context;
+    }
+
+    /**
+     * Channel trim: 0 = -12dB, 0.5 = unity, 1 = +12dB
+     */
+    setTrim(id, value) {
+        const channel = this.channels[id];
+        channel.values.trim = this.clamp(value);
+        this.setParam(channel.trim.gain, Math.pow(10, (channel.values.trim - 0.5) * 24 / 20));
+    }
+
+    /**
+     * EQ band: 0 = kill (-26dB), 0.5 = flat, 1 = +6dB
+     * @param {string} band - 'low', 'mid' or 'high'
+     */
+    setEQ(id, band, value) {
+        const channel = this.channels[id];
+        const v = this.clamp(value);
+        channel.values[band] = v;
+        const dB = v < 0.5 ? -26 * (1 - v * 2) : 6 * (v * 2 - 1);
+        this.setParam(channel.eq[band].gain, dB);
+    }
+
+    /**
+     * Channel fader with a squared (roughly logarithmic) taper
+     */
+    setFader(id, value) {
+        const channel = this.channels[id];
+        channel.values.fader = this.clamp(value);
+        this.setParam(channel.fader.gain, channel.values.fader * channel.values.fader);
+    }
+
+    /**
+     * Crossfader: 0 = deck A only, 1 = deck B only (equal-power curve)
+     */
+    setCrossfader(value) {
+        this.crossfader = this.clamp(value);
+        if (!this.context) return;
+        this.setParam(this.channels.A.crossfade.gain, Math.cos(this.crossfader * Math.PI / 2));
+        this.setParam(this.channels.B.crossfade.gain, Math.sin(this.crossfader * Math.PI / 2));
+    }
+
+    /**
+     * Send a channel (pre-fader) to the headphone cue bus
+     */
+    setCue(id, enabled) {
+        const channel = this.channels[id];
+        channel.values.cue = !!enabled;
+        this.setParam(channel.cue.gain, enabled ? 1 : 0);
+        if (enabled && !this.cueDeviceId) {
+            console.warn('⚠️ Headphone cue has no output device - pick one under 🎧 Cue Output in settings');
+        }
+    }
+
+    toggleCue(id) {
+        this.setCue(id, !this.channels[id].values.cue);
+        return this.channels[id].values.cue;
+    }
+
+    /**
+     * Route the cue bus to a separate audio output (headphones)
+     * @param {string|null} deviceId - From navigator.mediaDevices.enumerateDevices(), or null to disable
+     */
+    async setCueOutput(deviceId) {
+        this.init();
+        if (!deviceId) {
+            if (this.cueElement) this.cueElement.pause();
+            this.cueDeviceId = null;
+            return;
+        }
+
+        if (!this.cueElement) {
+            const destination = this.context.createMediaStreamDestination();
+            this.cueBus.connect(destination);
+            this.cueElement = new Audio();
+            this.cueElement.srcObject = destination.stream;
+        }
+        if (typeof this.cueElement.setSinkId !== 'function') {
+            throw new Error('This browser cannot route audio to a second output device');
+        }
+
+        await this.cueElement.setSinkId(deviceId);
+        await this.cueElement.play();
+        this.cueDeviceId = deviceId;
+        console.log('🎧 Headphone cue routed to selected output');
+    }
+
+    getChannelValues(id) {
+        return this.channels[id] ? this.channels[id].values : null;
+    }
+
+    setParam(param, value) {
+        // Short ramp avoids zipper noise while dragging controls
+        param.setTargetAtTime(value, this.context.currentTime, 0.01);
+    }
+
+    clamp(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+}
+
+// Export for use in main club script
+window.DJDeck = DJDeck;
+window.DJMixer = DJMixer;
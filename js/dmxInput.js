@@ -0,0 +1,184 @@
+// DMX Input - Lets an external lighting desk (grandMA, QLC+, Onyx...) run the virtual fixtures as a previsualizer
+// Art-Net / sACN is received by server/dmxBridge.js (DMX_MODE=input) and relayed here over a WebSocket
+
+class DMXInput {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.patch = options.patch || new DMXPatch();
+        this.timeout = options.timeout || 2.5;           // Seconds without DMX before the club takes back control (sACN data loss time)
+        this.connection = new ReconnectingSocket({
+            name: 'DMX bridge',
+            binaryType: 'arraybuffer',
+            reconnectDelay: options.reconnectDelay,
+            maxReconnectDelay: options.maxReconnectDelay,
+            onConnecting: () => this.setStatus('connecting'),
+            onOpen: () => {
+                this.setStatus('online');
+                console.log(`🎛️ DMX input connected - listening for universe ${this.patch.getUniverses().join(', ')}`);
+            },
+            onMessage: (event) => this.handleMessage(event),
+            onClose: () => {
+                this.bridge = null;
+                this.setStatus('offline');
+            }
+        });
+
+        this.status = 'offline';     // 'offline' | 'connecting' | 'online'
+        this.bridge = null;          // { protocol, host } reported by the bridge
+
+        this.universes = new Map();  // universe → Uint8Array(512), latest levels from the desk
+        this.lastReceived = -Infinity;
+        this.active = false;         // True while DMX is arriving - the desk owns the rig
+        this.controls = {};          // group → [{ level, color, direction, rotation }], rebuilt each frame
+        this.listeners = [];
+    }
+
+    /**
+     * Connect to a DMX bridge running in input mode
+     * @param {string} url - e.g. ws://localhost:8082
+     */
+    connect(url) {
+        this.resolvePatch();
+        this.connection.connect(url);
+    }
+
+    handleMessage(event) {
+        if (typeof event.data === 'string') {
+            try {
+                const message = JSON.parse(event.data);
+                if (message.type === 'status') {
+                    this.bridge = { protocol: message.protocol, host: message.host };
+                    this.notify();
+                }
+            } catch (error) {
+                // Ignore malformed messages
+            }
+            return;
+        }
+        this.receive(new Uint8Array(event.data));
+    }
+
+    disconnect() {
+        this.connection.disconnect();
+    }
+
+    get isConnected() {
+        return this.status === 'online';
+    }
+
+    /**
+     * Swap the patch table to match how the desk has the rig patched
+     * @param {Array} patch - See DMXPatch.DEFAULT_PATCH
+     */
+    setPatch(patch) {
+        this.patch.setPatch(patch);
+        this.resolvePatch();
+        this.notify();
+    }
+
+    resolvePatch() {
+        this.patch.resolve(this.club);
+        this.universes = new Map();
+        this.patch.getUniverses().forEach(universe => this.universes.set(universe, new Uint8Array(512)));
+    }
+
+    /**
+     * Binary frame from the bridge: 2-byte universe (big-endian) + channel values
+     */
+    receive(frame) {
+        if (frame.length < 3) return;
+        const data = this.universes.get(frame[0] << 8 | frame[1]);
+        if (!data) return; // Not a universe we have fixtures on
+        data.set(frame.subarray(2, 2 + 512));
+        this.lastReceived = this.club.now();
+    }
+
+    /**
+     * Per-frame: take or release control, and turn the latest levels into per-fixture controls
+     * @param {number} time - Current time in seconds (club.now())
+     */
+    update(time) {
+        const active = this.isConnected && time - this.lastReceived < this.timeout;
+        if (active !== this.active) {
+            this.active = active;
+            console.log(active ? '🎛️ DMX desk has control of the rig' : '🤖 DMX stopped - automatic show resumes');
+            this.notify();
+        }
+        if (!active) return;
+
+        this.patch.fixtures.forEach(fixture => {
+            if (!this.controls[fixture.group]) this.controls[fixture.group] = [];
+            const controls = this.controls[fixture.group];
+            if (!controls[fixture.index]) {
+                controls[fixture.index] = { level: 0, color: new BABYLON.Color3(), direction: new BABYLON.Vector3(0, -1, 0), rotation: 0 };
+            }
+            this.decode(fixture, this.patch.read(this.universes.get(fixture.universe), fixture), controls[fixture.index]);
+        });
+    }
+
+    /**
+     * Fixture state (0-1 per attribute) → what the club renders. Missing attributes get sensible defaults,
+     * so a plain RGB profile still lights a spotlight (pointing straight down)
+     */
+    decode(fixture, state, control) {
+        const profile = DMXPatch.PROFILES[fixture.profile];
+        const dimmer = state.dimmer !== undefined ? state.dimmer : 1;
+        const shutterOpen = state.shutter === undefined || state.shutter > 0;
+        control.level = shutterOpen ? dimmer : 0;
+
+        if (state.red !== undefined) {
+            control.color.set(state.red, state.green, state.blue);
+        } else {
+            control.color.set(1, 1, 1);
+        }
+
+        // Inverse of DMXOutput: home (50% / 50%) points straight down, pan 0° faces +z
+        const pan = ((state.pan !== undefined ? state.pan : 0.5) - 0.5) * (profile.panRange || 540) * Math.PI / 180;
+        const tilt = ((state.tilt !== undefined ? state.tilt : 0.5) - 0.5) * (profile.tiltRange || 270) * Math.PI / 180;
+        control.direction.set(Math.sin(tilt) * Math.sin(pan), -Math.cos(tilt), Math.sin(tilt) * Math.cos(pan));
+
+        control.rotation = (state.rotation || 0) * Math.PI * 2;
+    }
+
+    /**
+     * What the desk wants a fixture to do this frame
+     * @param {string} group - 'spotlights' | 'lasers' | 'strobes' | 'ledPanels'
+     * @param {number} index - Fixture index in the club's array
+     * @returns {Object|null} { level: 0-1, color: Color3, direction: Vector3, rotation: radians }, or null if not patched
+     */
+    getControl(group, index) {
+        if (!this.active || !this.controls[group]) return null;
+        return this.controls[group][index] || null;
+    }
+
+    /**
+     * Subscribe to connection and control changes
+     * @param {Function} listener - Called with { status, active, bridge, fixtures }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notify();
+    }
+
+    notify() {
+        const status = {
+            status: this.status,
+            active: this.active,
+            bridge: this.bridge,
+            fixtures: this.patch.fixtures.slice()
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+// Export for use in main club script
+window.DMXInput = DMXInput;
@@ -0,0 +1,237 @@
+// DMX Output - Drives a real rig from the virtual one: fixture state → DMX universes → local bridge → Art-Net / sACN
+// Browsers can't send UDP, so universes go over a WebSocket to server/dmxBridge.js (npm run dmx-bridge)
+
+class DMXOutput {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.patch = options.patch || new DMXPatch();
+        this.rate = options.rate || 30;                  // Frames per second while the rig is changing
+        this.keepAlive = options.keepAlive || 1.0;       // Seconds - resend unchanged universes so nodes don't time out
+        this.connection = new ReconnectingSocket({
+            name: 'DMX bridge',
+            binaryType: 'arraybuffer',
+            reconnectDelay: options.reconnectDelay,
+            maxReconnectDelay: options.maxReconnectDelay,
+            onConnecting: () => this.setStatus('connecting'),
+            onOpen: () => {
+                this.universes.forEach(universe => { universe.lastSent = -Infinity; }); // Full refresh
+                this.setStatus('online');
+                console.log(`🎚️ DMX output connected (${this.patch.fixtures.length} fixtures on universe ${this.patch.getUniverses().join(', ')})`);
+            },
+            onMessage: (event) => this.handleMessage(event),
+            onClose: () => {
+                this.bridge = null;
+                this.setStatus('offline');
+            }
+        });
+
+        this.status = 'offline';     // 'offline' | 'connecting' | 'online'
+        this.bridge = null;          // { protocol, host } reported by the bridge
+
+        this.universes = new Map();  // universe → { data: Uint8Array(512), sent: Uint8Array(512), lastSent }
+        this.lastFrame = -Infinity;
+        this.state = {};             // Scratch fixture state, reused for every fixture
+        this.direction = new BABYLON.Vector3();
+        this.panelColors = null;     // LED wall media sampled per panel, refreshed each frame
+        this.statusListeners = [];
+    }
+
+    /**
+     * Connect to the DMX bridge and start sending
+     * @param {string} url - e.g. ws://localhost:8081
+     */
+    connect(url) {
+        this.resolvePatch();
+        this.connection.connect(url);
+    }
+
+    handleMessage(event) {
+        if (typeof event.data !== 'string') return;
+        try {
+            const message = JSON.parse(event.data);
+            if (message.type === 'status') {
+                this.bridge = { protocol: message.protocol, host: message.host };
+                this.setStatus(this.status);
+            }
+        } catch (error) {
+            // Ignore malformed messages
+        }
+    }
+
+    disconnect() {
+        this.connection.disconnect();
+    }
+
+    get isConnected() {
+        return this.status === 'online';
+    }
+
+    /**
+     * Swap the patch table (e.g. to match the physical rig's addressing)
+     * @param {Array} patch - See DMXPatch.DEFAULT_PATCH
+     */
+    setPatch(patch) {
+        this.patch.setPatch(patch);
+        this.resolvePatch();
+    }
+
+    resolvePatch() {
+        this.patch.resolve(this.club);
+        this.universes = new Map();
+        this.patch.getUniverses().forEach(universe => {
+            this.universes.set(universe, { data: new Uint8Array(512), sent: new Uint8Array(512), lastSent: -Infinity });
+        });
+    }
+
+    /**
+     * Per-frame: capture the rig at the output rate and send universes that changed (or are due a keep-alive)
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (!this.isConnected || time - this.lastFrame < 1 / this.rate) return;
+        this.lastFrame = time;
+
+        this.capture();
+        this.universes.forEach((universe, number) => {
+            const changed = universe.data.some((value, i) => value !== universe.sent[i]);
+            if (changed || time - universe.lastSent >= this.keepAlive) {
+                this.sendUniverse(number, universe.data);
+                universe.sent.set(universe.data);
+                universe.lastSent = time;
+            }
+        });
+    }
+
+    /**
+     * Fill the universe buffers from the current fixture state
+     */
+    capture() {
+        this.panelColors = this.club.ledWallMedia && this.club.ledWallMedia.active ? this.sampleLEDMedia() : null;
+        this.patch.fixtures.forEach(fixture => {
+            const state = this.captureFixture(fixture);
+            if (state) this.patch.write(this.universes.get(fixture.universe).data, fixture, state);
+        });
+    }
+
+    /**
+     * Normalized state (0-1 per attribute) of one fixture, read from what the scene is showing this frame
+     */
+    captureFixture(fixture) {
+        const club = this.club;
+        const item = (club[fixture.group] || [])[fixture.index];
+        if (!item) return null;
+
+        const state = this.state;
+        state.pan = 0.5;
+        state.tilt = 0.5;
+        state.dimmer = 0;
+        state.shutter = 0;
+        state.rotation = 0;
+        state.red = state.green = state.blue = 0;
+
+        if (fixture.group === 'spotlights') {
+            const profile = DMXPatch.PROFILES[fixture.profile];
+            const direction = item.light.direction.normalizeToRef(this.direction);
+            // Hanging head: home (50% / 50%) points straight down, pan 0° faces +z
+            const pan = Math.atan2(direction.x, direction.z) * 180 / Math.PI;
+            const tilt = Math.acos(Math.max(-1, Math.min(1, -direction.y))) * 180 / Math.PI;
+            state.pan = 0.5 + pan / (profile.panRange || 540);
+            state.tilt = 0.5 + tilt / (profile.tiltRange || 270);
+            state.dimmer = item.light.intensity / 21; // 18 ± 3 at full
+            state.shutter = item.light.intensity > 0 ? 1 : 0;
+            this.setColor(state, RigLayout.fitColor(club.getFixtureColor(item.rigId, club.currentSpotColor), item.colors));
+        } else if (fixture.group === 'lasers') {
+            const light = item.lights[0];
+            state.dimmer = club.lasersActive && light && light.intensity > 0 ? 1 : 0;
+            if (light) this.setColor(state, light.diffuse);
+            const turns = item.rotation / (Math.PI * 2);
+            state.rotation = turns - Math.floor(turns);
+        } else if (fixture.group === 'strobes') {
+            state.dimmer = item.light.intensity / 20000; // Peak flash is intensity 100 × 200
+            state.red = state.green = state.blue = state.dimmer;
+        } else if (fixture.group === 'ledPanels') {
+            if (this.panelColors) {
+                const color = this.panelColors[fixture.index];
+                state.red = color[0];
+                state.green = color[1];
+                state.blue = color[2];
+            } else {
+                this.setColor(state, item.material.emissiveColor);
+            }
+            state.dimmer = Math.max(state.red, state.green, state.blue);
+        }
+        return state;
+    }
+
+    setColor(state, color) {
+        // Emissive colors run above 1 for bloom - normalize so hue survives on the real fixture
+        const peak = Math.max(1, color.r, color.g, color.b);
+        state.red = color.r / peak;
+        state.green = color.g / peak;
+        state.blue = color.b / peak;
+    }
+
+    /**
+     * Average the pixel-mapped wall content over each panel (what the panel shows when media is playing)
+     * @returns {Array} Per ledPanels index: [r, g, b] 0-1
+     */
+    sampleLEDMedia() {
+        const media = this.club.ledWallMedia;
+        const canvas = media.pixelCanvas;
+        const pixels = media.pixelContext.getImageData(0, 0, canvas.width, canvas.height).data;
+        const cellWidth = Math.floor(canvas.width / media.cols);
+        const cellHeight = Math.floor(canvas.height / media.rows);
+        const count = cellWidth * cellHeight * 255;
+
+        return this.club.ledPanels.map(panel => {
+            // Same mirroring as the wall: panel col 0 is the right-hand side seen from the floor, row 0 the bottom
+            const x0 = (media.cols - 1 - panel.col) * cellWidth;
+            const y0 = (media.rows - 1 - panel.row) * cellHeight;
+            let r = 0, g = 0, b = 0;
+            for (let y = y0; y < y0 + cellHeight; y++) {
+                for (let x = x0; x < x0 + cellWidth; x++) {
+                    const i = (y * canvas.width + x) * 4;
+                    r += pixels[i];
+                    g += pixels[i + 1];
+                    b += pixels[i + 2];
+                }
+            }
+            // Panels the pattern blacks out stay dark, as on the virtual wall
+            const masked = media.maskEnabled && !media.overlay && panel.material.emissiveColor.r <= 0.05;
+            return masked ? [0, 0, 0] : [r / count, g / count, b / count];
+        });
+    }
+
+    /**
+     * Binary frame for the bridge: 2-byte universe (big-endian) + 512 channels
+     */
+    sendUniverse(universe, data) {
+        if (!this.connection.isOpen) return false;
+        const frame = new Uint8Array(2 + data.length);
+        frame[0] = (universe >> 8) & 0xff;
+        frame[1] = universe & 0xff;
+        frame.set(data, 2);
+        return this.connection.send(frame.buffer);
+    }
+
+    /**
+     * Subscribe to connection status changes
+     * @param {Function} listener - Called with ('offline' | 'connecting' | 'online', bridge: { protocol, host } | null)
+     * @returns {Function} Unsubscribe function
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+        return () => {
+            const index = this.statusListeners.indexOf(listener);
+            if (index !== -1) this.statusListeners.splice(index, 1);
+        };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.statusListeners.forEach(listener => listener(status, this.bridge));
+    }
+}
+
+// Export for use in main club script
+window.DMXOutput = DMXOutput;
@@ -0,0 +1,180 @@
+// DMX Patch - Fixture profiles and the patch table that places each club fixture in a DMX universe
+// Shared by DMX output (club → real rig) and DMX input (desk → club); fixture state is 0-1 per attribute (pan, tilt, dimmer, red...)
+
+class DMXPatch {
+    /**
+     * @param {Array} patch - [{ group, profile, universe, address, count }] (see DMXPatch.DEFAULT_PATCH)
+     */
+    constructor(patch = DMXPatch.DEFAULT_PATCH) {
+        this.entries = [];
+        this.fixtures = [];  // Resolved by resolve(): { group, index, profile, universe, address }
+        this.setPatch(patch);
+    }
+
+    /**
+     * Replace the patch table
+     * Each entry patches a whole fixture group ('spotlights', 'lasers', 'strobes', 'ledPanels') back to back,
+     * starting at `address` (1-512) in `universe` (1-based); `count` limits how many fixtures are patched
+     */
+    setPatch(patch) {
+        this.entries = patch.map(entry => {
+            const profile = DMXPatch.PROFILES[entry.profile];
+            if (!profile) {
+                throw new Error(`Unknown DMX profile "${entry.profile}"`);
+            }
+            if (!(entry.address >= 1 && entry.address <= 512)) {
+                throw new Error(`DMX address for ${entry.group} must be 1-512 (got ${entry.address})`);
+            }
+            return {
+                group: entry.group,
+                profile: entry.profile,
+                universe: entry.universe || 1,
+                address: entry.address,
+                count: entry.count
+            };
+        });
+        this.fixtures = [];
+    }
+
+    /**
+     * Expand the patch into one entry per fixture that exists in the club
+     * Fixtures that would run past channel 512 or overlap an earlier fixture are left unpatched
+     */
+    resolve(club) {
+        const used = new Map(); // universe → Uint8Array of taken channels
+        this.fixtures = [];
+
+        this.entries.forEach(entry => {
+            const group = club[entry.group] || [];
+            const footprint = DMXPatch.PROFILES[entry.profile].channels.length;
+            const count = entry.count !== undefined ? Math.min(entry.count, group.length) : group.length;
+            if (!used.has(entry.universe)) used.set(entry.universe, new Uint8Array(513));
+            const taken = used.get(entry.universe);
+
+            for (let index = 0; index < count; index++) {
+                const address = entry.address + index * footprint;
+                const last = address + footprint - 1;
+                if (last > 512) {
+                    console.warn(`⚠️ DMX: ${entry.group} #${index + 1} does not fit in universe ${entry.universe}`);
+                    break;
+                }
+                if (taken.subarray(address, last + 1).some(Boolean)) {
+                    console.warn(`⚠️ DMX: ${entry.group} #${index + 1} overlaps another fixture at ${entry.universe}.${address}`);
+                    continue;
+                }
+                taken.fill(1, address, last + 1);
+                this.fixtures.push({ group: entry.group, index, profile: entry.profile, universe: entry.universe, address });
+            }
+        });
+
+        return this.fixtures;
+    }
+
+    /**
+     * Universes used by the resolved fixtures
+     */
+    getUniverses() {
+        return Array.from(new Set(this.fixtures.map(fixture => fixture.universe))).sort((a, b) => a - b);
+    }
+
+    /**
+     * Write a fixture's state into its universe buffer
+     * @param {Uint8Array} data - 512 channels of the fixture's universe (index 0 = channel 1)
+     * @param {Object} fixture - From resolve()
+     * @param {Object} state - Attribute → 0-1 (missing attributes write 0)
+     */
+    write(data, fixture, state) {
+        const channels = DMXPatch.PROFILES[fixture.profile].channels;
+        channels.forEach((channel, offset) => {
+            const slot = fixture.address - 1 + offset;
+            if (channel.endsWith('Fine')) {
+                // Low byte of the 16-bit value; the coarse channel carries the high byte
+                const value = DMXPatch.clamp(state[channel.slice(0, -4)]);
+                data[slot] = Math.round(value * 65535) & 0xff;
+            } else if (channels.includes(channel + 'Fine')) {
+                data[slot] = Math.round(DMXPatch.clamp(state[channel]) * 65535) >> 8;
+            } else {
+                data[slot] = Math.round(DMXPatch.clamp(state[channel]) * 255);
+            }
+        });
+    }
+
+    /**
+     * Read a fixture's state back out of its universe buffer (the reverse of write())
+     * @returns {Object} Attribute → 0-1, only for attributes the profile has
+     */
+    read(data, fixture) {
+        const channels = DMXPatch.PROFILES[fixture.profile].channels;
+        const state = {};
+        channels.forEach((channel, offset) => {
+            if (channel.endsWith('Fine')) return;
+            const slot = fixture.address - 1 + offset;
+            const fine = channels.indexOf(channel + 'Fine');
+            state[channel] = fine === -1
+                ? data[slot] / 255
+                : (data[slot] << 8 | data[fixture.address - 1 + fine]) / 65535;
+        });
+        return state;
+    }
+
+    /**
+     * Load a patch table from a JSON file - either an array of entries or { "patch": [...] }
+     * @param {string} url
+     * @returns {Promise<Array>} Validated entries for setPatch()
+     */
+    static async fetchPatch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        const json = await response.json();
+        const patch = Array.isArray(json) ? json : json.patch;
+        if (!Array.isArray(patch)) {
+            throw new Error(`${url} has no patch table`);
+        }
+        new DMXPatch(patch); // Throws on unknown profiles or bad addresses
+        return patch;
+    }
+
+    static clamp(value) {
+        return value > 0 ? (value < 1 ? value : 1) : 0;
+    }
+}
+
+// Channel layouts, in DMX order. xxxFine is the 16-bit low byte of xxx
+DMXPatch.PROFILES = {
+    // Generic 9-channel spot: 540° pan, 270° tilt, hung from the truss
+    movingHead: {
+        label: 'Moving Head (9ch)',
+        channels: ['pan', 'panFine', 'tilt', 'tiltFine', 'dimmer', 'shutter', 'red', 'green', 'blue'],
+        panRange: 540,
+        tiltRange: 270
+    },
+    laser: {
+        label: 'RGB Laser (5ch)',
+        channels: ['dimmer', 'red', 'green', 'blue', 'rotation']
+    },
+    strobe: {
+        label: 'Strobe (1ch)',
+        channels: ['dimmer']
+    },
+    rgb: {
+        label: 'RGB Par / Pixel (3ch)',
+        channels: ['red', 'green', 'blue']
+    },
+    rgbDimmer: {
+        label: 'RGB + Dimmer (4ch)',
+        channels: ['dimmer', 'red', 'green', 'blue']
+    }
+};
+
+// The club rig: moving heads, lasers and strobes on universe 1, the 60 LED panels on universe 2
+DMXPatch.DEFAULT_PATCH = [
+    { group: 'spotlights', profile: 'movingHead', universe: 1, address: 1 },
+    { group: 'lasers', profile: 'laser', universe: 1, address: 101 },
+    { group: 'strobes', profile: 'strobe', universe: 1, address: 141 },
+    { group: 'ledPanels', profile: 'rgb', universe: 2, address: 1 }
+];
+
+// Export for use in main club script
+window.DMXPatch = DMXPatch;
@@ -0,0 +1,41 @@
+// File Download - Saves files the club generates (rigs, shows, recordings, camera paths and presets, rendered video)
+// One slug rule for file names and one object URL lifetime for every download button
+
+class FileDownload {
+    /**
+     * File-name-safe form of a display name: "Friday Night #2" → "friday-night-2"
+     * @param {string} name
+     * @param {string} fallback - Used when nothing is left (empty or all symbols)
+     */
+    static slug(name, fallback = 'untitled') {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+    }
+
+    /**
+     * Download a Blob through a temporary link
+     * @param {string} fileName
+     * @param {Blob} blob
+     */
+    static downloadBlob(fileName, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        // Some browsers start reading the URL after click() returns - keep it alive a moment
+        setTimeout(() => URL.revokeObjectURL(url), FileDownload.REVOKE_DELAY);
+    }
+
+    /**
+     * Download data as a .json file
+     * @param {number} [space] - JSON.stringify indent (none for large files like recordings)
+     */
+    static downloadJSON(fileName, data, space) {
+        FileDownload.downloadBlob(fileName, new Blob([JSON.stringify(data, null, space)], { type: 'application/json' }));
+    }
+}
+
+FileDownload.REVOKE_DELAY = 1000; // Milliseconds
+
+// Export for use in main club script
+window.FileDownload = FileDownload;
@@ -0,0 +1,247 @@
+// LED Pattern Registry - Named LED wall patterns with metadata, favorites and a blacklist
+// Built-in patterns are registered by the club; extra pattern modules can be loaded at runtime
+
+class LEDPatternRegistry {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'vrclub_ledPatterns';
+        this.defaultDuration = options.defaultDuration || 4; // Beats before auto-advance (one bar)
+
+        this.patterns = new Map();   // name → { name, label, render, audioReactive, tags, duration, source }
+        this.favorites = new Set();
+        this.blacklist = new Set();
+        this.shuffle = false;        // Random order instead of registration order
+        this.favoritesOnly = false;  // Only rotate through favorites (falls back to all if there are none)
+        this.loadingSource = null;   // Module URL while load() runs, recorded as each pattern's source
+        this.listeners = [];
+
+        this.loadPreferences();
+    }
+
+    /**
+     * Register a pattern
+     * @param {string} name - Unique id used by cues, show sync and the VJ UI (e.g. 'diamond')
+     * @param {Function} render - Called every frame as render(color, time, audioData, club) with `this` = club
+     * @param {Object} meta - { label, audioReactive, tags: [], duration: beats, source }
+     */
+    register(name, render, meta = {}) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('LED pattern needs a name');
+        }
+        if (typeof render !== 'function') {
+            throw new Error(`LED pattern "${name}" needs a render function`);
+        }
+        if (this.patterns.has(name)) {
+            console.warn(`⚠️ LED pattern "${name}" replaced`);
+        }
+        this.patterns.set(name, {
+            name,
+            label: meta.label || name,
+            render,
+            audioReactive: !!meta.audioReactive,
+            tags: Array.isArray(meta.tags) ? meta.tags.slice() : [],
+            duration: meta.duration > 0 ? meta.duration : this.defaultDuration,
+            source: meta.source || this.loadingSource || 'builtin'
+        });
+        this.notify();
+        return name;
+    }
+
+    unregister(name) {
+        if (this.patterns.delete(name)) this.notify();
+    }
+
+    get(name) {
+        return this.patterns.get(name) || null;
+    }
+
+    has(name) {
+        return this.patterns.has(name);
+    }
+
+    /**
+     * All patterns in registration order
+     */
+    list() {
+        return Array.from(this.patterns.values());
+    }
+
+    /**
+     * Resolve a pattern by name ("diamond", "patternDiamond", any case) or by index in registration order
+     * @returns {string|null} Pattern name
+     */
+    resolve(patternRef) {
+        if (typeof patternRef === 'number') {
+            const pattern = this.list()[patternRef];
+            return pattern ? pattern.name : null;
+        }
+        if (this.patterns.has(patternRef)) return patternRef;
+
+        const wanted = String(patternRef).toLowerCase().replace(/^pattern/, '');
+        const match = this.list().find(pattern => pattern.name.toLowerCase() === wanted);
+        if (!match) {
+            console.warn(`Unknown LED pattern "${patternRef}"`);
+        }
+        return match ? match.name : null;
+    }
+
+    getDuration(name) {
+        const pattern = this.patterns.get(name);
+        return pattern ? pattern.duration : this.defaultDuration;
+    }
+
+    isFavorite(name) {
+        return this.favorites.has(name);
+    }
+
+    isBlacklisted(name) {
+        return this.blacklist.has(name);
+    }
+
+    setFavorite(name, favorite) {
+        if (favorite) {
+            this.favorites.add(name);
+            this.blacklist.delete(name); // Can't be both
+        } else {
+            this.favorites.delete(name);
+        }
+        this.savePreferences();
+        this.notify();
+    }
+
+    setBlacklisted(name, blacklisted) {
+        if (blacklisted) {
+            this.blacklist.add(name);
+            this.favorites.delete(name);
+        } else {
+            this.blacklist.delete(name);
+        }
+        this.savePreferences();
+        this.notify();
+    }
+
+    setShuffle(shuffle) {
+        this.shuffle = !!shuffle;
+        this.savePreferences();
+        this.notify();
+    }
+
+    setFavoritesOnly(favoritesOnly) {
+        this.favoritesOnly = !!favoritesOnly;
+        this.savePreferences();
+        this.notify();
+    }
+
+    /**
+     * Patterns the auto-advance picks from: not blacklisted, and favorites only if that is switched on
+     */
+    getRotation() {
+        const allowed = this.list().filter(pattern => !this.blacklist.has(pattern.name));
+        if (this.favoritesOnly) {
+            const favorites = allowed.filter(pattern => this.favorites.has(pattern.name));
+            if (favorites.length > 0) return favorites;
+        }
+        // Everything blacklisted - ignore the blacklist rather than leave the wall dark
+        return allowed.length > 0 ? allowed : this.list();
+    }
+
+    /**
+     * Pattern to show after `current` (in order, or random when shuffling)
+     * @param {number} random - 0 to 1 shuffle pick (the club passes a seeded one so recorded sets replay the same)
+     * @returns {string|null} Pattern name
+     */
+    next(current, random = Math.random()) {
+        const rotation = this.getRotation();
+        if (rotation.length === 0) return null;
+
+        if (this.shuffle && rotation.length > 1) {
+            const others = rotation.filter(pattern => pattern.name !== current);
+            return others[Math.floor(random * others.length)].name;
+        }
+
+        // Continue from the current pattern's place in registration order, even if it isn't in the rotation
+        const all = this.list();
+        const start = all.findIndex(pattern => pattern.name === current);
+        for (let i = 1; i <= all.length; i++) {
+            const candidate = all[(start + i) % all.length];
+            if (rotation.includes(candidate)) return candidate.name;
+        }
+        return rotation[0].name;
+    }
+
+    /**
+     * Load a pattern module at runtime (ES module URL)
+     * The module's default export is either register(registry) or an array of { name, render, ...meta }
+     * @param {string} url - e.g. 'patterns/example-patterns.js'
+     * @returns {Promise<string[]>} Names of the patterns that were added
+     */
+    async load(url) {
+        const resolved = new URL(url, document.baseURI).href;
+        const module = await import(resolved);
+        const exported = module.default || module.patterns;
+        if (typeof exported !== 'function' && !Array.isArray(exported)) {
+            throw new Error(`${url} has no default export (expected a register function or a pattern array)`);
+        }
+
+        const before = new Set(this.patterns.keys());
+        this.loadingSource = url;
+        try {
+            if (typeof exported === 'function') {
+                exported(this);
+            } else {
+                exported.forEach(pattern => this.register(pattern.name, pattern.render, pattern));
+            }
+        } finally {
+            this.loadingSource = null;
+        }
+
+        const added = Array.from(this.patterns.keys()).filter(name => !before.has(name));
+        console.log(`🧩 Loaded ${added.length} LED pattern${added.length === 1 ? '' : 's'} from ${url}`);
+        return added;
+    }
+
+    loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved) return;
+            this.favorites = new Set(saved.favorites || []);
+            this.blacklist = new Set(saved.blacklist || []);
+            this.shuffle = !!saved.shuffle;
+            this.favoritesOnly = !!saved.favoritesOnly;
+        } catch (error) {
+            console.warn('⚠️ Could not read saved LED pattern preferences:', error);
+        }
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                favorites: Array.from(this.favorites),
+                blacklist: Array.from(this.blacklist),
+                shuffle: this.shuffle,
+                favoritesOnly: this.favoritesOnly
+            }));
+        } catch (error) {
+            // Private browsing / storage full - preferences just won't persist
+        }
+    }
+
+    /**
+     * Subscribe to registry changes (patterns added/removed, favorites, blacklist, rotation mode)
+     * @param {Function} listener - Called with the registry
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export for use in main club script
+window.LEDPatternRegistry = LEDPatternRegistry;
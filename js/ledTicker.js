@@ -0,0 +1,287 @@
+// LED Ticker - Message queue for the LED wall: NOW PLAYING, DJ name, shout-outs
+// Rasterizes text into the 10×6 panel grid (3×5 pixel font) or the pixel-mapped wall, with scroll, beat flash and fades
+
+class LEDTicker {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.media = club.ledWallMedia;    // Draws through the pixel-mapped wall as an overlay
+        this.gap = options.gap !== undefined ? options.gap : 8;   // Seconds of patterns between messages
+        this.fadeTime = options.fadeTime || 0.6;
+        this.loop = options.loop !== undefined ? options.loop : true;
+
+        this.queue = [];             // { text, effect, resolution, color, duration, speed }
+        this.queueIndex = 0;
+        this.current = null;         // { message, text, startTime, width }
+        this.running = false;
+        this.nextTime = 0;           // When the next message starts (during the gap)
+        this.lastBeatTime = -Infinity;
+        this.djName = options.djName || '';
+        this.listeners = [];
+
+        club.beatTracker.onBeat((beat) => { this.lastBeatTime = beat.time; });
+    }
+
+    /**
+     * Add a message to the queue
+     * @param {string} text - May contain {track}, {dj} and {bpm}, filled in when the message starts
+     * @param {Object} options - { effect: 'scroll' | 'flash' | 'fade', resolution: 'panels' | 'pixels',
+     *                             color: CSS color or 'auto' (LED wall color), duration: seconds, speed }
+     */
+    enqueue(text, options = {}) {
+        const message = {
+            text: String(text),
+            effect: options.effect || 'scroll',
+            resolution: options.resolution || 'panels',
+            color: options.color || 'auto',
+            duration: options.duration || 6,       // Static flash / fade messages
+            speed: options.speed || (options.resolution === 'pixels' ? 40 : 5) // LED pixels (or panels) per second
+        };
+        this.queue.push(message);
+        this.notify();
+        return message;
+    }
+
+    remove(index) {
+        this.queue.splice(index, 1);
+        if (this.queueIndex > index) this.queueIndex--;
+        this.notify();
+    }
+
+    clearQueue() {
+        this.queue = [];
+        this.queueIndex = 0;
+        this.stop();
+    }
+
+    start() {
+        if (this.queue.length === 0) return;
+        this.running = true;
+        this.nextTime = 0; // First message straight away
+        this.notify();
+    }
+
+    stop() {
+        this.running = false;
+        this.endMessage();
+        this.notify();
+    }
+
+    /**
+     * Jump to the next message now (starts the ticker if it was stopped)
+     */
+    skip() {
+        if (!this.running) {
+            this.start();
+            return;
+        }
+        this.endMessage();
+        this.nextTime = 0;
+    }
+
+    setDJName(name) {
+        this.djName = name;
+        this.notify();
+    }
+
+    /**
+     * Per-frame: start queued messages after the gap, end them when their effect finishes
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (!this.running || this.queue.length === 0) return;
+
+        if (this.current) {
+            if (time - this.current.startTime >= this.current.length) {
+                this.endMessage();
+                this.nextTime = time + this.gap;
+                if (!this.loop && this.queueIndex === 0) {
+                    this.running = false; // Played through once
+                }
+                this.notify();
+            }
+            return;
+        }
+
+        if (time >= this.nextTime) {
+            this.startMessage(this.queue[this.queueIndex % this.queue.length], time);
+            this.queueIndex = (this.queueIndex + 1) % this.queue.length;
+        }
+    }
+
+    startMessage(message, time) {
+        const text = this.resolveText(message.text);
+        const panels = message.resolution === 'panels';
+        const width = panels ? this.measurePanelText(text) : this.measurePixelText(text);
+        const visible = panels ? this.media.cols : this.media.pixelCanvas.width;
+        const scrolls = message.effect === 'scroll' || width > visible;
+
+        this.current = {
+            message,
+            text,
+            startTime: time,
+            width,
+            scrolls,
+            length: scrolls ? (visible + width) / message.speed : message.duration // Seconds on the wall
+        };
+        this.media.setOverlay((ctx, canvasWidth, canvasHeight, now) => this.draw(ctx, canvasWidth, canvasHeight, now));
+        console.log(`🔤 Ticker: ${text}`);
+        this.notify();
+    }
+
+    endMessage() {
+        if (!this.current) return;
+        this.current = null;
+        this.media.setOverlay(null);
+    }
+
+    /**
+     * Fill in live values - {track} (what's playing), {dj} (DJ name), {bpm}
+     */
+    resolveText(text) {
+        const club = this.club;
+        return text
+            .replace(/\{track\}/gi, () => this.getTrackName())
+            .replace(/\{dj\}/gi, () => this.djName || (club.showSync && club.showSync.getVJName()) || 'VR CLUB')
+            .replace(/\{bpm\}/gi, () => String(Math.round(club.beatTracker.bpm)));
+    }
+
+    getTrackName() {
+        const club = this.club;
+        const channel = club.audioEngine.activeChannel;
+        if (channel) return channel.label.replace(/^📡\s*/, '');
+        const deck = Object.values(club.djMixer.decks).find(d => d.isPlaying);
+        if (deck) return deck.getState().label;
+        return 'NOTHING PLAYING';
+    }
+
+    draw(ctx, width, height, time) {
+        const current = this.current;
+        if (!current) return;
+        const message = current.message;
+        const elapsed = time - current.startTime;
+
+        // Brightness envelope from the effect
+        let level = 1;
+        if (message.effect === 'flash') {
+            // Full on each beat, decaying to a glow before the next one
+            const sinceBeat = time - this.lastBeatTime;
+            level = Math.max(0.15, 1 - sinceBeat / (60 / this.club.beatTracker.bpm));
+        } else if (message.effect === 'fade') {
+            level = Math.max(0, Math.min(1, elapsed / this.fadeTime, (current.length - elapsed) / this.fadeTime));
+        }
+
+        const panels = message.resolution === 'panels';
+        const visible = panels ? this.media.cols : width;
+        // Panels jump a whole column at a time like a real ticker; pixels scroll smoothly
+        const x = current.scrolls
+            ? visible - (panels ? Math.floor(elapsed * message.speed) : elapsed * message.speed)
+            : Math.floor((visible - current.width) / 2);
+
+        if (this.media.source) {
+            // Dim the video / image so the text reads
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.globalAlpha = level;
+        ctx.fillStyle = message.color === 'auto' ? this.club.getLEDColor().toHexString() : message.color;
+        if (panels) {
+            this.drawPanelText(ctx, current.text, x, width / this.media.cols, height / this.media.rows);
+        } else {
+            ctx.font = `bold ${Math.floor(height * 0.6)}px Arial`;
+            ctx.textBaseline = 'middle';
+            ctx.fillText(current.text, x, height / 2);
+        }
+    }
+
+    /**
+     * 3×5 glyphs, one panel per pixel, with a blank column between letters
+     */
+    drawPanelText(ctx, text, startColumn, cellWidth, cellHeight) {
+        let column = startColumn;
+        for (const char of text.toUpperCase()) {
+            const glyph = LEDTicker.FONT[char] || LEDTicker.FONT[' '];
+            for (let row = 0; row < glyph.length; row++) {
+                for (let col = 0; col < glyph[row].length; col++) {
+                    const x = column + col;
+                    if (glyph[row][col] === '1' && x >= 0 && x < this.media.cols) {
+                        ctx.fillRect(x * cellWidth, row * cellHeight, cellWidth, cellHeight);
+                    }
+                }
+            }
+            column += glyph[0].length + 1;
+        }
+    }
+
+    measurePanelText(text) {
+        let width = 0;
+        for (const char of text.toUpperCase()) {
+            width += (LEDTicker.FONT[char] || LEDTicker.FONT[' '])[0].length + 1;
+        }
+        return Math.max(0, width - 1);
+    }
+
+    measurePixelText(text) {
+        const ctx = this.media.pixelContext;
+        ctx.save();
+        ctx.font = `bold ${Math.floor(this.media.pixelCanvas.height * 0.6)}px Arial`;
+        const width = ctx.measureText(text).width;
+        ctx.restore();
+        return width;
+    }
+
+    /**
+     * Subscribe to queue / playback changes
+     * @param {Function} listener - Called with { running, queue, current, djName }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = {
+            running: this.running,
+            queue: this.queue.slice(),
+            current: this.current ? this.current.text : null,
+            djName: this.djName
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+// 3×5 pixel font (rows top to bottom) - fits the 6-row wall with a spare row underneath
+LEDTicker.FONT = {
+    'A': ['010', '101', '111', '101', '101'], 'B': ['110', '101', '110', '101', '110'],
+    'C': ['011', '100', '100', '100', '011'], 'D': ['110', '101', '101', '101', '110'],
+    'E': ['111', '100', '110', '100', '111'], 'F': ['111', '100', '110', '100', '100'],
+    'G': ['011', '100', '101', '101', '011'], 'H': ['101', '101', '111', '101', '101'],
+    'I': ['111', '010', '010', '010', '111'], 'J': ['001', '001', '001', '101', '010'],
+    'K': ['101', '101', '110', '101', '101'], 'L': ['100', '100', '100', '100', '111'],
+    'M': ['101', '111', '111', '101', '101'], 'N': ['110', '101', '101', '101', '101'],
+    'O': ['010', '101', '101', '101', '010'], 'P': ['110', '101', '110', '100', '100'],
+    'Q': ['010', '101', '101', '110', '011'], 'R': ['110', '101', '110', '101', '101'],
+    'S': ['011', '100', '010', '001', '110'], 'T': ['111', '010', '010', '010', '010'],
+    'U': ['101', '101', '101', '101', '111'], 'V': ['101', '101', '101', '101', '010'],
+    'W': ['101', '101', '111', '111', '101'], 'X': ['101', '101', '010', '101', '101'],
+    'Y': ['101', '101', '010', '010', '010'], 'Z': ['111', '001', '010', '100', '111'],
+    '0': ['111', '101', '101', '101', '111'], '1': ['010', '110', '010', '010', '111'],
+    '2': ['110', '001', '010', '100', '111'], '3': ['110', '001', '010', '001', '110'],
+    '4': ['101', '101', '111', '001', '001'], '5': ['111', '100', '110', '001', '110'],
+    '6': ['011', '100', '111', '101', '111'], '7': ['111', '001', '010', '010', '010'],
+    '8': ['111', '101', '111', '101', '111'], '9': ['111', '101', '111', '001', '110'],
+    ' ': ['00', '00', '00', '00', '00'],
+    '.': ['0', '0', '0', '0', '1'], ',': ['00', '00', '00', '01', '10'],
+    '!': ['1', '1', '1', '0', '1'], '?': ['110', '001', '010', '000', '010'],
+    ':': ['0', '1', '0', '1', '0'], '-': ['000', '000', '111', '000', '000'],
+    "'": ['1', '1', '0', '0', '0'], '/': ['001', '001', '010', '100', '100'],
+    '+': ['000', '010', '111', '010', '000'], '&': ['010', '101', '010', '101', '011'],
+    '#': ['101', '111', '101', '111', '101'], '*': ['000', '101', '010', '101', '000'],
+    '♥': ['01010', '11111', '11111', '01110', '00100']
+};
+
+// Export for use in main club script
+window.LEDTicker = LEDTicker;
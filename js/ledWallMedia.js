@@ -0,0 +1,385 @@
+// LED Wall Media - Pixel-mapped mode for the LED wall: one mesh showing video, images, GIFs, text or a canvas feed
+// Content is sampled down to the wall's LED pixel grid; the shape patterns can still black out panels as a mask
+
+class LEDWallMedia {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.scene = club.scene;
+        this.pixelsPerPanel = options.pixelsPerPanel || 16; // LED pixels across one 1.2m panel
+        this.upscale = options.upscale || 4;                // Texture texels per LED pixel (room for the pixel gaps)
+        this.brightness = options.brightness !== undefined ? options.brightness : 1.0;
+        this.fit = options.fit || 'cover';                  // 'cover' crops to fill, 'contain' letterboxes
+
+        this.mesh = null;
+        this.texture = null;
+        this.source = null;          // { type, label, element?, frames?, draw?, objectUrl? }
+        this.overlay = null;         // draw(ctx, width, height, time) over the source at LED resolution (ticker text)
+        this.maskEnabled = true;     // Panels the current LED pattern blacks out are blacked out over the content
+        this.blackedOut = false;
+        this.listeners = [];
+    }
+
+    /**
+     * Create the pixel-mapped mesh in front of the panel grid (hidden until content is loaded)
+     * @param {Object} layout - { cols, rows, panelWidth, panelHeight, center: BABYLON.Vector3 }
+     */
+    build(layout) {
+        this.cols = layout.cols;
+        this.rows = layout.rows;
+
+        // Low-res canvas = one texel per LED pixel; sources are drawn here first
+        this.pixelCanvas = document.createElement('canvas');
+        this.pixelCanvas.width = this.cols * this.pixelsPerPanel;
+        this.pixelCanvas.height = this.rows * this.pixelsPerPanel;
+        this.pixelContext = this.pixelCanvas.getContext('2d');
+
+        this.mesh = BABYLON.MeshBuilder.CreatePlane("ledPixelWall", {
+            width: layout.cols * layout.panelWidth,
+            height: layout.rows * layout.panelHeight
+        }, this.scene);
+        this.mesh.position = layout.center.clone();
+        this.mesh.position.z += 0.02; // Just in front of the panels
+        this.mesh.rotation.y = Math.PI; // Face dance floor like the panels
+        this.mesh.isPickable = false;
+
+        this.texture = new BABYLON.DynamicTexture("ledPixelWallTexture", {
+            width: this.pixelCanvas.width * this.upscale,
+            height: this.pixelCanvas.height * this.upscale
+        }, this.scene, false, BABYLON.Texture.NEAREST_SAMPLINGMODE);
+        this.context = this.texture.getContext();
+        this.texture.level = this.brightness;
+
+        const material = new BABYLON.StandardMaterial("ledPixelWallMat", this.scene);
+        material.diffuseColor = new BABYLON.Color3(0, 0, 0);
+        material.specularColor = new BABYLON.Color3(0, 0, 0);
+        material.emissiveTexture = this.texture;
+        material.disableLighting = true;
+        this.mesh.material = material;
+
+        this.gridOverlay = this.createGridOverlay();
+        this.mesh.setEnabled(false);
+    }
+
+    /**
+     * Dark gaps between LED pixels and thicker seams between panels, drawn once and laid over every frame
+     */
+    createGridOverlay() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.texture.getSize().width;
+        canvas.height = this.texture.getSize().height;
+        const ctx = canvas.getContext('2d');
+        const pixel = this.upscale;
+        const panel = this.pixelsPerPanel * pixel;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        for (let x = 0; x < canvas.width; x += pixel) ctx.fillRect(x, 0, 1, canvas.height);
+        for (let y = 0; y < canvas.height; y += pixel) ctx.fillRect(0, y, canvas.width, 1);
+        ctx.fillStyle = '#000';
+        for (let x = 0; x < canvas.width; x += panel) ctx.fillRect(x, 0, 3, canvas.height);
+        for (let y = 0; y < canvas.height; y += panel) ctx.fillRect(0, y, canvas.width, 3);
+        return canvas;
+    }
+
+    /**
+     * Pixel-mapped mesh is showing (media loaded, or an overlay such as the ticker is running)
+     */
+    get active() {
+        return !!this.source || !!this.overlay;
+    }
+
+    /**
+     * Show a video, image or GIF (detected from the file type or URL extension)
+     * @param {string|File|Blob} media - URL or file
+     * @returns {Promise<void>} Resolves once the first frame can be drawn
+     */
+    async load(media) {
+        const isFile = typeof media !== 'string';
+        const url = isFile ? URL.createObjectURL(media) : media;
+        const name = isFile ? (media.name || 'Local file') : media;
+        const type = isFile ? media.type : '';
+        const kind = /^video\//.test(type) || /\.(mp4|webm|mov|m4v|ogv)(\?|#|$)/i.test(name) ? 'video'
+            : type === 'image/gif' || /\.gif(\?|#|$)/i.test(name) ? 'gif'
+            : 'image';
+
+        try {
+            let source;
+            if (kind === 'video') {
+                source = await this.loadVideo(url);
+            } else if (kind === 'gif' && window.ImageDecoder) {
+                source = await this.loadGif(url);
+            } else {
+                if (kind === 'gif') console.warn('⚠️ ImageDecoder not supported - GIF will show its first frame only');
+                source = await this.loadImage(url);
+            }
+            source.label = name.split('/').pop();
+            source.objectUrl = isFile ? url : null;
+            this.setSource(source);
+        } catch (error) {
+            if (isFile) URL.revokeObjectURL(url);
+            throw error;
+        }
+    }
+
+    loadVideo(url) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.crossOrigin = 'anonymous';
+            video.muted = true; // Music comes from the audio engine; muted also lets it autoplay
+            video.loop = true;
+            video.playsInline = true;
+            video.src = url;
+            video.addEventListener('loadeddata', () => {
+                video.play().then(() => resolve({ type: 'video', element: video }), reject);
+            }, { once: true });
+            video.addEventListener('error', () => reject(new Error(`Could not load video ${url}`)), { once: true });
+        });
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve({ type: 'image', element: image });
+            image.onerror = () => reject(new Error(`Could not load image ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Decode every GIF frame up front - canvas drawImage only ever shows the first frame of an animated <img>
+     */
+    async loadGif(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Could not load GIF ${url} (${response.status})`);
+        const decoder = new ImageDecoder({ data: await response.arrayBuffer(), type: 'image/gif' });
+        await decoder.tracks.ready;
+        const frameCount = decoder.tracks.selectedTrack.frameCount;
+
+        const frames = [];
+        let totalDuration = 0;
+        for (let i = 0; i < frameCount; i++) {
+            const { image } = await decoder.decode({ frameIndex: i });
+            const duration = (image.duration || 100000) / 1000000; // µs → s (browsers default to 0.1s)
+            frames.push({ bitmap: await createImageBitmap(image), start: totalDuration });
+            totalDuration += duration;
+            image.close();
+        }
+        decoder.close();
+        return { type: 'gif', frames, duration: totalDuration };
+    }
+
+    /**
+     * Mirror an HTML canvas (e.g. a p5.js sketch or another visual engine) onto the wall every frame
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} label
+     */
+    showCanvas(canvas, label = 'Canvas feed') {
+        this.setSource({ type: 'canvas', element: canvas, label });
+    }
+
+    /**
+     * Draw directly at LED resolution every frame
+     * @param {Function} draw - draw(ctx, width, height, time, audioData) on the low-res pixel canvas
+     * @param {string} label
+     */
+    showDraw(draw, label = 'Custom') {
+        this.setSource({ type: 'draw', draw, label });
+    }
+
+    /**
+     * Scroll a line of text across the wall
+     * @param {string} text
+     * @param {Object} options - { color, speed: LED pixels per second }
+     */
+    showText(text, options = {}) {
+        const color = options.color || '#ffffff';
+        const speed = options.speed || 40;
+        this.showDraw((ctx, width, height, time) => {
+            ctx.font = `bold ${Math.floor(height * 0.6)}px Arial`;
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = color;
+            const textWidth = ctx.measureText(text).width;
+            const x = width - ((time * speed) % (width + textWidth));
+            ctx.fillText(text, x, height / 2);
+        }, text);
+    }
+
+    setSource(source) {
+        this.releaseSource();
+        this.source = source;
+        this.blackedOut = false;
+        this.updateVisibility();
+        console.log(`🖼️ LED wall: ${source.type} - ${source.label}`);
+        this.notify();
+    }
+
+    /**
+     * Back to the classic per-panel patterns
+     */
+    clear() {
+        if (!this.source) return;
+        this.releaseSource();
+        this.source = null;
+        this.updateVisibility();
+        console.log('🟦 LED wall back to panel patterns');
+        this.notify();
+    }
+
+    releaseSource() {
+        const source = this.source;
+        if (!source) return;
+        if (source.type === 'video') {
+            source.element.pause();
+            source.element.removeAttribute('src');
+            source.element.load(); // Abort the download
+        }
+        if (source.frames) {
+            source.frames.forEach(frame => frame.bitmap.close());
+        }
+        if (source.objectUrl) {
+            URL.revokeObjectURL(source.objectUrl);
+        }
+    }
+
+    /**
+     * Draw something over the content (or over black when no media is loaded) - masks are skipped while it shows
+     * @param {Function|null} draw - draw(ctx, width, height, time, audioData) on the low-res pixel canvas
+     */
+    setOverlay(draw) {
+        this.overlay = draw;
+        this.blackedOut = false;
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        const pixelMapped = this.active;
+        this.club.ledPanels.forEach(panel => panel.mesh.setEnabled(!pixelMapped));
+        this.mesh.setEnabled(pixelMapped);
+    }
+
+    setMaskEnabled(enabled) {
+        this.maskEnabled = enabled;
+        this.notify();
+    }
+
+    setBrightness(value) {
+        this.brightness = Math.max(0, Math.min(2, value));
+        if (this.texture) this.texture.level = this.brightness;
+    }
+
+    /**
+     * Per-frame: draw the source at LED resolution, scale it up with pixel gaps, then apply the panel mask
+     * Panel materials hold the mask - the club runs the current pattern in white on them before this
+     * @param {number} time - Current time in seconds
+     * @param {Object} audioData - Audio engine analysis frame
+     */
+    update(time, audioData) {
+        if (!this.active) return;
+        this.blackedOut = false;
+
+        const low = this.pixelContext;
+        const width = this.pixelCanvas.width;
+        const height = this.pixelCanvas.height;
+        low.fillStyle = '#000';
+        low.fillRect(0, 0, width, height);
+        if (this.source) this.drawSource(low, width, height, time, audioData);
+        if (this.overlay) {
+            low.save();
+            this.overlay(low, width, height, time, audioData);
+            low.restore();
+        }
+
+        const ctx = this.context;
+        const size = this.texture.getSize();
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.pixelCanvas, 0, 0, size.width, size.height);
+        ctx.drawImage(this.gridOverlay, 0, 0);
+
+        if (this.maskEnabled && !this.overlay) {
+            const cellWidth = size.width / this.cols;
+            const cellHeight = size.height / this.rows;
+            ctx.fillStyle = '#000';
+            this.club.ledPanels.forEach(panel => {
+                // Only blacked-out panels cut the content - dimmed ones would just make it murky
+                if (panel.material.emissiveColor.r > 0.05) return;
+                // Panel col 0 sits at -x, which is the right-hand side seen from the dance floor; row 0 is the bottom
+                ctx.fillRect((this.cols - 1 - panel.col) * cellWidth, (this.rows - 1 - panel.row) * cellHeight, cellWidth, cellHeight);
+            });
+        }
+        this.texture.update();
+    }
+
+    drawSource(ctx, width, height, time, audioData) {
+        const source = this.source;
+        if (source.type === 'draw') {
+            source.draw(ctx, width, height, time, audioData);
+            return;
+        }
+
+        let image = source.element;
+        let imageWidth, imageHeight;
+        if (source.type === 'video') {
+            if (source.element.readyState < 2) return; // No frame yet
+            imageWidth = image.videoWidth;
+            imageHeight = image.videoHeight;
+        } else if (source.type === 'gif') {
+            const t = source.duration > 0 ? time % source.duration : 0;
+            let frame = source.frames[0];
+            for (let i = 0; i < source.frames.length && source.frames[i].start <= t; i++) frame = source.frames[i];
+            image = frame.bitmap;
+            imageWidth = image.width;
+            imageHeight = image.height;
+        } else {
+            imageWidth = image.naturalWidth || image.width;
+            imageHeight = image.naturalHeight || image.height;
+        }
+        if (!imageWidth || !imageHeight) return;
+
+        // Fit to the wall's aspect ratio
+        const scale = this.fit === 'contain'
+            ? Math.min(width / imageWidth, height / imageHeight)
+            : Math.max(width / imageWidth, height / imageHeight);
+        const drawWidth = imageWidth * scale;
+        const drawHeight = imageHeight * scale;
+        ctx.imageSmoothingEnabled = true; // Average the source down to LED pixels
+        ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    /**
+     * Wall switched off - paint it black once (content keeps running so it resumes in place)
+     */
+    blackout() {
+        if (!this.active || this.blackedOut) return;
+        const size = this.texture.getSize();
+        this.context.fillStyle = '#000';
+        this.context.fillRect(0, 0, size.width, size.height);
+        this.texture.update();
+        this.blackedOut = true;
+    }
+
+    /**
+     * Subscribe to content changes
+     * @param {Function} listener - Called with { active, type, label, mask }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = {
+            active: this.active,
+            type: this.source ? this.source.type : null,
+            label: this.source ? this.source.label : null,
+            mask: this.maskEnabled
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+// Export for use in main club script
+window.LEDWallMedia = LEDWallMedia;
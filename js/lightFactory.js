@@ -203,6 +203,18 @@ class LightFactory {
         return light;
     }
 
+    /**
+     * Register a light created elsewhere (e.g. a rig fixture's own spot) so it can be found by name and group
+     * @param {string} name - Registry name
+     * @param {BABYLON.Light} light
+     * @param {string[]} groups - Groups to add it to
+     */
+    register(name, light, groups = []) {
+        this.lights.set(name, light);
+        groups.forEach(group => this.addToGroup(group, light));
+        return light;
+    }
+
     /**
      * Add a light to a named group for batch operations
      */
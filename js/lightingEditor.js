@@ -0,0 +1,352 @@
+// Lighting Editor - Click a fixture in the scene, then move, turn or aim it with a gizmo and set its color and beam angle
+// Position, orientation and beam angle change club.rig (saved as a rig file); aim and color go into the current cue (saved as a show file)
+
+class LightingEditor {
+    constructor(club) {
+        this.club = club;
+        this.active = false;
+        this.mode = 'move';          // 'move' | 'turn' | 'aim'
+        this.selected = null;        // { id, type, fixture (rig entry), item (club spotlight / laser / strobe), index }
+        this.meshes = null;          // Fixture mesh → rig id (built on first pick)
+        this.gizmoManager = null;
+        this.handle = null;          // What the gizmo drags: the fixture, or its aim point
+        this.aimMarker = null;
+        this.listeners = [];
+
+        // A new cue has its own aim points and colors
+        club.cueEngine.onCueChange(() => {
+            if (!this.selected) return;
+            this.updateGizmos();
+            this.notify();
+        });
+    }
+
+    /**
+     * Turn editing on or off - off drops the selection and the gizmo
+     */
+    setActive(active) {
+        if (active === this.active) return;
+        this.active = active;
+        if (active) {
+            this.createGizmos();
+        } else {
+            this.select(null);
+        }
+        console.log(active ? '✏️ Lighting editor on - click a fixture' : '✏️ Lighting editor off');
+        this.notify();
+    }
+
+    createGizmos() {
+        if (this.gizmoManager) return;
+        const scene = this.club.scene;
+        this.handle = new BABYLON.TransformNode('lightingEditorHandle', scene);
+        this.handle.rotationQuaternion = BABYLON.Quaternion.Identity();
+
+        // Where the selected moving head points in the current cue
+        this.aimMarker = BABYLON.MeshBuilder.CreateSphere('lightingEditorAim', { diameter: 0.3 }, scene);
+        const aimMat = new BABYLON.StandardMaterial('lightingEditorAimMat', scene);
+        aimMat.emissiveColor = new BABYLON.Color3(1, 1, 0);
+        aimMat.disableLighting = true;
+        this.aimMarker.material = aimMat;
+        this.aimMarker.parent = this.handle;
+        this.aimMarker.isPickable = false;
+        this.aimMarker.setEnabled(false);
+
+        const gizmoManager = new BABYLON.GizmoManager(scene);
+        gizmoManager.usePointerToAttachGizmos = false; // Selection goes through handlePointerDown()
+        gizmoManager.positionGizmoEnabled = true;
+        gizmoManager.rotationGizmoEnabled = true;
+        const { positionGizmo, rotationGizmo } = gizmoManager.gizmos;
+        positionGizmo.updateGizmoRotationToMatchAttachedMesh = false; // World axes
+        // Fixtures only turn around the vertical (the rig's "orientation")
+        rotationGizmo.xGizmo.isEnabled = false;
+        rotationGizmo.zGizmo.isEnabled = false;
+        rotationGizmo.updateGizmoRotationToMatchAttachedMesh = false;
+        [positionGizmo, rotationGizmo].forEach(gizmo => {
+            gizmo.onDragObservable.add(() => this.applyHandle());
+            gizmo.onDragEndObservable.add(() => this.notify());
+        });
+        gizmoManager.positionGizmoEnabled = false;
+        gizmoManager.rotationGizmoEnabled = false;
+        this.gizmoManager = gizmoManager;
+    }
+
+    /**
+     * Select the fixture under the pointer - called first from the scene's pointer down
+     * @returns {boolean} True if a fixture was clicked (the console ignores the click)
+     */
+    handlePointerDown() {
+        if (!this.active) return false;
+        const scene = this.club.scene;
+        const meshes = this.getFixtureMeshes();
+        // Own pick: laser housings are not pickable, and beams must not hide the heads behind them
+        const pick = scene.pick(scene.pointerX, scene.pointerY, mesh => meshes.has(mesh));
+        if (!pick || !pick.hit) return false;
+        this.select(meshes.get(pick.pickedMesh));
+        return true;
+    }
+
+    getFixtureMeshes() {
+        if (this.meshes) return this.meshes;
+        const club = this.club;
+        const meshes = new Map();
+        const add = (mesh, id) => {
+            if (mesh) meshes.set(mesh, id);
+        };
+        club.spotlights.forEach((spot, i) => {
+            const body = club.trussLights[i];
+            if (body) LightingEditor.HEAD_PARTS.forEach(part => add(body[part], spot.rigId));
+        });
+        club.lasers.forEach(laser => ['housing', 'clamp', 'emitter'].forEach(part => add(laser[part], laser.rigId)));
+        club.strobes.forEach(strobe => add(strobe.mesh, strobe.rigId));
+        this.meshes = meshes;
+        return meshes;
+    }
+
+    /**
+     * Select a fixture by rig id, or clear the selection with null
+     */
+    select(id) {
+        this.selected = id ? this.findFixture(id) : null;
+        if (this.selected && this.mode === 'aim' && this.selected.type !== 'movingHead') {
+            this.mode = 'move'; // Only moving heads aim
+        }
+        this.updateGizmos();
+        if (this.selected) console.log(`✏️ Editing ${id}`);
+        this.notify();
+    }
+
+    findFixture(id) {
+        const fixture = this.club.rig.getFixture(id);
+        if (!fixture) return null;
+        const items = this.club[LightingEditor.ARRAYS[fixture.type]];
+        const index = items.findIndex(item => item.rigId === id);
+        return index === -1 ? null : { id, type: fixture.type, fixture, item: items[index], index };
+    }
+
+    /**
+     * @param {string} mode - 'move', 'turn' or 'aim' (moving heads only)
+     */
+    setMode(mode) {
+        if (mode === 'aim' && this.selected && this.selected.type !== 'movingHead') return;
+        this.mode = mode;
+        this.updateGizmos();
+        this.notify();
+    }
+
+    /**
+     * Put the handle on the selection (or its aim point) and show the gizmo for the mode
+     */
+    updateGizmos() {
+        const manager = this.gizmoManager;
+        if (!manager) return;
+        const selected = this.selected;
+        if (selected) {
+            const { position, orientation } = selected.fixture;
+            if (this.mode === 'aim') {
+                const aim = this.club.fixtureOverrides[selected.id] && this.club.fixtureOverrides[selected.id].aim;
+                this.handle.position.copyFrom(aim || new BABYLON.Vector3(position.x, 0, position.z)); // Straight down by default
+                this.handle.rotationQuaternion = BABYLON.Quaternion.Identity();
+            } else {
+                this.handle.position.set(position.x, position.y, position.z);
+                this.handle.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(orientation, 0, 0);
+            }
+            manager.attachToNode(this.handle);
+        } else {
+            manager.attachToNode(null);
+        }
+        manager.positionGizmoEnabled = !!selected && this.mode !== 'turn';
+        manager.rotationGizmoEnabled = !!selected && this.mode === 'turn';
+        this.aimMarker.setEnabled(!!selected && this.mode === 'aim');
+    }
+
+    /**
+     * Gizmo drag: apply the handle to the fixture (rig) or its aim point (cue)
+     */
+    applyHandle() {
+        if (!this.selected) return;
+        const round = value => Math.round(value * 100) / 100; // Centimeters
+        const position = this.handle.position;
+        if (this.mode === 'aim') {
+            this.setCueValue('aim', [round(position.x), round(position.y), round(position.z)]);
+        } else if (this.mode === 'move') {
+            this.moveFixture(new BABYLON.Vector3(round(position.x), round(position.y), round(position.z)));
+        } else {
+            this.turnFixture(this.handle.rotationQuaternion.toEulerAngles().y);
+        }
+    }
+
+    /**
+     * Move the selected fixture - rig position, light(s) and body
+     * @param {BABYLON.Vector3} position - World position (moving heads: the lens)
+     */
+    moveFixture(position) {
+        const { type, fixture, item, index } = this.selected;
+        const previous = new BABYLON.Vector3(fixture.position.x, fixture.position.y, fixture.position.z);
+        const offset = position.subtract(previous);
+        fixture.position = { x: position.x, y: position.y, z: position.z };
+        this.getLights(fixture.id).forEach(light => light.position.copyFrom(position));
+
+        if (type === 'movingHead') {
+            // Yoke, head, bezel, lens and flare hang at fixed offsets from the lens; the beam follows basePos
+            const body = this.club.trussLights[index];
+            LightingEditor.HEAD_PARTS.forEach(part => body[part].position.addInPlace(offset));
+            item.basePos.copyFrom(position);
+        } else if (type === 'laser') {
+            item.housing.parent.setAbsolutePosition(position); // Mount node (parented to the truss)
+            item.originPos = position.clone();
+        } else {
+            item.mesh.position.copyFrom(position);
+        }
+    }
+
+    /**
+     * Turn the selected fixture around the vertical
+     * @param {number} orientation - Radians (rig orientation)
+     */
+    turnFixture(orientation) {
+        const { type, fixture, item, index } = this.selected;
+        fixture.orientation = orientation;
+        if (type === 'movingHead') {
+            this.club.trussLights[index].base.rotation.y = orientation; // The yoke - the head follows its beam
+        } else if (type === 'laser') {
+            const mount = item.housing.parent;
+            mount.rotation.y = orientation - (mount.parent ? mount.parent.rotation.y : 0);
+        } else {
+            item.mesh.rotation.y = orientation;
+        }
+    }
+
+    /**
+     * Change the selected fixture's beam angle (moving heads and lasers)
+     * @param {number} degrees - Full cone angle
+     */
+    setBeamAngle(degrees) {
+        if (!this.selected || this.selected.fixture.beamAngle === null) return;
+        const { type, fixture, item } = this.selected;
+        const angle = Math.max(1, Math.min(179, degrees)) * Math.PI / 180;
+        fixture.beamAngle = angle;
+        if (type === 'movingHead') {
+            // The beam cone was built for the startup angle - widen or narrow it to the new one
+            const builtRadius = item.coneRadius / item.zoom;
+            item.beamAngle = angle; // The animation loop sets the light's angle from this
+            item.coneRadius = Math.tan(angle / 2) / Math.tan(Math.PI / 12);
+            item.zoom = item.coneRadius / builtRadius;
+        } else {
+            this.getLights(fixture.id).forEach(light => {
+                light.angle = angle;
+            });
+        }
+        this.notify();
+    }
+
+    /**
+     * Hold a color for the selected moving head or laser in the current cue
+     * @param {BABYLON.Color3} color
+     */
+    setColor(color) {
+        const round = value => Math.round(value * 100) / 100;
+        this.setCueValue('color', color.asArray().map(round));
+        this.notify();
+    }
+
+    setCueValue(key, value) {
+        const cueEngine = this.club.cueEngine;
+        const cue = cueEngine.getCurrentCue();
+        if (!cue || !this.selected) return;
+        cue.fixtures = cue.fixtures || {};
+        const entry = cue.fixtures[this.selected.id] = cue.fixtures[this.selected.id] || {};
+        entry[key] = value;
+        cueEngine.applyFixtures(cue);
+    }
+
+    /**
+     * Drop the selected fixture's aim and color from the current cue - it follows the show again
+     */
+    clearCue() {
+        const cue = this.club.cueEngine.getCurrentCue();
+        if (!cue || !cue.fixtures || !this.selected) return;
+        delete cue.fixtures[this.selected.id];
+        if (Object.keys(cue.fixtures).length === 0) delete cue.fixtures;
+        this.club.cueEngine.applyFixtures(cue);
+        this.updateGizmos();
+        this.notify();
+    }
+
+    /**
+     * The fixture's lights from the club's LightFactory registry (lasers have one per beam)
+     */
+    getLights(id) {
+        const light = this.club.lightFactory.getLight(id);
+        return light ? [light] : this.club.lightFactory.getGroup(id);
+    }
+
+    /**
+     * Download the edited rig as a rig file (load it from 🏗️ Lighting Rig)
+     */
+    saveRig() {
+        const rig = this.club.rig;
+        FileDownload.downloadJSON(`${FileDownload.slug(rig.name)}.json`, rig.toJSON(), 4);
+        console.log(`💾 Rig saved: ${rig.describe()}`);
+    }
+
+    /**
+     * Download the show with the cues' aim points and colors (load it from 🎬 Light Show)
+     */
+    saveShow() {
+        const show = this.club.cueEngine.show;
+        if (!show) return;
+        FileDownload.downloadJSON(`${FileDownload.slug(show.name)}.json`, show, 4);
+        console.log(`💾 Show saved: ${show.name} (${show.cues.length} cues)`);
+    }
+
+    /**
+     * Editor state for the settings panel
+     */
+    getStatus() {
+        const selected = this.selected;
+        const cue = this.club.cueEngine.getCurrentCue();
+        const override = selected ? this.club.fixtureOverrides[selected.id] : null;
+        return {
+            active: this.active,
+            mode: this.mode,
+            selected: selected ? selected.id : null,
+            type: selected ? selected.type : null,
+            beamAngle: selected && selected.fixture.beamAngle !== null ? selected.fixture.beamAngle * 180 / Math.PI : null,
+            color: override && override.color ? override.color : null,
+            held: !!(selected && cue && cue.fixtures && cue.fixtures[selected.id]),
+            cue: cue ? cue.name || 'unnamed' : null
+        };
+    }
+
+    /**
+     * Subscribe to selection and edit changes
+     * @param {Function} listener - Called with getStatus()
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+// Rig fixture type → the club's fixture array
+LightingEditor.ARRAYS = {
+    movingHead: 'spotlights',
+    laser: 'lasers',
+    strobe: 'strobes'
+};
+
+// Moving head body meshes in club.trussLights (created by createTrussMountedLights)
+LightingEditor.HEAD_PARTS = ['base', 'fixture', 'bezel', 'lens', 'lightSource', 'flare'];
+
+// Export for use in main club script
+window.LightingEditor = LightingEditor;
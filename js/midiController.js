@@ -0,0 +1,350 @@
+// MIDI Controller - Plays the VJ console from a hardware controller (APC, Launchpad, nanoKONTROL...) over Web MIDI
+// Learn mode binds any note or CC to any console control; mappings persist in localStorage and the controller's LEDs mirror the console
+
+class MIDIController {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.storageKey = options.storageKey || 'vrclub_midiMappings';
+
+        this.access = null;
+        this.status = 'off';          // 'off' | 'requesting' | 'ready' | 'unsupported' | 'denied'
+        this.mappings = this.loadMappings(); // "note:1:36" / "cc:1:7" → { control, device }
+        this.learning = false;
+        this.learnTarget = null;      // Control waiting for a note/CC (null until one is picked)
+        this.ccValues = new Map();    // key → last CC value, so buttons on CCs fire once per press
+        this.feedback = new Map();    // key → last value sent back to the controller
+        this.listeners = [];
+    }
+
+    /**
+     * Ask the browser for MIDI access and start listening to every connected input
+     * @returns {Promise<boolean>} False when Web MIDI is unavailable or permission was denied
+     */
+    async enable() {
+        if (this.access) return true;
+        if (!navigator.requestMIDIAccess) {
+            console.warn('⚠️ Web MIDI is not supported in this browser (try Chrome or Edge)');
+            this.setStatus('unsupported');
+            return false;
+        }
+
+        this.setStatus('requesting');
+        try {
+            this.access = await navigator.requestMIDIAccess();
+        } catch (error) {
+            console.error('❌ MIDI access denied:', error);
+            this.setStatus('denied');
+            return false;
+        }
+
+        this.access.onstatechange = () => this.attachInputs();
+        this.attachInputs();
+        this.setStatus('ready');
+        console.log(`🎹 MIDI ready - ${this.getDevices().length} controller(s), ${Object.keys(this.mappings).length} mapping(s)`);
+        return true;
+    }
+
+    disable() {
+        if (!this.access) return;
+        this.access.inputs.forEach(input => { input.onmidimessage = null; });
+        this.access.onstatechange = null;
+        this.access = null;
+        this.cancelLearn();
+        this.setStatus('off');
+    }
+
+    /**
+     * (Re)attach to every input - called on enable and whenever a controller is plugged in or out
+     */
+    attachInputs() {
+        if (!this.access) return;
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event, input);
+        });
+        this.feedback.clear(); // Newly plugged controllers get the full LED state on the next frame
+        this.notify();
+    }
+
+    /**
+     * Names of the connected MIDI inputs
+     */
+    getDevices() {
+        if (!this.access) return [];
+        const devices = [];
+        this.access.inputs.forEach(input => devices.push(input.name));
+        return devices;
+    }
+
+    handleMessage(event, input) {
+        const [status, number, value = 0] = event.data;
+        const command = status & 0xf0;
+        let type;
+        if (command === 0x90 || command === 0x80) {
+            type = 'note';
+        } else if (command === 0xb0) {
+            type = 'cc';
+        } else {
+            return; // Clock, aftertouch, pitch bend...
+        }
+        const key = `${type}:${(status & 0x0f) + 1}:${number}`;
+        const pressed = command === 0x90 && value > 0; // Note on with velocity 0 is a note off
+
+        if (this.learning) {
+            if (this.learnTarget && (type === 'cc' || pressed)) {
+                this.bind(key, this.learnTarget, input.name);
+            }
+            return;
+        }
+
+        const mapping = this.mappings[key];
+        if (!mapping) return;
+
+        const fader = MIDIController.FADERS[mapping.control];
+        if (fader) {
+            if (type !== 'cc') return;
+            if (!this.club.showSync.canControl()) return; // Guests follow the VJ's show
+            fader.set(this.club, value / 127);
+            return;
+        }
+
+        // Buttons fire on a note press, or when a CC button crosses the halfway point on the way up
+        if (type === 'cc') {
+            const previous = this.ccValues.has(key) ? this.ccValues.get(key) : 0;
+            this.ccValues.set(key, value);
+            if (!(previous < 64 && value >= 64)) return;
+        } else if (!pressed) {
+            return;
+        }
+        this.club.handleVJControl(mapping.control);
+    }
+
+    /**
+     * Arm learn mode - the next note or CC is bound to the control
+     * @param {string|null} control - Console control (e.g. 'lasersActive') or fader ('masterDimmer');
+     *                                 null to wait for a console button to be clicked
+     */
+    startLearn(control = null) {
+        this.learning = true;
+        this.learnTarget = control;
+        console.log(control
+            ? `🎹 MIDI learn: press a pad or move a knob for ${this.getLabel(control)}`
+            : '🎹 MIDI learn: click a console button, then press a pad');
+        this.notify();
+    }
+
+    /**
+     * Pick the control to learn while learn mode is armed (console clicks land here)
+     */
+    setLearnTarget(control) {
+        if (!this.learning) return;
+        this.learnTarget = control;
+        console.log(`🎹 MIDI learn: press a pad or move a knob for ${this.getLabel(control)}`);
+        this.notify();
+    }
+
+    cancelLearn() {
+        if (!this.learning) return;
+        this.learning = false;
+        this.learnTarget = null;
+        this.notify();
+    }
+
+    /**
+     * Bind a note/CC to a control, replacing the control's previous binding
+     * @param {string} key - "note:<channel>:<number>" or "cc:<channel>:<number>"
+     * @param {string} control
+     * @param {string} device - Controller name, so LED feedback goes back to the same device
+     */
+    bind(key, control, device = null) {
+        if (MIDIController.FADERS[control] && !key.startsWith('cc:')) {
+            console.warn(`⚠️ ${this.getLabel(control)} needs a knob or fader (CC) - pads only work for buttons`);
+            return false;
+        }
+        Object.keys(this.mappings).forEach(existing => {
+            if (this.mappings[existing].control === control) this.unbind(existing, false);
+        });
+        this.mappings[key] = { control, device };
+        this.feedback.delete(key);
+        this.learning = false;
+        this.learnTarget = null;
+        this.saveMappings();
+        console.log(`🎹 ${MIDIController.describe(key)} → ${this.getLabel(control)}`);
+        this.notify();
+        return true;
+    }
+
+    unbind(key, save = true) {
+        if (!this.mappings[key]) return;
+        this.sendFeedback(key, this.mappings[key], 0); // Leave the LED dark
+        delete this.mappings[key];
+        this.feedback.delete(key);
+        this.ccValues.delete(key);
+        if (save) {
+            this.saveMappings();
+            this.notify();
+        }
+    }
+
+    clearMappings() {
+        Object.keys(this.mappings).forEach(key => this.unbind(key, false));
+        this.saveMappings();
+        this.notify();
+    }
+
+    /**
+     * Current bindings, for the settings panel
+     * @returns {Array} [{ key, control, label, device, description }]
+     */
+    getMappings() {
+        return Object.keys(this.mappings).map(key => ({
+            key,
+            control: this.mappings[key].control,
+            label: this.getLabel(this.mappings[key].control),
+            device: this.mappings[key].device,
+            description: MIDIController.describe(key)
+        }));
+    }
+
+    /**
+     * Everything that can be bound: the console buttons plus the continuous faders
+     * @returns {Array} [{ control, label, fader }]
+     */
+    getControls() {
+        const controls = [];
+        this.club.vjControlButtons.forEach(button => {
+            if (!controls.some(entry => entry.control === button.control)) {
+                controls.push({ control: button.control, label: button.label, fader: false });
+            }
+        });
+        Object.keys(MIDIController.FADERS).forEach(control => {
+            controls.push({ control, label: MIDIController.FADERS[control].label, fader: true });
+        });
+        return controls;
+    }
+
+    getLabel(control) {
+        const entry = this.getControls().find(candidate => candidate.control === control);
+        return entry ? entry.label : control;
+    }
+
+    /**
+     * Per-frame: light the controller's LEDs to match the console (only changes are sent)
+     */
+    update() {
+        if (!this.access) return;
+        Object.keys(this.mappings).forEach(key => {
+            const mapping = this.mappings[key];
+            const value = this.getFeedbackValue(mapping.control);
+            if (value === null || this.feedback.get(key) === value) return;
+            this.feedback.set(key, value);
+            this.sendFeedback(key, mapping, value);
+        });
+    }
+
+    /**
+     * 0-127 for a control: faders report their position, toggles on/off,
+     * and action buttons stay lit while their console button flashes
+     */
+    getFeedbackValue(control) {
+        const club = this.club;
+        const fader = MIDIController.FADERS[control];
+        if (fader) return Math.round(fader.get(club) * 127);
+        if (typeof club[control] === 'boolean') return club[control] ? 127 : 0;
+        const button = club.vjControlButtons.find(btn => btn.control === control);
+        if (!button) return null;
+        return button.material.emissiveColor !== button.offColor ? 127 : 0;
+    }
+
+    sendFeedback(key, mapping, value) {
+        if (!this.access) return;
+        const [type, channel, number] = key.split(':');
+        const message = [(type === 'note' ? 0x90 : 0xb0) | (parseInt(channel, 10) - 1), parseInt(number, 10), value];
+
+        // Back to the controller the binding was learned on; any output if that one isn't around
+        const outputs = [];
+        this.access.outputs.forEach(output => outputs.push(output));
+        const matching = outputs.filter(output => output.name === mapping.device);
+        (matching.length > 0 ? matching : outputs).forEach(output => {
+            try {
+                output.send(message);
+            } catch (error) {
+                // Output unplugged mid-send - picked up again by onstatechange
+            }
+        });
+    }
+
+    loadMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveMappings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.mappings));
+        } catch (error) {
+            // Private browsing / storage full - mappings just won't persist
+        }
+    }
+
+    /**
+     * Subscribe to device, learn and mapping changes
+     * @param {Function} listener - Called with { status, devices, learning, learnTarget, mappings }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notify();
+    }
+
+    notify() {
+        const status = {
+            status: this.status,
+            devices: this.getDevices(),
+            learning: this.learning,
+            learnTarget: this.learnTarget,
+            mappings: this.getMappings()
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * "cc:1:7" → "CC 7 (ch 1)"
+     */
+    static describe(key) {
+        const [type, channel, number] = key.split(':');
+        return `${type === 'cc' ? 'CC' : 'Note'} ${number} (ch ${channel})`;
+    }
+}
+
+// Continuous controls - CC value 0-1 in, 0-1 out for LED rings and motor faders
+MIDIController.FADERS = {
+    spotlightSpeed: {
+        label: 'SPEED',
+        get: club => (club.spotlightSpeed - 0.1) / 1.9,
+        set: (club, value) => club.setSpotlightSpeed(0.1 + value * 1.9)
+    },
+    masterDimmer: {
+        label: 'MASTER DIMMER',
+        get: club => club.masterDimmer,
+        set: (club, value) => club.setMasterDimmer(value)
+    },
+    spotHue: {
+        label: 'SPOT COLOR',
+        get: club => club.currentSpotColor.toHSV().r / 360,
+        set: (club, value) => club.setSpotColor(BABYLON.Color3.FromHSV(value * 360, 1, 1))
+    }
+};
+
+// Export for use in main club script
+window.MIDIController = MIDIController;
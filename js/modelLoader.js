@@ -263,17 +263,14 @@ class ModelLoader {
                 console.log(`   💡 Added dedicated light above DJ console (intensity: 2.0)`);
                 
                 // Hide procedural CDJs when real model loads (they conflict)
+                // Jog wheels stay visible - they are the DJ console's touch platters
                 const leftCDJ = this.scene.getMeshByName('leftCDJ');
                 const rightCDJ = this.scene.getMeshByName('rightCDJ');
-                const leftJog = this.scene.getMeshByName('leftJog');
-                const rightJog = this.scene.getMeshByName('rightJog');
                 const mixer = this.scene.getMeshByName('mixer');
                 const mixerDisplay = this.scene.getMeshByName('mixerDisplay');
                 
                 if (leftCDJ) leftCDJ.setEnabled(false);
                 if (rightCDJ) rightCDJ.setEnabled(false);
-                if (leftJog) leftJog.setEnabled(false);
-                if (rightJog) rightJog.setEnabled(false);
                 if (mixer) mixer.setEnabled(false);
                 if (mixerDisplay) mixerDisplay.setEnabled(false);
                 
@@ -319,12 +316,11 @@ class ModelLoader {
                 console.log(`   🔒 Enforced opaque rendering for PA speakers`);
                 
                 // Hide procedural PA speakers when real 3D models load (they conflict)
-                const xPos = config.position.x;
-                const prefix = xPos < 0 ? 'sub-7' : 'sub7';
+                const xPos = config.position.x; // Procedural stack parts are named after their x position
                 
                 // Find and hide all procedural speaker parts for this stack
                 ['sub', 'subGrill', 'mid', 'midGrill', 'horn', 'speakerLED'].forEach(meshType => {
-                    const meshName = meshType + (xPos < 0 ? '-7' : '7');
+                    const meshName = meshType + xPos;
                     const mesh = this.scene.getMeshByName(meshName);
                     if (mesh) {
                         mesh.setEnabled(false);
@@ -333,7 +329,7 @@ class ModelLoader {
                 });
                 
                 // Also hide the LED light for procedural speakers
-                const ledLightName = 'ledLight' + (xPos < 0 ? '-7' : '7');
+                const ledLightName = 'ledLight' + xPos;
                 const ledLight = this.scene.getLightByName(ledLightName);
                 if (ledLight) {
                     ledLight.setEnabled(false);
@@ -0,0 +1,175 @@
+// Network Client - WebSocket connection to the VR Club relay (server/relay.js)
+// Shared transport for presence and other synced features; reconnects automatically
+// Also keeps a clock offset to the relay so clients can agree on show time
+
+class NetworkClient {
+    constructor(options = {}) {
+        this.connection = new ReconnectingSocket({
+            name: 'Relay',
+            reconnectDelay: options.reconnectDelay,
+            maxReconnectDelay: options.maxReconnectDelay,
+            onConnecting: () => this.setStatus('connecting'),
+            onOpen: () => this.sendRaw({ type: 'hello', name: this.profile.name, color: this.profile.color }),
+            onMessage: (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    return;
+                }
+                this.handleMessage(message);
+            },
+            onClose: () => this.handleClose()
+        });
+
+        this.profile = null;
+        this.id = null;              // Assigned by the relay in 'welcome'
+        this.peers = new Map();      // id → { id, name, color }
+        this.status = 'offline';     // 'offline' | 'connecting' | 'online'
+
+        // Clock sync: offset (ms) from local performance.now() to relay Date.now(), from the lowest-RTT ping
+        this.clockOffset = 0;
+        this.clockSamples = [];      // { rtt, offset }
+        this.clockTimer = null;
+
+        this.messageListeners = new Map(); // type → [listener]
+        this.statusListeners = [];
+    }
+
+    /**
+     * Connect to a relay and join with a display name
+     * @param {string} url - e.g. ws://localhost:8080/?room=main
+     * @param {Object} profile - { name, color }
+     */
+    connect(url, profile = {}) {
+        this.profile = profile;
+        this.connection.connect(url);
+    }
+
+    handleClose() {
+        this.id = null;
+        clearTimeout(this.clockTimer);
+        // Everyone we knew about is gone from our point of view
+        Array.from(this.peers.keys()).forEach(id => this.handleMessage({ type: 'leave', id }));
+        this.setStatus('offline');
+    }
+
+    disconnect() {
+        this.connection.disconnect();
+    }
+
+    handleMessage(message) {
+        if (message.type === 'welcome') {
+            this.id = message.id;
+            message.peers.forEach(peer => this.peers.set(peer.id, peer));
+            this.clockSamples = [];
+            this.syncClock(0);
+            this.setStatus('online');
+            console.log(`👥 Joined room "${message.room}" as #${this.id} (${message.peers.length} others online)`);
+        } else if (message.type === 'join') {
+            this.peers.set(message.id, { id: message.id, name: message.name, color: message.color });
+            console.log(`👋 ${message.name} joined`);
+        } else if (message.type === 'leave') {
+            const peer = this.peers.get(message.id);
+            this.peers.delete(message.id);
+            if (peer) console.log(`🚪 ${peer.name} left`);
+        } else if (message.type === 'pong') {
+            this.handlePong(message);
+        }
+
+        const listeners = this.messageListeners.get(message.type);
+        if (listeners) {
+            listeners.forEach(listener => listener(message));
+        }
+    }
+
+    /**
+     * Ping the relay: a quick burst after joining, then every 10s to follow drift
+     */
+    syncClock(count) {
+        this.sendRaw({ type: 'ping', t0: performance.now() });
+        this.clockTimer = setTimeout(() => this.syncClock(count + 1), count < 5 ? 200 : 10000);
+    }
+
+    handlePong(message) {
+        const now = performance.now();
+        const rtt = now - message.t0;
+        this.clockSamples.push({ rtt, offset: message.serverTime + rtt / 2 - now });
+        if (this.clockSamples.length > 8) this.clockSamples.shift();
+        // Lowest round trip = least queuing delay = most accurate offset
+        const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.clockOffset = best.offset;
+    }
+
+    /**
+     * Relay clock in seconds - the same for every connected client (falls back to local time offline)
+     */
+    getServerTime() {
+        return (performance.now() + (this.isConnected ? this.clockOffset : 0)) / 1000;
+    }
+
+    /**
+     * Convert a relay timestamp (seconds) to local performance.now() seconds
+     */
+    toLocalTime(serverTime) {
+        return serverTime - this.clockOffset / 1000;
+    }
+
+    get isConnected() {
+        return this.status === 'online';
+    }
+
+    /**
+     * Send a message to everyone else in the room
+     * @param {string} type - Message type (listeners on other clients subscribe to this)
+     * @param {Object} data - Payload fields
+     */
+    send(type, data = {}) {
+        if (!this.isConnected) return false;
+        return this.sendRaw(Object.assign({}, data, { type }));
+    }
+
+    sendRaw(message) {
+        return this.connection.send(JSON.stringify(message));
+    }
+
+    /**
+     * Subscribe to a message type ('welcome', 'join', 'leave', 'pose', ...)
+     * @param {string} type
+     * @param {Function} listener - Called with the message (relayed messages carry 'from')
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        if (!this.messageListeners.has(type)) {
+            this.messageListeners.set(type, []);
+        }
+        const listeners = this.messageListeners.get(type);
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Subscribe to connection status changes
+     * @param {Function} listener - Called with ('offline' | 'connecting' | 'online')
+     * @returns {Function} Unsubscribe function
+     */
+    onStatusChange(listener) {
+        this.statusListeners.push(listener);
+        return () => {
+            const index = this.statusListeners.indexOf(listener);
+            if (index !== -1) this.statusListeners.splice(index, 1);
+        };
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+        this.status = status;
+        this.statusListeners.forEach(listener => listener(status));
+    }
+}
+
+// Export for use in main club script
+window.NetworkClient = NetworkClient;
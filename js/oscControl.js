@@ -0,0 +1,294 @@
+// OSC Control - TouchOSC / Resolume / any OSC app drives the club through server/oscBridge.js
+// Incoming /club/... messages go through the same paths as the VJ console; state is sent back so tablet layouts stay in sync
+
+class OSCControl {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.feedbackInterval = options.feedbackInterval || 0.05; // Seconds between feedback checks (20 Hz)
+        this.connection = new ReconnectingSocket({
+            name: 'OSC bridge',
+            reconnectDelay: options.reconnectDelay,
+            maxReconnectDelay: options.maxReconnectDelay,
+            onConnecting: () => this.setStatus('connecting'),
+            onOpen: () => {
+                this.feedback.clear(); // Send the full state once
+                this.setStatus('online');
+                console.log('📡 OSC bridge connected');
+            },
+            onMessage: (event) => this.handleMessage(event),
+            onClose: () => this.handleClose()
+        });
+
+        this.status = 'offline';     // 'offline' | 'connecting' | 'online'
+        this.bridge = null;          // { port, replyPort } reported by the bridge
+        this.sources = [];           // IPs of the OSC apps the bridge has heard from
+
+        this.feedback = new Map();   // address → last args sent (JSON), so only changes go out
+        this.lastFeedback = -Infinity;
+        this.clockTimeout = options.clockTimeout || 4; // Seconds without /club/bpm or /club/beat/phase before audio analysis takes over
+        this.clockLocked = false;    // Tempo / bar phase come from OSC (e.g. Resolume) instead of audio analysis
+        this.lastTempo = -Infinity;  // When the last tempo / phase message arrived
+        this.listeners = [];
+    }
+
+    /**
+     * Connect to the OSC bridge
+     * @param {string} url - e.g. ws://localhost:8083
+     */
+    connect(url) {
+        this.connection.connect(url);
+    }
+
+    handleMessage(event) {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return; // Ignore malformed messages
+        }
+        if (message.type === 'osc') {
+            this.receive(message.address, message.args || []);
+        } else if (message.type === 'source') {
+            // A new tablet / app - give it the whole state, not just the next change
+            if (!this.sources.includes(message.address)) this.sources.push(message.address);
+            this.feedback.clear();
+            this.notify();
+        } else if (message.type === 'status') {
+            this.bridge = { port: message.port, replyPort: message.replyPort };
+            this.sources = message.sources || [];
+            this.notify();
+        }
+    }
+
+    handleClose() {
+        this.bridge = null;
+        this.sources = [];
+        this.releaseClock();
+        this.setStatus('offline');
+    }
+
+    disconnect() {
+        this.connection.disconnect();
+    }
+
+    get isConnected() {
+        return this.status === 'online';
+    }
+
+    /**
+     * Apply one incoming OSC message
+     * @param {string} address - e.g. /club/spotlights/on
+     * @param {Array} args - Decoded arguments (numbers, strings, booleans)
+     */
+    receive(address, args) {
+        const club = this.club;
+        if (address === '/club/refresh') {
+            this.feedback.clear();
+            return;
+        }
+        if (!club.showSync.canControl()) return; // Guests follow the VJ's show
+        const value = args[0];
+
+        // Toggles set a state (1/0); with no argument they flip like the console button
+        const toggle = OSCControl.TOGGLES[address];
+        if (toggle) {
+            const on = value === undefined ? !club[toggle] : OSCControl.isOn(value);
+            if (on !== club[toggle]) club.handleVJControl(toggle);
+            return;
+        }
+
+        // Triggers fire on press (TouchOSC buttons also send 0 on release)
+        const trigger = OSCControl.TRIGGERS[address];
+        if (trigger) {
+            if (value === undefined || OSCControl.isOn(value)) club.handleVJControl(trigger);
+            return;
+        }
+
+        switch (address) {
+            case '/club/spot/color':
+                if (args.length >= 3) {
+                    // 0-1 floats, or 0-255 if any channel is above 1
+                    const scale = args.slice(0, 3).some(channel => channel > 1) ? 1 / 255 : 1;
+                    club.setSpotColor(new BABYLON.Color3(args[0] * scale, args[1] * scale, args[2] * scale));
+                } else if (typeof value === 'number') {
+                    club.setSpotColor(Math.abs(Math.floor(value)) % club.spotColorList.length); // Palette index
+                }
+                break;
+            case '/club/speed':
+                if (typeof value === 'number') club.setSpotlightSpeed(value);
+                break;
+            case '/club/dimmer':
+                if (typeof value === 'number') club.setMasterDimmer(value);
+                break;
+            case '/club/spot/mode':
+                if (typeof value === 'number') club.spotlightMode = Math.max(0, Math.min(3, Math.round(value)));
+                break;
+            case '/club/spot/pattern':
+                if (typeof value === 'number') club.spotlightPattern = Math.max(0, Math.min(2, Math.round(value)));
+                break;
+            case '/club/led/pattern':
+                // Name or index holds a pattern; "auto" (or no argument) goes back to the rotation
+                club.holdLEDPattern(value === undefined || value === 'auto' ? null
+                    : typeof value === 'number' ? Math.round(value) : value);
+                break;
+            case '/club/bpm':
+                if (typeof value === 'number' && value > 0) this.followTempo(value, null);
+                break;
+            case '/club/phase':
+                // Show phase: jump to a cue by index or name - like NEXT / PREV CUE, this hands control back to the show
+                if ((typeof value === 'number' || typeof value === 'string') && club.cueEngine && club.cueEngine.show) {
+                    club.vjManualMode = false;
+                    club.cueEngine.running = true;
+                    club.cueEngine.goToCue(typeof value === 'number' ? Math.round(value) : value);
+                }
+                break;
+            case '/club/beat/phase':
+                if (typeof value === 'number') this.followTempo(args[1] > 0 ? args[1] : null, value);
+                break;
+            default:
+                console.warn(`⚠️ Unknown OSC address ${address}`);
+        }
+    }
+
+    /**
+     * Lock the club's beat grid to an OSC tempo and/or bar phase (e.g. Resolume's BPM and phase)
+     * @param {number|null} bpm - New tempo, or null to keep the current one
+     * @param {number|null} phase - Position in the bar (0-1, 0 = downbeat), or null to keep the current grid
+     */
+    followTempo(bpm, phase) {
+        const tracker = this.club.beatTracker;
+        const time = this.club.now();
+        const clock = tracker.getClock();
+        clock.confidence = 1;
+        if (bpm) clock.bpm = Math.max(tracker.minBPM, Math.min(tracker.maxBPM, bpm));
+
+        if (phase !== null) {
+            const beatPeriod = 60 / clock.bpm;
+            const position = (phase % 1) * tracker.beatsPerBar;
+            const beatInBar = Math.floor(position);
+            const beatTime = time - (position - beatInBar) * beatPeriod;
+            // Number the OSC beat as the nearest beat on our grid, then turn the bar so that beat lands on beatInBar
+            clock.beatNumber = Math.max(0, clock.beatNumber + Math.round((beatTime - clock.beatTime) / beatPeriod));
+            clock.beatTime = beatTime;
+            clock.downbeatSlot = ((clock.beatNumber - beatInBar) % tracker.beatsPerBar + tracker.beatsPerBar) % tracker.beatsPerBar;
+        }
+
+        tracker.followClock(clock, time);
+        this.lastTempo = time;
+        if (!this.clockLocked) {
+            this.clockLocked = true;
+            console.log(`📡 Beat clock locked to OSC (${Math.round(clock.bpm)} BPM)`);
+            this.notify();
+        }
+    }
+
+    releaseClock() {
+        if (!this.clockLocked) return;
+        this.clockLocked = false;
+        this.club.beatTracker.followClock(null);
+        console.log('🎵 Beat clock back to audio analysis');
+        this.notify();
+    }
+
+    /**
+     * What tablet layouts mirror: address → args
+     */
+    captureState() {
+        const club = this.club;
+        const state = {};
+        Object.keys(OSCControl.TOGGLES).forEach(address => {
+            state[address] = [club[OSCControl.TOGGLES[address]] ? 1 : 0];
+        });
+        const color = club.currentSpotColor;
+        state['/club/spot/color'] = [color.r, color.g, color.b];
+        state['/club/spot/mode'] = [club.spotlightMode];
+        state['/club/spot/pattern'] = [club.spotlightPattern];
+        state['/club/speed'] = [club.spotlightSpeed];
+        state['/club/dimmer'] = [club.masterDimmer];
+        state['/club/led/pattern'] = [club.ledPattern];
+        state['/club/bpm'] = [Math.round(club.beatTracker.bpm * 10) / 10];
+        const cue = club.cueEngine ? club.cueEngine.getStatus() : null;
+        state['/club/cue'] = [cue && cue.cue ? cue.cue : ''];
+        state['/club/phase'] = [cue ? cue.index : -1];
+        return state;
+    }
+
+    /**
+     * Per-frame: release a stale OSC clock, and send state that changed since the last feedback
+     * @param {number} time - Current time in seconds (club.now())
+     */
+    update(time) {
+        if (this.clockLocked && time - this.lastTempo > this.clockTimeout) this.releaseClock(); // Tempo source stopped
+        if (!this.isConnected || time - this.lastFeedback < this.feedbackInterval) return;
+        this.lastFeedback = time;
+
+        const state = this.captureState();
+        Object.keys(state).forEach(address => {
+            const serialized = JSON.stringify(state[address]);
+            if (this.feedback.get(address) === serialized) return;
+            this.feedback.set(address, serialized);
+            this.connection.send(JSON.stringify({ type: 'osc', address, args: state[address] }));
+        });
+    }
+
+    /**
+     * Subscribe to connection changes
+     * @param {Function} listener - Called with { status, bridge, sources, clockLocked }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.notify();
+    }
+
+    notify() {
+        const status = {
+            status: this.status,
+            bridge: this.bridge,
+            sources: this.sources.slice(),
+            clockLocked: this.clockLocked
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * OSC on/off: 1/0 floats from faders and toggles, T/F booleans, or "on"/"off"
+     */
+    static isOn(value) {
+        if (typeof value === 'number') return value >= 0.5;
+        if (typeof value === 'string') return value === 'on' || value === 'true' || value === '1';
+        return !!value;
+    }
+}
+
+// On/off addresses → club toggle (same state the VJ console buttons flip)
+OSCControl.TOGGLES = {
+    '/club/spotlights/on': 'lightsActive',
+    '/club/lasers/on': 'lasersActive',
+    '/club/strobes/on': 'strobesActive',
+    '/club/led/on': 'ledWallActive',
+    '/club/mirrorball/on': 'mirrorBallActive',
+    '/club/spot/strobe': 'spotStrobeActive',
+    '/club/ticker/on': 'tickerActive'
+};
+
+// Button addresses → VJ console action
+OSCControl.TRIGGERS = {
+    '/club/spot/color/next': 'changeColor',
+    '/club/spot/mode/next': 'cycleSpotMode',
+    '/club/spot/pattern/next': 'cyclePattern',
+    '/club/mirrorball/color/next': 'changeMirrorBallColor',
+    '/club/cue/next': 'nextCue',
+    '/club/cue/previous': 'previousCue'
+};
+
+// Export for use in main club script
+window.OSCControl = OSCControl;
@@ -0,0 +1,380 @@
+// Performance Recorder - Logs a VJ set (console controls, show state, beat clock, audio position) and replays it
+// Playback drives the club like a show sync guest following a VJ: state snapshots, the recorded beat grid and the recorded show clock
+
+class PerformanceRecorder {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.sampleInterval = options.sampleInterval || 0.05;     // Seconds between state checks while recording (20 Hz)
+        this.audioKeyframeInterval = options.audioKeyframeInterval || 10; // Seconds between audio position keyframes
+        this.audioSeekThreshold = options.audioSeekThreshold || 0.5;       // Drift (s) above which playback seeks
+
+        this.mode = 'idle';          // 'idle' | 'recording' | 'playing'
+        this.recording = null;       // Last recorded or loaded { version, name, seed, showTime, duration, events }
+        this.loop = false;
+
+        // Recording
+        this.startTime = 0;
+        this.events = [];
+        this.lastState = {};
+        this.lastClock = null;
+        this.lastAudio = null;       // { t, channel, position } of the last audio event
+        this.lastSample = -Infinity;
+
+        // Playback
+        this.eventIndex = 0;
+        this.playbackState = {};
+        this.playbackChannel = null; // Audio channel started by playback
+        this.loadingUrl = null;
+        this.savedSeed = null;
+        this.lastSecond = -1;
+        this.listeners = [];
+    }
+
+    get isRecording() {
+        return this.mode === 'recording';
+    }
+
+    get isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    /**
+     * Start logging - the first events are a full snapshot of the show, the beat grid and the audio
+     */
+    startRecording() {
+        if (this.mode !== 'idle') this.stop();
+        const club = this.club;
+        this.startTime = this.club.now();
+        this.events = [];
+        this.lastState = {};
+        this.lastClock = null;
+        this.lastAudio = null;
+        this.lastSample = -Infinity;
+        this.lastSecond = -1;
+        this.recording = {
+            version: PerformanceRecorder.VERSION,
+            name: `Set ${new Date().toLocaleString()}`,
+            rig: club.rig.name,
+            venue: club.venue.name,
+            seed: club.random.seed,
+            showTime: club.getShowTime(),
+            duration: 0,
+            events: this.events
+        };
+        this.mode = 'recording';
+        this.record(this.startTime);
+        console.log('⏺️ Recording performance');
+        this.notify();
+    }
+
+    /**
+     * Console / MIDI / OSC control, logged for review (playback replays its effect from the state that follows)
+     */
+    logControl(control) {
+        if (!this.isRecording) return;
+        this.events.push({ t: this.elapsed(this.club.now()), type: 'control', control });
+    }
+
+    /**
+     * Per-frame, after the cue engine: log what changed, or apply the events that are due
+     * @param {number} time - Current time in seconds (club.now())
+     */
+    update(time) {
+        if (this.isRecording) {
+            if (time - this.lastSample >= this.sampleInterval) this.record(time);
+        } else if (this.isPlaying) {
+            this.play(time);
+        } else {
+            return;
+        }
+        const second = Math.floor(time - this.startTime);
+        if (second !== this.lastSecond) {
+            this.lastSecond = second;
+            this.notify(); // Running time on the status line
+        }
+    }
+
+    record(time) {
+        const club = this.club;
+        const t = this.elapsed(time);
+        this.lastSample = time;
+
+        // Show state: only the fields that changed
+        const state = club.showSync.captureState();
+        const changes = {};
+        Object.keys(state).forEach(field => {
+            const value = JSON.stringify(state[field]);
+            if (this.lastState[field] !== value) {
+                this.lastState[field] = value;
+                changes[field] = state[field];
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            this.events.push({ t, type: 'state', state: changes });
+        }
+
+        // Beat grid: tempo, downbeat or phase moved (beat numbers and times advancing on the grid don't count)
+        const clock = club.beatTracker.getClock();
+        const last = this.lastClock;
+        const onGrid = last && Math.abs(clock.bpm - last.bpm) < 0.01 && clock.downbeatSlot === last.downbeatSlot &&
+            Math.abs(clock.beatTime - (last.beatTime + (clock.beatNumber - last.beatNumber) * 60 / last.bpm)) < 0.01;
+        if (!onGrid) {
+            this.lastClock = clock;
+            this.events.push({ t, type: 'clock', clock: Object.assign({}, clock, { beatTime: this.elapsed(clock.beatTime) }) });
+        }
+
+        // Audio: track changes, seeks, and a keyframe now and then
+        const channel = club.audioEngine.activeChannel;
+        const audio = this.lastAudio;
+        const position = channel ? channel.element.currentTime : 0;
+        let changed = !audio || audio.channel !== channel;
+        if (!changed && channel) {
+            const duration = channel.element.duration;
+            let expected = audio.position + (t - audio.t);
+            if (isFinite(duration) && duration > 0) expected %= duration;
+            changed = Math.abs(position - expected) > this.audioSeekThreshold || t - audio.t >= this.audioKeyframeInterval;
+        }
+        if (changed) {
+            this.lastAudio = { t, channel, position };
+            this.events.push(channel ? {
+                t,
+                type: 'audio',
+                url: channel.objectUrl ? null : channel.element.src, // Local files can't be replayed from the recording
+                label: channel.label,
+                position: isFinite(channel.element.duration) ? Math.round(position * 1000) / 1000 : null // Live streams have no position
+            } : { t, type: 'audio', url: null, label: null, position: null });
+        }
+    }
+
+    /**
+     * Use a recording for playback (and saving)
+     * @param {Object} recording - From a saved file
+     */
+    load(recording) {
+        PerformanceRecorder.validate(recording);
+        if (this.mode !== 'idle') this.stop();
+        this.recording = recording;
+        console.log(`📼 Recording loaded: ${recording.name} (${PerformanceRecorder.formatTime(recording.duration)}, ${recording.events.length} events)`);
+        this.notify();
+    }
+
+    /**
+     * Replay the recording from the start - the console is locked and the cue list holds until stop()
+     */
+    startPlayback() {
+        const club = this.club;
+        if (!this.recording) {
+            throw new Error('Nothing to play - record a set or load a recording first');
+        }
+        if (club.showSync.isFollower) {
+            throw new Error(`${club.showSync.getVJName()} is the VJ - guests can't replay a set`);
+        }
+        if (this.mode !== 'idle') this.stop();
+
+        this.savedSeed = club.random.seed;
+        if (this.recording.seed !== club.random.seed) {
+            club.random.reseed(this.recording.seed);
+            console.warn(`⚠️ Recorded with ?seed=${this.recording.seed} - reload with it for the same mirror ball scatter`);
+        }
+        club.lightingEditor.setActive(false);
+        this.mode = 'playing';
+        this.rewind(this.club.now());
+        console.log(`▶️ Playing ${this.recording.name}`);
+        this.notify();
+    }
+
+    rewind(time) {
+        this.startTime = time;
+        this.eventIndex = 0;
+        this.playbackState = {};
+        this.lastSecond = -1;
+    }
+
+    play(time) {
+        const recording = this.recording;
+        if (this.elapsed(time) >= recording.duration) {
+            if (!this.loop) {
+                this.stop();
+                return;
+            }
+            this.rewind(time); // The show clock, beat grid and audio all jump back with the first events
+            console.log(`🔁 Looping ${recording.name}`);
+        }
+
+        const t = this.elapsed(time);
+        const events = recording.events;
+        let stateChanged = false;
+        while (this.eventIndex < events.length && events[this.eventIndex].t <= t) {
+            const event = events[this.eventIndex++];
+            if (event.type === 'state') {
+                Object.assign(this.playbackState, event.state);
+                stateChanged = true;
+            } else if (event.type === 'clock') {
+                const clock = Object.assign({}, event.clock, { beatTime: this.startTime + event.clock.beatTime });
+                this.club.beatTracker.followClock(clock, time);
+            } else if (event.type === 'audio') {
+                this.playAudio(event, t);
+            } else if (event.type === 'control') {
+                const button = this.club.vjControlButtons.find(btn => btn.control === event.control);
+                console.log(`▶️ ${PerformanceRecorder.formatTime(event.t)} ${button ? button.label : event.control}`);
+            }
+        }
+        // Same path as a guest following the VJ: fields, colors and speed through the club helpers
+        if (stateChanged) this.club.showSync.applySnapshot({ state: this.playbackState });
+    }
+
+    async playAudio(event, t) {
+        const audioEngine = this.club.audioEngine;
+        if (this.club.renderer.active) return; // The video renderer puts the track in the video itself
+        if (!event.url) {
+            // Silence, or a local file that can't be replayed - leave whatever is playing
+            if (event.label) console.warn(`⚠️ "${event.label}" was a local file - play it yourself to hear the set`);
+            return;
+        }
+        let channel = audioEngine.activeChannel;
+        if (!channel || channel.element.src !== event.url) {
+            if (this.loadingUrl === event.url) return; // Keyframe while the track is still loading
+            this.loadingUrl = event.url;
+            try {
+                channel = await audioEngine.play(event.url, { label: event.label, crossfade: 0.5 });
+            } catch (error) {
+                console.error('❌ Recording audio failed:', error);
+                return;
+            } finally {
+                this.loadingUrl = null;
+            }
+            if (!this.isPlaying || !channel) return;
+            this.playbackChannel = channel;
+        }
+        if (event.position === null) return; // Live stream - nowhere to seek
+        const target = event.position + (this.elapsed(this.club.now()) - event.t);
+        if (Math.abs(channel.element.currentTime - target) > this.audioSeekThreshold) {
+            channel.element.currentTime = target;
+        }
+    }
+
+    /**
+     * Stop recording or playback
+     */
+    stop() {
+        const club = this.club;
+        if (this.isRecording) {
+            this.recording.duration = this.elapsed(this.club.now());
+            console.log(`⏹️ Recorded ${PerformanceRecorder.formatTime(this.recording.duration)} (${this.events.length} events)`);
+        } else if (this.isPlaying) {
+            // Back to our own beat analysis, show clock and cue list
+            club.beatTracker.followClock(null);
+            club.showSync.remoteCue = null;
+            club.random.reseed(this.savedSeed);
+            if (this.playbackChannel && club.audioEngine.activeChannel === this.playbackChannel) {
+                club.audioEngine.stop(1.0);
+            }
+            this.playbackChannel = null;
+            club.cueEngine.resume();
+            console.log('⏹️ Playback stopped');
+        }
+        this.mode = 'idle';
+        this.notify();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        this.notify();
+    }
+
+    /**
+     * Show clock during playback: the recorded one, so time-driven patterns land where they did
+     */
+    getShowTime() {
+        return this.recording.showTime + this.elapsed(this.club.now());
+    }
+
+    elapsed(time) {
+        return Math.round((time - this.startTime) * 1000) / 1000; // Milliseconds are plenty for a set
+    }
+
+    /**
+     * Download the last recording as JSON (load it again from 📂 Load Recording)
+     */
+    save() {
+        if (!this.recording || this.isRecording) return;
+        const fileName = `${FileDownload.slug(this.recording.name, 'set')}.json`;
+        FileDownload.downloadJSON(fileName, this.recording);
+        console.log(`💾 Recording saved: ${fileName}`);
+    }
+
+    /**
+     * Subscribe to recorder changes
+     * @param {Function} listener - Called with { mode, name, duration, position, events, loop }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const recording = this.recording;
+        const status = {
+            mode: this.mode,
+            name: recording ? recording.name : null,
+            duration: recording ? (this.isRecording ? this.elapsed(this.club.now()) : recording.duration) : 0,
+            position: this.isPlaying ? this.elapsed(this.club.now()) : 0,
+            events: recording ? recording.events.length : 0,
+            loop: this.loop
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Load a recording from a JSON file
+     * @param {string} url
+     * @returns {Promise<Object>} Validated recording for load()
+     */
+    static async fetchRecording(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        const recording = await response.json();
+        PerformanceRecorder.validate(recording);
+        return recording;
+    }
+
+    static validate(recording) {
+        if (!recording || !Array.isArray(recording.events)) {
+            throw new Error('Recording must contain an "events" array');
+        }
+        if (recording.version !== PerformanceRecorder.VERSION) {
+            throw new Error(`Unsupported recording version ${recording.version} (expected ${PerformanceRecorder.VERSION})`);
+        }
+        if (!(recording.duration > 0)) {
+            throw new Error('Recording has no duration');
+        }
+        recording.events.forEach((event, i) => {
+            if (!(event.t >= 0) || !PerformanceRecorder.EVENT_TYPES.includes(event.type)) {
+                throw new Error(`Event ${i + 1} needs a time "t" and a type (${PerformanceRecorder.EVENT_TYPES.join(', ')})`);
+            }
+            if (i > 0 && event.t < recording.events[i - 1].t) {
+                throw new Error(`Event ${i + 1} is out of order (t = ${event.t})`);
+            }
+        });
+    }
+
+    static formatTime(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Recording file format version
+PerformanceRecorder.VERSION = 1;
+
+// What a recording logs: show state changes, beat grid changes, audio track / position, and console controls
+PerformanceRecorder.EVENT_TYPES = ['state', 'clock', 'audio', 'control'];
+
+// Export for use in main club script
+window.PerformanceRecorder = PerformanceRecorder;
@@ -0,0 +1,266 @@
+// Presence - Broadcasts the local head/hand pose and renders interpolated avatars for other clubbers
+// Desktop sends the camera as the head; XR also sends both controllers as hands
+
+class Presence {
+    constructor(club, network, options = {}) {
+        this.club = club;
+        this.scene = club.scene;
+        this.network = network;
+        this.sendRate = options.sendRate || 15;                  // Pose updates per second
+        this.interpolationDelay = options.interpolationDelay || 0.1; // Seconds behind real time (smooths jitter)
+
+        this.avatars = new Map();    // peer id → avatar
+        this.lastSendTime = 0;
+        this.listeners = [];
+
+        this.network.on('welcome', (message) => {
+            message.peers.forEach(peer => {
+                this.addAvatar(peer);
+                if (peer.pose) this.pushPose(peer.id, peer.pose);
+            });
+            this.notify();
+        });
+        this.network.on('join', (message) => {
+            this.addAvatar(message);
+            this.notify();
+        });
+        this.network.on('leave', (message) => {
+            this.removeAvatar(message.id);
+            this.notify();
+        });
+        this.network.on('pose', (message) => this.pushPose(message.from, message.pose));
+    }
+
+    /**
+     * Per-frame: send our pose (rate limited) and move remote avatars
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (this.network.isConnected && time - this.lastSendTime >= 1 / this.sendRate) {
+            this.lastSendTime = time;
+            const pose = this.getLocalPose();
+            if (pose) this.network.send('pose', { pose });
+        }
+
+        const renderTime = time - this.interpolationDelay;
+        this.avatars.forEach(avatar => this.updateAvatar(avatar, renderTime));
+    }
+
+    /**
+     * Local pose in world space: { head: { p, q }, left?, right?, xr }
+     */
+    getLocalPose() {
+        const camera = this.scene.activeCamera;
+        if (!camera) return null;
+
+        const pose = { head: this.serializeTransform(camera.globalPosition, camera.absoluteRotation), xr: false };
+
+        const vrHelper = this.club.vrHelper;
+        if (vrHelper && vrHelper.baseExperience.state === BABYLON.WebXRState.IN_XR) {
+            pose.xr = true;
+            vrHelper.input.controllers.forEach(controller => {
+                const hand = controller.inputSource.handedness;
+                const node = controller.grip || controller.pointer;
+                if ((hand === 'left' || hand === 'right') && node) {
+                    pose[hand] = this.serializeTransform(node.absolutePosition, node.absoluteRotationQuaternion);
+                }
+            });
+        }
+        return pose;
+    }
+
+    serializeTransform(position, rotation) {
+        const round = (v) => Math.round(v * 1000) / 1000; // mm precision keeps messages small
+        return {
+            p: [round(position.x), round(position.y), round(position.z)],
+            q: [round(rotation.x), round(rotation.y), round(rotation.z), round(rotation.w)]
+        };
+    }
+
+    pushPose(id, pose) {
+        const avatar = this.avatars.get(id);
+        if (!avatar || !Presence.isValidPose(pose)) return; // A bad pose would throw every frame in updateAvatar
+        avatar.snapshots.push({ time: performance.now() / 1000, pose });
+        if (avatar.snapshots.length > 20) avatar.snapshots.shift();
+    }
+
+    addAvatar(peer) {
+        if (this.avatars.has(peer.id)) return;
+        const color = this.getPeerColor(peer);
+        const prefix = `avatar_${peer.id}`;
+
+        const material = new BABYLON.StandardMaterial(`${prefix}_mat`, this.scene);
+        material.diffuseColor = color;
+        material.emissiveColor = color.scale(0.4); // Readable in the dark club
+
+        const visorMat = new BABYLON.StandardMaterial(`${prefix}_visorMat`, this.scene);
+        visorMat.diffuseColor = new BABYLON.Color3(0.02, 0.02, 0.02);
+        visorMat.emissiveColor = new BABYLON.Color3(0.05, 0.05, 0.1);
+
+        // Head (with visor on the forward face so you can see where people look)
+        const head = new BABYLON.TransformNode(`${prefix}_head`, this.scene);
+        head.rotationQuaternion = BABYLON.Quaternion.Identity();
+        const skull = BABYLON.MeshBuilder.CreateSphere(`${prefix}_skull`, { diameter: 0.24, segments: 12 }, this.scene);
+        skull.material = material;
+        skull.parent = head;
+        const visor = BABYLON.MeshBuilder.CreateBox(`${prefix}_visor`, { width: 0.2, height: 0.08, depth: 0.06 }, this.scene);
+        visor.position = new BABYLON.Vector3(0, 0.01, 0.1);
+        visor.material = visorMat;
+        visor.parent = head;
+
+        // Body hangs under the head and only follows its yaw
+        const body = BABYLON.MeshBuilder.CreateCylinder(`${prefix}_body`, {
+            height: 0.6, diameterTop: 0.34, diameterBottom: 0.22, tessellation: 12
+        }, this.scene);
+        body.material = material;
+
+        const createHand = (side) => {
+            const hand = BABYLON.MeshBuilder.CreateSphere(`${prefix}_${side}Hand`, { diameter: 0.09, segments: 8 }, this.scene);
+            hand.material = material;
+            hand.rotationQuaternion = BABYLON.Quaternion.Identity();
+            hand.setEnabled(false);
+            return hand;
+        };
+
+        // Name tag (always faces the viewer)
+        const tag = BABYLON.MeshBuilder.CreatePlane(`${prefix}_tag`, { width: 0.6, height: 0.15 }, this.scene);
+        tag.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        const tagTexture = new BABYLON.DynamicTexture(`${prefix}_tagTexture`, { width: 512, height: 128 }, this.scene);
+        tagTexture.hasAlpha = true;
+        tagTexture.drawText(peer.name || `Clubber ${peer.id}`, null, 85, 'bold 60px Arial', color.toHexString(), 'transparent', true);
+        const tagMat = new BABYLON.StandardMaterial(`${prefix}_tagMat`, this.scene);
+        tagMat.diffuseTexture = tagTexture;
+        tagMat.emissiveColor = new BABYLON.Color3(1, 1, 1);
+        tagMat.disableLighting = true;
+        tagMat.backFaceCulling = false;
+        tag.material = tagMat;
+
+        const avatar = {
+            id: peer.id,
+            name: peer.name,
+            head, body, tag,
+            left: createHand('left'),
+            right: createHand('right'),
+            materials: [material, visorMat, tagMat],
+            textures: [tagTexture],
+            snapshots: []
+        };
+        // Avatars never block clicks on the booth or VJ console
+        [skull, visor, body, tag, avatar.left, avatar.right].forEach(mesh => { mesh.isPickable = false; });
+        head.setEnabled(false); // Hidden until the first pose arrives
+        body.setEnabled(false);
+        tag.setEnabled(false);
+
+        this.avatars.set(peer.id, avatar);
+    }
+
+    removeAvatar(id) {
+        const avatar = this.avatars.get(id);
+        if (!avatar) return;
+        [avatar.head, avatar.body, avatar.tag, avatar.left, avatar.right].forEach(node => node.dispose());
+        avatar.materials.forEach(material => material.dispose());
+        avatar.textures.forEach(texture => texture.dispose());
+        this.avatars.delete(id);
+    }
+
+    updateAvatar(avatar, renderTime) {
+        const snapshots = avatar.snapshots;
+        if (snapshots.length === 0) return;
+
+        // Find the two snapshots around renderTime (hold the newest if we run out)
+        let from = snapshots[0];
+        let to = snapshots[0];
+        for (let i = 0; i < snapshots.length; i++) {
+            if (snapshots[i].time <= renderTime) {
+                from = snapshots[i];
+                to = snapshots[i + 1] || snapshots[i];
+            }
+        }
+        // Drop snapshots we have interpolated past
+        while (snapshots.length > 2 && snapshots[1].time <= renderTime) snapshots.shift();
+
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.time) / span)) : 1;
+
+        const headPose = this.interpolateTransform(from.pose.head, to.pose.head, t);
+        avatar.head.position.copyFrom(headPose.position);
+        avatar.head.rotationQuaternion.copyFrom(headPose.rotation);
+
+        // Body: below the head, yaw only
+        const yaw = headPose.rotation.toEulerAngles().y;
+        avatar.body.position.set(headPose.position.x, headPose.position.y - 0.5, headPose.position.z);
+        avatar.body.rotation.y = yaw;
+        avatar.tag.position.set(headPose.position.x, headPose.position.y + 0.3, headPose.position.z);
+
+        ['left', 'right'].forEach(side => {
+            const hand = avatar[side];
+            const a = from.pose[side];
+            const b = to.pose[side];
+            if (a && b) {
+                const handPose = this.interpolateTransform(a, b, t);
+                hand.position.copyFrom(handPose.position);
+                hand.rotationQuaternion.copyFrom(handPose.rotation);
+                hand.setEnabled(true);
+            } else {
+                hand.setEnabled(false); // Desktop users have no tracked hands
+            }
+        });
+
+        if (!avatar.head.isEnabled()) {
+            avatar.head.setEnabled(true);
+            avatar.body.setEnabled(true);
+            avatar.tag.setEnabled(true);
+        }
+    }
+
+    interpolateTransform(a, b, t) {
+        const position = BABYLON.Vector3.Lerp(BABYLON.Vector3.FromArray(a.p), BABYLON.Vector3.FromArray(b.p), t);
+        const rotation = BABYLON.Quaternion.Slerp(BABYLON.Quaternion.FromArray(a.q), BABYLON.Quaternion.FromArray(b.q), t);
+        return { position, rotation };
+    }
+
+    /**
+     * A relayed pose we can render: a head transform and, optionally, left / right hand transforms
+     */
+    static isValidPose(pose) {
+        const isNumbers = (array, length) => Array.isArray(array) && array.length === length && array.every(Number.isFinite);
+        const isTransform = (transform) => !!transform && isNumbers(transform.p, 3) && isNumbers(transform.q, 4);
+        return !!pose && isTransform(pose.head) &&
+            ['left', 'right'].every(side => pose[side] === undefined || pose[side] === null || isTransform(pose[side]));
+    }
+
+    getPeerColor(peer) {
+        if (peer.color) {
+            try {
+                return BABYLON.Color3.FromHexString(peer.color);
+            } catch (error) {
+                // Fall through to the id-based color
+            }
+        }
+        // Stable color from the id
+        const hue = (parseInt(peer.id, 10) * 137.5) % 360;
+        const color = new BABYLON.Color3();
+        BABYLON.Color3.HSVtoRGBToRef(hue, 0.7, 1.0, color);
+        return color;
+    }
+
+    /**
+     * Subscribe to avatar list changes (join/leave)
+     * @param {Function} listener - Called with the number of remote clubbers
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.avatars.size));
+    }
+}
+
+// Export for use in main club script
+window.Presence = Presence;
@@ -0,0 +1,98 @@
+// Reconnecting Socket - WebSocket that retries with exponential backoff until disconnect() is called
+// Shared by the relay client and the DMX / OSC bridge connections; the owner keeps its own status and protocol
+
+class ReconnectingSocket {
+    /**
+     * @param {Object} options - { name: for log lines (e.g. 'DMX bridge'), binaryType, reconnectDelay: ms,
+     *                           maxReconnectDelay: ms, onConnecting(), onOpen(), onMessage(event), onClose() }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Server';
+        this.binaryType = options.binaryType || null;
+        this.reconnectDelay = options.reconnectDelay || 2000; // ms, doubles up to maxReconnectDelay
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+
+        this.onConnecting = options.onConnecting || (() => {});
+        this.onOpen = options.onOpen || (() => {});
+        this.onMessage = options.onMessage || (() => {});
+        this.onClose = options.onClose || (() => {}); // Every close, including disconnect() - before the retry is scheduled
+
+        this.socket = null;
+        this.url = null;
+        this.shouldReconnect = false;
+        this.reconnectTimer = null;
+        this.currentDelay = this.reconnectDelay;
+    }
+
+    /**
+     * Connect (closing any previous connection) and keep reconnecting until disconnect()
+     * @param {string} url - ws:// or wss:// URL
+     */
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.shouldReconnect = true;
+        this.open();
+    }
+
+    open() {
+        this.onConnecting();
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            console.error(`❌ Invalid ${this.name} URL:`, error);
+            this.shouldReconnect = false;
+            this.onClose();
+            return;
+        }
+        if (this.binaryType) socket.binaryType = this.binaryType;
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.currentDelay = this.reconnectDelay;
+            this.onOpen();
+        };
+        socket.onmessage = (event) => this.onMessage(event);
+        socket.onclose = () => this.handleClose(socket);
+    }
+
+    handleClose(socket) {
+        if (socket !== this.socket) return;
+        this.socket = null;
+        this.onClose();
+        if (this.shouldReconnect) {
+            console.warn(`⚠️ ${this.name} connection lost - retrying in ${(this.currentDelay / 1000).toFixed(0)}s`);
+            this.reconnectTimer = setTimeout(() => this.open(), this.currentDelay);
+            this.currentDelay = Math.min(this.currentDelay * 2, this.maxReconnectDelay);
+        }
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            socket.onclose = null;
+            this.handleClose(socket); // Run the owner's close handling now rather than on the async close event
+            socket.close();
+        }
+    }
+
+    get isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Send a string or binary frame
+     * @returns {boolean} False when the socket isn't open
+     */
+    send(data) {
+        if (!this.isOpen) return false;
+        this.socket.send(data);
+        return true;
+    }
+}
+
+// Export for use in main club script
+window.ReconnectingSocket = ReconnectingSocket;
@@ -0,0 +1,291 @@
+// Rig Layout - Trusses, fixtures and groups as data, so the club builds its lighting rig from a JSON file
+// Positions are world meters (y up, the DJ booth at z = -24); angles are degrees in the file, radians once loaded
+
+class RigLayout {
+    /**
+     * @param {Object} rig - { name, trusses, fixtures, groups } (see RigLayout.DEFAULT_RIG)
+     */
+    constructor(rig = RigLayout.DEFAULT_RIG) {
+        this.name = 'Untitled Rig';
+        this.trusses = [];   // { id, position, length, rotation, hangPoints }
+        this.fixtures = [];  // { id, type, mount, position, orientation, beamAngle, colors, effect }
+        this.groups = {};    // name → [fixture id]
+        this.setRig(rig);
+    }
+
+    /**
+     * Replace the rig - throws on anything the club could not build
+     */
+    setRig(rig) {
+        if (!rig || !Array.isArray(rig.fixtures)) {
+            throw new Error('Rig must contain a "fixtures" array');
+        }
+        const trusses = (rig.trusses || []).map((truss, i) => {
+            const id = truss.id || `truss${i + 1}`;
+            if (!(truss.length > 0)) {
+                throw new Error(`Truss "${id}" needs a length in meters`);
+            }
+            return {
+                id,
+                position: RigLayout.toPosition(truss.position, `Truss "${id}"`),
+                length: truss.length,
+                rotation: RigLayout.toRadians(truss.rotation),
+                hangPoints: Array.isArray(truss.hangPoints) ? truss.hangPoints.slice() : []
+            };
+        });
+        RigLayout.checkUnique(trusses, 'truss');
+
+        const fixtures = rig.fixtures.map((fixture, i) => {
+            const id = fixture.id || `${fixture.type}${i + 1}`;
+            const type = RigLayout.FIXTURE_TYPES[fixture.type];
+            if (!type) {
+                throw new Error(`Unknown fixture type "${fixture.type}" for "${id}" (${Object.keys(RigLayout.FIXTURE_TYPES).join(', ')})`);
+            }
+            if (fixture.mount && !trusses.some(truss => truss.id === fixture.mount)) {
+                throw new Error(`Fixture "${id}" is mounted on unknown truss "${fixture.mount}"`);
+            }
+            const beamAngle = fixture.beamAngle !== undefined ? fixture.beamAngle : type.beamAngle;
+            if (beamAngle !== undefined && !(beamAngle > 0 && beamAngle < 180)) {
+                throw new Error(`Beam angle for "${id}" must be between 0 and 180 degrees (got ${beamAngle})`);
+            }
+            const effect = fixture.effect || type.effect;
+            if (type.effects && !type.effects.includes(effect)) {
+                throw new Error(`Unknown ${fixture.type} effect "${effect}" for "${id}" (${type.effects.join(', ')})`);
+            }
+            return {
+                id,
+                type: fixture.type,
+                mount: fixture.mount || null,
+                position: RigLayout.toPosition(fixture.position, `Fixture "${id}"`),
+                orientation: RigLayout.toRadians(fixture.orientation),
+                beamAngle: beamAngle !== undefined ? RigLayout.toRadians(beamAngle) : null,
+                colors: RigLayout.toColors(fixture.colors !== undefined ? fixture.colors : type.colors, id),
+                effect: effect || null
+            };
+        });
+        RigLayout.checkUnique(fixtures, 'fixture');
+
+        const groups = {};
+        Object.keys(rig.groups || {}).forEach(name => {
+            const members = rig.groups[name];
+            if (!Array.isArray(members)) {
+                throw new Error(`Group "${name}" must be a list of fixture ids`);
+            }
+            members.forEach(id => {
+                if (!fixtures.some(fixture => fixture.id === id)) {
+                    throw new Error(`Group "${name}" lists unknown fixture "${id}"`);
+                }
+            });
+            groups[name] = members.slice();
+        });
+
+        this.name = rig.name || 'Untitled Rig';
+        this.trusses = trusses;
+        this.fixtures = fixtures;
+        this.groups = groups;
+    }
+
+    getTruss(id) {
+        return this.trusses.find(truss => truss.id === id) || null;
+    }
+
+    getFixture(id) {
+        return this.fixtures.find(fixture => fixture.id === id) || null;
+    }
+
+    /**
+     * Fixtures of one type, in file order (the order of the club's spotlights / lasers / strobes arrays)
+     * @param {string} type - 'movingHead' | 'laser' | 'strobe'
+     */
+    getFixtures(type) {
+        return this.fixtures.filter(fixture => fixture.type === type);
+    }
+
+    /**
+     * Fixture ids in a named group
+     */
+    getGroup(name) {
+        return this.groups[name] ? this.groups[name].slice() : [];
+    }
+
+    /**
+     * Human-readable summary for the settings panel
+     */
+    describe() {
+        const counts = Object.keys(RigLayout.FIXTURE_TYPES)
+            .map(type => ({ type, count: this.getFixtures(type).length }))
+            .filter(entry => entry.count > 0)
+            .map(entry => `${entry.count} ${RigLayout.FIXTURE_TYPES[entry.type].label}${entry.count === 1 ? '' : 's'}`);
+        return `${this.name}: ${this.trusses.length} truss${this.trusses.length === 1 ? '' : 'es'}, ${counts.join(', ') || 'no fixtures'}`;
+    }
+
+    /**
+     * The rig as a rig file (degrees, [x, y, z] arrays) - what the lighting editor saves
+     */
+    toJSON() {
+        const degrees = radians => Math.round(radians * 180 / Math.PI * 100) / 100;
+        const position = ({ x, y, z }) => [x, y, z];
+        const groups = {};
+        Object.keys(this.groups).forEach(name => {
+            groups[name] = this.groups[name].slice();
+        });
+        return {
+            name: this.name,
+            trusses: this.trusses.map(truss => {
+                const entry = { id: truss.id, position: position(truss.position), length: truss.length };
+                if (truss.rotation) entry.rotation = degrees(truss.rotation);
+                if (truss.hangPoints.length > 0) entry.hangPoints = truss.hangPoints.slice();
+                return entry;
+            }),
+            fixtures: this.fixtures.map(fixture => {
+                const entry = { id: fixture.id, type: fixture.type };
+                if (fixture.mount) entry.mount = fixture.mount;
+                entry.position = position(fixture.position);
+                if (fixture.orientation) entry.orientation = degrees(fixture.orientation);
+                if (fixture.beamAngle !== null) entry.beamAngle = degrees(fixture.beamAngle);
+                entry.colors = Array.isArray(fixture.colors) ? fixture.colors.map(color => color.asArray()) : fixture.colors;
+                if (fixture.effect) entry.effect = fixture.effect;
+                return entry;
+            }),
+            groups
+        };
+    }
+
+    /**
+     * Load a rig from a JSON file
+     * @param {string} url
+     * @returns {Promise<Object>} Validated rig for the RigLayout constructor
+     */
+    static async fetchRig(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        const rig = await response.json();
+        new RigLayout(rig); // Throws on unknown types, trusses or group members
+        return rig;
+    }
+
+    /**
+     * The nearest color a fixture can make: full mixing passes through, white-only fixtures
+     * keep the brightness, color wheels snap to the closest slot
+     * @param {BABYLON.Color3} color
+     * @param {string|Array} colors - 'rgb', 'white', or wheel colors as BABYLON.Color3
+     * @returns {BABYLON.Color3}
+     */
+    static fitColor(color, colors) {
+        if (colors === 'rgb') return color;
+        const level = Math.max(color.r, color.g, color.b);
+        if (colors === 'white' || level === 0) return new BABYLON.Color3(level, level, level);
+
+        const hue = color.scale(1 / level);
+        let nearest = colors[0];
+        let nearestDistance = Infinity;
+        colors.forEach(slot => {
+            const distance = (slot.r - hue.r) ** 2 + (slot.g - hue.g) ** 2 + (slot.b - hue.b) ** 2;
+            if (distance < nearestDistance) {
+                nearest = slot;
+                nearestDistance = distance;
+            }
+        });
+        return nearest.scale(level);
+    }
+
+    static toPosition(value, owner) {
+        if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+            throw new Error(`${owner} needs a position [x, y, z]`);
+        }
+        return { x: value[0], y: value[1], z: value[2] };
+    }
+
+    static toRadians(degrees) {
+        return (degrees || 0) * Math.PI / 180;
+    }
+
+    static toColors(colors, id) {
+        if (colors === 'rgb' || colors === 'white') return colors;
+        const valid = Array.isArray(colors) && colors.length > 0 && colors.every(color =>
+            Array.isArray(color) && color.length === 3 && color.every(channel => channel >= 0 && channel <= 1));
+        if (!valid) {
+            throw new Error(`Colors for "${id}" must be "rgb", "white" or a list of [r, g, b] (0-1)`);
+        }
+        return colors.map(color => new BABYLON.Color3(color[0], color[1], color[2]));
+    }
+
+    static checkUnique(items, kind) {
+        const seen = new Set();
+        items.forEach(item => {
+            if (seen.has(item.id)) {
+                throw new Error(`Duplicate ${kind} id "${item.id}"`);
+            }
+            seen.add(item.id);
+        });
+    }
+}
+
+// What each fixture type builds in the club, and the defaults a rig file can leave out
+RigLayout.FIXTURE_TYPES = {
+    // Moving head spot - hung from the truss, beam pans/tilts over the dance floor (club.spotlights)
+    movingHead: {
+        label: 'moving head',
+        beamAngle: 30,
+        colors: 'rgb'
+    },
+    // Beam laser - 'single', 'spread' (3-beam fan) or 'multi' (5 beams rotating) (club.lasers)
+    laser: {
+        label: 'laser',
+        beamAngle: 15,
+        colors: 'rgb',
+        effect: 'multi',
+        effects: ['single', 'spread', 'multi']
+    },
+    // Strobe - white flash with a point light (club.strobes)
+    strobe: {
+        label: 'strobe',
+        colors: 'white'
+    }
+};
+
+// The club's resident rig: four 24m trusses across the dance floor, cross beams front to back,
+// six moving heads and two side lasers on the ±8m cross beams, strobes on the corners
+// rigs/resident.json is generated from this - run npm run export-rig after changing it
+RigLayout.DEFAULT_RIG = {
+    name: 'Resident Rig',
+    trusses: [
+        { id: 'front', position: [0, 8, -8], length: 24, hangPoints: [-10, 0, 10] },
+        { id: 'middle', position: [0, 8, -12], length: 24 },
+        { id: 'back', position: [0, 8, -16], length: 24, hangPoints: [-10, 0, 10] },
+        { id: 'rear', position: [0, 8, -20], length: 24 },
+        { id: 'cross-12', position: [-12, 8, -14], length: 14, rotation: 90 },
+        { id: 'left', position: [-8, 8, -14], length: 14, rotation: 90 },
+        { id: 'cross-4', position: [-4, 8, -14], length: 14, rotation: 90 },
+        { id: 'center', position: [0, 8, -14], length: 14, rotation: 90 },
+        { id: 'cross4', position: [4, 8, -14], length: 14, rotation: 90 },
+        { id: 'right', position: [8, 8, -14], length: 14, rotation: 90 },
+        { id: 'cross12', position: [12, 8, -14], length: 14, rotation: 90 }
+    ],
+    fixtures: [
+        { id: 'spot1', type: 'movingHead', mount: 'left', position: [-8, 7.3, -10] },
+        { id: 'spot2', type: 'movingHead', mount: 'left', position: [-8, 7.3, -14] },
+        { id: 'spot3', type: 'movingHead', mount: 'left', position: [-8, 7.3, -18] },
+        { id: 'spot4', type: 'movingHead', mount: 'right', position: [8, 7.3, -10] },
+        { id: 'spot5', type: 'movingHead', mount: 'right', position: [8, 7.3, -14] },
+        { id: 'spot6', type: 'movingHead', mount: 'right', position: [8, 7.3, -18] },
+        { id: 'laser1', type: 'laser', mount: 'left', position: [-8, 7.55, -14] },
+        { id: 'laser2', type: 'laser', mount: 'center', position: [0, 7.55, -14] },
+        { id: 'laser3', type: 'laser', mount: 'right', position: [8, 7.55, -14] },
+        { id: 'strobe1', type: 'strobe', mount: 'front', position: [-10, 7.6, -8] },
+        { id: 'strobe2', type: 'strobe', mount: 'front', position: [10, 7.6, -8] },
+        { id: 'strobe3', type: 'strobe', mount: 'back', position: [-10, 7.6, -16] },
+        { id: 'strobe4', type: 'strobe', mount: 'back', position: [10, 7.6, -16] }
+    ],
+    groups: {
+        left: ['spot1', 'spot2', 'spot3', 'laser1'],
+        right: ['spot4', 'spot5', 'spot6', 'laser3'],
+        front: ['spot1', 'spot4', 'strobe1', 'strobe2'],
+        back: ['spot3', 'spot6', 'strobe3', 'strobe4']
+    }
+};
+
+// Export for use in main club script
+window.RigLayout = RigLayout;
@@ -0,0 +1,58 @@
+// Seeded Random - Repeatable randomness for the show, so a recorded performance replays the same flashes and flickers
+// next() is a stream (mulberry32) for things built once; at(...keys) hashes the seed with integers (beat number, panel, step)
+// so per-frame randomness doesn't depend on how many numbers were drawn before
+
+class SeededRandom {
+    /**
+     * @param {number} seed - Any integer (?seed= in the URL, see club constructor)
+     */
+    constructor(seed = SeededRandom.DEFAULT_SEED) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Restart the stream and change every at() value
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in the stream
+     * @returns {number} 0 (inclusive) to 1 (exclusive)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * The same number every time for the same seed and keys
+     * @param {...number} keys - Integers, e.g. (beatNumber, strobeIndex)
+     * @returns {number} 0 (inclusive) to 1 (exclusive)
+     */
+    at(...keys) {
+        let hash = this.seed ^ 0x9E3779B9;
+        keys.forEach(key => {
+            hash = Math.imul(hash ^ (key | 0), 0x85EBCA6B);
+            hash ^= hash >>> 13;
+            hash = Math.imul(hash, 0xC2B2AE35);
+            hash ^= hash >>> 16;
+        });
+        return (hash >>> 0) / 4294967296;
+    }
+}
+
+// Used when the URL has no ?seed= - every visit gets the same mirror ball scatter and strobe chase
+SeededRandom.DEFAULT_SEED = 1;
+
+// Export for use in main club script
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,223 @@
+// Shared Set - Everyone in the room hears the same track at the same position
+// The host publishes { url, startTime } on the relay clock; clients seek in and correct drift while playing
+
+class SharedSet {
+    constructor(club, network, options = {}) {
+        this.club = club;
+        this.audioEngine = club.audioEngine;
+        this.network = network;
+        this.checkInterval = options.checkInterval || 1.0;   // Seconds between drift checks
+        this.seekThreshold = options.seekThreshold || 0.5;   // Drift (s) above which we jump instead of easing
+        this.maxRateAdjust = options.maxRateAdjust || 0.05;  // Max ±5% speed change while easing back in sync
+        this.startDelay = options.startDelay || 2.0;         // Lead time so every client has loaded before position 0
+
+        this.set = null;             // { url, label, startTime, host } - startTime in relay seconds
+        this.channel = null;         // Audio engine channel playing the set
+        this.loading = false;
+        this.waitingForGesture = false;
+        this.drift = 0;
+        this.lastCheckTime = 0;
+        this.startTimer = null;
+        this.listeners = [];
+
+        this.network.on('welcome', (message) => this.applySet(message.sharedSet || null));
+        this.network.on('sharedSet', (message) => this.applySet(message.set));
+        this.network.onStatusChange((status) => {
+            if (status === 'offline' && this.set) {
+                // Keep the music going, just stop correcting against a clock we no longer have
+                this.set = null;
+                this.channel = null;
+                this.notify();
+            }
+        });
+    }
+
+    get isActive() {
+        return !!this.set;
+    }
+
+    get isHost() {
+        return !!this.set && this.set.host === this.network.id;
+    }
+
+    /**
+     * Play a stream URL for everyone in the room (local files can't be shared)
+     * @param {string} url
+     * @param {string} label - Display name
+     */
+    start(url, label) {
+        if (!this.network.isConnected) {
+            throw new Error('Connect to a relay first (⚙️ Settings → 👥 Multiplayer)');
+        }
+        this.audioEngine.unlock(); // We're in a click handler - unlock while we can
+        this.network.send('sharedSet', {
+            set: { url, label: label || url.split('/').pop() || url, startTime: this.network.getServerTime() + this.startDelay }
+        });
+    }
+
+    stop() {
+        this.network.send('sharedSet', { set: null });
+    }
+
+    applySet(set) {
+        const previous = this.set;
+        this.set = set;
+
+        if (!set) {
+            if (previous && this.channel && this.audioEngine.activeChannel === this.channel) {
+                this.audioEngine.stop(1.0);
+            }
+            this.channel = null;
+            if (previous) console.log('📡 Shared set ended');
+            this.notify();
+            return;
+        }
+
+        if (!previous || previous.url !== set.url || previous.startTime !== set.startTime || !this.channel) {
+            console.log(`📡 Shared set: ${set.label}`);
+            this.startPlayback();
+        }
+        this.notify();
+    }
+
+    async startPlayback() {
+        const set = this.set;
+        this.loading = true;
+        this.notify();
+        try {
+            const channel = await this.audioEngine.play(set.url, { label: `📡 ${set.label}`, crossfade: 0.5 });
+            if (this.set !== set || !channel) return; // Set changed (or playback stopped) while loading
+            this.channel = channel;
+            this.waitingForGesture = false;
+            this.correct();
+        } catch (error) {
+            if (this.set !== set) return;
+            if (error && error.name === 'NotAllowedError') {
+                // Joined without a click (e.g. ?relay= auto-connect) - browsers need a gesture before audio
+                this.waitForGesture();
+            } else {
+                console.error('❌ Shared set playback failed:', error);
+                this.club.showErrorMessage('Could not play the shared set. The host\'s URL may not be reachable from here.');
+            }
+        } finally {
+            if (this.set === set) {
+                this.loading = false;
+                this.notify();
+            }
+        }
+    }
+
+    waitForGesture() {
+        if (this.waitingForGesture) return;
+        this.waitingForGesture = true;
+        this.notify();
+        console.log('🔊 Click anywhere to join the shared set');
+        const resume = () => {
+            this.audioEngine.unlock();
+            if (this.set && this.waitingForGesture) this.startPlayback();
+        };
+        document.addEventListener('pointerdown', resume, { once: true });
+    }
+
+    /**
+     * Per-frame: periodic drift correction
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (!this.set || !this.channel || time - this.lastCheckTime < this.checkInterval) return;
+        this.lastCheckTime = time;
+
+        if (this.audioEngine.activeChannel !== this.channel) {
+            // Something else was played locally - we've left the set
+            this.channel = null;
+            console.log('📡 Left the shared set (local playback took over)');
+            this.notify();
+            return;
+        }
+        this.correct();
+    }
+
+    /**
+     * Where the set should be right now (seconds into the track), looping past the end
+     */
+    getTargetPosition(duration) {
+        const position = this.network.getServerTime() - this.set.startTime;
+        return isFinite(duration) && duration > 0 ? ((position % duration) + duration) % duration : position;
+    }
+
+    correct() {
+        const element = this.channel.element;
+        if (!isFinite(element.duration)) {
+            // Live stream - no timeline to seek in, everyone is at the live edge
+            this.drift = 0;
+            return;
+        }
+
+        const rawPosition = this.network.getServerTime() - this.set.startTime;
+        if (rawPosition < 0) {
+            // Host scheduled the start slightly in the future - wait at 0
+            if (!element.paused) element.pause();
+            element.currentTime = 0;
+            clearTimeout(this.startTimer);
+            this.startTimer = setTimeout(() => {
+                if (this.channel && this.channel.element === element) {
+                    element.play().catch(() => this.waitForGesture());
+                    this.correct();
+                }
+            }, -rawPosition * 1000);
+            return;
+        }
+
+        const target = this.getTargetPosition(element.duration);
+        let drift = element.currentTime - target;
+        // Wrap around the loop point
+        if (drift > element.duration / 2) drift -= element.duration;
+        if (drift < -element.duration / 2) drift += element.duration;
+        this.drift = drift;
+
+        if (Math.abs(drift) > this.seekThreshold) {
+            element.currentTime = target;
+            element.playbackRate = 1.0;
+            console.log(`📡 Shared set: seek ${drift > 0 ? 'back' : 'forward'} ${Math.abs(drift).toFixed(2)}s`);
+        } else {
+            // Ease back in: slow down when ahead, speed up when behind
+            const adjust = Math.max(-this.maxRateAdjust, Math.min(this.maxRateAdjust, drift * 0.5));
+            element.playbackRate = 1.0 - adjust;
+        }
+    }
+
+    getHostName() {
+        if (!this.set) return null;
+        if (this.isHost) return this.network.profile.name;
+        const peer = this.network.peers.get(this.set.host);
+        return peer ? peer.name : `#${this.set.host}`;
+    }
+
+    /**
+     * Subscribe to set changes
+     * @param {Function} listener - Called with { active, label, host, isHost, loading, waitingForGesture }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = {
+            active: this.isActive,
+            label: this.set ? this.set.label : null,
+            host: this.getHostName(),
+            isHost: this.isHost,
+            loading: this.loading,
+            waitingForGesture: this.waitingForGesture
+        };
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+// Export for use in main club script
+window.SharedSet = SharedSet;
@@ -0,0 +1,404 @@
+// Show Renderer - Offline video export of a light show to WebM, frame by frame at a fixed timestep
+// The club runs on the renderer's clock (club.now()) instead of real time, audio reactivity comes from an offline
+// analysis of the track, and WebCodecs encodes each frame - so a slow software-WebGL machine renders the same video
+
+class ShowRenderer {
+    constructor(club, options = {}) {
+        this.club = club;
+        this.stepRate = options.stepRate || 60;        // Simulation steps per second (Babylon animations step 16 ms)
+        this.keyframeInterval = options.keyframeInterval || 2; // Seconds between video keyframes
+        this.bitrate = options.bitrate || 8000000;
+
+        this.active = false;
+        this.time = 0;               // Club clock while rendering (seconds)
+        this.startTime = 0;
+        this.showTimeBase = 0;
+        this.frame = 0;
+        this.frameCount = 0;
+        this.phase = 'idle';         // 'idle' | 'analysing' | 'rendering' | 'encoding'
+        this.cancelled = false;
+        this.cameraKeys = [];
+        this.listeners = [];
+    }
+
+    /**
+     * Render a clip
+     * @param {Object} options
+     * @param {string|File|null} options.audio - Track to sync to (URL or file); default: the loaded recording's track
+     * @param {number} options.start - Seconds into the track (default 0, or the recording's position)
+     * @param {number} options.duration - Seconds (default: the rest of the track, or the recording)
+     * @param {boolean} options.recording - Replay club.recorder's recording instead of running the cue list
+     * @param {string|Object} options.camera - 'current', a camera preset name, 'flythrough', 'director' (the auto-director),
+     *                                         or a camera path { keys: [{ time, position, target }] }
+     * @param {number} options.fps - 60, 30, 20 or 15 (must divide the 60 Hz step rate)
+     * @param {number} options.width / options.height - Video size in pixels (even)
+     * @returns {Promise<Blob>} video/webm
+     */
+    async render(options = {}) {
+        const club = this.club;
+        if (this.active) throw new Error('Already rendering');
+        if (!window.VideoEncoder || !window.VideoFrame) {
+            throw new Error('This browser has no WebCodecs video encoder - use a recent Chrome or Edge');
+        }
+        if (club.scene.activeCamera !== club.camera) throw new Error('Exit VR before rendering');
+        const fps = options.fps || 30;
+        const steps = this.stepRate / fps;
+        if (!Number.isInteger(steps)) throw new Error(`${fps} fps doesn't divide the ${this.stepRate} Hz step rate - use 60, 30, 20 or 15`);
+        const width = options.width || 1920;
+        const height = options.height || 1080;
+        if (width % 2 || height % 2) throw new Error('Video width and height must be even');
+
+        const recording = options.recording ? club.recorder.recording : null;
+        if (options.recording && !recording) throw new Error('Nothing to replay - record a set or load a recording first');
+        if (options.recording && club.showSync.isFollower) {
+            throw new Error(`${club.showSync.getVJName()} is the VJ - guests can't replay a set`);
+        }
+        const recordedAudio = recording ? recording.events.find(event => event.type === 'audio' && event.url) : null;
+        const audioSource = options.audio || (recordedAudio && recordedAudio.url) || null;
+        let start = options.start !== undefined ? options.start
+            : recordedAudio && recordedAudio.position !== null ? recordedAudio.position - recordedAudio.t : 0;
+
+        this.cancelled = false;
+        this.phase = 'analysing';
+        this.frame = 0;
+        this.frameCount = 0;
+        this.notify();
+
+        let encoder = null;
+        try {
+            // Decode and analyse the track up front - nothing plays out loud
+            let buffer = null;
+            let analysis = [];
+            if (audioSource) {
+                buffer = await ShowRenderer.decodeAudio(audioSource, ShowRenderer.SAMPLE_RATE);
+                if (start >= buffer.duration) start = 0; // Negative: the track comes in after the start of the clip
+            }
+            const duration = options.duration || (recording ? recording.duration : buffer ? buffer.duration - start : 0);
+            if (!(duration > 0)) throw new Error('Set a duration (no track or recording to take it from)');
+            this.frameCount = Math.round(duration * fps);
+            if (buffer) {
+                const engine = club.audioEngine;
+                analysis = await ShowRenderer.analyseAudio(buffer, start, duration, this.stepRate, engine.fftSize, engine.smoothing);
+            }
+            if (this.cancelled) throw new Error('Render cancelled');
+
+            const writer = new WebMWriter({
+                video: { codec: null, width, height },
+                audio: buffer ? { codec: 'A_OPUS', sampleRate: ShowRenderer.SAMPLE_RATE, channels: Math.min(2, buffer.numberOfChannels) } : null
+            });
+            if (buffer) await ShowRenderer.encodeAudio(buffer, start, duration, writer);
+            encoder = await this.createVideoEncoder(writer, width, height, fps);
+
+            this.begin(options.camera, width, height, recording, analysis);
+            this.phase = 'rendering';
+            this.notify();
+            console.log(`🎬 Rendering ${this.frameCount} frames (${width}×${height}, ${fps} fps)`);
+
+            const frameDuration = 1e6 / fps;
+            for (let frame = 0; frame < this.frameCount; frame++) {
+                if (this.cancelled) throw new Error('Render cancelled');
+                for (let step = 0; step < steps; step++) this.step();
+
+                const videoFrame = new VideoFrame(club.canvas, { timestamp: Math.round(frame * frameDuration), duration: Math.round(frameDuration) });
+                encoder.encode(videoFrame, { keyFrame: frame % Math.round(this.keyframeInterval * fps) === 0 });
+                videoFrame.close();
+                this.frame = frame + 1;
+
+                // Let the encoder catch up, and the page repaint the progress now and then
+                while (encoder.encodeQueueSize > ShowRenderer.MAX_QUEUED_FRAMES) await ShowRenderer.nextTask();
+                if (frame % fps === 0) {
+                    this.notify();
+                    await ShowRenderer.nextTask();
+                }
+            }
+
+            this.phase = 'encoding';
+            this.notify();
+            await encoder.flush();
+            encoder.close();
+            const blob = writer.finalize(duration);
+            console.log(`✅ Rendered ${ShowRenderer.formatTime(duration)} of video (${(blob.size / 1048576).toFixed(1)} MB)`);
+            return blob;
+        } finally {
+            if (encoder && encoder.state !== 'closed') encoder.close();
+            this.end();
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * VP9 if the browser can encode it, VP8 otherwise
+     */
+    async createVideoEncoder(writer, width, height, fps) {
+        for (const [codec, codecId] of ShowRenderer.VIDEO_CODECS) {
+            const config = { codec, width, height, bitrate: this.bitrate, framerate: fps };
+            const support = await VideoEncoder.isConfigSupported(config);
+            if (!support.supported) continue;
+
+            writer.video.codec = codecId;
+            const encoder = new VideoEncoder({
+                output: (chunk, metadata) => writer.addChunk('video', chunk, metadata),
+                error: (error) => {
+                    console.error('❌ Video encoder error:', error);
+                    this.cancel();
+                }
+            });
+            encoder.configure(config);
+            return encoder;
+        }
+        throw new Error(`No WebM video encoder for ${width}×${height} in this browser`);
+    }
+
+    /**
+     * Take over the club: fixed clock, offline audio analysis, the render camera and canvas size
+     */
+    begin(camera, width, height, recording, analysis) {
+        const club = this.club;
+        this.saved = {
+            position: club.camera.position.clone(),
+            rotation: club.camera.rotation.clone(),
+            applyGravity: club.camera.applyGravity,
+            checkCollisions: club.camera.checkCollisions,
+            constantDeltaTime: club.scene.useConstantAnimationDeltaTime,
+            seed: club.random.seed,
+            showTime: club.getShowTime()
+        };
+        this.cameraKeys = this.resolveCamera(camera);
+
+        club.director.stop(); // Before detaching - stopping hands the camera back to the mouse
+        club.engine.stopRenderLoop();
+        club.camera.detachControl();
+        club.camera.applyGravity = false;
+        club.camera.checkCollisions = false;
+        club.engine.setSize(width, height);
+        club.scene.useConstantAnimationDeltaTime = true; // Fog and Babylon animations step 16 ms per step, not wall time
+        club.lightingEditor.setActive(false);
+        if (club.recorder.mode !== 'idle') club.recorder.stop();
+
+        // Start from a known show: clock at zero, fresh beat analysis, first cue (or the recording's first events)
+        this.startTime = 0;
+        this.time = 0;
+        this.showTimeBase = this.saved.showTime;
+        this.active = true;
+        club.random.reseed(this.saved.seed);
+        club.beatTracker.resetAnalysis();
+        club.beatTracker.setTempo(club.beatTracker.defaultBPM, 0);
+        const stepDuration = 1 / this.stepRate;
+        club.audioEngine.setAnalysisSource(time => {
+            const frame = analysis[Math.min(Math.round((time - this.startTime) / stepDuration) - 1, analysis.length - 1)];
+            return frame ? Object.assign({}, frame, { time }) : AudioEngine.silentFrame(time);
+        });
+        if (recording) {
+            club.recorder.startPlayback();
+        } else if (club.cueEngine.show) {
+            club.cueEngine.goToCue(0);
+        }
+        if (!this.cameraKeys) club.director.setAuto(true); // Cuts on the render's own beat grid
+    }
+
+    /**
+     * One fixed step of the club: same work as a frame of the render loop
+     */
+    step() {
+        const club = this.club;
+        this.time += 1 / this.stepRate;
+        if (this.cameraKeys) {
+            const pose = CameraDirector.pathAt(this.cameraKeys, this.time - this.startTime);
+            club.camera.position.copyFrom(pose.position);
+            club.camera.setTarget(pose.target);
+        }
+        club.updateAnimations(); // The auto-director moves the camera in here
+        club.scene.render();
+    }
+
+    /**
+     * Hand the club back: real clock, live analysis, the VJ's camera and the render loop
+     */
+    end() {
+        const club = this.club;
+        const wasActive = this.active;
+        this.phase = 'idle';
+        this.cameraKeys = [];
+        if (wasActive) {
+            if (club.recorder.isPlaying) club.recorder.stop();
+            club.director.stop();
+            this.active = false;
+            club.audioEngine.setAnalysisSource(null);
+            club.beatTracker.resetAnalysis();
+            club.random.reseed(this.saved.seed);
+            club.camera.position.copyFrom(this.saved.position);
+            club.camera.rotation.copyFrom(this.saved.rotation);
+            club.camera.applyGravity = this.saved.applyGravity;
+            club.camera.checkCollisions = this.saved.checkCollisions;
+            club.scene.useConstantAnimationDeltaTime = this.saved.constantDeltaTime;
+            club.camera.attachControl(club.canvas, true);
+            club.engine.resize();
+            if (club.cueEngine.show) club.cueEngine.resume();
+            club.startRenderLoop();
+        }
+        this.notify();
+    }
+
+    /**
+     * Show clock while rendering: where the show was when the render started, plus render time
+     */
+    getShowTime() {
+        return this.showTimeBase + (this.time - this.startTime);
+    }
+
+    /**
+     * Camera keys: [{ time, position: Vector3, target: Vector3 }], or null when the auto-director moves the camera
+     */
+    resolveCamera(camera = 'current') {
+        const club = this.club;
+        const presets = club.getCameraPresets();
+        if (camera === 'current') {
+            const forward = club.camera.getDirection(BABYLON.Axis.Z);
+            return [{ time: 0, position: club.camera.position.clone(), target: club.camera.position.add(forward) }];
+        }
+        if (camera === 'director') return null;
+        if (camera === 'flythrough') {
+            // Through the room presets, a new view every 8 seconds
+            return ShowRenderer.FLYTHROUGH.map((name, i) => ({ time: i * 8, position: presets[name].pos, target: presets[name].target }));
+        }
+        if (typeof camera === 'string') {
+            const preset = presets[camera];
+            if (!preset) throw new Error(`Unknown camera "${camera}" (current, flythrough, director, ${Object.keys(presets).join(', ')})`);
+            return [{ time: 0, position: preset.pos, target: preset.target }];
+        }
+        if (!camera || !Array.isArray(camera.keys) || camera.keys.length === 0) {
+            throw new Error('Camera path needs a "keys" array of { time, position, target }');
+        }
+        return CameraDirector.parseKeys(camera.keys);
+    }
+
+    /**
+     * Subscribe to render progress
+     * @param {Function} listener - Called with { phase, frame, frames }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = { phase: this.phase, frame: this.frame, frames: this.frameCount };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Decode a track (URL or file) at the Opus sample rate
+     */
+    static async decodeAudio(source, sampleRate) {
+        let data;
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} loading ${source}`);
+            }
+            data = await response.arrayBuffer();
+        } else {
+            data = await source.arrayBuffer();
+        }
+        return new OfflineAudioContext(2, 1, sampleRate).decodeAudioData(data);
+    }
+
+    /**
+     * The analyser's view of the track at every step - same fftSize and smoothing as the live AudioEngine
+     * @returns {Promise<Object[]>} Analysis frames, one per step (the audio up to the end of the step)
+     */
+    static async analyseAudio(buffer, start, duration, stepRate, fftSize, smoothing) {
+        const count = Math.round(duration * stepRate);
+        const context = new OfflineAudioContext(buffer.numberOfChannels, Math.ceil((count + 1) / stepRate * buffer.sampleRate), buffer.sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        const analyser = context.createAnalyser();
+        analyser.fftSize = fftSize;
+        analyser.smoothingTimeConstant = smoothing;
+        source.connect(analyser);
+        analyser.connect(context.destination);
+
+        const frames = [];
+        const data = new Uint8Array(analyser.frequencyBinCount);
+        for (let i = 1; i <= count; i++) {
+            context.suspend(i / stepRate).then(() => {
+                analyser.getByteFrequencyData(data);
+                frames.push(AudioEngine.analyseSpectrum(data.slice(), i / stepRate));
+                context.resume();
+            });
+        }
+        const delay = Math.max(0, -start);
+        if (duration > delay) source.start(delay, Math.max(0, start), duration - delay);
+        await context.startRendering();
+        return frames;
+    }
+
+    /**
+     * Encode the clip's audio to Opus in 100 ms blocks
+     */
+    static async encodeAudio(buffer, start, duration, writer) {
+        if (!window.AudioEncoder) throw new Error('This browser has no WebCodecs audio encoder - use a recent Chrome or Edge');
+        const sampleRate = buffer.sampleRate;
+        const channels = Math.min(2, buffer.numberOfChannels);
+        let failure = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => writer.addChunk('audio', chunk, metadata),
+            error: (error) => { failure = error; }
+        });
+        encoder.configure({ codec: 'opus', sampleRate, numberOfChannels: channels, bitrate: 160000 });
+
+        const first = Math.round(start * sampleRate);
+        const total = Math.round(duration * sampleRate);
+        const block = sampleRate / 10;
+        for (let offset = 0; offset < total; offset += block) {
+            const length = Math.min(block, total - offset);
+            const data = new Float32Array(length * channels); // Before and after the track stays silent
+            const from = Math.max(0, first + offset);
+            const to = Math.min(buffer.length, first + offset + length);
+            for (let c = 0; to > from && c < channels; c++) {
+                data.set(buffer.getChannelData(c).subarray(from, to), c * length + from - first - offset);
+            }
+            encoder.encode(new AudioData({
+                format: 'f32-planar', sampleRate, numberOfFrames: length, numberOfChannels: channels,
+                timestamp: Math.round(offset / sampleRate * 1e6), data
+            }));
+        }
+        await encoder.flush();
+        encoder.close();
+        if (failure) throw failure;
+    }
+
+    static nextTask() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    static formatTime(seconds) {
+        const whole = Math.round(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
+
+// Opus only encodes at 48 kHz
+ShowRenderer.SAMPLE_RATE = 48000;
+
+// Frames waiting in the video encoder before rendering pauses for it
+ShowRenderer.MAX_QUEUED_FRAMES = 8;
+
+// WebCodecs codec string → Matroska codec ID, in order of preference
+ShowRenderer.VIDEO_CODECS = [
+    ['vp09.00.10.08', 'V_VP9'],
+    ['vp8', 'V_VP8']
+];
+
+// Camera presets visited by the 'flythrough' camera (see VRClub.getCameraPresets)
+ShowRenderer.FLYTHROUGH = ['entrance', 'danceFloor', 'djBooth', 'ledWallClose', 'overview', 'ceiling', 'danceFloor'];
+
+// Export for use in main club script
+window.ShowRenderer = ShowRenderer;
@@ -0,0 +1,225 @@
+// Show Sync - Replicates the VJ's lighting state and beat clock to every connected guest
+// One client per room holds the VJ role (claimed through the relay); everyone else follows its snapshots
+
+class ShowSync {
+    constructor(club, network, options = {}) {
+        this.club = club;
+        this.network = network;
+        this.keepaliveInterval = options.keepaliveInterval || 1.0; // Seconds between snapshots when nothing changes
+
+        this.vjId = null;
+        this.lastSentState = null;
+        this.lastSendTime = 0;
+        this.listeners = [];
+
+        this.network.on('welcome', (message) => {
+            this.vjId = message.vj;
+            if (message.showState && this.isFollower) {
+                // Late joiner: full snapshot from the relay cache
+                this.applySnapshot(message.showState);
+            }
+            this.notify();
+        });
+        this.network.on('vj', (message) => {
+            this.vjId = message.id;
+            this.lastSentState = null; // New VJ sends a full snapshot straight away
+            if (!this.isFollower) this.stopFollowing();
+            this.notify();
+        });
+        this.network.on('showState', (message) => {
+            if (message.from === this.vjId && this.isFollower) {
+                this.applySnapshot(message);
+            }
+        });
+        this.network.onStatusChange((status) => {
+            if (status === 'offline') {
+                this.vjId = null;
+                this.stopFollowing();
+                this.notify();
+            }
+        });
+    }
+
+    /**
+     * This client drives the show for the room
+     */
+    get isVJ() {
+        return this.network.isConnected && this.vjId !== null && this.vjId === this.network.id;
+    }
+
+    /**
+     * Someone else drives the show - local cues and console are locked
+     */
+    get isFollower() {
+        return this.network.isConnected && this.vjId !== null && this.vjId !== this.network.id;
+    }
+
+    /**
+     * Whether local console actions may change the show (solo, or we are the VJ, and no recording is replaying)
+     */
+    canControl() {
+        return !this.isFollower && !this.club.recorder.isPlaying;
+    }
+
+    /**
+     * Why the console is locked, for the 🔒 log line
+     */
+    getLockReason() {
+        return this.isFollower ? `${this.getVJName()} is the VJ` : 'a recording is playing';
+    }
+
+    claimVJ() {
+        this.network.sendRaw({ type: 'claimVJ' });
+    }
+
+    releaseVJ() {
+        this.network.sendRaw({ type: 'releaseVJ' });
+    }
+
+    getVJName() {
+        if (this.vjId === null) return null;
+        if (this.vjId === this.network.id) return this.network.profile.name;
+        const peer = this.network.peers.get(this.vjId);
+        return peer ? peer.name : `#${this.vjId}`;
+    }
+
+    /**
+     * Per-frame (VJ only): send a snapshot when anything changed, plus a keepalive with the beat clock
+     * @param {number} time - Current time in seconds
+     */
+    update(time) {
+        if (!this.isVJ) return;
+
+        const state = this.captureState();
+        const serialized = JSON.stringify(state);
+        if (serialized !== this.lastSentState || time - this.lastSendTime > this.keepaliveInterval) {
+            this.lastSentState = serialized;
+            this.lastSendTime = time;
+            const clock = this.club.beatTracker.getClock();
+            clock.beatTime = this.network.getServerTime() - (time - clock.beatTime); // Local → relay time
+            this.network.send('showState', { state, clock });
+        }
+    }
+
+    /**
+     * Everything a guest needs to render the same show
+     */
+    captureState() {
+        const club = this.club;
+        const state = {};
+        ShowSync.FIELDS.forEach(field => { state[field] = club[field]; });
+        state.spotColor = club.currentSpotColor ? club.currentSpotColor.asArray() : null;
+        state.mirrorBallColor = club.mirrorBallSpotlightColor ? club.mirrorBallSpotlightColor.asArray() : null;
+        state.spotlightSpeed = club.spotlightSpeed;
+        state.cue = club.cueEngine ? club.cueEngine.getStatus() : null;
+        state.fixtures = ShowSync.serializeOverrides(club.fixtureOverrides);
+        return state;
+    }
+
+    applySnapshot(snapshot) {
+        const club = this.club;
+        const state = snapshot.state;
+        if (!state) return;
+
+        ShowSync.FIELDS.forEach(field => {
+            if (state[field] !== undefined) club[field] = state[field];
+        });
+
+        // Colors and speed go through the club helpers so fixtures, lenses and the slider update too
+        if (state.spotColor && !this.sameColor(club.currentSpotColor, state.spotColor)) {
+            club.setSpotColor(BABYLON.Color3.FromArray(state.spotColor));
+            club.spotColorIndex = state.spotColorIndex;
+        }
+        if (state.mirrorBallColor && !this.sameColor(club.mirrorBallSpotlightColor, state.mirrorBallColor)) {
+            club.setMirrorBallColor(BABYLON.Color3.FromArray(state.mirrorBallColor));
+            club.mirrorBallColorIndex = state.mirrorBallColorIndex;
+        }
+        if (state.spotlightSpeed !== undefined && state.spotlightSpeed !== club.spotlightSpeed) {
+            club.setSpotlightSpeed(state.spotlightSpeed);
+        }
+        // Per-fixture aim and color held by the VJ's cue (lighting editor)
+        if (state.fixtures && JSON.stringify(state.fixtures) !== JSON.stringify(ShowSync.serializeOverrides(club.fixtureOverrides))) {
+            club.setFixtureOverrides(ShowSync.parseOverrides(state.fixtures));
+        }
+        club.syncVJButtonStates();
+
+        if (snapshot.clock) {
+            const clock = Object.assign({}, snapshot.clock, {
+                beatTime: this.network.toLocalTime(snapshot.clock.beatTime)
+            });
+            club.beatTracker.followClock(clock, club.now());
+        }
+
+        this.remoteCue = state.cue;
+        this.notify();
+    }
+
+    stopFollowing() {
+        this.remoteCue = null;
+        if (this.club.beatTracker.externalClock) {
+            this.club.beatTracker.followClock(null);
+            if (this.club.cueEngine) this.club.cueEngine.resume(); // Back to our own show
+            console.log('🎬 Show sync: no VJ - running the local show');
+        }
+    }
+
+    sameColor(color, array) {
+        return !!color && Math.abs(color.r - array[0]) < 0.001 &&
+            Math.abs(color.g - array[1]) < 0.001 && Math.abs(color.b - array[2]) < 0.001;
+    }
+
+    /**
+     * Subscribe to role / snapshot changes
+     * @param {Function} listener - Called with { vj, isVJ, isFollower, cue }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = { vj: this.getVJName(), isVJ: this.isVJ, isFollower: this.isFollower, cue: this.remoteCue || null };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * club.fixtureOverrides as plain arrays: rig id → { aim: [x, y, z]|null, color: [r, g, b]|null }
+     */
+    static serializeOverrides(overrides) {
+        const fixtures = {};
+        Object.entries(overrides || {}).forEach(([id, override]) => {
+            fixtures[id] = {
+                aim: override.aim ? override.aim.asArray() : null,
+                color: override.color ? override.color.asArray() : null
+            };
+        });
+        return fixtures;
+    }
+
+    static parseOverrides(fixtures) {
+        const overrides = {};
+        Object.entries(fixtures).forEach(([id, fixture]) => {
+            overrides[id] = {
+                aim: fixture.aim ? BABYLON.Vector3.FromArray(fixture.aim) : null,
+                color: fixture.color ? BABYLON.Color3.FromArray(fixture.color) : null
+            };
+        });
+        return overrides;
+    }
+}
+
+// Discrete club fields copied verbatim from VJ to guests (colors and speed are handled separately)
+ShowSync.FIELDS = [
+    'lightsActive', 'lasersActive', 'strobesActive', 'ledWallActive', 'mirrorBallActive',
+    'spotlightPattern', 'spotlightMode', 'spotStrobeActive',
+    'spotColorIndex', 'spotColorLocked', 'mirrorBallColorIndex',
+    'ledPattern', 'ledPatternLocked', 'ledColorIndex',
+    'currentColorIndex', 'vjManualMode', 'masterDimmer'
+];
+
+// Export for use in main club script
+window.ShowSync = ShowSync;
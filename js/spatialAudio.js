@@ -0,0 +1,209 @@
+// Spatial Audio - Plays the music from the PA stacks and booth monitors instead of flat stereo
+// Each speaker is a positional panner; the listener follows the desktop camera or XR head every frame
+
+class SpatialAudio {
+    constructor(audioEngine, options = {}) {
+        this.audioEngine = audioEngine;
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.panningModel = options.panningModel || 'HRTF';
+        this.reverbTime = options.reverbTime || 1.8;   // Seconds of room tail
+        this.reverbLevel = options.reverbLevel !== undefined ? options.reverbLevel : 0.25;
+
+        // Graph (built once the audio engine has a context):
+        // master → input ─┬→ splitter → left / right bus → speaker gain → panner ─→ dry → destination
+        //                 ├→ mono bus (monitors) ─────────→ speaker gain → panner ─┘
+        //                 └→ reverb send → convolver → wet → destination
+        this.context = null;
+        this.input = null;
+        this.buses = null;
+        this.dry = null;
+        this.wet = null;
+
+        this.speakers = [];          // { name, position, direction, channel, gain, cone, distance, panner }
+
+        // Scratch vectors for the per-frame listener update
+        this.forward = new BABYLON.Vector3();
+        this.up = new BABYLON.Vector3();
+
+        this.audioEngine.onContextReady((context) => this.init(context));
+    }
+
+    /**
+     * Register a loudspeaker in the room (can be called before or after the audio context exists)
+     * @param {string} name
+     * @param {BABYLON.Vector3} position - Acoustic center in world space
+     * @param {Object} options - { direction, channel: 'left' | 'right' | 'mono', gain, cone: { inner, outer, outerGain },
+     *                             distance: { ref, rolloff, max } }
+     */
+    addSpeaker(name, position, options = {}) {
+        const speaker = {
+            name,
+            position: position.clone(),
+            direction: (options.direction || new BABYLON.Vector3(0, 0, 1)).normalizeToNew(),
+            channel: options.channel || 'mono',
+            gain: options.gain !== undefined ? options.gain : 1.0,
+            cone: Object.assign({ inner: 360, outer: 360, outerGain: 1 }, options.cone),
+            distance: Object.assign({ ref: 4, rolloff: 1, max: 60 }, options.distance),
+            panner: null,
+            output: null
+        };
+        this.speakers.push(speaker);
+        if (this.context) this.createSpeakerNodes(speaker);
+        return speaker;
+    }
+
+    init(context) {
+        this.context = context;
+
+        this.input = context.createGain();
+        // Force stereo so mono sources still reach both the left and right stacks
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+
+        const splitter = context.createChannelSplitter(2);
+        this.input.connect(splitter);
+        this.buses = {
+            left: context.createGain(),
+            right: context.createGain(),
+            mono: context.createGain()
+        };
+        splitter.connect(this.buses.left, 0);
+        splitter.connect(this.buses.right, 1);
+        this.input.connect(this.buses.mono);
+        this.buses.mono.channelCount = 1;
+        this.buses.mono.channelCountMode = 'explicit';
+        this.buses.mono.channelInterpretation = 'speakers';
+
+        this.dry = context.createGain();
+        this.dry.connect(context.destination);
+
+        // Room reverb is fed before the panners - it is the same everywhere, so it takes over as the PA gets further away
+        const convolver = context.createConvolver();
+        convolver.buffer = this.createImpulseResponse(context, this.reverbTime);
+        this.wet = context.createGain();
+        this.wet.gain.value = this.reverbLevel;
+        this.input.connect(convolver);
+        convolver.connect(this.wet);
+        this.wet.connect(context.destination);
+
+        this.speakers.forEach(speaker => this.createSpeakerNodes(speaker));
+        if (this.enabled) this.audioEngine.setOutput(this.input);
+        console.log(`🔊 Spatial audio initialized (${this.speakers.length} speakers, ${this.panningModel})`);
+    }
+
+    createSpeakerNodes(speaker) {
+        const context = this.context;
+        const output = context.createGain();
+        output.gain.value = speaker.gain;
+
+        const panner = context.createPanner();
+        panner.panningModel = this.panningModel;
+        panner.distanceModel = 'inverse';
+        panner.refDistance = speaker.distance.ref;
+        panner.rolloffFactor = speaker.distance.rolloff;
+        panner.maxDistance = speaker.distance.max;
+        panner.coneInnerAngle = speaker.cone.inner;
+        panner.coneOuterAngle = speaker.cone.outer;
+        panner.coneOuterGain = speaker.cone.outerGain;
+
+        const p = this.toAudioSpace(speaker.position);
+        const d = this.toAudioSpace(speaker.direction);
+        if (panner.positionX) {
+            panner.positionX.value = p.x;
+            panner.positionY.value = p.y;
+            panner.positionZ.value = p.z;
+            panner.orientationX.value = d.x;
+            panner.orientationY.value = d.y;
+            panner.orientationZ.value = d.z;
+        } else {
+            panner.setPosition(p.x, p.y, p.z);
+            panner.setOrientation(d.x, d.y, d.z);
+        }
+
+        this.buses[speaker.channel].connect(output);
+        output.connect(panner);
+        panner.connect(this.dry);
+        speaker.output = output;
+        speaker.panner = panner;
+    }
+
+    /**
+     * Short stereo noise burst with an exponential tail - a cheap stand-in for a measured club impulse
+     */
+    createImpulseResponse(context, seconds) {
+        const length = Math.floor(context.sampleRate * seconds);
+        const buffer = context.createBuffer(2, length, context.sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 4);
+            }
+        }
+        return buffer;
+    }
+
+    /**
+     * Babylon is left-handed (+z forward), Web Audio right-handed (-z forward): flip z
+     */
+    toAudioSpace(vector) {
+        return { x: vector.x, y: vector.y, z: -vector.z };
+    }
+
+    /**
+     * Per-frame: move the listener to the camera (the XR camera follows the headset)
+     * @param {BABYLON.Camera} camera - Usually scene.activeCamera
+     */
+    update(camera) {
+        if (!this.context || !this.enabled || !camera) return;
+
+        const listener = this.context.listener;
+        const p = this.toAudioSpace(camera.globalPosition);
+        camera.getDirectionToRef(BABYLON.Axis.Z, this.forward);
+        camera.getDirectionToRef(BABYLON.Axis.Y, this.up);
+        const f = this.toAudioSpace(this.forward);
+        const u = this.toAudioSpace(this.up);
+
+        if (listener.positionX) {
+            listener.positionX.value = p.x;
+            listener.positionY.value = p.y;
+            listener.positionZ.value = p.z;
+            listener.forwardX.value = f.x;
+            listener.forwardY.value = f.y;
+            listener.forwardZ.value = f.z;
+            listener.upX.value = u.x;
+            listener.upY.value = u.y;
+            listener.upZ.value = u.z;
+        } else {
+            // Firefox only has the legacy setters
+            listener.setPosition(p.x, p.y, p.z);
+            listener.setOrientation(f.x, f.y, f.z, u.x, u.y, u.z);
+        }
+    }
+
+    /**
+     * Switch between the positional PA and plain stereo (e.g. for headphone mixing)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.context) {
+            this.audioEngine.setOutput(enabled ? this.input : null);
+        }
+        console.log(enabled ? '🏟️ Spatial audio on' : '🎧 Spatial audio off (flat stereo)');
+    }
+
+    /**
+     * Room reverb amount
+     * @param {number} value - 0.0 (dry) to 1.0
+     */
+    setReverbLevel(value) {
+        this.reverbLevel = Math.max(0, Math.min(1, value));
+        if (this.wet) {
+            this.audioEngine.rampGain(this.wet, this.reverbLevel, 0.05);
+        }
+    }
+}
+
+// Export for use in main club script
+window.SpatialAudio = SpatialAudio;
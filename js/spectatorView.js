@@ -0,0 +1,218 @@
+// Spectator View - The desktop monitor shows its own camera while someone is in VR, with the headset view inset
+// The XR camera keeps rendering to the headset; the desktop camera (presets, director, orbit or follow-the-VJ) and the
+// picture-in-picture camera render to the canvas after it, at a capped frame rate so the headset keeps its frame rate
+
+class SpectatorView {
+    /**
+     * @param {VRClub} club
+     * @param {BABYLON.WebXRDefaultExperience|null} xr - null without WebXR (settings still load and save)
+     */
+    constructor(club, xr, options = {}) {
+        this.club = club;
+        this.xr = xr;
+        this.storageKey = options.storageKey || 'vrclub_spectator';
+        this.settings = Object.assign({}, SpectatorView.DEFAULTS);
+        this.loadPreferences();
+
+        this.standalone = club.isStandaloneHeadset(); // Quest browser: no monitor, so never render the extra cameras
+        this.active = false;          // Rendering the canvas from our cameras (in VR with a mode on)
+        this.pipCamera = null;
+        this.lastFrame = 0;           // Club time of the last spectator frame
+        this.lastTime = null;
+        this.orbitAngle = 0;
+        this.listeners = [];
+
+        if (xr && !this.standalone) this.attach(xr);
+    }
+
+    attach(xr) {
+        const scene = this.club.scene;
+        xr.baseExperience.onStateChangedObservable.add((state) => {
+            if (state === BABYLON.WebXRState.IN_XR) {
+                if (this.settings.mode !== 'off') this.start();
+            } else if (state === BABYLON.WebXRState.EXITING_XR || state === BABYLON.WebXRState.NOT_IN_XR) {
+                this.stop();
+            }
+        });
+        // The XR camera leaves the engine sized for the headset's framebuffer - size the canvas cameras for the canvas
+        scene.onAfterRenderCameraObservable.add((camera) => {
+            if (this.active && camera === xr.baseExperience.camera) scene.getEngine().framebufferDimensionsObject = null;
+        });
+        // Spatial audio and the XR input listen from the active camera - keep it the headset between frames
+        scene.onAfterRenderObservable.add(() => {
+            if (this.active) scene.activeCamera = xr.baseExperience.camera;
+        });
+    }
+
+    get inXR() {
+        return !!this.xr && this.xr.baseExperience.state === BABYLON.WebXRState.IN_XR;
+    }
+
+    /**
+     * Change spectator settings and save them
+     * @param {Object} changes - { mode: 'off' | 'preset' | 'orbit' | 'follow', pip: boolean, fps }
+     */
+    setSettings(changes) {
+        Object.assign(this.settings, changes);
+        this.savePreferences();
+        if (changes.mode === 'orbit' || changes.mode === 'follow') this.club.director.stop(); // One thing moves the camera
+        if (this.inXR) {
+            if (this.settings.mode === 'off') this.stop();
+            else this.start();
+        }
+        this.notify();
+    }
+
+    start() {
+        if (this.standalone) return;
+        const scene = this.club.scene;
+        if (!this.pipCamera) {
+            this.pipCamera = new BABYLON.FreeCamera('vrPipCamera', BABYLON.Vector3.Zero(), scene);
+            this.pipCamera.rotationQuaternion = new BABYLON.Quaternion();
+            this.pipCamera.viewport = SpectatorView.PIP_VIEWPORT;
+            this.pipCamera.minZ = 0.1;
+            this.pipCamera.fov = 1.2;
+        }
+        this.active = true;
+        this.lastFrame = 0;
+        this.orbitAngle = Math.atan2(this.club.camera.position.z, this.club.camera.position.x);
+        scene.activeCameras = this.cameras(true);
+        console.log(`🖥️ Spectator view: ${this.settings.mode}${this.settings.pip ? ' + VR inset' : ''}`);
+        this.notify();
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        const scene = this.club.scene;
+        scene.activeCameras = [];
+        if (this.inXR) scene.activeCamera = this.xr.baseExperience.camera;
+        console.log('🖥️ Spectator view off - the monitor mirrors the headset');
+        this.notify();
+    }
+
+    /**
+     * Cameras for this frame - the canvas cameras only when a spectator frame is due
+     */
+    cameras(canvasFrame) {
+        const cameras = [this.xr.baseExperience.camera];
+        if (canvasFrame) {
+            cameras.push(this.club.camera);
+            if (this.settings.pip) cameras.push(this.pipCamera);
+        }
+        return cameras;
+    }
+
+    /**
+     * Per-frame from updateAnimations() (after scene.render - the camera list is for the next frame)
+     */
+    update(time) {
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, time - this.lastTime);
+        this.lastTime = time;
+        if (!this.active) return;
+
+        // Orbit and follow hold off while the director flies a preset or path
+        const xrCamera = this.xr.baseExperience.camera;
+        if (!this.club.director.active) {
+            if (this.settings.mode === 'orbit') this.orbit(dt);
+            else if (this.settings.mode === 'follow') this.follow(xrCamera, dt);
+        }
+
+        // VR inset: the left eye's view
+        const eye = xrCamera.rigCameras[0];
+        if (this.settings.pip && eye) {
+            this.pipCamera.position.copyFrom(eye.globalPosition);
+            this.pipCamera.rotationQuaternion.copyFrom(eye.absoluteRotation);
+        }
+
+        const due = time - this.lastFrame >= 1 / this.settings.fps - 0.002;
+        if (due) this.lastFrame = time;
+        this.club.scene.activeCameras = this.cameras(due);
+    }
+
+    /**
+     * Slow circle round the middle of the room, under the mirror ball
+     */
+    orbit(dt) {
+        const bounds = this.club.venue.bounds;
+        const ball = this.club.venue.mirrorBall;
+        const center = new BABYLON.Vector3(ball.x, 2, ball.z);
+        const radius = Math.min(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ) * 0.35;
+        this.orbitAngle += dt * SpectatorView.ORBIT_SPEED;
+        const position = center.add(new BABYLON.Vector3(Math.cos(this.orbitAngle) * radius, 2.5, Math.sin(this.orbitAngle) * radius));
+        this.club.camera.position.copyFrom(this.club.venue.clamp(position));
+        this.club.camera.setTarget(center);
+    }
+
+    /**
+     * Over the VJ's shoulder - the room's VJ avatar when someone else is VJ, otherwise the headset
+     */
+    follow(xrCamera, dt) {
+        const head = this.getVJHead() || { position: xrCamera.globalPosition, rotation: xrCamera.absoluteRotation };
+        const yaw = head.rotation.toEulerAngles().y;
+        const forward = new BABYLON.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+        const goal = this.club.venue.clamp(head.position.subtract(forward.scale(2.2)).addInPlace(new BABYLON.Vector3(0, 0.7, 0)));
+        const target = head.position.add(forward.scale(3));
+
+        const camera = this.club.camera;
+        const ease = dt > 0 ? 1 - Math.exp(-dt * 3) : 1; // Smooth out head movement
+        camera.position = BABYLON.Vector3.Lerp(camera.position, goal, ease);
+        camera.setTarget(target);
+    }
+
+    getVJHead() {
+        const showSync = this.club.showSync;
+        if (!showSync.isFollower) return null;
+        const avatar = this.club.presence.avatars.get(showSync.vjId);
+        if (!avatar || !avatar.head.isEnabled()) return null;
+        return { position: avatar.head.position, rotation: avatar.head.rotationQuaternion };
+    }
+
+    loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) Object.assign(this.settings, saved);
+        } catch (error) {
+            console.warn('⚠️ Could not read saved spectator settings:', error);
+        }
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            // Private browsing / storage full - settings just won't persist
+        }
+    }
+
+    /**
+     * Subscribe to setting and on/off changes
+     * @param {Function} listener - Called with { settings, active, inXR, standalone }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = { settings: Object.assign({}, this.settings), active: this.active, inXR: this.inXR, standalone: this.standalone };
+        this.listeners.forEach(listener => listener(status));
+    }
+}
+
+SpectatorView.DEFAULTS = {
+    mode: 'preset',  // 'off' (mirror the headset) | 'preset' (desktop camera: presets, director, mouse) | 'orbit' | 'follow'
+    pip: true,       // Headset view inset in the corner
+    fps: 30          // Monitor frame rate cap - each spectator frame renders the club once more
+};
+
+// Bottom right, above the preset bar (fractions of the canvas, from the bottom left)
+SpectatorView.PIP_VIEWPORT = new BABYLON.Viewport(0.7, 0.14, 0.28, 0.28);
+SpectatorView.ORBIT_SPEED = 0.08; // Radians per second
+
+// Export for use in main club script
+window.SpectatorView = SpectatorView;
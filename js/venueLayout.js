@@ -0,0 +1,336 @@
+// Venue Layout - The room as data (dimensions, wall openings, booth, stage, PA, bar), so the club can be a basement or a warehouse
+// Positions are world meters on the floor plan ([x, z], y up, the dance floor looks toward +z); angles are degrees in the file, radians once loaded
+
+class VenueLayout {
+    /**
+     * @param {Object} venue - { name, room, openings, booth, stage, pa, bar, mirrorBall, rig } (see VenueLayout.DEFAULT_VENUE)
+     */
+    constructor(venue = VenueLayout.DEFAULT_VENUE) {
+        this.name = 'Untitled Venue';
+        this.room = null;       // { width, depth, height, front, back } - wall center lines
+        this.bounds = null;     // { minX, maxX, minZ, maxZ, height } - inner faces of the walls and ceiling
+        this.openings = [];     // { wall, center, width, height }
+        this.booth = null;      // { x, z, rotation }
+        this.stage = null;      // { x, z, rotation, panelSize, elevation }
+        this.pa = [];           // { x, z, rotation, scale }
+        this.bar = null;        // { x, z, rotation, length }
+        this.mirrorBall = null; // { x, y, z }
+        this.rig = null;        // Rig file this venue is meant for (used when no rig is chosen)
+        this.setVenue(venue);
+    }
+
+    /**
+     * Replace the venue - throws on anything the club could not build
+     */
+    setVenue(venue) {
+        if (!venue || !venue.room) {
+            throw new Error('Venue must contain a "room"');
+        }
+        const room = venue.room;
+        ['width', 'depth', 'height'].forEach(key => {
+            if (!(room[key] > 0)) {
+                throw new Error(`Room ${key} must be a positive number of meters`);
+            }
+        });
+        const front = room.front !== undefined ? room.front : 2;
+        if (!Number.isFinite(front)) {
+            throw new Error('Room front must be the z of the front wall');
+        }
+        const normalizedRoom = { width: room.width, depth: room.depth, height: room.height, front, back: front - room.depth };
+        const inset = VenueLayout.WALL_THICKNESS / 2;
+        const bounds = {
+            minX: -room.width / 2 + inset,
+            maxX: room.width / 2 - inset,
+            minZ: normalizedRoom.back + inset,
+            maxZ: front - inset,
+            height: room.height - VenueLayout.CEILING_THICKNESS / 2
+        };
+        const inside = (x, z) => x > bounds.minX && x < bounds.maxX && z > bounds.minZ && z < bounds.maxZ;
+
+        const openings = (venue.openings || []).map((opening, i) => {
+            const owner = `Opening ${i + 1}`;
+            if (!VenueLayout.WALLS.includes(opening.wall)) {
+                throw new Error(`${owner} is on unknown wall "${opening.wall}" (${VenueLayout.WALLS.join(', ')})`);
+            }
+            const center = opening.center || 0;
+            const height = opening.height !== undefined ? opening.height : Math.min(3, room.height);
+            if (!(opening.width > 0) || !(height > 0 && height <= room.height)) {
+                throw new Error(`${owner} needs a width and a height up to the ceiling (${room.height}m)`);
+            }
+            const line = VenueLayout.wallLine(normalizedRoom, opening.wall);
+            if (center - opening.width / 2 < line.from || center + opening.width / 2 > line.to) {
+                throw new Error(`${owner} runs past the end of the ${opening.wall} wall`);
+            }
+            return { wall: opening.wall, center, width: opening.width, height };
+        });
+        VenueLayout.WALLS.forEach(wall => {
+            const onWall = openings.filter(opening => opening.wall === wall).sort((a, b) => a.center - b.center);
+            for (let i = 1; i < onWall.length; i++) {
+                if (onWall[i].center - onWall[i].width / 2 < onWall[i - 1].center + onWall[i - 1].width / 2) {
+                    throw new Error(`Openings on the ${wall} wall overlap`);
+                }
+            }
+        });
+
+        const toPlacement = (value, owner) => {
+            const placement = VenueLayout.toPlacement(value, owner);
+            if (!inside(placement.x, placement.z)) {
+                throw new Error(`${owner} at [${placement.x}, ${placement.z}] is outside the room`);
+            }
+            return placement;
+        };
+
+        const booth = toPlacement(venue.booth || { position: [VenueLayout.ANCHORS.booth.x, VenueLayout.ANCHORS.booth.z] }, 'Booth');
+
+        const stageEntry = venue.stage || { position: [VenueLayout.ANCHORS.stage.x, VenueLayout.ANCHORS.stage.z] };
+        const stage = toPlacement(stageEntry, 'Stage');
+        stage.panelSize = stageEntry.panelSize !== undefined ? stageEntry.panelSize : 1.2;
+        stage.elevation = stageEntry.elevation !== undefined ? stageEntry.elevation : 1.5;
+        if (!(stage.panelSize > 0) || !(stage.elevation >= 0)) {
+            throw new Error('Stage panelSize must be positive and elevation at least 0');
+        }
+        if (stage.elevation + stage.panelSize * VenueLayout.LED_ROWS > bounds.height) {
+            throw new Error(`Stage LED wall (${(stage.elevation + stage.panelSize * VenueLayout.LED_ROWS).toFixed(1)}m) is taller than the room`);
+        }
+
+        const pa = (venue.pa || []).map((stack, i) => {
+            const placement = toPlacement(stack, `PA stack ${i + 1}`);
+            placement.scale = stack.scale !== undefined ? stack.scale : 1;
+            if (!(placement.scale > 0)) {
+                throw new Error(`PA stack ${i + 1} scale must be positive`);
+            }
+            return placement;
+        });
+
+        let bar = null;
+        if (venue.bar) {
+            bar = toPlacement(venue.bar, 'Bar');
+            bar.length = venue.bar.length !== undefined ? venue.bar.length : 6;
+            if (!(bar.length > 0)) {
+                throw new Error('Bar length must be a positive number of meters');
+            }
+        }
+
+        const ball = venue.mirrorBall || [0, 6.5, -12];
+        if (!Array.isArray(ball) || ball.length !== 3 || !ball.every(Number.isFinite) ||
+            !inside(ball[0], ball[2]) || !(ball[1] > 0 && ball[1] < bounds.height)) {
+            throw new Error('Mirror ball needs a position [x, y, z] inside the room');
+        }
+
+        this.name = venue.name || 'Untitled Venue';
+        this.room = normalizedRoom;
+        this.bounds = bounds;
+        this.openings = openings;
+        this.booth = booth;
+        this.stage = stage;
+        this.pa = pa;
+        this.bar = bar;
+        this.mirrorBall = { x: ball[0], y: ball[1], z: ball[2] };
+        this.rig = venue.rig || null;
+    }
+
+    /**
+     * Solid pieces of one wall around its openings: full-height pieces beside each opening, a lintel above it
+     * @param {string} wall - 'front' | 'back' | 'left' | 'right'
+     * @returns {Array} [{ from, to, bottom, top }] - from/to along the wall (x for front/back, z for left/right)
+     */
+    getWallPieces(wall) {
+        const line = VenueLayout.wallLine(this.room, wall);
+        const pieces = [];
+        let cursor = line.from;
+        this.openings.filter(opening => opening.wall === wall).sort((a, b) => a.center - b.center).forEach(opening => {
+            const start = opening.center - opening.width / 2;
+            const end = opening.center + opening.width / 2;
+            if (start - cursor > 0.01) pieces.push({ from: cursor, to: start, bottom: 0, top: this.room.height });
+            if (opening.height < this.room.height) pieces.push({ from: start, to: end, bottom: opening.height, top: this.room.height });
+            cursor = end;
+        });
+        if (line.to - cursor > 0.01) pieces.push({ from: cursor, to: line.to, bottom: 0, top: this.room.height });
+        return pieces;
+    }
+
+    /**
+     * Whether a point on a wall is inside one of its openings
+     * @param {string} wall
+     * @param {number} along - x for front/back walls, z for left/right walls
+     * @param {number} y
+     */
+    isOpening(wall, along, y) {
+        return this.openings.some(opening => opening.wall === wall && y < opening.height &&
+            Math.abs(along - opening.center) < opening.width / 2);
+    }
+
+    /**
+     * Cast a ray from inside the room to the surface it lands on (mirror ball reflections)
+     * @param {BABYLON.Vector3} origin
+     * @param {Object} direction - { x, y, z }, normalized
+     * @returns {Object|null} { position, normal, distance } - position sits 2cm off the surface; null if the ray leaves through an opening
+     */
+    projectRay(origin, direction) {
+        const b = this.bounds;
+        const planes = [
+            { axis: 'y', value: 0, sign: -1, normal: [0, 1, 0] },
+            { axis: 'y', value: b.height, sign: 1, normal: [0, -1, 0] },
+            { axis: 'x', value: b.minX, sign: -1, normal: [1, 0, 0], wall: 'left', along: 'z' },
+            { axis: 'x', value: b.maxX, sign: 1, normal: [-1, 0, 0], wall: 'right', along: 'z' },
+            { axis: 'z', value: b.minZ, sign: -1, normal: [0, 0, 1], wall: 'back', along: 'x' },
+            { axis: 'z', value: b.maxZ, sign: 1, normal: [0, 0, -1], wall: 'front', along: 'x' }
+        ];
+
+        // Inside a box the ray leaves through the nearest plane it is heading toward
+        let hit = null;
+        let closest = Infinity;
+        planes.forEach(plane => {
+            if (direction[plane.axis] * plane.sign <= 0.001) return;
+            const t = (plane.value - origin[plane.axis]) / direction[plane.axis];
+            if (t > 0 && t < closest) {
+                closest = t;
+                hit = plane;
+            }
+        });
+        if (!hit) return null;
+
+        const point = origin.add(new BABYLON.Vector3(direction.x, direction.y, direction.z).scale(closest));
+        if (hit.wall && this.isOpening(hit.wall, point[hit.along], point.y)) return null;
+
+        const normal = new BABYLON.Vector3(hit.normal[0], hit.normal[1], hit.normal[2]);
+        return { position: point.add(normal.scale(0.02)), normal, distance: closest };
+    }
+
+    /**
+     * A point pulled inside the room (camera spots written for the main room)
+     * @param {BABYLON.Vector3} point
+     * @param {number} margin - Meters to keep from the walls and ceiling
+     */
+    clamp(point, margin = 1) {
+        const b = this.bounds;
+        return new BABYLON.Vector3(
+            Math.max(b.minX + margin, Math.min(b.maxX - margin, point.x)),
+            Math.max(0, Math.min(b.height - margin, point.y)),
+            Math.max(b.minZ + margin, Math.min(b.maxZ - margin, point.z))
+        );
+    }
+
+    /**
+     * Booth or stage coordinates (the club's build code, written for the main room) → world
+     * @param {string} part - 'booth' | 'stage'
+     * @param {BABYLON.Vector3} point
+     */
+    toWorld(part, point) {
+        return VenueLayout.place(point, VenueLayout.ANCHORS[part], this[part]);
+    }
+
+    /**
+     * World → booth or stage coordinates (pointer drags on the booth controls)
+     */
+    fromWorld(part, point) {
+        return VenueLayout.unplace(point, VenueLayout.ANCHORS[part], this[part]);
+    }
+
+    /**
+     * Human-readable summary for the settings panel
+     */
+    describe() {
+        const { width, depth, height } = this.room;
+        const parts = [`${width} × ${depth} × ${height} m`];
+        if (this.openings.length > 0) parts.push(`${this.openings.length} opening${this.openings.length === 1 ? '' : 's'}`);
+        parts.push(`${this.pa.length} PA stack${this.pa.length === 1 ? '' : 's'}`);
+        if (this.bar) parts.push('bar');
+        return `${this.name}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * Load a venue from a JSON file
+     * @param {string} url
+     * @returns {Promise<Object>} Validated venue for the VenueLayout constructor
+     */
+    static async fetchVenue(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        const venue = await response.json();
+        new VenueLayout(venue); // Throws on bad dimensions, openings or placements outside the room
+        return venue;
+    }
+
+    /**
+     * Where a wall runs: along x (front/back) or z (left/right), from one corner to the other
+     * Front and back walls run over the side walls' ends so the corners are closed
+     */
+    static wallLine(room, wall) {
+        const half = room.width / 2;
+        const overlap = VenueLayout.WALL_THICKNESS / 2;
+        switch (wall) {
+            case 'front': return { along: 'x', at: room.front, from: -half - overlap, to: half + overlap };
+            case 'back': return { along: 'x', at: room.back, from: -half - overlap, to: half + overlap };
+            case 'left': return { along: 'z', at: -half, from: room.back, to: room.front };
+            default: return { along: 'z', at: half, from: room.back, to: room.front };
+        }
+    }
+
+    /**
+     * Move a point built around an anchor to a placement: turned by the placement's rotation, scaled, anchor on the placement
+     * @param {BABYLON.Vector3} point
+     * @param {Object} anchor - { x, z } the build code is written around
+     * @param {Object} placement - { x, z, rotation, scale }
+     * @returns {BABYLON.Vector3}
+     */
+    static place(point, anchor, placement) {
+        const scale = placement.scale || 1;
+        const cos = Math.cos(placement.rotation);
+        const sin = Math.sin(placement.rotation);
+        const dx = (point.x - anchor.x) * scale;
+        const dz = (point.z - anchor.z) * scale;
+        // Same handedness as BABYLON rotation.y: +z turns toward +x
+        return new BABYLON.Vector3(placement.x + dx * cos + dz * sin, point.y * scale, placement.z - dx * sin + dz * cos);
+    }
+
+    static unplace(point, anchor, placement) {
+        const scale = placement.scale || 1;
+        const cos = Math.cos(placement.rotation);
+        const sin = Math.sin(placement.rotation);
+        const dx = point.x - placement.x;
+        const dz = point.z - placement.z;
+        return new BABYLON.Vector3(anchor.x + (dx * cos - dz * sin) / scale, point.y / scale, anchor.z + (dx * sin + dz * cos) / scale);
+    }
+
+    static toPlacement(value, owner) {
+        const position = value && value.position;
+        if (!Array.isArray(position) || position.length !== 2 || !position.every(Number.isFinite)) {
+            throw new Error(`${owner} needs a floor position [x, z]`);
+        }
+        return { x: position[0], z: position[1], rotation: (value.rotation || 0) * Math.PI / 180 };
+    }
+}
+
+VenueLayout.WALLS = ['front', 'back', 'left', 'right'];
+VenueLayout.WALL_THICKNESS = 0.5;
+VenueLayout.CEILING_THICKNESS = 0.3;
+VenueLayout.LED_ROWS = 6; // LED wall is 10 × 6 panels (the LED patterns are drawn for that grid)
+
+// Where the club's build code puts the booth and the LED wall - a venue's booth / stage placement moves these points
+VenueLayout.ANCHORS = {
+    booth: { x: 0, z: -24 },  // DJ booth platform center
+    stage: { x: 0, z: -26 }   // LED wall, bottom center
+};
+
+// The club's main room: 34 × 29 m with a 10m ceiling, a 14m entrance in the front wall,
+// booth and LED wall against the back wall with a PA stack on each side
+VenueLayout.DEFAULT_VENUE = {
+    name: 'Main Room',
+    room: { width: 34, depth: 29, height: 10, front: 2 },
+    openings: [
+        { wall: 'front', center: 0, width: 14, height: 4 }
+    ],
+    booth: { position: [0, -24], rotation: 0 },
+    stage: { position: [0, -26], rotation: 0, panelSize: 1.2, elevation: 1.5 },
+    pa: [
+        { position: [-7, -25] },
+        { position: [7, -25] }
+    ],
+    mirrorBall: [0, 6.5, -12]
+};
+
+// Export for use in main club script
+window.VenueLayout = VenueLayout;
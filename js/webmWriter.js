@@ -0,0 +1,179 @@
+// WebM Writer - Minimal Matroska muxer for WebCodecs output (one VP8/VP9 video track, one Opus audio track)
+// Chunks carry their own timestamps, so frames rendered slower than real time still play back at the right speed
+
+class WebMWriter {
+    /**
+     * @param {Object} tracks - { video: { codec: 'V_VP9' | 'V_VP8', width, height }, audio: { codec: 'A_OPUS', sampleRate, channels } | null }
+     */
+    constructor(tracks) {
+        this.video = tracks.video;
+        this.audio = tracks.audio || null;
+        this.audioPrivate = null; // OpusHead from the encoder's decoderConfig
+        this.blocks = [];         // { track, time (ms), key, data }
+    }
+
+    /**
+     * Add an EncodedVideoChunk / EncodedAudioChunk from a WebCodecs encoder output callback
+     * @param {string} kind - 'video' or 'audio'
+     */
+    addChunk(kind, chunk, metadata) {
+        const description = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+        if (kind === 'audio' && !this.audioPrivate && description) {
+            this.audioPrivate = ArrayBuffer.isView(description)
+                ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength).slice()
+                : new Uint8Array(description).slice();
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.blocks.push({
+            track: kind === 'video' ? WebMWriter.VIDEO_TRACK : WebMWriter.AUDIO_TRACK,
+            time: Math.round(chunk.timestamp / 1000),
+            key: chunk.type === 'key',
+            data
+        });
+    }
+
+    /**
+     * Build the file - a new cluster at every video keyframe
+     * @param {number} duration - Seconds
+     * @returns {Blob} video/webm
+     */
+    finalize(duration) {
+        const el = WebMWriter.element;
+        const header = el(0x1A45DFA3, [
+            el(0x4286, 1),          // EBMLVersion
+            el(0x42F7, 1),          // EBMLReadVersion
+            el(0x42F2, 4),          // EBMLMaxIDLength
+            el(0x42F3, 8),          // EBMLMaxSizeLength
+            el(0x4282, 'webm'),     // DocType
+            el(0x4287, 2),          // DocTypeVersion
+            el(0x4285, 2)           // DocTypeReadVersion
+        ]);
+
+        const info = el(0x1549A966, [
+            el(0x2AD7B1, 1000000),  // TimecodeScale: block times in milliseconds
+            el(0x4D80, 'VR Club'),  // MuxingApp
+            el(0x5741, 'VR Club'),  // WritingApp
+            el(0x4489, WebMWriter.float(duration * 1000))
+        ]);
+
+        const entries = [el(0xAE, [
+            el(0xD7, WebMWriter.VIDEO_TRACK), // TrackNumber
+            el(0x73C5, WebMWriter.VIDEO_TRACK), // TrackUID
+            el(0x83, 1),            // TrackType: video
+            el(0x86, this.video.codec),
+            el(0xE0, [el(0xB0, this.video.width), el(0xBA, this.video.height)])
+        ])];
+        if (this.audio) {
+            const opusHead = this.audioPrivate || WebMWriter.opusHead(this.audio.channels, this.audio.sampleRate);
+            const preSkip = opusHead[10] | (opusHead[11] << 8);
+            entries.push(el(0xAE, [
+                el(0xD7, WebMWriter.AUDIO_TRACK),
+                el(0x73C5, WebMWriter.AUDIO_TRACK),
+                el(0x83, 2),        // TrackType: audio
+                el(0x86, this.audio.codec),
+                el(0x63A2, opusHead), // CodecPrivate
+                el(0x56AA, Math.round(preSkip / 48000 * 1e9)), // CodecDelay (ns)
+                el(0x56BB, 80000000), // SeekPreRoll: 80 ms for Opus
+                el(0xE1, [el(0xB5, WebMWriter.float(this.audio.sampleRate)), el(0x9F, this.audio.channels)])
+            ]));
+        }
+        const tracks = el(0x1654AE6B, entries);
+
+        // Interleave by time - video first when a video and an audio block share a millisecond
+        const blocks = this.blocks.slice().sort((a, b) => a.time - b.time || a.track - b.track);
+        const clusters = [];
+        let cluster = null;
+        blocks.forEach(block => {
+            const startCluster = !cluster || block.time - cluster.time > 30000 ||
+                (block.track === WebMWriter.VIDEO_TRACK && block.key && cluster.blocks.length > 0);
+            if (startCluster) {
+                cluster = { time: block.time, blocks: [] };
+                clusters.push(cluster);
+            }
+            const relative = block.time - cluster.time;
+            const simpleBlock = new Uint8Array(4 + block.data.length);
+            simpleBlock[0] = 0x80 | block.track;       // Track number as a 1-byte vint
+            simpleBlock[1] = (relative >> 8) & 0xFF;   // Signed 16-bit time relative to the cluster
+            simpleBlock[2] = relative & 0xFF;
+            simpleBlock[3] = block.key ? 0x80 : 0;     // Keyframe flag
+            simpleBlock.set(block.data, 4);
+            cluster.blocks.push(el(0xA3, simpleBlock));
+        });
+        const clusterElements = clusters.map(c => el(0x1F43B675, [el(0xE7, c.time)].concat(c.blocks)));
+
+        const children = [info, tracks].concat(clusterElements);
+        const size = children.reduce((sum, child) => sum + child.length, 0);
+        const segment = WebMWriter.concat([WebMWriter.bytes(0x18538067), WebMWriter.size(size)]);
+        return new Blob([header, segment].concat(children), { type: 'video/webm' });
+    }
+
+    /**
+     * EBML element: id, size, body (unsigned integer, string, binary or child elements)
+     */
+    static element(id, value) {
+        let body;
+        if (value instanceof Uint8Array) body = value;
+        else if (Array.isArray(value)) body = WebMWriter.concat(value);
+        else if (typeof value === 'string') body = new TextEncoder().encode(value);
+        else body = new Uint8Array(WebMWriter.bytes(value));
+        return WebMWriter.concat([WebMWriter.bytes(id), WebMWriter.size(body.length), body]);
+    }
+
+    /**
+     * Big-endian bytes of a non-negative integer (element ids keep their marker bits)
+     */
+    static bytes(value) {
+        const bytes = [];
+        for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+        return new Uint8Array(bytes.length > 0 ? bytes : [0]);
+    }
+
+    /**
+     * Element size as the shortest EBML variable-length integer
+     */
+    static size(value) {
+        let length = 1;
+        while (value >= Math.pow(2, 7 * length) - 1) length++;
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1, v = value; i >= 0; i--, v = Math.floor(v / 256)) bytes[i] = v % 256;
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+
+    static float(value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return bytes;
+    }
+
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * Opus identification header, for encoders that don't supply one
+     */
+    static opusHead(channels, sampleRate) {
+        const head = new Uint8Array(19);
+        head.set(new TextEncoder().encode('OpusHead'));
+        const view = new DataView(head.buffer);
+        view.setUint8(8, 1);                    // Version
+        view.setUint8(9, channels);
+        view.setUint16(10, 0, true);            // Pre-skip
+        view.setUint32(12, sampleRate, true);   // Input sample rate
+        return head;                            // Output gain 0, channel mapping family 0
+    }
+}
+
+WebMWriter.VIDEO_TRACK = 1;
+WebMWriter.AUDIO_TRACK = 2;
+
+// Export for use in main club script
+window.WebMWriter = WebMWriter;
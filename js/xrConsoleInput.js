@@ -0,0 +1,304 @@
+// XR Console Input - WebXR controllers and tracked hands on the VJ console
+// Poke buttons with a fingertip or controller tip, point and pull the trigger, grab and drag the speed slider
+// along its track, with hover outlines and haptic pulses. Pointers are plain objects, so tests and emulators
+// can add their own (see addPointer)
+
+class XRConsoleInput {
+    /**
+     * @param {VRClub} club
+     * @param {BABYLON.WebXRDefaultExperience|null} xr - null on desktop (only added pointers)
+     */
+    constructor(club, xr, options = {}) {
+        this.club = club;
+        this.xr = xr;
+        this.hoverDistance = options.hoverDistance || 0.06;   // Metres from a button where a tip starts to hover
+        this.pokeDepth = options.pokeDepth || 0.01;           // Metres a tip must reach into a button to press it
+        this.pressTravel = options.pressTravel || 0.015;      // Metres a pressed button sinks
+        this.sliderTick = options.sliderTick || 0.1;          // Speed change per haptic tick while dragging
+
+        this.states = new Map();      // Pointer id → { hover, pressed, pokedBy, dragging, near, grabOffset, select, squeeze, tick }
+        this.extraPointers = [];      // Added by tests / emulators
+        this.sessionButtons = new Map(); // XRInputSource → { select, squeeze } from session events
+        this.handTracking = null;
+
+        if (xr) this.attach(xr);
+    }
+
+    /**
+     * Hand tracking (fingertip pokes) and select / squeeze from the session - works the same for controllers and hands
+     */
+    attach(xr) {
+        try {
+            this.handTracking = xr.baseExperience.featuresManager.enableFeature(
+                BABYLON.WebXRFeatureName.HAND_TRACKING, 'latest', { xrInput: xr.input }, true, false);
+        } catch (error) {
+            console.warn('⚠️ XR hand tracking not available - controllers only:', error.message);
+        }
+
+        const track = (type, down) => (event) => {
+            const buttons = this.sessionButtons.get(event.inputSource) || { select: false, squeeze: false };
+            buttons[type] = down;
+            this.sessionButtons.set(event.inputSource, buttons);
+        };
+        xr.baseExperience.sessionManager.onXRSessionInit.add((session) => {
+            this.sessionButtons.clear();
+            session.addEventListener('selectstart', track('select', true));
+            session.addEventListener('selectend', track('select', false));
+            session.addEventListener('squeezestart', track('squeeze', true));
+            session.addEventListener('squeezeend', track('squeeze', false));
+        });
+        xr.input.onControllerRemovedObservable.add((controller) => {
+            this.sessionButtons.delete(controller.inputSource);
+        });
+    }
+
+    /**
+     * Add a pointer that isn't an XR input source (tests, emulation)
+     * @param {Object} pointer - { id, tip: Vector3|null, ray: Ray|null, select: boolean, squeeze: boolean, pulse(intensity, ms) }
+     *                           - change its fields between frames; update() reads them every frame
+     * @returns {Function} Remove function
+     */
+    addPointer(pointer) {
+        this.extraPointers.push(pointer);
+        return () => {
+            const index = this.extraPointers.indexOf(pointer);
+            if (index !== -1) this.extraPointers.splice(index, 1);
+        };
+    }
+
+    /**
+     * This frame's XR pointers: tip (fingertip or controller tip), aim ray, select / squeeze, haptics
+     */
+    readPointers() {
+        if (!this.xr || this.xr.baseExperience.state !== BABYLON.WebXRState.IN_XR) return [];
+        return this.xr.input.controllers.map(controller => {
+            const buttons = this.sessionButtons.get(controller.inputSource) || { select: false, squeeze: false };
+            const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), BABYLON.Vector3.Forward(), 10);
+            controller.getWorldPointerRayToRef(ray, true);
+
+            let tip = ray.origin.clone(); // Controllers poke with the front of the controller
+            const hand = this.handTracking && this.handTracking.getHandByControllerId(controller.uniqueId);
+            if (hand) {
+                const joint = hand.getJointMesh(BABYLON.WebXRHandJoint.INDEX_FINGER_TIP);
+                tip = joint ? joint.getAbsolutePosition().clone() : null;
+            }
+            const motionController = controller.motionController;
+            return {
+                id: controller.uniqueId,
+                tip,
+                ray,
+                select: buttons.select,
+                squeeze: buttons.squeeze,
+                pulse: (intensity, ms) => {
+                    if (motionController) motionController.pulse(intensity, ms);
+                }
+            };
+        });
+    }
+
+    /**
+     * Console meshes XR can touch: VJ buttons, the audio stream button and the speed slider handle
+     */
+    getTargets() {
+        const club = this.club;
+        const targets = club.vjControlButtons.map(button => ({ mesh: button.mesh, kind: 'button' }));
+        if (club.audioStreamButton) targets.push({ mesh: club.audioStreamButton.mesh, kind: 'button' });
+        if (club.speedSlider) targets.push({ mesh: club.speedSlider.handle, kind: 'slider' });
+        return targets;
+    }
+
+    /**
+     * Per-frame from updateAnimations()
+     */
+    update(time) {
+        const pointers = this.readPointers().concat(this.extraPointers);
+        const targets = pointers.length > 0 ? this.getTargets() : [];
+        const seen = new Set();
+        pointers.forEach(pointer => {
+            seen.add(pointer.id);
+            let state = this.states.get(pointer.id);
+            if (!state) {
+                state = { hover: null, pressed: null, pokedBy: null, dragging: false, near: false, grabOffset: 0, select: false, squeeze: false, tick: 0 };
+                this.states.set(pointer.id, state);
+            }
+            this.updatePointer(pointer, state, targets);
+            state.select = pointer.select;
+            state.squeeze = pointer.squeeze;
+        });
+
+        // Controllers that went away let go of whatever they held
+        this.states.forEach((state, id) => {
+            if (!seen.has(id)) {
+                this.release(state);
+                this.setHover(state, null, null);
+                this.states.delete(id);
+            }
+        });
+    }
+
+    updatePointer(pointer, state, targets) {
+        const pulse = pointer.pulse || (() => {});
+        const grabbing = pointer.select || pointer.squeeze;
+        const selectStarted = pointer.select && !state.select;
+        const grabStarted = selectStarted || (pointer.squeeze && !state.squeeze);
+
+        // Dragging the slider: follow the tip while grabbing with it, else the ray
+        if (state.dragging) {
+            if (!grabbing) {
+                this.release(state);
+            } else {
+                const boothX = this.sliderPosition(pointer, state.near);
+                if (boothX !== null) this.dragSlider(state, boothX + state.grabOffset, pulse);
+            }
+            return;
+        }
+
+        // Near beats far: a tip close to a target hovers it, otherwise the aim ray
+        const near = pointer.tip ? this.nearestTarget(pointer.tip, targets) : null;
+        const hit = near ? near.target : this.rayTarget(pointer.ray, targets);
+        this.setHover(state, hit, pulse);
+
+        // Poke: the tip pushed into a button presses it once, until it comes back out
+        if (state.pressed && state.pokedBy === 'tip') {
+            const box = state.pressed.mesh.getBoundingInfo().boundingBox;
+            if (!pointer.tip || XRConsoleInput.boxDistance(pointer.tip, box.minimumWorld, box.maximumWorld) > 0) {
+                this.release(state);
+            }
+        } else if (near && near.target.kind === 'button' && near.distance <= -this.pokeDepth && !state.pressed) {
+            this.press(state, near.target, pulse, 'tip');
+        }
+
+        // Trigger (or pinch) on a hovered button presses it; on the slider handle, grip or trigger grabs it
+        if (grabStarted && hit) {
+            if (hit.kind === 'slider') {
+                if (this.club.grabSpeedSlider()) {
+                    state.dragging = true;
+                    state.near = !!near;
+                    const boothX = this.sliderPosition(pointer, state.near);
+                    state.grabOffset = boothX !== null ? this.club.speedSlider.handle.position.x - boothX : 0;
+                    state.tick = Math.round(this.club.spotlightSpeed / this.sliderTick);
+                    pulse(0.5, 30);
+                } else {
+                    pulse(1.0, 120); // Locked (or MIDI learn took it)
+                }
+            } else if (!state.pressed && selectStarted) {
+                this.press(state, hit, pulse, 'ray');
+            }
+        }
+        if (!pointer.select && state.pressed && state.pokedBy === 'ray') {
+            this.release(state);
+        }
+    }
+
+    /**
+     * @param {string} by - 'tip' (released when the tip comes out) or 'ray' (released with the trigger)
+     */
+    press(state, target, pulse, by) {
+        state.pressed = target;
+        state.pokedBy = by;
+        target.mesh.position.y -= this.pressTravel;
+        const result = this.club.pressConsoleButton(target.mesh);
+        if (result === false) {
+            pulse(1.0, 120); // Console locked - long buzz with the red flash
+        } else {
+            pulse(0.7, 40);
+        }
+    }
+
+    release(state) {
+        if (state.pressed) {
+            state.pressed.mesh.position.y += this.pressTravel;
+            state.pressed = null;
+        }
+        if (state.dragging) {
+            state.dragging = false;
+            this.club.releaseSpeedSlider();
+        }
+    }
+
+    setHover(state, target, pulse) {
+        if ((state.hover && state.hover.mesh) === (target && target.mesh)) return;
+        if (state.hover) state.hover.mesh.renderOutline = false;
+        state.hover = target;
+        if (target) {
+            target.mesh.renderOutline = true;
+            target.mesh.outlineColor = XRConsoleInput.HOVER_COLOR;
+            target.mesh.outlineWidth = 0.01;
+            if (pulse) pulse(0.15, 10);
+        }
+    }
+
+    dragSlider(state, boothX, pulse) {
+        this.club.dragSpeedSlider(boothX);
+        const tick = Math.round(this.club.spotlightSpeed / this.sliderTick);
+        if (tick !== state.tick) {
+            state.tick = tick;
+            pulse(0.25, 10); // Detent every 0.1× of speed
+        }
+    }
+
+    /**
+     * Closest target to a tip, with signed distance to its box (negative inside)
+     */
+    nearestTarget(tip, targets) {
+        let nearest = null;
+        targets.forEach(target => {
+            const box = target.mesh.getBoundingInfo().boundingBox;
+            const distance = XRConsoleInput.boxDistance(tip, box.minimumWorld, box.maximumWorld);
+            if (distance <= this.hoverDistance && (!nearest || distance < nearest.distance)) {
+                nearest = { target, distance };
+            }
+        });
+        return nearest;
+    }
+
+    rayTarget(ray, targets) {
+        if (!ray) return null;
+        const meshes = targets.map(target => target.mesh);
+        const pick = this.club.scene.pickWithRay(ray, mesh => meshes.includes(mesh));
+        return pick && pick.hit ? targets.find(target => target.mesh === pick.pickedMesh) : null;
+    }
+
+    /**
+     * Where the pointer is along the slider track, in booth x (what the handle's position.x uses)
+     */
+    sliderPosition(pointer, near) {
+        const venue = this.club.venue;
+        if (near && pointer.tip) return venue.fromWorld('booth', pointer.tip).x;
+        if (!pointer.ray) return null;
+
+        // Closest point on the track axis to the aim ray
+        const origin = this.club.speedSlider.handle.getAbsolutePosition();
+        const axis = venue.toWorld('booth', BABYLON.Axis.X).subtract(venue.toWorld('booth', BABYLON.Vector3.Zero())).normalize();
+        const w = origin.subtract(pointer.ray.origin);
+        const b = BABYLON.Vector3.Dot(axis, pointer.ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null; // Pointing along the track
+        const s = (b * BABYLON.Vector3.Dot(pointer.ray.direction, w) - BABYLON.Vector3.Dot(axis, w)) / denominator;
+        return venue.fromWorld('booth', origin.add(axis.scale(s))).x;
+    }
+
+    /**
+     * Signed distance from a point to an axis-aligned box (negative = inside, by the distance to the nearest face)
+     */
+    static boxDistance(point, min, max) {
+        const dx = Math.max(min.x - point.x, 0, point.x - max.x);
+        const dy = Math.max(min.y - point.y, 0, point.y - max.y);
+        const dz = Math.max(min.z - point.z, 0, point.z - max.z);
+        if (dx > 0 || dy > 0 || dz > 0) return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        return -Math.min(point.x - min.x, max.x - point.x, point.y - min.y, max.y - point.y, point.z - min.z, max.z - point.z);
+    }
+
+    /**
+     * Scene pointer events Babylon makes for XR controllers - the scene handlers leave the console to this class
+     */
+    static isXREvent(evt) {
+        return !!evt && (evt.pointerType === 'xr' || evt.pointerType === 'xr-near');
+    }
+}
+
+// Hover outline on console buttons and the slider handle
+XRConsoleInput.HOVER_COLOR = new BABYLON.Color3(1, 1, 1);
+
+// Export for use in main club script
+window.XRConsoleInput = XRConsoleInput;
@@ -0,0 +1,297 @@
+// XR Locomotion - Thumbstick movement, snap / smooth turning, comfort vignette and seated height in VR
+// Smooth movement slides the view with the collision walls from createCollisionBoundaries(); teleport stays available
+// as the other movement mode. Settings persist in localStorage
+
+class XRLocomotion {
+    /**
+     * @param {VRClub} club
+     * @param {BABYLON.WebXRDefaultExperience|null} xr - null without WebXR (settings still load and save)
+     */
+    constructor(club, xr, options = {}) {
+        this.club = club;
+        this.xr = xr;
+        this.storageKey = options.storageKey || 'vrclub_xrComfort';
+        this.deadzone = options.deadzone || 0.15;
+        this.standingEyeHeight = options.standingEyeHeight || 1.65; // Metres - seated players are lifted to this
+        this.settings = Object.assign({}, XRLocomotion.DEFAULTS);
+        this.loadPreferences();
+
+        this.heightOffset = 0;       // Metres added to the headset's height (seated mode)
+        this.calibrateFrames = 0;    // Frames to wait before calibrating (first XR frames have no real pose)
+        this.snapLatched = false;    // Stick must come back to centre before the next snap turn
+        this.stickPressed = false;   // Right stick click recalibrates the height (the settings panel is out of reach in VR)
+        this.vignette = null;
+        this.vignetteLevel = 0;
+        this.blinkUntil = 0;         // Snap turns and teleports show the vignette briefly
+        this.collider = null;
+        this.lastTime = null;
+        this.listeners = [];
+
+        if (xr) this.attach(xr);
+    }
+
+    attach(xr) {
+        if (xr.teleportation) {
+            xr.teleportation.rotationEnabled = false; // Turning is ours, on the right stick
+            xr.teleportation.onAfterCameraTeleport.add(() => this.blink());
+        }
+        xr.baseExperience.onStateChangedObservable.add((state) => {
+            if (state === BABYLON.WebXRState.IN_XR) {
+                const camera = xr.baseExperience.camera;
+                camera.checkCollisions = false; // Movement collides through our own collider (below)
+                this.heightOffset = 0;
+                this.calibrateFrames = this.settings.height === 'seated' ? 10 : 0;
+                this.lastTime = null;
+                this.createVignette(camera);
+                this.applyMode();
+            } else if (state === BABYLON.WebXRState.NOT_IN_XR) {
+                if (this.vignette) this.vignette.setEnabled(false);
+            }
+        });
+    }
+
+    get inXR() {
+        return !!this.xr && this.xr.baseExperience.state === BABYLON.WebXRState.IN_XR;
+    }
+
+    /**
+     * Change comfort settings and save them
+     * @param {Object} changes - { movement: 'smooth' | 'teleport', turn: 'snap' | 'smooth', snapAngle, turnSpeed,
+     *                           moveSpeed, vignette: 0-1, height: 'standing' | 'seated' }
+     */
+    setSettings(changes) {
+        const heightChanged = changes.height && changes.height !== this.settings.height;
+        Object.assign(this.settings, changes);
+        this.savePreferences();
+        this.applyMode();
+        if (heightChanged) this.calibrateHeight();
+        this.notify();
+    }
+
+    /**
+     * Teleport only in teleport mode - the left stick moves in smooth mode
+     */
+    applyMode() {
+        if (!this.xr || !this.xr.teleportation) return;
+        if (this.settings.movement === 'teleport') {
+            this.xr.teleportation.attach();
+        } else {
+            this.xr.teleportation.detach();
+        }
+    }
+
+    /**
+     * Standing: the headset's real height. Seated: lift the view to standing eye height
+     */
+    calibrateHeight() {
+        if (!this.inXR) return;
+        const camera = this.xr.baseExperience.camera;
+        const headHeight = camera.position.y - this.heightOffset - this.floorBelow(camera.position);
+        const offset = this.settings.height === 'seated' ? Math.max(0, this.standingEyeHeight - headHeight) : 0;
+        camera.position.y += offset - this.heightOffset;
+        this.heightOffset = offset;
+        console.log(`🥽 Height: ${this.settings.height}${offset ? ` (+${offset.toFixed(2)} m)` : ''}`);
+        this.notify();
+    }
+
+    floorBelow(position) {
+        const ray = new BABYLON.Ray(position, new BABYLON.Vector3(0, -1, 0), 10);
+        const pick = this.club.scene.pickWithRay(ray, mesh => mesh === this.club.floorMesh);
+        return pick && pick.hit ? pick.pickedPoint.y : 0;
+    }
+
+    /**
+     * Per-frame from updateAnimations()
+     */
+    update(time) {
+        const dt = this.lastTime === null ? 0 : Math.min(0.1, time - this.lastTime);
+        this.lastTime = time;
+        if (!this.inXR) return;
+
+        const camera = this.xr.baseExperience.camera;
+        if (this.calibrateFrames > 0 && --this.calibrateFrames === 0) this.calibrateHeight();
+
+        let moving = false;
+        this.xr.input.controllers.forEach(controller => {
+            const stick = XRLocomotion.getStick(controller);
+            if (!stick) return;
+            const handedness = controller.inputSource.handedness;
+            if (handedness === 'left' && this.settings.movement === 'smooth') {
+                moving = this.move(camera, stick.axes, dt) || moving;
+            } else if (handedness === 'right') {
+                moving = this.turn(camera, stick.axes, dt) || moving;
+                if (stick.pressed && !this.stickPressed) this.calibrateHeight();
+                this.stickPressed = stick.pressed;
+            }
+        });
+
+        this.updateVignette(time, moving, dt);
+    }
+
+    /**
+     * Slide along the floor in the direction the head faces, stopped by the collision walls
+     * @returns {boolean} Whether the player moved
+     */
+    move(camera, stick, dt) {
+        const x = Math.abs(stick.x) > this.deadzone ? stick.x : 0;
+        const y = Math.abs(stick.y) > this.deadzone ? stick.y : 0;
+        if (!x && !y) return false;
+
+        const forward = camera.getDirection(BABYLON.Axis.Z);
+        forward.y = 0;
+        forward.normalize();
+        const right = BABYLON.Vector3.Cross(BABYLON.Axis.Y, forward);
+        const displacement = forward.scale(-y).addInPlace(right.scale(x)).scaleInPlace(this.settings.moveSpeed * dt);
+
+        // A head-sized collider (boundaries are 2-4 m tall, so head height hits them too)
+        if (!this.collider) {
+            this.collider = BABYLON.MeshBuilder.CreateSphere('xrLocomotionCollider', { diameter: 0.1 }, this.club.scene);
+            this.collider.isVisible = false;
+            this.collider.isPickable = false;
+            this.collider.ellipsoid = new BABYLON.Vector3(0.3, 0.3, 0.3);
+        }
+        this.collider.position.copyFrom(camera.position);
+        this.collider.moveWithCollisions(displacement);
+        const moved = this.collider.position.subtract(camera.position);
+        moved.y = 0; // Walls only - the floor height stays where it is
+        camera.position.addInPlace(moved);
+        return true;
+    }
+
+    /**
+     * Right stick turns: snap steps (latched until the stick centres) or a smooth turn rate
+     * @returns {boolean} Whether the view is turning smoothly (snap turns blink instead)
+     */
+    turn(camera, stick, dt) {
+        const x = stick.x;
+        if (this.settings.turn === 'snap') {
+            if (!this.snapLatched && Math.abs(x) > 0.7) {
+                this.snapLatched = true;
+                this.rotate(camera, Math.sign(x) * this.settings.snapAngle * Math.PI / 180);
+                this.blink();
+            } else if (Math.abs(x) < 0.3) {
+                this.snapLatched = false;
+            }
+            return false;
+        }
+        if (Math.abs(x) <= this.deadzone) return false;
+        this.rotate(camera, x * this.settings.turnSpeed * Math.PI / 180 * dt);
+        return true;
+    }
+
+    rotate(camera, angle) {
+        camera.rotationQuaternion.multiplyInPlace(BABYLON.Quaternion.FromEulerAngles(0, angle, 0));
+    }
+
+    blink() {
+        this.blinkUntil = this.club.now() + 0.15;
+    }
+
+    /**
+     * Black tunnel in front of the eyes, drawn over everything
+     */
+    createVignette(camera) {
+        if (this.vignette) {
+            this.vignette.parent = camera;
+            return;
+        }
+        const scene = this.club.scene;
+        const size = 256;
+        const texture = new BABYLON.DynamicTexture('xrVignetteTexture', { width: size, height: size }, scene, false);
+        const context = texture.getContext();
+        const gradient = context.createRadialGradient(size / 2, size / 2, size * 0.18, size / 2, size / 2, size * 0.5);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+        texture.hasAlpha = true;
+        texture.update();
+
+        const material = new BABYLON.StandardMaterial('xrVignetteMat', scene);
+        material.diffuseTexture = texture;
+        material.useAlphaFromDiffuseTexture = true;
+        material.emissiveColor = BABYLON.Color3.Black();
+        material.disableLighting = true;
+        material.disableDepthWrite = true;
+        material.backFaceCulling = false;
+
+        // 0.2 m in front of the eyes, wide enough for a headset's field of view; the corners stay black
+        this.vignette = BABYLON.MeshBuilder.CreatePlane('xrVignette', { size: 1.2 }, scene);
+        this.vignette.material = material;
+        this.vignette.parent = camera;
+        this.vignette.position = new BABYLON.Vector3(0, 0, 0.2);
+        this.vignette.isPickable = false;
+        this.vignette.renderingGroupId = 3;
+        scene.setRenderingAutoClearDepthStencil(3, true); // Nothing in the room draws over it
+        this.vignette.setEnabled(false);
+    }
+
+    updateVignette(time, moving, dt) {
+        if (!this.vignette) return;
+        const target = (moving || time < this.blinkUntil) ? this.settings.vignette : 0;
+        this.vignetteLevel += (target - this.vignetteLevel) * Math.min(1, dt * 10);
+        if (time < this.blinkUntil) this.vignetteLevel = target; // Blinks are instant
+        this.vignette.visibility = this.vignetteLevel;
+        this.vignette.setEnabled(this.vignetteLevel > 0.01);
+    }
+
+    loadPreferences() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved) Object.assign(this.settings, saved);
+        } catch (error) {
+            console.warn('⚠️ Could not read saved VR comfort settings:', error);
+        }
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            // Private browsing / storage full - settings just won't persist
+        }
+    }
+
+    /**
+     * Subscribe to settings and height changes
+     * @param {Function} listener - Called with { settings, heightOffset, inXR }
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const index = this.listeners.indexOf(listener);
+            if (index !== -1) this.listeners.splice(index, 1);
+        };
+    }
+
+    notify() {
+        const status = { settings: Object.assign({}, this.settings), heightOffset: this.heightOffset, inXR: this.inXR };
+        this.listeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Thumbstick (or touchpad) component of a controller - { axes, pressed } - or null for hands and controllers without one
+     */
+    static getStick(controller) {
+        const motionController = controller.motionController;
+        if (!motionController) return null;
+        const component = motionController.getComponentOfType(BABYLON.WebXRControllerComponent.THUMBSTICK_TYPE) ||
+            motionController.getComponentOfType(BABYLON.WebXRControllerComponent.TOUCHPAD_TYPE);
+        return component || null;
+    }
+}
+
+// Comfort defaults: smooth movement, 45° snap turns, medium vignette, standing
+XRLocomotion.DEFAULTS = {
+    movement: 'smooth',
+    turn: 'snap',
+    snapAngle: 45,
+    turnSpeed: 90,   // Degrees per second (smooth turning)
+    moveSpeed: 2,    // Metres per second at full stick
+    vignette: 0.6,   // 0 (off) - 1 (strong)
+    height: 'standing'
+};
+
+// Export for use in main club script
+window.XRLocomotion = XRLocomotion;
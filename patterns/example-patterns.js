@@ -0,0 +1,29 @@
+// Example LED wall pattern module - load it from ⚙️ Settings → 🟦 LED Wall Patterns → 🧩 Load Patterns
+// Render functions run every frame with `this` = the club (this.ledPanels, this.ledTime, this.updateLEDPanel)
+
+export default function register(registry) {
+    // Spectrum analyser: one column per band, height follows the level
+    registry.register('spectrumBars', function (color, time, audioData) {
+        const levels = [audioData.bass, audioData.bass, audioData.bass, audioData.mid, audioData.mid,
+            audioData.mid, audioData.mid, audioData.treble, audioData.treble, audioData.treble];
+        this.ledPanels.forEach(panel => {
+            const height = Math.round(levels[panel.col] * 6);
+            this.updateLEDPanel(panel, color, panel.row < height ? 1 : 0);
+        });
+    }, { label: 'Spectrum Bars', audioReactive: true, tags: ['meter'], duration: 16 });
+
+    // Bass kicks light the whole wall, then it fades to a dim glow
+    registry.register('bassFlash', function (color, time, audioData) {
+        const brightness = Math.max(0.05, Math.pow(audioData.bass, 2));
+        this.ledPanels.forEach(panel => this.updateLEDPanel(panel, color, brightness));
+    }, { label: 'Bass Flash', audioReactive: true, tags: ['meter', 'full'], duration: 8 });
+
+    // Two columns sweeping toward each other
+    registry.register('curtain', function (color) {
+        const position = Math.floor((Math.sin(this.ledTime * 2) + 1) * 2.5);
+        this.ledPanels.forEach(panel => {
+            const lit = panel.col === position || panel.col === 9 - position;
+            this.updateLEDPanel(panel, color, lit ? 1 : 0);
+        });
+    }, { label: 'Curtain', tags: ['animated', 'blackout'] });
+}
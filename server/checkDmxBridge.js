@@ -0,0 +1,119 @@
+// VR Club DMX Bridge Check - Sends one frame through the bridge and checks the Art-Net and sACN packets it puts on the wire
+// Usage: npm run check-dmx-bridge   (needs UDP ports 6454 and 5568 free on this machine)
+
+const assert = require('assert');
+const dgram = require('dgram');
+const path = require('path');
+const { spawn } = require('child_process');
+const { WebSocket } = require('ws');
+
+const PORT = parseInt(process.env.DMX_PORT, 10) || 18081; // Away from a bridge that may already be running on 8081
+const UNIVERSE = 3;
+const CHANNELS = [255, 0, 128, 64, 1, 2, 3]; // Odd length: Art-Net pads to an even count, sACN doesn't
+const TIMEOUT = 5000;
+
+/**
+ * Start the bridge (output mode, unicast to this machine) and resolve once a club can connect
+ */
+function startBridge(protocol) {
+    const bridge = spawn(process.execPath, [path.join(__dirname, 'dmxBridge.js')], {
+        env: Object.assign({}, process.env, { DMX_MODE: 'output', DMX_PROTOCOL: protocol, DMX_HOST: '127.0.0.1', DMX_PORT: String(PORT) }),
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    return new Promise((resolve, reject) => {
+        bridge.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes(`ws://localhost:${PORT}`)) resolve(bridge);
+        });
+        bridge.on('exit', (code) => reject(new Error(`Bridge exited (code ${code})`)));
+    });
+}
+
+function receiveOne(port) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    const packet = new Promise((resolve, reject) => {
+        socket.on('message', (message) => resolve(message));
+        socket.on('error', reject);
+    });
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(port, '127.0.0.1', () => resolve({ socket, packet }));
+    });
+}
+
+/**
+ * The frame the club sends: 2-byte universe (big-endian) followed by the channel values
+ */
+function sendFrame() {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${PORT}`);
+        ws.on('error', reject);
+        ws.on('message', () => {
+            // First message is the bridge status - the socket is ready
+            const frame = Buffer.alloc(2 + CHANNELS.length);
+            frame.writeUInt16BE(UNIVERSE, 0);
+            Buffer.from(CHANNELS).copy(frame, 2);
+            ws.send(frame, () => {
+                ws.close();
+                resolve();
+            });
+        });
+    });
+}
+
+// Header fields are checked byte by byte against the specs, not with dmxProtocol's own decoder
+function checkArtDmx(packet) {
+    assert.strictEqual(packet.toString('ascii', 0, 8), 'Art-Net\0', 'Art-Net ID');
+    assert.strictEqual(packet.readUInt16LE(8), 0x5000, 'OpDmx opcode (little-endian)');
+    assert.strictEqual(packet.readUInt16BE(10), 14, 'Protocol version');
+    assert.strictEqual(packet[12], 1, 'Sequence (first frame)');
+    assert.strictEqual(packet[14], UNIVERSE - 1, 'SubUni (universe 1 = Art-Net 0)');
+    assert.strictEqual(packet[15], 0, 'Net');
+    assert.strictEqual(packet.readUInt16BE(16), CHANNELS.length + 1, 'Length (padded to even)');
+    assert.deepStrictEqual(Array.from(packet.subarray(18)), CHANNELS.concat(0), 'Channel values');
+}
+
+function checkSacn(packet) {
+    assert.strictEqual(packet.readUInt16BE(0), 0x0010, 'Preamble size');
+    assert.strictEqual(packet.toString('ascii', 4, 16), 'ASC-E1.17\0\0\0', 'ACN packet identifier');
+    assert.strictEqual(packet.readUInt16BE(16) & 0x0fff, packet.length - 16, 'Root layer length');
+    assert.strictEqual(packet.readUInt32BE(18), 0x00000004, 'VECTOR_ROOT_E131_DATA');
+    assert.strictEqual(packet.readUInt16BE(38) & 0x0fff, packet.length - 38, 'Framing layer length');
+    assert.strictEqual(packet.readUInt32BE(40), 0x00000002, 'VECTOR_E131_DATA_PACKET');
+    assert.strictEqual(packet.toString('utf8', 44, 51), 'VR Club', 'Source name');
+    assert.strictEqual(packet[108], 100, 'Priority');
+    assert.strictEqual(packet[111], 1, 'Sequence (first frame)');
+    assert.strictEqual(packet.readUInt16BE(113), UNIVERSE, 'Universe');
+    assert.strictEqual(packet[117], 0x02, 'VECTOR_DMP_SET_PROPERTY');
+    assert.strictEqual(packet.readUInt16BE(123), CHANNELS.length + 1, 'Property value count');
+    assert.strictEqual(packet[125], 0x00, 'DMX start code');
+    assert.deepStrictEqual(Array.from(packet.subarray(126)), CHANNELS, 'Channel values');
+}
+
+async function check(protocol, port, checkPacket) {
+    const { socket, packet } = await receiveOne(port);
+    let bridge = null;
+    let timer = null;
+    try {
+        bridge = await startBridge(protocol);
+        await sendFrame();
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No ${protocol} packet on UDP ${port} within ${TIMEOUT / 1000}s`)), TIMEOUT);
+        });
+        checkPacket(await Promise.race([packet, timeout]));
+        console.log(`✅ ${protocol === 'artnet' ? 'Art-Net' : 'sACN'}: universe ${UNIVERSE}, ${CHANNELS.length} channels on UDP ${port}`);
+    } finally {
+        clearTimeout(timer);
+        socket.close();
+        if (bridge) bridge.kill();
+    }
+}
+
+(async () => {
+    try {
+        await check('artnet', 6454, checkArtDmx);
+        await check('sacn', 5568, checkSacn);
+    } catch (error) {
+        console.error('❌ DMX bridge check failed:', error.message);
+        process.exitCode = 1;
+    }
+})();
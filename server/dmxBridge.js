@@ -0,0 +1,164 @@
+// VR Club DMX Bridge - Connects the browser to real DMX gear over Art-Net or sACN (E1.31)
+// Output (default): the club drives the rig.  npm run dmx-bridge   (DMX_PROTOCOL=artnet|sacn, DMX_HOST=<node IP>)
+// Input: a lighting desk drives the club.     DMX_MODE=input npm run dmx-bridge   (DMX_UNIVERSES=1,2 for sACN)
+
+const http = require('http');
+const dgram = require('dgram');
+const { WebSocketServer, WebSocket } = require('ws');
+const dmx = require('./dmxProtocol');
+
+const MODE = (process.env.DMX_MODE || 'output').toLowerCase() === 'input' ? 'input' : 'output';
+const PORT = parseInt(process.env.DMX_PORT, 10) || (MODE === 'input' ? 8082 : 8081);
+const PROTOCOL = (process.env.DMX_PROTOCOL || 'artnet').toLowerCase() === 'sacn' ? 'sacn' : 'artnet';
+// Output: Art-Net broadcasts by default; sACN multicasts per universe unless a unicast host is given
+const HOST = process.env.DMX_HOST || (PROTOCOL === 'artnet' ? '255.255.255.255' : null);
+const SOURCE_NAME = process.env.DMX_SOURCE_NAME || 'VR Club';
+const MAX_UNIVERSE = PROTOCOL === 'sacn' ? 63999 : 32768;
+// Input: sACN is multicast per universe, so the universes to listen for must be known up front ("1,2" or "1-4")
+const INPUT_UNIVERSES = parseUniverses(process.env.DMX_UNIVERSES || '1-2');
+const INTERFACE = process.env.DMX_INTERFACE; // Local IP of the network card facing the desk (optional)
+
+const sequences = new Map();  // universe → last sequence number (1-255)
+const sources = new Map();    // Input: "protocol address" → { protocol, address, universes: Set, lastSeen }
+let packetsSent = 0;
+let packetsReceived = 0;
+
+function parseUniverses(list) {
+    const universes = [];
+    list.split(',').forEach(part => {
+        const [first, last] = part.split('-').map(n => parseInt(n, 10));
+        for (let universe = first; universe <= (last || first); universe++) {
+            if (universe >= 1 && universe <= 63999) universes.push(universe);
+        }
+    });
+    return universes;
+}
+
+// === OUTPUT: browser → UDP ===
+
+let udp = null;
+if (MODE === 'output') {
+    udp = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    udp.bind(() => {
+        udp.setBroadcast(true);
+        udp.setMulticastTTL(8);
+    });
+}
+
+const cid = dmx.createCid();
+
+function target(universe) {
+    if (PROTOCOL === 'artnet') return { host: HOST, port: dmx.ARTNET_PORT };
+    return { host: HOST || dmx.sacnMulticastAddress(universe), port: dmx.SACN_PORT };
+}
+
+function sendUniverse(universe, data) {
+    const sequence = (sequences.get(universe) || 0) % 255 + 1;
+    sequences.set(universe, sequence);
+
+    const packet = PROTOCOL === 'artnet'
+        ? dmx.encodeArtDmx(universe, data, sequence)
+        : dmx.encodeSacnData(universe, data, { sequence, cid, sourceName: SOURCE_NAME });
+    const { host, port } = target(universe);
+    udp.send(packet, port, host, (error) => {
+        if (error) console.error(`❌ DMX send to ${host}:${port} failed:`, error.message);
+    });
+    packetsSent++;
+}
+
+// === INPUT: UDP → browser ===
+
+function listen(port, onListening) {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', receivePacket);
+    socket.on('error', (error) => console.error(`❌ DMX input on port ${port}:`, error.message));
+    socket.bind(port, () => {
+        if (onListening) onListening(socket);
+    });
+    return socket;
+}
+
+function receivePacket(packet, rinfo) {
+    const decoded = dmx.decodePacket(packet);
+    if (!decoded) return;
+    packetsReceived++;
+
+    const key = `${decoded.protocol} ${rinfo.address}`;
+    if (!sources.has(key)) {
+        console.log(`🎛️ DMX from ${rinfo.address} (${decoded.protocol === 'artnet' ? 'Art-Net' : 'sACN'})`);
+        sources.set(key, { protocol: decoded.protocol, address: rinfo.address, universes: new Set(), lastSeen: 0 });
+    }
+    const source = sources.get(key);
+    source.universes.add(decoded.universe);
+    source.lastSeen = Date.now();
+
+    // Same framing as output: 2-byte universe (big-endian) followed by the channel values
+    const frame = Buffer.alloc(2 + decoded.data.length);
+    frame.writeUInt16BE(decoded.universe, 0);
+    decoded.data.copy(frame, 2);
+    wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) client.send(frame);
+    });
+}
+
+if (MODE === 'input') {
+    listen(dmx.ARTNET_PORT);
+    listen(dmx.SACN_PORT, (socket) => {
+        INPUT_UNIVERSES.forEach(universe => {
+            try {
+                socket.addMembership(dmx.sacnMulticastAddress(universe), INTERFACE);
+            } catch (error) {
+                console.warn(`⚠️ Could not join sACN universe ${universe}: ${error.message}`);
+            }
+        });
+    });
+}
+
+// === WEBSOCKET ===
+
+const server = http.createServer((req, res) => {
+    // Health check - shows where packets are going (or coming from)
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(MODE === 'output' ? {
+        status: 'ok',
+        mode: MODE,
+        protocol: PROTOCOL,
+        host: HOST || 'multicast',
+        universes: Array.from(sequences.keys()),
+        packetsSent
+    } : {
+        status: 'ok',
+        mode: MODE,
+        sacnUniverses: INPUT_UNIVERSES,
+        sources: Array.from(sources.values()).map(source => Object.assign({}, source, { universes: Array.from(source.universes) })),
+        packetsReceived
+    }));
+});
+
+const wss = new WebSocketServer({ server, maxPayload: 64 * 1024 });
+
+wss.on('connection', (socket, req) => {
+    console.log(`🎚️ Club connected from ${req.socket.remoteAddress}`);
+    socket.send(JSON.stringify(MODE === 'output'
+        ? { type: 'status', mode: MODE, protocol: PROTOCOL, host: HOST || 'multicast' }
+        : { type: 'status', mode: MODE, protocol: 'artnet+sacn', host: INTERFACE || 'any' }));
+
+    // Output frames are binary: 2-byte universe (big-endian) followed by up to 512 channel values
+    socket.on('message', (data, isBinary) => {
+        if (MODE !== 'output' || !isBinary || data.length < 3) return;
+        const universe = data.readUInt16BE(0);
+        if (universe < 1 || universe > MAX_UNIVERSE) return;
+        sendUniverse(universe, data.subarray(2, 2 + 512));
+    });
+
+    socket.on('close', () => console.log('🎚️ Club disconnected'));
+});
+
+server.listen(PORT, () => {
+    if (MODE === 'output') {
+        const destination = HOST || 'multicast 239.255.x.x';
+        console.log(`🎚️ VR Club DMX bridge on ws://localhost:${PORT} → ${PROTOCOL === 'artnet' ? 'Art-Net' : 'sACN'} ${destination}`);
+    } else {
+        console.log(`🎛️ VR Club DMX input on ws://localhost:${PORT} ← Art-Net (port ${dmx.ARTNET_PORT}) + sACN universes ${INPUT_UNIVERSES.join(', ')}`);
+    }
+});
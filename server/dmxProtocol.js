@@ -0,0 +1,136 @@
+// DMX Protocol - Art-Net (ArtDmx) and sACN (ANSI E1.31) packet encoding and decoding for the DMX bridge
+// Universes are 1-based everywhere in the club; Art-Net port addresses are 0-based, so universe 1 = Art-Net 0:0:0
+
+const crypto = require('crypto');
+
+const ARTNET_PORT = 6454;
+const ARTNET_ID = Buffer.from('Art-Net\0', 'ascii');
+const ARTNET_OP_DMX = 0x5000;
+const ARTNET_PROTOCOL_VERSION = 14;
+
+const SACN_PORT = 5568;
+const SACN_ID = Buffer.from('ASC-E1.17\0\0\0', 'ascii');
+const SACN_HEADER_LENGTH = 126;  // Root + framing + DMP layers, up to and including the start code
+const SACN_SOURCE_NAME_LENGTH = 64;
+
+/**
+ * ArtDmx packet (Art-Net 4)
+ * @param {number} universe - 1-based (1 → net 0, sub-net 0, universe 0)
+ * @param {Uint8Array|Buffer} data - Up to 512 channel values
+ * @param {number} sequence - 1-255 (0 disables sequencing on the receiver)
+ */
+function encodeArtDmx(universe, data, sequence = 0) {
+    const length = Math.min(512, data.length + (data.length % 2)); // Must be even
+    const packet = Buffer.alloc(18 + length);
+    const portAddress = universe - 1;
+
+    ARTNET_ID.copy(packet, 0);
+    packet.writeUInt16LE(ARTNET_OP_DMX, 8);
+    packet.writeUInt16BE(ARTNET_PROTOCOL_VERSION, 10);
+    packet[12] = sequence & 0xff;
+    packet[13] = 0;                              // Physical input port
+    packet[14] = portAddress & 0xff;             // SubUni
+    packet[15] = (portAddress >> 8) & 0x7f;      // Net
+    packet.writeUInt16BE(length, 16);
+    packet.set(data.subarray(0, length), 18);
+    return packet;
+}
+
+/**
+ * sACN data packet (E1.31-2016)
+ * @param {number} universe - 1-63999
+ * @param {Uint8Array|Buffer} data - Up to 512 channel values
+ * @param {Object} options - { sequence, cid: 16-byte Buffer, sourceName, priority }
+ */
+function encodeSacnData(universe, data, options = {}) {
+    const slots = Math.min(512, data.length);
+    const packet = Buffer.alloc(SACN_HEADER_LENGTH + slots);
+
+    // Root layer
+    packet.writeUInt16BE(0x0010, 0);             // Preamble size
+    packet.writeUInt16BE(0x0000, 2);             // Post-amble size
+    SACN_ID.copy(packet, 4);
+    packet.writeUInt16BE(0x7000 | (packet.length - 16), 16);
+    packet.writeUInt32BE(0x00000004, 18);        // VECTOR_ROOT_E131_DATA
+    (options.cid || createCid()).copy(packet, 22, 0, 16);
+
+    // Framing layer
+    packet.writeUInt16BE(0x7000 | (packet.length - 38), 38);
+    packet.writeUInt32BE(0x00000002, 40);        // VECTOR_E131_DATA_PACKET
+    packet.write(String(options.sourceName || 'VR Club').slice(0, SACN_SOURCE_NAME_LENGTH - 1), 44, 'utf8');
+    packet[108] = options.priority !== undefined ? options.priority : 100;
+    packet.writeUInt16BE(0, 109);                // Synchronization address (none)
+    packet[111] = (options.sequence || 0) & 0xff;
+    packet[112] = 0;                             // Options
+    packet.writeUInt16BE(universe, 113);
+
+    // DMP layer
+    packet.writeUInt16BE(0x7000 | (packet.length - 115), 115);
+    packet[117] = 0x02;                          // VECTOR_DMP_SET_PROPERTY
+    packet[118] = 0xa1;                          // Address & data type
+    packet.writeUInt16BE(0x0000, 119);           // First property address
+    packet.writeUInt16BE(0x0001, 121);           // Address increment
+    packet.writeUInt16BE(slots + 1, 123);        // Property value count (start code + slots)
+    packet[125] = 0x00;                          // DMX start code
+    packet.set(data.subarray(0, slots), SACN_HEADER_LENGTH);
+    return packet;
+}
+
+/**
+ * Decode an incoming ArtDmx or sACN data packet (anything else - polls, sync, discovery - returns null)
+ * @param {Buffer} packet
+ * @returns {{ protocol: 'artnet' | 'sacn', universe: number, sequence: number, priority: number, data: Buffer } | null}
+ */
+function decodePacket(packet) {
+    if (packet.length >= 18 + 2 && packet.compare(ARTNET_ID, 0, 8, 0, 8) === 0) {
+        if (packet.readUInt16LE(8) !== ARTNET_OP_DMX) return null;
+        const length = Math.min(packet.readUInt16BE(16), packet.length - 18, 512);
+        return {
+            protocol: 'artnet',
+            universe: ((packet[15] & 0x7f) << 8 | packet[14]) + 1,
+            sequence: packet[12],
+            priority: 100,
+            data: packet.subarray(18, 18 + length)
+        };
+    }
+
+    if (packet.length > SACN_HEADER_LENGTH && packet.compare(SACN_ID, 0, 12, 4, 16) === 0) {
+        if (packet.readUInt32BE(18) !== 0x00000004 || packet.readUInt32BE(40) !== 0x00000002) return null;
+        if (packet[117] !== 0x02 || packet[125] !== 0x00) return null; // Only DMX start code 0 carries levels
+        if (packet[112] & 0x40) return null;                           // Stream_Terminated: the source has gone
+        const slots = Math.min(packet.readUInt16BE(123) - 1, packet.length - SACN_HEADER_LENGTH, 512);
+        return {
+            protocol: 'sacn',
+            universe: packet.readUInt16BE(113),
+            sequence: packet[111],
+            priority: packet[108],
+            data: packet.subarray(SACN_HEADER_LENGTH, SACN_HEADER_LENGTH + slots)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Multicast group a receiver joins for a universe: 239.255.<hi>.<lo>
+ */
+function sacnMulticastAddress(universe) {
+    return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+/**
+ * Random component identifier - each bridge is one sACN source
+ */
+function createCid() {
+    return crypto.randomBytes(16);
+}
+
+module.exports = {
+    ARTNET_PORT,
+    SACN_PORT,
+    encodeArtDmx,
+    encodeSacnData,
+    decodePacket,
+    sacnMulticastAddress,
+    createCid
+};
@@ -0,0 +1,58 @@
+// VR Club Rig Export - Writes rigs/resident.json from RigLayout.DEFAULT_RIG, the one source for the resident rig
+// Usage: npm run export-rig   (--check: exit 1 if the file is out of date instead of writing it)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = path.join(__dirname, '..', 'js', 'rigLayout.js');
+const TARGET = path.join(__dirname, '..', 'rigs', 'resident.json');
+
+/**
+ * RigLayout as the browser sees it - the file only touches BABYLON inside methods, so a bare window is enough
+ */
+function loadRigLayout() {
+    const context = { window: {} };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(SOURCE, 'utf8'), context, { filename: SOURCE });
+    return context.window.RigLayout;
+}
+
+// Same layout as the other rig files: one truss, fixture or group per line
+function inline(value) {
+    if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inline(item)}`).join(', ')} }`;
+    }
+    return JSON.stringify(value);
+}
+
+function format(rig) {
+    const lines = Object.entries(rig).map(([key, value]) => {
+        if (Array.isArray(value)) {
+            return `    ${JSON.stringify(key)}: [\n${value.map(item => `        ${inline(item)}`).join(',\n')}\n    ]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value).map(([name, item]) => `        ${JSON.stringify(name)}: ${inline(item)}`);
+            return `    ${JSON.stringify(key)}: {\n${entries.join(',\n')}\n    }`;
+        }
+        return `    ${JSON.stringify(key)}: ${inline(value)}`;
+    });
+    return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+const json = format(loadRigLayout().DEFAULT_RIG);
+const relative = path.relative(process.cwd(), TARGET);
+
+if (process.argv.includes('--check')) {
+    const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, 'utf8') : '';
+    if (current !== json) {
+        console.error(`❌ ${relative} is out of date with RigLayout.DEFAULT_RIG - run npm run export-rig`);
+        process.exitCode = 1;
+    } else {
+        console.log(`✅ ${relative} matches RigLayout.DEFAULT_RIG`);
+    }
+} else {
+    fs.writeFileSync(TARGET, json);
+    console.log(`🏗️ Wrote ${relative} from RigLayout.DEFAULT_RIG`);
+}
@@ -0,0 +1,110 @@
+// VR Club OSC Bridge - Lets TouchOSC, Resolume or any OSC app control the club, and sends state back so layouts stay in sync
+// npm run osc-bridge   (OSC_PORT=8000 in, OSC_REPLY_PORT=9000 back to each sender, OSC_TARGETS=host:port,... for extra destinations)
+
+const http = require('http');
+const dgram = require('dgram');
+const { WebSocketServer, WebSocket } = require('ws');
+const osc = require('./oscProtocol');
+
+const PORT = parseInt(process.env.OSC_WS_PORT, 10) || 8083;           // WebSocket port the browser connects to
+const OSC_PORT = parseInt(process.env.OSC_PORT, 10) || 8000;           // UDP port OSC apps send to (TouchOSC default outgoing)
+const REPLY_PORT = parseInt(process.env.OSC_REPLY_PORT, 10) || 9000;   // Feedback goes back to each sender on this port (TouchOSC default incoming)
+const TARGETS = parseTargets(process.env.OSC_TARGETS || '');           // Extra feedback destinations, e.g. "192.168.1.30:7000"
+
+const sources = new Map();  // "address" → { address, lastSeen, messages }
+let messagesReceived = 0;
+let messagesSent = 0;
+
+function parseTargets(list) {
+    return list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [host, port] = entry.split(':');
+        return { host, port: parseInt(port, 10) || REPLY_PORT };
+    });
+}
+
+// === OSC apps → browser ===
+
+const udp = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+udp.on('message', (packet, rinfo) => {
+    const messages = osc.decodePacket(packet);
+    if (messages.length === 0) return;
+
+    if (!sources.has(rinfo.address)) {
+        console.log(`📡 OSC from ${rinfo.address} - replying on port ${REPLY_PORT}`);
+        sources.set(rinfo.address, { address: rinfo.address, lastSeen: 0, messages: 0 });
+        broadcast({ type: 'source', address: rinfo.address }); // The club resends its full state for the new layout
+    }
+    const source = sources.get(rinfo.address);
+    source.lastSeen = Date.now();
+    source.messages += messages.length;
+    messagesReceived += messages.length;
+
+    messages.forEach(message => broadcast({ type: 'osc', address: message.address, args: message.args, source: rinfo.address }));
+});
+
+udp.on('error', (error) => console.error(`❌ OSC on port ${OSC_PORT}:`, error.message));
+udp.bind(OSC_PORT);
+
+function broadcast(message) {
+    const data = JSON.stringify(message);
+    wss.clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) client.send(data);
+    });
+}
+
+// === browser → OSC apps (feedback) ===
+
+function sendFeedback(address, args) {
+    const packet = osc.encodeMessage(address, args);
+    const destinations = TARGETS.concat(Array.from(sources.keys()).map(host => ({ host, port: REPLY_PORT })));
+    destinations.forEach(({ host, port }) => {
+        udp.send(packet, port, host, (error) => {
+            if (error) console.error(`❌ OSC send to ${host}:${port} failed:`, error.message);
+        });
+        messagesSent++;
+    });
+}
+
+// === WEBSOCKET ===
+
+const server = http.createServer((req, res) => {
+    // Health check - shows who is sending and where feedback goes
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        status: 'ok',
+        oscPort: OSC_PORT,
+        replyPort: REPLY_PORT,
+        targets: TARGETS,
+        sources: Array.from(sources.values()),
+        messagesReceived,
+        messagesSent
+    }));
+});
+
+const wss = new WebSocketServer({ server, maxPayload: 64 * 1024 });
+
+wss.on('connection', (socket, req) => {
+    console.log(`📡 Club connected from ${req.socket.remoteAddress}`);
+    socket.send(JSON.stringify({ type: 'status', port: OSC_PORT, replyPort: REPLY_PORT, sources: Array.from(sources.keys()) }));
+
+    // Feedback: { type: 'osc', address, args }
+    socket.on('message', (data, isBinary) => {
+        if (isBinary) return;
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        if (!message || message.type !== 'osc' || typeof message.address !== 'string' || !message.address.startsWith('/')) return;
+        sendFeedback(message.address, Array.isArray(message.args) ? message.args : []);
+    });
+
+    socket.on('close', () => console.log('📡 Club disconnected'));
+});
+
+server.listen(PORT, () => {
+    console.log(`📡 VR Club OSC bridge on ws://localhost:${PORT} ← OSC on UDP ${OSC_PORT}, feedback → senders:${REPLY_PORT}` +
+        (TARGETS.length > 0 ? ` + ${TARGETS.map(target => `${target.host}:${target.port}`).join(', ')}` : ''));
+});
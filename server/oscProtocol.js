@@ -0,0 +1,142 @@
+// OSC Protocol - Open Sound Control 1.0 message and bundle encoding/decoding for the OSC bridge
+// Arguments travel to the browser as plain JSON values: numbers (i, f, d, h), strings (s, S), booleans (T, F) and null (N, I)
+
+/**
+ * Decode an OSC packet (message or bundle) into a flat list of messages
+ * Bundle time tags are ignored - everything is applied as soon as it arrives
+ * @param {Buffer} packet
+ * @returns {Array} [{ address, args }] - empty if the packet is not valid OSC
+ */
+function decodePacket(packet) {
+    try {
+        return decodeElement(packet);
+    } catch (error) {
+        return []; // Truncated or malformed
+    }
+}
+
+function decodeElement(packet) {
+    if (packet.length >= 16 && readString(packet, 0).value === '#bundle') {
+        const messages = [];
+        let offset = 16; // "#bundle\0" + 8-byte time tag
+        while (offset + 4 <= packet.length) {
+            const size = packet.readInt32BE(offset);
+            offset += 4;
+            if (size <= 0 || offset + size > packet.length) break;
+            messages.push(...decodeElement(packet.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+    return [decodeMessage(packet)];
+}
+
+function decodeMessage(packet) {
+    const address = readString(packet, 0);
+    if (!address.value.startsWith('/')) throw new Error('Not an OSC message');
+
+    // Type tag string is optional in very old senders - treat a missing one as no arguments
+    if (address.next >= packet.length) return { address: address.value, args: [] };
+    const tags = readString(packet, address.next);
+    if (!tags.value.startsWith(',')) return { address: address.value, args: [] };
+
+    const args = [];
+    let offset = tags.next;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i':
+                args.push(packet.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(packet.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'd':
+                args.push(packet.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 'h':
+                args.push(Number(packet.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 's':
+            case 'S': {
+                const string = readString(packet, offset);
+                args.push(string.value);
+                offset = string.next;
+                break;
+            }
+            case 'b': {
+                const size = packet.readInt32BE(offset);
+                offset += 4 + pad(size);
+                args.push(null); // Blobs have no meaning in the club address space
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+            case 'I':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type tag "${tag}"`);
+        }
+    }
+    return { address: address.value, args };
+}
+
+/**
+ * Encode an OSC message
+ * Numbers go out as float32 (what TouchOSC and Resolume controls expect), strings as s, booleans as T/F
+ * @param {string} address - e.g. /club/spotlights/on
+ * @param {Array} args
+ * @returns {Buffer}
+ */
+function encodeMessage(address, args = []) {
+    let tags = ',';
+    const parts = [];
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            const buffer = Buffer.alloc(4);
+            buffer.writeFloatBE(arg);
+            tags += 'f';
+            parts.push(buffer);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null || arg === undefined) {
+            tags += 'N';
+        } else {
+            tags += 's';
+            parts.push(writeString(String(arg)));
+        }
+    });
+    return Buffer.concat([writeString(address), writeString(tags), ...parts]);
+}
+
+// OSC strings are null-terminated and padded to a multiple of 4 bytes
+function readString(packet, offset) {
+    const end = packet.indexOf(0, offset);
+    if (end === -1) throw new Error('Unterminated OSC string');
+    return { value: packet.toString('utf8', offset, end), next: offset + pad(end - offset + 1) };
+}
+
+function writeString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const buffer = Buffer.alloc(pad(bytes.length + 1));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+function pad(length) {
+    return (length + 3) & ~3;
+}
+
+module.exports = {
+    decodePacket,
+    encodeMessage
+};
@@ -0,0 +1,172 @@
+// VR Club Relay - Minimal WebSocket relay for multiplayer presence and shared state
+// Usage: npm run relay   (PORT=8080 by default, clients join rooms with ws://host:8080/?room=main)
+
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const HEARTBEAT_INTERVAL = 30000; // Drop clients that stop answering pings
+const MAX_NAME_LENGTH = 24;
+// Client messages forwarded to the rest of the room - anything else (e.g. a spoofed 'vj' or 'join') is dropped
+const RELAYED_TYPES = new Set(['pose', 'showState']);
+
+// room name → { clients: Map(id → client), vj: id of the client driving the show, showState: last VJ snapshot,
+//               sharedSet: track everyone is listening to }
+const rooms = new Map();
+let nextClientId = 1;
+
+const server = http.createServer((req, res) => {
+    // Simple health check so the relay can be probed from a browser
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        status: 'ok',
+        rooms: Array.from(rooms.entries()).map(([name, room]) => ({ name, clients: room.clients.size, vj: room.vj }))
+    }));
+});
+
+const wss = new WebSocketServer({ server, maxPayload: 64 * 1024 });
+
+function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+function broadcast(room, message, exceptId) {
+    const payload = JSON.stringify(message);
+    room.clients.forEach((client, id) => {
+        if (id !== exceptId && client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(payload);
+        }
+    });
+}
+
+function describe(client) {
+    return { id: client.id, name: client.name, color: client.color, pose: client.pose };
+}
+
+wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const roomName = (url.searchParams.get('room') || 'main').slice(0, 64);
+    if (!rooms.has(roomName)) rooms.set(roomName, { clients: new Map(), vj: null, showState: null, sharedSet: null });
+    const room = rooms.get(roomName);
+
+    const client = { id: String(nextClientId++), socket, name: null, color: null, pose: null };
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return; // Ignore malformed messages
+        }
+        if (!message || typeof message.type !== 'string') return;
+
+        if (message.type === 'ping') {
+            // Clock sync - answered directly, never relayed
+            send(socket, { type: 'pong', t0: message.t0, serverTime: Date.now() });
+            return;
+        }
+
+        if (message.type === 'hello') {
+            // Join: reply with our id, everyone already here and the current show, then announce us
+            if (client.name !== null) return;
+            client.name = String(message.name || `Clubber ${client.id}`).slice(0, MAX_NAME_LENGTH);
+            client.color = typeof message.color === 'string' ? message.color.slice(0, 16) : null;
+            send(socket, {
+                type: 'welcome',
+                id: client.id,
+                room: roomName,
+                peers: Array.from(room.clients.values()).map(describe),
+                vj: room.vj,
+                showState: room.showState,
+                sharedSet: room.sharedSet
+            });
+            room.clients.set(client.id, client);
+            broadcast(room, { type: 'join', id: client.id, name: client.name, color: client.color }, client.id);
+            console.log(`👋 ${client.name} (#${client.id}) joined "${roomName}" - ${room.clients.size} online`);
+            return;
+        }
+
+        if (!room.clients.has(client.id)) return; // Must say hello first
+
+        if (message.type === 'claimVJ') {
+            // First come, first served - the current VJ has to release before someone else can take over
+            if (!room.vj) {
+                room.vj = client.id;
+                broadcast(room, { type: 'vj', id: room.vj });
+                console.log(`🎛️ ${client.name} (#${client.id}) is now the VJ in "${roomName}"`);
+            } else {
+                send(socket, { type: 'vj', id: room.vj });
+            }
+            return;
+        }
+
+        if (message.type === 'releaseVJ') {
+            if (room.vj === client.id) {
+                room.vj = null;
+                broadcast(room, { type: 'vj', id: null });
+            }
+            return;
+        }
+
+        if (message.type === 'showState') {
+            if (room.vj !== client.id) return; // Only the VJ is authoritative
+            room.showState = { state: message.state, clock: message.clock };
+        }
+
+        if (message.type === 'sharedSet') {
+            // The host owns the set; anyone can take over once the host has left
+            const current = room.sharedSet;
+            if (current && current.host !== client.id && room.clients.has(current.host)) {
+                send(socket, { type: 'sharedSet', set: current });
+                return;
+            }
+            room.sharedSet = message.set ? Object.assign({}, message.set, { host: client.id }) : null;
+            broadcast(room, { type: 'sharedSet', set: room.sharedSet, from: client.id });
+            return;
+        }
+
+        if (message.type === 'pose') {
+            client.pose = message.pose; // Latest pose for late joiners
+        }
+
+        if (!RELAYED_TYPES.has(message.type)) return;
+
+        // Relayed as-is, stamped with the sender
+        message.from = client.id;
+        broadcast(room, message, client.id);
+    });
+
+    socket.on('close', () => {
+        if (room.clients.delete(client.id)) {
+            broadcast(room, { type: 'leave', id: client.id });
+            console.log(`🚪 ${client.name} (#${client.id}) left "${roomName}" - ${room.clients.size} online`);
+            if (room.vj === client.id) {
+                room.vj = null;
+                broadcast(room, { type: 'vj', id: null });
+            }
+        }
+        if (room.clients.size === 0) rooms.delete(roomName);
+    });
+});
+
+const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+        if (!socket.isAlive) {
+            socket.terminate();
+            return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+    });
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+    console.log(`🎧 VR Club relay listening on ws://localhost:${PORT}`);
+});